@@ -0,0 +1,670 @@
+// Generated by scripts/generate-abis.js - do not edit by hand
+
+import type { AddressLike, BaseContract, BigNumberish, BytesLike, ContractTransactionResponse, InterfaceAbi, Overrides } from 'ethers';
+
+export type PayableOverrides = Overrides & { value?: BigNumberish };
+
+export interface ContractAbiFile {
+  contractName: string;
+  address?: string;
+  abi: InterfaceAbi;
+}
+
+export interface NFTVerifierContract extends BaseContract {
+  OWNERSHIP_ATTESTATION_TYPEHASH(): Promise<string>;
+  UPGRADE_INTERFACE_VERSION(): Promise<string>;
+  checkApproval(owner: AddressLike, nftAddress: AddressLike, tokenId: BigNumberish): Promise<boolean>;
+  checkDelegation(arg0: AddressLike, arg1: AddressLike): Promise<boolean>;
+  checkOwnership(owner: AddressLike, nftAddress: AddressLike, tokenId: BigNumberish): Promise<boolean>;
+  checkTokenDelegation(delegate: AddressLike, nftAddress: AddressLike, tokenId: BigNumberish): Promise<boolean>;
+  collateralManager(): Promise<string>;
+  delegateRegistry(): Promise<string>;
+  eip712Domain(): Promise<[string, string, string, bigint, string, string, bigint[]] & { fields: string; name: string; version: string; chainId: bigint; verifyingContract: string; salt: string; extensions: bigint[] }>;
+  hashOwnershipAttestation(attestation: { signer: AddressLike; nftAddress: AddressLike; tokenId: BigNumberish; escrow: AddressLike; issuedAt: BigNumberish }): Promise<string>;
+  initialize(_collateralManager: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  initializeAttestations(overrides?: Overrides): Promise<ContractTransactionResponse>;
+  owner(): Promise<string>;
+  proxiableUUID(): Promise<string>;
+  renounceOwnership(overrides?: Overrides): Promise<ContractTransactionResponse>;
+  setCollateralManager(_collateralManager: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  setDelegateRegistry(_delegateRegistry: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  setSignatureValidityPeriod(period: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  signatureValidityPeriod(): Promise<bigint>;
+  transferOwnership(newOwner: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  upgradeToAndCall(newImplementation: AddressLike, data: BytesLike, overrides?: PayableOverrides): Promise<ContractTransactionResponse>;
+  verifyEscrowBeneficiary(escrowAddress: AddressLike, claimedBeneficiary: AddressLike): Promise<boolean>;
+  verifyEscrowDelegation(escrowAddress: AddressLike, delegate: AddressLike): Promise<boolean>;
+  verifyOwnership(owner: AddressLike, nftAddress: AddressLike, tokenId: BigNumberish): Promise<boolean>;
+  verifyOwnershipAttestation(attestation: { signer: AddressLike; nftAddress: AddressLike; tokenId: BigNumberish; escrow: AddressLike; issuedAt: BigNumberish }, signature: BytesLike): Promise<boolean>;
+  verifyPartnerOwnership(escrowAddress: AddressLike, verificationData: BytesLike): Promise<boolean>;
+}
+
+export interface NFTVerifierEvents {
+  EIP712DomainChanged: {  };
+  Initialized: { version: bigint };
+  OwnershipTransferred: { previousOwner: string; newOwner: string };
+  Upgraded: { implementation: string };
+  VerificationRequested: { owner: string; nftAddress: string; tokenId: bigint; result: boolean };
+}
+
+export interface PriceOracleContract extends BaseContract {
+  MAX_REPORTERS(): Promise<bigint>;
+  MAX_TWAP_OBSERVATIONS(): Promise<bigint>;
+  UPGRADE_INTERFACE_VERSION(): Promise<string>;
+  authorizedUpdaters(arg0: AddressLike): Promise<boolean>;
+  batchUpdateCollectionPrices(nftAddresses: AddressLike[], floorPrices: BigNumberish[], overrides?: Overrides): Promise<ContractTransactionResponse>;
+  circuitBroken(arg0: AddressLike): Promise<boolean>;
+  collectionMinReporters(arg0: AddressLike): Promise<bigint>;
+  collectionPrices(arg0: AddressLike): Promise<[bigint, bigint] & { floorPrice: bigint; lastUpdated: bigint }>;
+  getCollectionReporters(nftAddress: AddressLike): Promise<string[]>;
+  getNFTPrice(nftAddress: AddressLike, tokenId: BigNumberish): Promise<bigint>;
+  getNFTPriceInCurrency(nftAddress: AddressLike, tokenId: BigNumberish, currency: AddressLike): Promise<bigint>;
+  getTWAP(nftAddress: AddressLike): Promise<bigint>;
+  getTokenPrice(tokenAddress: AddressLike): Promise<bigint>;
+  initialize(overrides?: Overrides): Promise<ContractTransactionResponse>;
+  initializeAggregation(overrides?: Overrides): Promise<ContractTransactionResponse>;
+  maxDeviationBps(): Promise<bigint>;
+  minReporters(): Promise<bigint>;
+  owner(): Promise<string>;
+  priceObservation(nftAddress: AddressLike, index: BigNumberish): Promise<[bigint, bigint] & { timestamp: bigint; price: bigint }>;
+  priceObservationCount(nftAddress: AddressLike): Promise<bigint>;
+  priceReports(arg0: AddressLike, arg1: AddressLike): Promise<[bigint, bigint] & { price: bigint; timestamp: bigint }>;
+  priceStaleThreshold(): Promise<bigint>;
+  proxiableUUID(): Promise<string>;
+  removeReporter(nftAddress: AddressLike, reporter: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  renounceOwnership(overrides?: Overrides): Promise<ContractTransactionResponse>;
+  reportValidity(): Promise<bigint>;
+  requiredReporters(nftAddress: AddressLike): Promise<bigint>;
+  resetCircuitBreaker(nftAddress: AddressLike, floorPrice: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  setAggregationParameters(newMinReporters: BigNumberish, newReportValidity: BigNumberish, newMaxDeviationBps: BigNumberish, newTwapWindow: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  setCollectionMinReporters(nftAddress: AddressLike, newMinReporters: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  setPriceStaleThreshold(newThreshold: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  setUpdaterAuthorization(updater: AddressLike, authorized: boolean, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  specificNFTPriceUpdatedAt(arg0: AddressLike, arg1: BigNumberish): Promise<bigint>;
+  specificNFTPrices(arg0: AddressLike, arg1: BigNumberish): Promise<bigint>;
+  tokenPriceFeeds(arg0: AddressLike): Promise<string>;
+  transferOwnership(newOwner: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  twapWindow(): Promise<bigint>;
+  updateCollectionPrice(nftAddress: AddressLike, floorPrice: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  updateSpecificNFTPrice(nftAddress: AddressLike, tokenId: BigNumberish, price: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  updateTokenPriceFeed(tokenAddress: AddressLike, priceFeed: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  upgradeToAndCall(newImplementation: AddressLike, data: BytesLike, overrides?: PayableOverrides): Promise<ContractTransactionResponse>;
+}
+
+export interface PriceOracleEvents {
+  AggregationParametersUpdated: { minReporters: bigint; reportValidity: bigint; maxDeviationBps: bigint; twapWindow: bigint };
+  CircuitBreakerReset: { nftAddress: string; floorPrice: bigint };
+  CircuitBreakerTripped: { nftAddress: string; floorPrice: bigint; rejectedPrice: bigint };
+  CollectionMinReportersUpdated: { nftAddress: string; minReporters: bigint };
+  CollectionPriceUpdated: { nftAddress: string; floorPrice: bigint };
+  Initialized: { version: bigint };
+  OwnershipTransferred: { previousOwner: string; newOwner: string };
+  PriceReported: { nftAddress: string; reporter: string; price: bigint };
+  ReporterRemoved: { nftAddress: string; reporter: string };
+  SpecificNFTPriceUpdated: { nftAddress: string; tokenId: bigint; price: bigint };
+  TokenPriceFeedUpdated: { tokenAddress: string; priceFeed: string };
+  UpdaterAuthorization: { updater: string; authorized: boolean };
+  Upgraded: { implementation: string };
+}
+
+export interface CollateralManagerContract extends BaseContract {
+  UPGRADE_INTERFACE_VERSION(): Promise<string>;
+  addCollateral(loanId: BigNumberish, nftAddress: AddressLike, tokenId: BigNumberish, quantity: BigNumberish, borrower: AddressLike, lender: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  allowedBenefitCalls(arg0: AddressLike, arg1: BytesLike): Promise<boolean>;
+  allowedCollections(arg0: AddressLike): Promise<boolean>;
+  applyPartnerInterface(escrowAddress: AddressLike, partnerProject: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  calculateTotalCollateralValue(loanId: BigNumberish): Promise<bigint>;
+  checkLoanToValue(nftAddresses: AddressLike[], tokenIds: BigNumberish[], quantities: BigNumberish[], amount: BigNumberish, currency: AddressLike): Promise<[bigint, bigint] & { collateralValue: bigint; ltv: bigint }>;
+  checkNFTValue(nftAddress: AddressLike, tokenId: BigNumberish): Promise<bigint>;
+  claimBenefits(loanId: BigNumberish, nftAddress: AddressLike, tokenId: BigNumberish, benefitAddress: AddressLike, data: BytesLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  collaterals(arg0: BytesLike): Promise<[string, bigint, bigint, boolean, string] & { nftAddress: string; tokenId: bigint; loanId: bigint; active: boolean; escrowAddress: string }>;
+  collectionAssetTypes(arg0: AddressLike): Promise<bigint>;
+  emergencyReleaseNFT(escrowAddress: AddressLike, recipient: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  escrowImplementation(): Promise<string>;
+  escrowToCollateralId(arg0: AddressLike): Promise<string>;
+  executeEscrowFunction(escrowAddress: AddressLike, data: BytesLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  getCollateralAsset(nftAddress: AddressLike, tokenId: BigNumberish, loanId: BigNumberish): Promise<[bigint, bigint] & { assetType: bigint; quantity: bigint }>;
+  getEscrowAddress(nftAddress: AddressLike, tokenId: BigNumberish, loanId: BigNumberish): Promise<string>;
+  getLoanEscrowAddresses(loanId: BigNumberish): Promise<string[]>;
+  initialize(priceOracleAddress: AddressLike, yapLendCoreAddress: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  loanCollateralIds(arg0: BigNumberish, arg1: BigNumberish): Promise<string>;
+  loanIdCounter(): Promise<bigint>;
+  loanToValue(arg0: BigNumberish): Promise<bigint>;
+  maxLoanToValue(arg0: AddressLike): Promise<bigint>;
+  minimumCollateralRatio(): Promise<bigint>;
+  owner(): Promise<string>;
+  partnerInterfaces(arg0: AddressLike): Promise<string>;
+  pause(overrides?: Overrides): Promise<ContractTransactionResponse>;
+  paused(): Promise<boolean>;
+  priceOracle(): Promise<string>;
+  proxiableUUID(): Promise<string>;
+  recordLoanToValue(loanId: BigNumberish, amount: BigNumberish, currency: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  registerPartnerInterface(partnerProject: AddressLike, interfaceId: BytesLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  removeCollateral(loanId: BigNumberish, nftAddress: AddressLike, tokenId: BigNumberish, recipient: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  renounceOwnership(overrides?: Overrides): Promise<ContractTransactionResponse>;
+  setBenefitCallsAllowed(target: AddressLike, selectors: BytesLike[], allowed: boolean, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  setCollectionAllowance(nftAddress: AddressLike, allowed: boolean, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  setCollectionAssetType(nftAddress: AddressLike, assetType: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  setEscrowImplementation(newEscrowImplementation: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  setMaxLoanToValue(nftAddress: AddressLike, newMaxLoanToValue: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  setMinimumCollateralRatio(newRatio: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  setPriceOracle(newPriceOracle: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  setYapLendCore(yapLendCoreAddress: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  transferOwnership(newOwner: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  unpause(overrides?: Overrides): Promise<ContractTransactionResponse>;
+  updateLender(loanId: BigNumberish, newLender: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  upgradeToAndCall(newImplementation: AddressLike, data: BytesLike, overrides?: PayableOverrides): Promise<ContractTransactionResponse>;
+  validateCollateral(nftAddress: AddressLike, tokenId: BigNumberish): Promise<boolean>;
+  yapLendCore(): Promise<string>;
+}
+
+export interface CollateralManagerEvents {
+  BenefitCallAllowed: { target: string; selector: string; allowed: boolean };
+  CollateralAdded: { loanId: bigint; nftAddress: string; tokenId: bigint; escrowAddress: string };
+  CollateralRemoved: { loanId: bigint; nftAddress: string; tokenId: bigint; recipient: string };
+  CollectionAllowListUpdated: { nftAddress: string; allowed: boolean };
+  CollectionAssetTypeUpdated: { nftAddress: string; assetType: bigint };
+  EmergencyNFTRelease: { escrowAddress: string; nftAddress: string; tokenId: bigint; recipient: string };
+  EscrowCreated: { escrowAddress: string; nftAddress: string; tokenId: bigint; loanId: bigint };
+  EscrowInitialized: { escrowAddress: string; borrower: string; lender: string };
+  EscrowLenderUpdated: { loanId: bigint; escrowAddress: string; lender: string };
+  Initialized: { version: bigint };
+  LoanToValueRecorded: { loanId: bigint; collateralValue: bigint; loanToValue: bigint };
+  MaxLoanToValueUpdated: { nftAddress: string; maxLoanToValue: bigint };
+  OwnershipTransferred: { previousOwner: string; newOwner: string };
+  PartnerInterfaceRegistered: { partnerProject: string; interfaceId: string };
+  Paused: { account: string };
+  Unpaused: { account: string };
+  Upgraded: { implementation: string };
+}
+
+export interface LiquidityPoolContract extends BaseContract {
+  UPGRADE_INTERFACE_VERSION(): Promise<string>;
+  allowance(owner: AddressLike, spender: AddressLike): Promise<bigint>;
+  approve(spender: AddressLike, value: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  balanceOf(account: AddressLike): Promise<bigint>;
+  baseBorrowRate(): Promise<bigint>;
+  borrow(nftAddresses: AddressLike[], tokenIds: BigNumberish[], amount: BigNumberish, duration: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  borrowRate(): Promise<bigint>;
+  borrowRateAt(utilization: BigNumberish): Promise<bigint>;
+  borrowWithQuantities(nftAddresses: AddressLike[], tokenIds: BigNumberish[], quantities: BigNumberish[], amount: BigNumberish, duration: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  calculateAPY(): Promise<bigint>;
+  cancelRedeem(requestId: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  claim(overrides?: Overrides): Promise<ContractTransactionResponse>;
+  claimable(arg0: AddressLike): Promise<bigint>;
+  convertToAssets(shares: BigNumberish): Promise<bigint>;
+  convertToShares(assets: BigNumberish): Promise<bigint>;
+  decimals(): Promise<bigint>;
+  deposit(receiver: AddressLike, overrides?: PayableOverrides): Promise<ContractTransactionResponse>;
+  emergencyWithdraw(recipient: AddressLike, amount: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  initialize(overrides?: Overrides): Promise<ContractTransactionResponse>;
+  initializeShares(overrides?: Overrides): Promise<ContractTransactionResponse>;
+  lastAPYUpdateTime(): Promise<bigint>;
+  legacyLiquidity(): Promise<bigint>;
+  liquidityAPY(): Promise<bigint>;
+  loanPrincipal(arg0: BigNumberish): Promise<bigint>;
+  maxAPY(): Promise<bigint>;
+  maxLoanAmount(): Promise<bigint>;
+  maxLoanDuration(): Promise<bigint>;
+  maxWithdraw(shareOwner: AddressLike): Promise<bigint>;
+  migrateLiquidity(overrides?: Overrides): Promise<ContractTransactionResponse>;
+  minAPY(): Promise<bigint>;
+  name(): Promise<string>;
+  onERC1155Received(arg0: AddressLike, arg1: AddressLike, arg2: BigNumberish, arg3: BigNumberish, arg4: BytesLike): Promise<string>;
+  onERC721Received(arg0: AddressLike, arg1: AddressLike, arg2: BigNumberish, arg3: BytesLike): Promise<string>;
+  owner(): Promise<string>;
+  pause(overrides?: Overrides): Promise<ContractTransactionResponse>;
+  paused(): Promise<boolean>;
+  previewDeposit(assets: BigNumberish): Promise<bigint>;
+  previewRedeem(shares: BigNumberish): Promise<bigint>;
+  previewWithdraw(assets: BigNumberish): Promise<bigint>;
+  processWithdrawalQueue(overrides?: Overrides): Promise<ContractTransactionResponse>;
+  provideLiquidity(overrides?: PayableOverrides): Promise<ContractTransactionResponse>;
+  providerLiquidity(arg0: AddressLike): Promise<bigint>;
+  proxiableUUID(): Promise<string>;
+  queueHead(): Promise<bigint>;
+  rateSlope1(): Promise<bigint>;
+  rateSlope2(): Promise<bigint>;
+  redeem(shares: BigNumberish, receiver: AddressLike, shareOwner: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  renounceOwnership(overrides?: Overrides): Promise<ContractTransactionResponse>;
+  repay(loanId: BigNumberish, overrides?: PayableOverrides): Promise<ContractTransactionResponse>;
+  requestRedeem(shares: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  reservedPayouts(): Promise<bigint>;
+  setAPYLimits(newMinAPY: BigNumberish, newMaxAPY: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  setLoanLimits(newMaxLoanAmount: BigNumberish, newMaxLoanDuration: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  setRateCurve(newBaseBorrowRate: BigNumberish, newRateSlope1: BigNumberish, newRateSlope2: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  setUtilizationTarget(newTarget: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  setYapLendCore(yapLendCoreAddress: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  symbol(): Promise<string>;
+  totalAssets(): Promise<bigint>;
+  totalBorrowed(): Promise<bigint>;
+  totalLiquidity(): Promise<bigint>;
+  totalSupply(): Promise<bigint>;
+  transfer(to: AddressLike, value: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  transferCollateral(nftAddress: AddressLike, tokenId: BigNumberish, recipient: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  transferCollateralAsset(assetType: BigNumberish, nftAddress: AddressLike, tokenId: BigNumberish, quantity: BigNumberish, recipient: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  transferFrom(from: AddressLike, to: AddressLike, value: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  transferOwnership(newOwner: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  unpause(overrides?: Overrides): Promise<ContractTransactionResponse>;
+  updateAPY(overrides?: Overrides): Promise<ContractTransactionResponse>;
+  upgradeToAndCall(newImplementation: AddressLike, data: BytesLike, overrides?: PayableOverrides): Promise<ContractTransactionResponse>;
+  utilizationRatio(): Promise<bigint>;
+  utilizationTarget(): Promise<bigint>;
+  withdraw(assets: BigNumberish, receiver: AddressLike, shareOwner: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  withdrawLiquidity(amount: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  withdrawalQueue(arg0: BigNumberish): Promise<[string, bigint] & { owner: string; shares: bigint }>;
+  withdrawalQueueLength(): Promise<bigint>;
+  writeOff(loanId: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  yapLendCore(): Promise<string>;
+}
+
+export interface LiquidityPoolEvents {
+  APYUpdated: { newAPY: bigint };
+  Approval: { owner: string; spender: string; value: bigint };
+  Deposit: { sender: string; owner: string; assets: bigint; shares: bigint };
+  Initialized: { version: bigint };
+  LiquidityMigrated: { provider: string; assets: bigint; shares: bigint };
+  LiquidityProvided: { provider: string; amount: bigint };
+  LiquidityWithdrawn: { provider: string; amount: bigint };
+  LoanLimitsUpdated: { maxLoanAmount: bigint; maxLoanDuration: bigint };
+  OwnershipTransferred: { previousOwner: string; newOwner: string };
+  Paused: { account: string };
+  PayoutClaimed: { owner: string; assets: bigint };
+  PoolLoanOpened: { loanId: bigint; borrower: string; amount: bigint; interestRate: bigint };
+  PoolLoanRepaid: { loanId: bigint; principal: bigint; outstanding: bigint };
+  PoolLoanWrittenOff: { loanId: bigint; principal: bigint };
+  RateCurveUpdated: { baseBorrowRate: bigint; rateSlope1: bigint; rateSlope2: bigint };
+  Transfer: { from: string; to: string; value: bigint };
+  Unpaused: { account: string };
+  Upgraded: { implementation: string };
+  UtilizationRatioUpdated: { newRatio: bigint };
+  Withdraw: { sender: string; receiver: string; owner: string; assets: bigint; shares: bigint };
+  WithdrawalCancelled: { requestId: bigint; owner: string; shares: bigint };
+  WithdrawalFulfilled: { requestId: bigint; owner: string; shares: bigint; assets: bigint };
+  WithdrawalRequested: { requestId: bigint; owner: string; shares: bigint };
+  YapLendCoreUpdated: { newYapLendCore: string };
+}
+
+export interface YapLendCoreContract extends BaseContract {
+  UPGRADE_INTERFACE_VERSION(): Promise<string>;
+  acceptExtension(loanId: BigNumberish, overrides?: PayableOverrides): Promise<ContractTransactionResponse>;
+  allowedCurrencies(arg0: AddressLike): Promise<boolean>;
+  cancelExtensionOffer(loanId: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  checkAutoWithdrawConditions(loanId: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  collateralManager(): Promise<string>;
+  createLoan(borrower: AddressLike, lender: AddressLike, nftAddresses: AddressLike[], tokenIds: BigNumberish[], loanAmount: BigNumberish, duration: BigNumberish, proposedInterestRate: BigNumberish, overrides?: PayableOverrides): Promise<ContractTransactionResponse>;
+  createLoan(nftAddresses: AddressLike[], tokenIds: BigNumberish[], loanAmount: BigNumberish, duration: BigNumberish, proposedInterestRate: BigNumberish, overrides?: PayableOverrides): Promise<ContractTransactionResponse>;
+  createLoanWithCurrency(borrower: AddressLike, lender: AddressLike, nftAddresses: AddressLike[], tokenIds: BigNumberish[], loanAmount: BigNumberish, duration: BigNumberish, proposedInterestRate: BigNumberish, currency: AddressLike, overrides?: PayableOverrides): Promise<ContractTransactionResponse>;
+  createLoanWithQuantities(borrower: AddressLike, lender: AddressLike, nftAddresses: AddressLike[], tokenIds: BigNumberish[], quantities: BigNumberish[], loanAmount: BigNumberish, duration: BigNumberish, proposedInterestRate: BigNumberish, currency: AddressLike, overrides?: PayableOverrides): Promise<ContractTransactionResponse>;
+  extensionOffers(arg0: BigNumberish): Promise<[bigint, bigint, bigint, bigint] & { additionalDuration: bigint; interestRate: bigint; fee: bigint; expiresAt: bigint }>;
+  feeCollector(): Promise<string>;
+  getEscrowAddress(loanId: BigNumberish, nftAddress: AddressLike, tokenId: BigNumberish): Promise<string>;
+  getLoanCollaterals(loanId: BigNumberish): Promise<{ nftAddress: string; quantity: bigint; tokenId: bigint }[]>;
+  getLoanEscrowAddresses(loanId: BigNumberish): Promise<string[]>;
+  getRepaymentAmount(loanId: BigNumberish): Promise<bigint>;
+  gracePeriod(): Promise<bigint>;
+  initialize(collateralManagerAddress: AddressLike, nftVerifierAddress: AddressLike, loanVaultAddress: AddressLike, liquidityPoolAddress: AddressLike, _feeCollector: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  isCurrencyAllowed(currency: AddressLike): Promise<boolean>;
+  latePenaltyRate(): Promise<bigint>;
+  liquidateLoan(loanId: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  liquidationAuction(): Promise<string>;
+  liquidityPool(): Promise<string>;
+  loanCollaterals(arg0: BigNumberish, arg1: BigNumberish): Promise<[string, bigint, bigint] & { nftAddress: string; quantity: bigint; tokenId: bigint }>;
+  loanVault(): Promise<string>;
+  loans(arg0: BigNumberish): Promise<[string, string, bigint, bigint, bigint, bigint, boolean, boolean, boolean, string, bigint, bigint, bigint] & { borrower: string; lender: string; amount: bigint; startTime: bigint; duration: bigint; interestRate: bigint; active: boolean; liquidated: boolean; partiallyRepaid: boolean; currency: string; accrualStart: bigint; principalRepaid: bigint; interestPaid: bigint }>;
+  maxInterestRate(): Promise<bigint>;
+  minInterestRate(): Promise<bigint>;
+  nftVerifier(): Promise<string>;
+  offerExtension(loanId: BigNumberish, additionalDuration: BigNumberish, interestRate: BigNumberish, fee: BigNumberish, validityPeriod: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  orderBook(): Promise<string>;
+  owner(): Promise<string>;
+  pause(overrides?: Overrides): Promise<ContractTransactionResponse>;
+  paused(): Promise<boolean>;
+  proposalManager(): Promise<string>;
+  protocolFeePercentage(): Promise<bigint>;
+  proxiableUUID(): Promise<string>;
+  refinanceLoan(loanId: BigNumberish, newLender: AddressLike, amount: BigNumberish, duration: BigNumberish, interestRate: BigNumberish, overrides?: PayableOverrides): Promise<ContractTransactionResponse>;
+  renounceOwnership(overrides?: Overrides): Promise<ContractTransactionResponse>;
+  repayLoan(loanId: BigNumberish, overrides?: PayableOverrides): Promise<ContractTransactionResponse>;
+  repayPartial(loanId: BigNumberish, principal: BigNumberish, overrides?: PayableOverrides): Promise<ContractTransactionResponse>;
+  setCollateralManager(collateralManagerAddress: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  setCurrencyAllowed(currency: AddressLike, allowed: boolean, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  setFeeCollector(newFeeCollector: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  setGracePeriod(newGracePeriod: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  setLatePenaltyRate(newPenaltyRate: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  setLiquidationAuction(liquidationAuctionAddress: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  setLiquidityPool(liquidityPoolAddress: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  setLoanVault(loanVaultAddress: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  setMaxInterestRate(newMaxRate: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  setMinInterestRate(newMinRate: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  setNFTVerifier(nftVerifierAddress: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  setOrderBook(orderBookAddress: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  setProposalManager(_proposalManager: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  setProtocolFeePercentage(newFeePercentage: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  simulateInterest(principal: BigNumberish, interestRate: BigNumberish, durationInSeconds: BigNumberish): Promise<bigint>;
+  transferOwnership(newOwner: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  unpause(overrides?: Overrides): Promise<ContractTransactionResponse>;
+  upgradeToAndCall(newImplementation: AddressLike, data: BytesLike, overrides?: PayableOverrides): Promise<ContractTransactionResponse>;
+  verifyNFTOwnership(owner: AddressLike, nftAddress: AddressLike, tokenId: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+}
+
+export interface YapLendCoreEvents {
+  AutoWithdrawalTriggered: { loanId: bigint; user: string; amount: bigint; timestamp: bigint };
+  CollateralAdded: { loanId: bigint; nftAddress: string; tokenId: bigint };
+  CollateralReleaseFailure: { loanId: bigint; nftAddress: string; tokenId: bigint; recipient: string };
+  CurrencyAllowanceUpdated: { currency: string; allowed: boolean };
+  ExcessReturnFailure: { loanId: bigint; recipient: string; amount: bigint };
+  ExtensionOfferCancelled: { loanId: bigint };
+  ExtensionOffered: { loanId: bigint; lender: string; additionalDuration: bigint; interestRate: bigint; fee: bigint; expiresAt: bigint };
+  FailedToSendFee: { loanId: bigint; feeCollector: string; amount: bigint };
+  FeeCollectorUpdated: { newFeeCollector: string };
+  Initialized: { version: bigint };
+  LiquidationAuctionUpdated: { newLiquidationAuction: string };
+  LoanCreated: { loanId: bigint; borrower: string; lender: string; amount: bigint; duration: bigint; interestRate: bigint };
+  LoanExtended: { loanId: bigint; newDuration: bigint; interestRate: bigint; fee: bigint; interest: bigint };
+  LoanLiquidated: { loanId: bigint; borrower: string; amount: bigint };
+  LoanRefinanced: { loanId: bigint; oldLender: string; newLender: string; amount: bigint; duration: bigint; interestRate: bigint; payoff: bigint };
+  LoanRepaid: { loanId: bigint; borrower: string; amount: bigint };
+  OrderBookUpdated: { newOrderBook: string };
+  OwnershipTransferred: { previousOwner: string; newOwner: string };
+  PartialRepayment: { loanId: bigint; borrower: string; amount: bigint };
+  Paused: { account: string };
+  PrincipalRepaid: { loanId: bigint; borrower: string; principal: bigint; interest: bigint; outstanding: bigint };
+  ProposalManagerUpdated: { newProposalManager: string };
+  ProtocolFeeSent: { loanId: bigint; feeCollector: string; amount: bigint };
+  ProtocolParameterUpdated: { parameter: string; value: bigint };
+  Unpaused: { account: string };
+  Upgraded: { implementation: string };
+}
+
+export interface LoanVaultContract extends BaseContract {
+  UPGRADE_INTERFACE_VERSION(): Promise<string>;
+  assignLegacyDeposit(loanId: BigNumberish, beneficiary: AddressLike, kind: BigNumberish, amount: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  calculateInterest(loanId: BigNumberish): Promise<bigint>;
+  claim(loanId: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  claimFor(loanId: BigNumberish, beneficiary: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  claimableBalance(loanId: BigNumberish, beneficiary: AddressLike): Promise<bigint>;
+  credit(loanId: BigNumberish, beneficiary: AddressLike, kind: BigNumberish, amount: BigNumberish, overrides?: PayableOverrides): Promise<ContractTransactionResponse>;
+  deposit(loanId: BigNumberish, overrides?: PayableOverrides): Promise<ContractTransactionResponse>;
+  depositToken(loanId: BigNumberish, amount: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  emergencyWithdraw(recipient: AddressLike, amount: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  emergencyWithdrawToken(token: AddressLike, recipient: AddressLike, amount: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  getAmortizationSchedule(loanId: BigNumberish, installmentCount: BigNumberish): Promise<{ dueDate: bigint; principal: bigint; interest: bigint; outstanding: bigint }[]>;
+  initialize(yapLendCoreAddress: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  ledger(arg0: BigNumberish, arg1: AddressLike, arg2: BigNumberish): Promise<bigint>;
+  loanAssigned(arg0: BigNumberish): Promise<bigint>;
+  loanDeposits(arg0: BigNumberish): Promise<bigint>;
+  loanInterests(arg0: BigNumberish): Promise<bigint>;
+  owner(): Promise<string>;
+  pause(overrides?: Overrides): Promise<ContractTransactionResponse>;
+  paused(): Promise<boolean>;
+  processInterestPayment(loanId: BigNumberish, interestAmount: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  proxiableUUID(): Promise<string>;
+  recoverFailedFees(loanId: BigNumberish, recordedCollector: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  renounceOwnership(overrides?: Overrides): Promise<ContractTransactionResponse>;
+  setYapLendCore(yapLendCoreAddress: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  transferOwnership(newOwner: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  unclaimedBalance(arg0: AddressLike, arg1: AddressLike): Promise<bigint>;
+  unpause(overrides?: Overrides): Promise<ContractTransactionResponse>;
+  upgradeToAndCall(newImplementation: AddressLike, data: BytesLike, overrides?: PayableOverrides): Promise<ContractTransactionResponse>;
+  withdraw(loanId: BigNumberish, amount: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  yapLendCore(): Promise<string>;
+}
+
+export interface LoanVaultEvents {
+  Claimed: { loanId: bigint; beneficiary: string; recipient: string; amount: bigint };
+  Credited: { loanId: bigint; beneficiary: string; kind: bigint; amount: bigint };
+  Deposited: { loanId: bigint; amount: bigint };
+  EmergencyTokenWithdrawal: { token: string; recipient: string; amount: bigint };
+  EmergencyWithdrawal: { recipient: string; amount: bigint };
+  FailedToSendFee: { loanId: bigint; feeCollector: string; amount: bigint };
+  Initialized: { version: bigint };
+  InterestAccrued: { loanId: bigint; amount: bigint };
+  InterestCalculationFailed: { loanId: bigint; reason: string };
+  OwnershipTransferred: { previousOwner: string; newOwner: string };
+  Paused: { account: string };
+  ProtocolFeeSent: { loanId: bigint; feeCollector: string; amount: bigint };
+  Unpaused: { account: string };
+  Upgraded: { implementation: string };
+  Withdrawn: { loanId: bigint; recipient: string; amount: bigint };
+}
+
+export interface ProposalManagerContract extends BaseContract {
+  UPGRADE_INTERFACE_VERSION(): Promise<string>;
+  acceptProposal(proposalId: BigNumberish, overrides?: PayableOverrides): Promise<ContractTransactionResponse>;
+  acceptRefinanceOffer(offerId: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  cancelCollectionOffer(offerId: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  cancelProposal(proposalId: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  cancelRefinanceOffer(offerId: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  collectionOfferQuantity(offerId: BigNumberish): Promise<bigint>;
+  collectionOffers(arg0: BigNumberish): Promise<[string, string, bigint, bigint, bigint, bigint, bigint, bigint, string, boolean] & { lender: string; nftAddress: string; amountPerLoan: bigint; duration: bigint; interestRate: bigint; maxLoans: bigint; loansTaken: bigint; expiresAt: bigint; currency: string; isActive: boolean }>;
+  createCollectionOffer(nftAddress: AddressLike, currency: AddressLike, amountPerLoan: BigNumberish, maxLoans: BigNumberish, duration: BigNumberish, interestRate: BigNumberish, validityPeriod: BigNumberish, overrides?: PayableOverrides): Promise<ContractTransactionResponse>;
+  createCollectionOfferWithQuantity(nftAddress: AddressLike, currency: AddressLike, amountPerLoan: BigNumberish, maxLoans: BigNumberish, duration: BigNumberish, interestRate: BigNumberish, validityPeriod: BigNumberish, quantityPerLoan: BigNumberish, overrides?: PayableOverrides): Promise<ContractTransactionResponse>;
+  createCounterOffer(proposalId: BigNumberish, offerAmount: BigNumberish, duration: BigNumberish, interestRate: BigNumberish, validityPeriod: BigNumberish, overrides?: PayableOverrides): Promise<ContractTransactionResponse>;
+  createProposal(nftAddresses: AddressLike[], tokenIds: BigNumberish[], requestedAmount: BigNumberish, duration: BigNumberish, interestRate: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  createProposalWithCurrency(nftAddresses: AddressLike[], tokenIds: BigNumberish[], requestedAmount: BigNumberish, duration: BigNumberish, interestRate: BigNumberish, currency: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  createProposalWithQuantities(nftAddresses: AddressLike[], tokenIds: BigNumberish[], quantities: BigNumberish[], requestedAmount: BigNumberish, duration: BigNumberish, interestRate: BigNumberish, currency: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  createRefinanceOffer(loanId: BigNumberish, amount: BigNumberish, duration: BigNumberish, interestRate: BigNumberish, validityPeriod: BigNumberish, overrides?: PayableOverrides): Promise<ContractTransactionResponse>;
+  getLockedFunds(lender: AddressLike): Promise<bigint>;
+  getProposal(proposalId: BigNumberish): Promise<[string, string, bigint, bigint, bigint, bigint, bigint, boolean, boolean] & { borrower: string; lender: string; amount: bigint; duration: bigint; interestRate: bigint; createdAt: bigint; expiresAt: bigint; isActive: boolean; isCounterOffer: boolean }>;
+  getProposalCollateral(proposalId: BigNumberish): Promise<[string[], bigint[]] & { nftAddresses: string[]; tokenIds: bigint[] }>;
+  getProposalQuantities(proposalId: BigNumberish): Promise<bigint[]>;
+  initialize(yapLendCoreAddress: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  isOfferExpired(proposalId: BigNumberish): Promise<boolean>;
+  lockedFunds(arg0: AddressLike): Promise<bigint>;
+  lockedTokens(arg0: AddressLike, arg1: AddressLike): Promise<bigint>;
+  nftVerifier(): Promise<string>;
+  owner(): Promise<string>;
+  pause(overrides?: Overrides): Promise<ContractTransactionResponse>;
+  paused(): Promise<boolean>;
+  processExpiredOffer(proposalId: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  proposals(arg0: BigNumberish): Promise<[string, string, bigint, bigint, bigint, bigint, bigint, boolean, boolean, string] & { borrower: string; lender: string; amount: bigint; duration: bigint; interestRate: bigint; createdAt: bigint; expiresAt: bigint; isActive: boolean; isCounterOffer: boolean; currency: string }>;
+  proxiableUUID(): Promise<string>;
+  refinanceOffers(arg0: BigNumberish): Promise<[bigint, string, bigint, bigint, bigint, bigint, string, boolean] & { loanId: bigint; lender: string; amount: bigint; duration: bigint; interestRate: bigint; expiresAt: bigint; currency: string; isActive: boolean }>;
+  rejectCounterOffer(proposalId: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  renounceOwnership(overrides?: Overrides): Promise<ContractTransactionResponse>;
+  takeCollectionOffer(offerId: BigNumberish, tokenId: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  transferOwnership(newOwner: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  unpause(overrides?: Overrides): Promise<ContractTransactionResponse>;
+  updateNFTVerifier(overrides?: Overrides): Promise<ContractTransactionResponse>;
+  upgradeToAndCall(newImplementation: AddressLike, data: BytesLike, overrides?: PayableOverrides): Promise<ContractTransactionResponse>;
+  yapLendCore(): Promise<string>;
+}
+
+export interface ProposalManagerEvents {
+  CollectionOfferCancelled: { offerId: bigint; refunded: bigint };
+  CollectionOfferCreated: { offerId: bigint; lender: string; nftAddress: string; amountPerLoan: bigint; maxLoans: bigint; duration: bigint; interestRate: bigint; expiresAt: bigint };
+  CollectionOfferTaken: { offerId: bigint; loanId: bigint; borrower: string; tokenId: bigint; loansRemaining: bigint };
+  CounterOfferCreated: { proposalId: bigint; lender: string; amount: bigint; duration: bigint; interestRate: bigint; expiresAt: bigint };
+  FundsLocked: { lender: string; amount: bigint };
+  FundsReleased: { lender: string; amount: bigint };
+  Initialized: { version: bigint };
+  NFTVerificationFailed: { borrower: string; nftAddress: string; tokenId: bigint };
+  OwnershipTransferred: { previousOwner: string; newOwner: string };
+  Paused: { account: string };
+  ProposalAccepted: { proposalId: bigint; borrower: string; lender: string; loanId: bigint };
+  ProposalCancelled: { proposalId: bigint; borrower: string };
+  ProposalCreated: { proposalId: bigint; borrower: string; nftAddresses: string[]; tokenIds: bigint[]; amount: bigint; duration: bigint; interestRate: bigint };
+  ProposalExpired: { proposalId: bigint };
+  ProposalRejected: { proposalId: bigint };
+  RefinanceOfferAccepted: { offerId: bigint; loanId: bigint; lender: string };
+  RefinanceOfferCancelled: { offerId: bigint };
+  RefinanceOfferCreated: { offerId: bigint; loanId: bigint; lender: string; amount: bigint; duration: bigint; interestRate: bigint; expiresAt: bigint };
+  Unpaused: { account: string };
+  Upgraded: { implementation: string };
+}
+
+export interface NFTEscrowContract extends BaseContract {
+  UPGRADE_INTERFACE_VERSION(): Promise<string>;
+  addDelegate(delegate: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  assetType(): Promise<bigint>;
+  borrower(): Promise<string>;
+  claimBenefits(benefitAddress: AddressLike, data: BytesLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  collateralManager(): Promise<string>;
+  delegateRegistry(): Promise<string>;
+  delegates(arg0: AddressLike): Promise<boolean>;
+  depositNFT(overrides?: Overrides): Promise<ContractTransactionResponse>;
+  executeDelegatedCall(target: AddressLike, data: BytesLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  getEscrowedNFT(): Promise<[string, bigint, bigint, bigint]>;
+  initialize(_nftAddress: AddressLike, _tokenId: BigNumberish, _loanId: BigNumberish, _borrower: AddressLike, _lender: AddressLike, _collateralManager: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  isBeneficialOwner(user: AddressLike): Promise<boolean>;
+  isDelegateFor(delegate: AddressLike): Promise<boolean>;
+  isDeposited(): Promise<boolean>;
+  isOwnerOf(): Promise<boolean>;
+  isRegistryDelegated(): Promise<boolean>;
+  isReleased(): Promise<boolean>;
+  lender(): Promise<string>;
+  loanId(): Promise<bigint>;
+  nftAddress(): Promise<string>;
+  onERC1155BatchReceived(arg0: AddressLike, arg1: AddressLike, ids: BigNumberish[], values: BigNumberish[], arg4: BytesLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  onERC1155Received(arg0: AddressLike, arg1: AddressLike, id: BigNumberish, value: BigNumberish, arg4: BytesLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  onERC721Received(arg0: AddressLike, arg1: AddressLike, receivedTokenId: BigNumberish, arg3: BytesLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  owner(): Promise<string>;
+  partnerInterfaces(arg0: AddressLike): Promise<string>;
+  pause(overrides?: Overrides): Promise<ContractTransactionResponse>;
+  paused(): Promise<boolean>;
+  proxiableUUID(): Promise<string>;
+  quantity(): Promise<bigint>;
+  registerPartnerInterface(partnerProject: AddressLike, interfaceId: BytesLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  releaseNFT(recipient: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  removeDelegate(delegate: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  removePartnerInterface(partnerProject: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  renounceOwnership(overrides?: Overrides): Promise<ContractTransactionResponse>;
+  routeERC1155(tokenAddress: AddressLike, id: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  routeERC721(tokenAddress: AddressLike, airdropTokenId: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  setAsset(_assetType: BigNumberish, _quantity: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  setLender(newLender: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  supportsInterface(interfaceId: BytesLike): Promise<boolean>;
+  sweepERC20(tokenAddress: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  tokenId(): Promise<bigint>;
+  transferOwnership(newOwner: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  unpause(overrides?: Overrides): Promise<ContractTransactionResponse>;
+  upgradeToAndCall(newImplementation: AddressLike, data: BytesLike, overrides?: PayableOverrides): Promise<ContractTransactionResponse>;
+  verifyOwnership(verificationData: BytesLike): Promise<boolean>;
+  withdrawERC20(tokenAddress: AddressLike, amount: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+}
+
+export interface NFTEscrowEvents {
+  AirdropHeld: { token: string; tokenId: bigint; amount: bigint };
+  AirdropRouted: { token: string; tokenId: bigint; amount: bigint; recipient: string };
+  BenefitsClaimed: { benefitAddress: string; amount: bigint; recipient: string };
+  DelegateAdded: { delegate: string };
+  DelegateRemoved: { delegate: string };
+  DelegationInterfaceAdded: { partnerProject: string; interfaceId: string };
+  DelegationInterfaceRemoved: { partnerProject: string };
+  ERC20Withdrawn: { tokenAddress: string; amount: bigint; recipient: string };
+  Initialized: { version: bigint };
+  LenderUpdated: { lender: string };
+  NFTDeposited: { nftAddress: string; tokenId: bigint; borrower: string };
+  NFTReleased: { nftAddress: string; tokenId: bigint; recipient: string };
+  OwnershipTransferred: { previousOwner: string; newOwner: string };
+  Paused: { account: string };
+  RegistryDelegationUpdated: { delegate: string; enabled: boolean };
+  Unpaused: { account: string };
+  Upgraded: { implementation: string };
+}
+
+export interface LiquidationAuctionContract extends BaseContract {
+  UPGRADE_INTERFACE_VERSION(): Promise<string>;
+  auctions(arg0: BigNumberish): Promise<[string, string, string, bigint, bigint, bigint, bigint, bigint, boolean] & { lender: string; borrower: string; currency: string; kind: bigint; debt: bigint; recovered: bigint; nextLot: bigint; lotCount: bigint; settled: boolean }>;
+  bid(loanId: BigNumberish, amount: BigNumberish, overrides?: PayableOverrides): Promise<ContractTransactionResponse>;
+  buy(loanId: BigNumberish, overrides?: PayableOverrides): Promise<ContractTransactionResponse>;
+  claim(currency: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  claimable(arg0: AddressLike, arg1: AddressLike): Promise<bigint>;
+  currentLots(arg0: BigNumberish): Promise<[bigint, bigint, bigint, bigint, string, bigint] & { startTime: bigint; endTime: bigint; startPrice: bigint; floorPrice: bigint; highestBidder: string; highestBid: bigint }>;
+  currentPrice(loanId: BigNumberish): Promise<bigint>;
+  defaultKind(): Promise<bigint>;
+  extensionWindow(): Promise<bigint>;
+  floorRatio(): Promise<bigint>;
+  initialize(yapLendCoreAddress: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  lenderPreferences(arg0: BigNumberish): Promise<bigint>;
+  lotDuration(): Promise<bigint>;
+  minBidIncrement(): Promise<bigint>;
+  minimumBid(loanId: BigNumberish): Promise<bigint>;
+  onERC1155Received(arg0: AddressLike, arg1: AddressLike, arg2: BigNumberish, arg3: BigNumberish, arg4: BytesLike): Promise<string>;
+  onERC721Received(arg0: AddressLike, arg1: AddressLike, arg2: BigNumberish, arg3: BytesLike): Promise<string>;
+  owner(): Promise<string>;
+  pause(overrides?: Overrides): Promise<ContractTransactionResponse>;
+  paused(): Promise<boolean>;
+  proxiableUUID(): Promise<string>;
+  renounceOwnership(overrides?: Overrides): Promise<ContractTransactionResponse>;
+  setAuctionParameters(_lotDuration: BigNumberish, _startPremium: BigNumberish, _floorRatio: BigNumberish, _minBidIncrement: BigNumberish, _extensionWindow: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  setAuctionPreference(loanId: BigNumberish, kind: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  setDefaultKind(kind: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  setYapLendCore(yapLendCoreAddress: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  settleLot(loanId: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  startAuction(loanId: BigNumberish, debt: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  startPremium(): Promise<bigint>;
+  transferOwnership(newOwner: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  unpause(overrides?: Overrides): Promise<ContractTransactionResponse>;
+  upgradeToAndCall(newImplementation: AddressLike, data: BytesLike, overrides?: PayableOverrides): Promise<ContractTransactionResponse>;
+  yapLendCore(): Promise<string>;
+}
+
+export interface LiquidationAuctionEvents {
+  AuctionParametersUpdated: { lotDuration: bigint; startPremium: bigint; floorRatio: bigint; minBidIncrement: bigint; extensionWindow: bigint };
+  AuctionPreferenceSet: { loanId: bigint; kind: bigint };
+  AuctionSettled: { loanId: bigint; recovered: bigint; shortfall: bigint; returnedToBorrower: bigint };
+  AuctionStarted: { loanId: bigint; kind: bigint; debt: bigint; lotCount: bigint };
+  BidPlaced: { loanId: bigint; bidder: string; amount: bigint; endTime: bigint };
+  Claimed: { account: string; currency: string; amount: bigint };
+  DefaultKindUpdated: { kind: bigint };
+  Initialized: { version: bigint };
+  LotOpened: { loanId: bigint; lotIndex: bigint; nftAddress: string; tokenId: bigint; startPrice: bigint; floorPrice: bigint; endTime: bigint };
+  LotSold: { loanId: bigint; lotIndex: bigint; buyer: string; price: bigint; toLender: bigint; toBorrower: bigint };
+  LotUnsold: { loanId: bigint; lotIndex: bigint; lender: string; creditedDebt: bigint };
+  OwnershipTransferred: { previousOwner: string; newOwner: string };
+  Paused: { account: string };
+  PaymentDeferred: { account: string; currency: string; amount: bigint };
+  Unpaused: { account: string };
+  Upgraded: { implementation: string };
+}
+
+export interface OrderBookContract extends BaseContract {
+  OFFER_TYPEHASH(): Promise<string>;
+  PROPOSAL_TYPEHASH(): Promise<string>;
+  UPGRADE_INTERFACE_VERSION(): Promise<string>;
+  cancelAllOrders(newMinNonce: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  cancelOrders(nonces: BigNumberish[], overrides?: Overrides): Promise<ContractTransactionResponse>;
+  eip712Domain(): Promise<[string, string, string, bigint, string, string, bigint[]] & { fields: string; name: string; version: string; chainId: bigint; verifyingContract: string; salt: string; extensions: bigint[] }>;
+  executeOrder(proposal: { maker: AddressLike; nftAddresses: AddressLike[]; tokenIds: BigNumberish[]; quantities: BigNumberish[]; amount: BigNumberish; duration: BigNumberish; interestRate: BigNumberish; currency: AddressLike; nonce: BigNumberish; expiry: BigNumberish }, proposalSignature: BytesLike, offer: { maker: AddressLike; nftAddresses: AddressLike[]; tokenIds: BigNumberish[]; quantities: BigNumberish[]; amount: BigNumberish; duration: BigNumberish; interestRate: BigNumberish; currency: AddressLike; nonce: BigNumberish; expiry: BigNumberish }, offerSignature: BytesLike, overrides?: PayableOverrides): Promise<ContractTransactionResponse>;
+  hashOffer(offer: { maker: AddressLike; nftAddresses: AddressLike[]; tokenIds: BigNumberish[]; quantities: BigNumberish[]; amount: BigNumberish; duration: BigNumberish; interestRate: BigNumberish; currency: AddressLike; nonce: BigNumberish; expiry: BigNumberish }): Promise<string>;
+  hashProposal(proposal: { maker: AddressLike; nftAddresses: AddressLike[]; tokenIds: BigNumberish[]; quantities: BigNumberish[]; amount: BigNumberish; duration: BigNumberish; interestRate: BigNumberish; currency: AddressLike; nonce: BigNumberish; expiry: BigNumberish }): Promise<string>;
+  initialize(yapLendCoreAddress: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  isOrderOpen(maker: AddressLike, nonce: BigNumberish, expiry: BigNumberish): Promise<boolean>;
+  minNonce(arg0: AddressLike): Promise<bigint>;
+  nonceUsed(arg0: AddressLike, arg1: BigNumberish): Promise<boolean>;
+  owner(): Promise<string>;
+  pause(overrides?: Overrides): Promise<ContractTransactionResponse>;
+  paused(): Promise<boolean>;
+  proxiableUUID(): Promise<string>;
+  renounceOwnership(overrides?: Overrides): Promise<ContractTransactionResponse>;
+  setYapLendCore(yapLendCoreAddress: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  transferOwnership(newOwner: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  unpause(overrides?: Overrides): Promise<ContractTransactionResponse>;
+  upgradeToAndCall(newImplementation: AddressLike, data: BytesLike, overrides?: PayableOverrides): Promise<ContractTransactionResponse>;
+  yapLendCore(): Promise<string>;
+}
+
+export interface OrderBookEvents {
+  AllOrdersCancelled: { maker: string; minNonce: bigint };
+  EIP712DomainChanged: {  };
+  Initialized: { version: bigint };
+  OrderExecuted: { proposalHash: string; offerHash: string; loanId: bigint; borrower: string; lender: string };
+  OrdersCancelled: { maker: string; nonces: bigint[] };
+  OwnershipTransferred: { previousOwner: string; newOwner: string };
+  Paused: { account: string };
+  Unpaused: { account: string };
+  Upgraded: { implementation: string };
+}
+
+export declare const NFTVerifierABI: ContractAbiFile;
+export declare const PriceOracleABI: ContractAbiFile;
+export declare const CollateralManagerABI: ContractAbiFile;
+export declare const LiquidityPoolABI: ContractAbiFile;
+export declare const YapLendCoreABI: ContractAbiFile;
+export declare const LoanVaultABI: ContractAbiFile;
+export declare const ProposalManagerABI: ContractAbiFile;
+export declare const NFTEscrowABI: ContractAbiFile;
+export declare const LiquidationAuctionABI: ContractAbiFile;
+export declare const OrderBookABI: ContractAbiFile;
@@ -8,6 +8,8 @@ const YapLendCoreABI = require('./YapLendCore.json');
 const LoanVaultABI = require('./LoanVault.json');
 const ProposalManagerABI = require('./ProposalManager.json');
 const NFTEscrowABI = require('./NFTEscrow.json');
+const LiquidationAuctionABI = require('./LiquidationAuction.json');
+const OrderBookABI = require('./OrderBook.json');
 
 module.exports = {
   NFTVerifierABI,
@@ -17,5 +19,7 @@ module.exports = {
   YapLendCoreABI,
   LoanVaultABI,
   ProposalManagerABI,
-  NFTEscrowABI
+  NFTEscrowABI,
+  LiquidationAuctionABI,
+  OrderBookABI
 };
@@ -0,0 +1,111 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.26;
+
+import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
+import "@openzeppelin/contracts/token/ERC1155/IERC1155.sol";
+
+// Padrão de token de uma coleção aceita como colateral, configurado no CollateralManager
+enum CollateralAssetType {
+    ERC721,
+    ERC1155, // Com quantidade; a mesma id pode ter vários holders
+    Punk // Contratos legados no estilo CryptoPunks, sem ERC721 nem aprovações
+}
+
+/**
+ * @dev Subset of the CryptoPunks market used for punk-style collateral
+ */
+interface IPunks {
+    function punkIndexToAddress(uint256 punkIndex) external view returns (address);
+    function punksOfferedForSale(uint256 punkIndex) external view returns (
+        bool isForSale,
+        uint256 index,
+        address seller,
+        uint256 minValue,
+        address onlySellTo
+    );
+    function buyPunk(uint256 punkIndex) external payable;
+    function transferPunk(address to, uint256 punkIndex) external;
+}
+
+/**
+ * @title CollateralAssets
+ * @dev Collateral adapters: ownership, approval and transfers for each CollateralAssetType
+ * Punks have no approvals: the owner offers the punk for free to the CollateralManager only, which buys it
+ */
+library CollateralAssets {
+    /**
+     * @dev Single holder of a token, or address(0) when it does not exist or is an ERC1155 (no single holder)
+     */
+    function holderOf(CollateralAssetType assetType, address token, uint256 id) internal view returns (address) {
+        if (assetType == CollateralAssetType.ERC1155) {
+            return address(0);
+        }
+        if (assetType == CollateralAssetType.Punk) {
+            try IPunks(token).punkIndexToAddress(id) returns (address holder) {
+                return holder;
+            } catch {
+                return address(0);
+            }
+        }
+        try IERC721(token).ownerOf(id) returns (address holder) {
+            return holder;
+        } catch {
+            return address(0);
+        }
+    }
+
+    /**
+     * @dev Units of a token held by an account (0 or 1 for ERC721 and punks)
+     */
+    function balanceOf(CollateralAssetType assetType, address token, uint256 id, address account) internal view returns (uint256) {
+        if (assetType == CollateralAssetType.ERC1155) {
+            try IERC1155(token).balanceOf(account, id) returns (uint256 balance) {
+                return balance;
+            } catch {
+                return 0;
+            }
+        }
+        return account != address(0) && holderOf(assetType, token, id) == account ? 1 : 0;
+    }
+
+    /**
+     * @dev Check if `operator` may take the token from `owner`
+     */
+    function isApproved(
+        CollateralAssetType assetType,
+        address token,
+        uint256 id,
+        address owner,
+        address operator
+    ) internal view returns (bool) {
+        if (assetType == CollateralAssetType.ERC1155) {
+            return IERC1155(token).isApprovedForAll(owner, operator);
+        }
+        if (assetType == CollateralAssetType.Punk) {
+            (bool isForSale, , address seller, uint256 minValue, address onlySellTo) = IPunks(token).punksOfferedForSale(id);
+            return isForSale && seller == owner && minValue == 0 && onlySellTo == operator;
+        }
+        return IERC721(token).getApproved(id) == operator || IERC721(token).isApprovedForAll(owner, operator);
+    }
+
+    /**
+     * @dev Transfer `quantity` units of a token; punks can only be sent by their holder, so `from` must be this contract
+     */
+    function transfer(
+        CollateralAssetType assetType,
+        address token,
+        uint256 id,
+        uint256 quantity,
+        address from,
+        address to
+    ) internal {
+        if (assetType == CollateralAssetType.ERC1155) {
+            IERC1155(token).safeTransferFrom(from, to, id, quantity, "");
+        } else if (assetType == CollateralAssetType.Punk) {
+            require(from == address(this), "Punks move from their holder only");
+            IPunks(token).transferPunk(to, id);
+        } else {
+            IERC721(token).safeTransferFrom(from, to, id);
+        }
+    }
+}
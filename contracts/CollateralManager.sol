@@ -13,6 +13,7 @@ import "./NFTEscrow.sol";
 interface IPriceOracle {
     function getNFTPrice(address nftAddress, uint256 tokenId) external view returns (uint256);
     function getTokenPrice(address tokenAddress) external view returns (uint256);
+    function getNFTPriceInCurrency(address nftAddress, uint256 tokenId, address currency) external view returns (uint256);
 }
 
 interface IYapLendCore {
@@ -60,6 +61,25 @@ contract CollateralManager is Initializable, PausableUpgradeable, ReentrancyGuar
     // Mapping for partner interfaces
     mapping(address => bytes4) public partnerInterfaces;
     
+    // Max loan-to-value per collection, in basis points (0 = collection not priced for LTV)
+    mapping(address => uint256) public maxLoanToValue;
+    
+    // Loan-to-value at origination, in basis points of the priced collateral
+    mapping(uint256 => uint256) public loanToValue;
+    
+    // Chamadas que os escrows podem fazer em claimBenefits / executeDelegatedCall, por contrato e seletor
+    mapping(address => mapping(bytes4 => bool)) public allowedBenefitCalls;
+    
+    // Adapter de cada coleção (ERC721 por padrão)
+    mapping(address => CollateralAssetType) public collectionAssetTypes;
+    
+    // Adapter e quantidade de cada colateral, gravados na entrada; colaterais antigos são um único ERC721
+    struct CollateralAsset {
+        CollateralAssetType assetType;
+        uint256 quantity;
+    }
+    mapping(bytes32 => CollateralAsset) private _collateralAssets;
+    
     // Events
     event CollateralAdded(uint256 indexed loanId, address indexed nftAddress, uint256 tokenId, address escrowAddress);
     event CollateralRemoved(uint256 indexed loanId, address indexed nftAddress, uint256 tokenId, address recipient);
@@ -67,7 +87,12 @@ contract CollateralManager is Initializable, PausableUpgradeable, ReentrancyGuar
     event EscrowCreated(address escrowAddress, address nftAddress, uint256 tokenId, uint256 loanId);
     event PartnerInterfaceRegistered(address partnerProject, bytes4 interfaceId);
     event EscrowInitialized(address escrowAddress, address borrower, address lender);
+    event EscrowLenderUpdated(uint256 indexed loanId, address escrowAddress, address lender);
     event EmergencyNFTRelease(address escrowAddress, address nftAddress, uint256 tokenId, address recipient);
+    event MaxLoanToValueUpdated(address indexed nftAddress, uint256 maxLoanToValue);
+    event LoanToValueRecorded(uint256 indexed loanId, uint256 collateralValue, uint256 loanToValue);
+    event BenefitCallAllowed(address indexed target, bytes4 indexed selector, bool allowed);
+    event CollectionAssetTypeUpdated(address indexed nftAddress, CollateralAssetType assetType);
     
     /// @custom:oz-upgrades-unsafe-allow constructor
     constructor() {
@@ -88,9 +113,7 @@ contract CollateralManager is Initializable, PausableUpgradeable, ReentrancyGuar
         _priceOracle = IPriceOracle(priceOracleAddress);
         _yapLendCore = IYapLendCore(yapLendCoreAddress);
         minimumCollateralRatio = 15000; // 150%
-        
-        // Deploy a implementação do NFTEscrow e armazenar para clonar depois
-        escrowImplementation = address(new NFTEscrow());
+        // A implementação do NFTEscrow é deployada à parte e configurada com setEscrowImplementation
     }
     
     /**
@@ -115,6 +138,7 @@ contract CollateralManager is Initializable, PausableUpgradeable, ReentrancyGuar
         address borrower,
         address lender
     ) internal returns (address) {
+        require(escrowImplementation != address(0), "Escrow implementation not set");
         // Usar o padrão clone para economizar gas
         address escrowAddress = Clones.clone(escrowImplementation);
         
@@ -139,6 +163,7 @@ contract CollateralManager is Initializable, PausableUpgradeable, ReentrancyGuar
      * @param loanId ID of the loan
      * @param nftAddress NFT contract address
      * @param tokenId Token ID
+     * @param quantity Units of the token; must be 1 unless the collection is ERC1155
      * @param borrower Address of the borrower
      * @param lender Address of the lender
      */
@@ -146,29 +171,41 @@ contract CollateralManager is Initializable, PausableUpgradeable, ReentrancyGuar
         uint256 loanId,
         address nftAddress,
         uint256 tokenId,
+        uint256 quantity,
         address borrower,
         address lender
     ) external nonReentrant whenNotPaused {
+        CollateralAssetType assetType = collectionAssetTypes[nftAddress];
+        // O YapLendCore guarda a quantidade em 96 bits
+        require(
+            assetType == CollateralAssetType.ERC1155 ? quantity > 0 && quantity <= type(uint96).max : quantity == 1,
+            "Invalid collateral quantity"
+        );
+        
         // Verificar se o NFT existe e o borrower é o proprietário
-        try IERC721(nftAddress).ownerOf(tokenId) returns (address currentOwner) {
-            require(currentOwner == borrower, "Borrower does not own the NFT");
-        } catch {
-            revert("NFT does not exist");
+        if (assetType != CollateralAssetType.ERC1155) {
+            require(CollateralAssets.holderOf(assetType, nftAddress, tokenId) != address(0), "NFT does not exist");
         }
+        require(CollateralAssets.balanceOf(assetType, nftAddress, tokenId, borrower) >= quantity, "Borrower does not own the NFT");
         
         // Verificar se o NFT foi aprovado para o CollateralManager
-        bool isApproved = IERC721(nftAddress).isApprovedForAll(borrower, address(this)) || 
-                          IERC721(nftAddress).getApproved(tokenId) == address(this);
-        require(isApproved, "NFT not approved for CollateralManager");
+        require(
+            CollateralAssets.isApproved(assetType, nftAddress, tokenId, borrower, address(this)),
+            "NFT not approved for CollateralManager"
+        );
         
-        // Gerar um ID único para o colateral
-        bytes32 collateralId = keccak256(abi.encodePacked(nftAddress, tokenId, loanId));
+        // Gerar um ID único para o colateral pela posição no empréstimo: um empréstimo pode levar a mesma id
+        // ERC1155 mais de uma vez. Colaterais antigos usam keccak256(nftAddress, tokenId, loanId) e são achados
+        // pela lista do empréstimo, como os novos
+        bytes32 collateralId = keccak256(abi.encodePacked(nftAddress, tokenId, loanId, loanCollateralIds[loanId].length));
         
         // Verificar se este NFT já está sendo usado como colateral
         require(!collaterals[collateralId].active, "NFT already used as collateral");
         
         // Criar um contrato escrow para este NFT
         address escrowAddress = createEscrow(nftAddress, tokenId, loanId, borrower, lender);
+        NFTEscrow(escrowAddress).setAsset(assetType, quantity);
+        _collateralAssets[collateralId] = CollateralAsset(assetType, quantity);
         
         // Armazenar informações do colateral com o endereço do escrow
         collaterals[collateralId] = CollateralInfo({
@@ -185,8 +222,13 @@ contract CollateralManager is Initializable, PausableUpgradeable, ReentrancyGuar
         // Mapear o endereço do escrow para o ID do colateral para pesquisa rápida
         escrowToCollateralId[escrowAddress] = collateralId;
         
-        // Transferir o NFT para o escrow
-        IERC721(nftAddress).safeTransferFrom(borrower, escrowAddress, tokenId);
+        // Transferir o NFT para o escrow; punks são comprados por 0 (a oferta é a aprovação) e repassados
+        if (assetType == CollateralAssetType.Punk) {
+            IPunks(nftAddress).buyPunk(tokenId);
+            CollateralAssets.transfer(assetType, nftAddress, tokenId, 1, address(this), escrowAddress);
+        } else {
+            CollateralAssets.transfer(assetType, nftAddress, tokenId, quantity, borrower, escrowAddress);
+        }
         
         // Chamar o método depositNFT no contrato escrow para confirmar o depósito
         // Nota: Isso só é necessário se depositNFT faz alguma lógica adicional além da transferência
@@ -208,8 +250,7 @@ contract CollateralManager is Initializable, PausableUpgradeable, ReentrancyGuar
         uint256 tokenId,
         address recipient
     ) external nonReentrant whenNotPaused {
-        // Generate collateral ID
-        bytes32 collateralId = keccak256(abi.encodePacked(nftAddress, tokenId, loanId));
+        bytes32 collateralId = _collateralIdOf(nftAddress, tokenId, loanId);
         
         require(collaterals[collateralId].active, "Collateral not active");
         require(collaterals[collateralId].loanId == loanId, "Collateral not for this loan");
@@ -228,15 +269,25 @@ contract CollateralManager is Initializable, PausableUpgradeable, ReentrancyGuar
     }
     
     /**
-     * @dev Overloaded method for backward compatibility
+     * @dev Update the lender recorded in a loan's escrows after a refinance; the NFTs stay where they are
+     * @param loanId ID of the loan
+     * @param newLender Address of the new lender
      */
-    function removeCollateral(
-        uint256 loanId,
-        address nftAddress,
-        uint256 tokenId
-    ) external nonReentrant whenNotPaused {
-        // Use msg.sender as the recipient by default
-        this.removeCollateral(loanId, nftAddress, tokenId, msg.sender);
+    function updateLender(uint256 loanId, address newLender) external {
+        require(msg.sender == address(_yapLendCore), "Only YapLendCore can call");
+        
+        bytes32[] storage collateralIds = loanCollateralIds[loanId];
+        for (uint256 i = 0; i < collateralIds.length; i++) {
+            CollateralInfo storage info = collaterals[collateralIds[i]];
+            if (!info.active) {
+                continue;
+            }
+            // Escrows clonados de implementações antigas não têm setLender; o campo fica desatualizado
+            // mas não bloqueia o refinanciamento (o lender do empréstimo vale pelo YapLendCore)
+            try NFTEscrow(info.escrowAddress).setLender(newLender) {
+                emit EscrowLenderUpdated(loanId, info.escrowAddress, newLender);
+            } catch {}
+        }
     }
     
     /**
@@ -245,7 +296,7 @@ contract CollateralManager is Initializable, PausableUpgradeable, ReentrancyGuar
      * @return Array of escrow addresses
      */
     function getLoanEscrowAddresses(uint256 loanId) external view returns (address[] memory) {
-        bytes32[] memory collateralIds = loanCollateralIds[loanId];
+        bytes32[] storage collateralIds = loanCollateralIds[loanId];
         address[] memory escrowAddresses = new address[](collateralIds.length);
         
         for (uint256 i = 0; i < collateralIds.length; i++) {
@@ -269,8 +320,26 @@ contract CollateralManager is Initializable, PausableUpgradeable, ReentrancyGuar
         uint256 tokenId,
         uint256 loanId
     ) external view returns (address) {
-        bytes32 collateralId = keccak256(abi.encodePacked(nftAddress, tokenId, loanId));
-        return collaterals[collateralId].escrowAddress;
+        return collaterals[_collateralIdOf(nftAddress, tokenId, loanId)].escrowAddress;
+    }
+    
+    /**
+     * @dev Get the adapter and quantity of a collateral
+     * When a loan holds the same token more than once this is the first entry still active;
+     * YapLendCore.getLoanCollaterals has the quantity of every entry
+     * @param nftAddress NFT contract address
+     * @param tokenId Token ID
+     * @param loanId Loan ID
+     * @return assetType Collateral adapter
+     * @return quantity Units held in escrow
+     */
+    function getCollateralAsset(
+        address nftAddress,
+        uint256 tokenId,
+        uint256 loanId
+    ) external view returns (CollateralAssetType assetType, uint256 quantity) {
+        bytes32 collateralId = _collateralIdOf(nftAddress, tokenId, loanId);
+        return (_collateralAssets[collateralId].assetType, _quantityOf(collateralId));
     }
     
     /**
@@ -311,32 +380,29 @@ contract CollateralManager is Initializable, PausableUpgradeable, ReentrancyGuar
         address nftAddress,
         uint256 tokenId
     ) external view returns (bool) {
-        // Verificar apenas se o NFT existe
-        try IERC721(nftAddress).ownerOf(tokenId) returns (address) {
-            return true;
-        } catch {
-            return false;
+        CollateralAssetType assetType = collectionAssetTypes[nftAddress];
+        // Ids ERC1155 não têm dono único; o saldo do borrower é checado no addCollateral
+        if (assetType == CollateralAssetType.ERC1155) {
+            return nftAddress.code.length > 0;
         }
+        // Verificar apenas se o NFT existe
+        return CollateralAssets.holderOf(assetType, nftAddress, tokenId) != address(0);
     }
     
     /**
-     * @dev Calculate total collateral value for a loan
+     * @dev Calculate total collateral value for a loan from the price oracle
+     * Reverts with the oracle's reason when a price is missing or stale
      * @param loanId ID of the loan
-     * @return Total value of all collaterals for the loan
+     * @return Total value of all active collaterals for the loan, in wei
      */
     function calculateTotalCollateralValue(uint256 loanId) external view returns (uint256) {
-        bytes32[] memory collateralIds = loanCollateralIds[loanId];
+        bytes32[] storage collateralIds = loanCollateralIds[loanId];
         uint256 totalValue = 0;
         
         for (uint256 i = 0; i < collateralIds.length; i++) {
-            if (collaterals[collateralIds[i]].active) {
-                // Para MVP, mantenha o valor fixo por NFT
-                totalValue += 1000 ether;
-                
-                // Quando o price oracle estiver pronto, implementar:
-                // address nftAddress = collaterals[collateralIds[i]].nftAddress;
-                // uint256 tokenId = collaterals[collateralIds[i]].tokenId;
-                // totalValue += _priceOracle.getNFTPrice(nftAddress, tokenId);
+            CollateralInfo storage info = collaterals[collateralIds[i]];
+            if (info.active) {
+                totalValue += _priceOracle.getNFTPrice(info.nftAddress, info.tokenId) * _quantityOf(collateralIds[i]);
             }
         }
         
@@ -344,15 +410,136 @@ contract CollateralManager is Initializable, PausableUpgradeable, ReentrancyGuar
     }
     
     /**
-     * @dev Check the value of an NFT
-     * @return Value of the NFT (fixed high value for MVP)
+     * @dev Check the value of an NFT with the price oracle
+     * @param nftAddress NFT contract address
+     * @param tokenId Token ID
+     * @return Value of the NFT in wei
      */
-    function checkNFTValue(
-        address,  // nftAddress (não utilizado)
-        uint256   // tokenId (não utilizado)
-    ) external pure returns (uint256) {
-        // Valor fixo alto para o MVP
-        return 1000 ether;
+    function checkNFTValue(address nftAddress, uint256 tokenId) external view returns (uint256) {
+        return _priceOracle.getNFTPrice(nftAddress, tokenId);
+    }
+    
+    /**
+     * @dev Check a new loan against the max LTV of its collateral and record its LTV at origination
+     * Called by YapLendCore once the collateral is in escrow; the rule is checkLoanToValue's
+     * @param loanId ID of the loan
+     * @param amount Loan amount
+     * @param currency Loan currency, address(0) for the native token
+     */
+    function recordLoanToValue(uint256 loanId, uint256 amount, address currency) external {
+        require(msg.sender == address(_yapLendCore), "Only YapLendCore can call");
+        
+        bytes32[] storage collateralIds = loanCollateralIds[loanId];
+        uint256 collateralValue = 0;
+        uint256 capacity = 0;
+        for (uint256 i = 0; i < collateralIds.length; i++) {
+            CollateralInfo storage info = collaterals[collateralIds[i]];
+            (uint256 value, uint256 itemCapacity) = _loanToValueTerms(
+                info.nftAddress,
+                info.tokenId,
+                _quantityOf(collateralIds[i]),
+                currency
+            );
+            collateralValue += value;
+            capacity += itemCapacity;
+        }
+        
+        if (collateralValue == 0) {
+            return;
+        }
+        uint256 ltv = _checkCapacity(collateralValue, capacity, amount);
+        loanToValue[loanId] = ltv;
+        emit LoanToValueRecorded(loanId, collateralValue, ltv);
+    }
+    
+    /**
+     * @dev Check a loan amount against the max LTV of the given collateral, as at origination
+     * Only NFTs of collections with a max LTV are priced; collateral with no priced NFT is not checked.
+     * Stale or missing prices revert ("Price data is stale" / "No price data available"): a loan is never
+     * sized on an old floor. Reverts with "Loan exceeds max LTV" above the limit
+     * @param nftAddresses NFT contract addresses
+     * @param tokenIds Token IDs
+     * @param quantities Units of each token (ERC1155 prices are per unit); empty for one unit of each
+     * @param amount Loan amount
+     * @param currency Loan currency, address(0) for the native token
+     * @return collateralValue Value of the priced collateral, 0 when none is priced
+     * @return ltv Loan-to-value in basis points of collateralValue
+     */
+    function checkLoanToValue(
+        address[] calldata nftAddresses,
+        uint256[] calldata tokenIds,
+        uint256[] calldata quantities,
+        uint256 amount,
+        address currency
+    ) external view returns (uint256 collateralValue, uint256 ltv) {
+        require(
+            nftAddresses.length == tokenIds.length && (quantities.length == 0 || quantities.length == tokenIds.length),
+            "Arrays length mismatch"
+        );
+        uint256 capacity = 0;
+        for (uint256 i = 0; i < nftAddresses.length; i++) {
+            (uint256 value, uint256 itemCapacity) = _loanToValueTerms(
+                nftAddresses[i],
+                tokenIds[i],
+                quantities.length > 0 ? quantities[i] : 1,
+                currency
+            );
+            collateralValue += value;
+            capacity += itemCapacity;
+        }
+        
+        if (collateralValue > 0) {
+            ltv = _checkCapacity(collateralValue, capacity, amount);
+        }
+    }
+    
+    // Valor de um NFT (preços de ERC1155 são por unidade) e quanto ele soma à capacidade de empréstimo;
+    // coleções sem max LTV não são precificadas
+    function _loanToValueTerms(
+        address nftAddress,
+        uint256 tokenId,
+        uint256 quantity,
+        address currency
+    ) private view returns (uint256 value, uint256 capacity) {
+        uint256 maxLtv = maxLoanToValue[nftAddress];
+        if (maxLtv > 0) {
+            value = _priceOracle.getNFTPriceInCurrency(nftAddress, tokenId, currency) * quantity;
+            capacity = (value * maxLtv) / 10000;
+        }
+    }
+    
+    // Empréstimo acima da capacidade reverte; devolve o LTV em basis points do colateral precificado
+    function _checkCapacity(uint256 collateralValue, uint256 capacity, uint256 amount) private pure returns (uint256) {
+        require(amount <= capacity, "Loan exceeds max LTV");
+        return (amount * 10000) / collateralValue;
+    }
+    
+    /**
+     * @dev Collateral of a loan holding a token: the first one still active, else the first one released
+     * Returns bytes32(0) when the loan never held the token
+     */
+    function _collateralIdOf(address nftAddress, uint256 tokenId, uint256 loanId) private view returns (bytes32 found) {
+        bytes32[] storage collateralIds = loanCollateralIds[loanId];
+        for (uint256 i = 0; i < collateralIds.length; i++) {
+            CollateralInfo storage info = collaterals[collateralIds[i]];
+            if (info.nftAddress != nftAddress || info.tokenId != tokenId) {
+                continue;
+            }
+            if (info.active) {
+                return collateralIds[i];
+            }
+            if (found == bytes32(0)) {
+                found = collateralIds[i];
+            }
+        }
+    }
+    
+    /**
+     * @dev Units of a collateral (ERC1155 prices are per unit)
+     */
+    function _quantityOf(bytes32 collateralId) private view returns (uint256) {
+        uint256 quantity = _collateralAssets[collateralId].quantity;
+        return quantity == 0 ? 1 : quantity;
     }
     
     /**
@@ -371,7 +558,7 @@ contract CollateralManager is Initializable, PausableUpgradeable, ReentrancyGuar
         address benefitAddress,
         bytes calldata data
     ) external nonReentrant returns (bool) {
-        bytes32 collateralId = keccak256(abi.encodePacked(nftAddress, tokenId, loanId));
+        bytes32 collateralId = _collateralIdOf(nftAddress, tokenId, loanId);
         
         require(collaterals[collateralId].active, "Collateral not active");
         
@@ -396,6 +583,17 @@ contract CollateralManager is Initializable, PausableUpgradeable, ReentrancyGuar
         emit CollectionAllowListUpdated(nftAddress, allowed);
     }
     
+    /**
+     * @dev Set the adapter used for a collection's tokens; only new collateral is affected
+     * @param nftAddress NFT contract address
+     * @param assetType ERC721, ERC1155 or Punk
+     */
+    function setCollectionAssetType(address nftAddress, CollateralAssetType assetType) external onlyOwner {
+        require(nftAddress != address(0), "Invalid address");
+        collectionAssetTypes[nftAddress] = assetType;
+        emit CollectionAssetTypeUpdated(nftAddress, assetType);
+    }
+    
     /**
      * @dev Set the minimum collateral ratio
      * @param newRatio New minimum collateral ratio (in basis points)
@@ -406,6 +604,33 @@ contract CollateralManager is Initializable, PausableUpgradeable, ReentrancyGuar
         minimumCollateralRatio = newRatio;
     }
     
+    /**
+     * @dev Set the max loan-to-value for a collection; 0 stops pricing it at origination
+     * Capped by the minimum collateral ratio (150% allows at most 66.66%)
+     * @param nftAddress NFT contract address
+     * @param newMaxLoanToValue Max LTV in basis points (e.g. 5000 = 50%)
+     */
+    function setMaxLoanToValue(address nftAddress, uint256 newMaxLoanToValue) external onlyOwner {
+        require(newMaxLoanToValue * minimumCollateralRatio <= 10000 * 10000, "LTV above collateral ratio");
+        maxLoanToValue[nftAddress] = newMaxLoanToValue;
+        emit MaxLoanToValueUpdated(nftAddress, newMaxLoanToValue);
+    }
+    
+    /**
+     * @dev Allow or forbid escrows to call functions of a benefit contract (claims, staking, airdrops)
+     * Only allow-listed target and selector pairs can be called through claimBenefits and executeDelegatedCall
+     * @param target Benefit contract
+     * @param selectors Function selectors
+     * @param allowed True to allow
+     */
+    function setBenefitCallsAllowed(address target, bytes4[] calldata selectors, bool allowed) external onlyOwner {
+        require(target != address(0), "Invalid address");
+        for (uint256 i = 0; i < selectors.length; i++) {
+            allowedBenefitCalls[target][selectors[i]] = allowed;
+            emit BenefitCallAllowed(target, selectors[i], allowed);
+        }
+    }
+    
     /**
      * @dev Set a new price oracle
      * @param newPriceOracle Address of the new price oracle
@@ -424,6 +649,33 @@ contract CollateralManager is Initializable, PausableUpgradeable, ReentrancyGuar
         _yapLendCore = IYapLendCore(yapLendCoreAddress);
     }
     
+    /**
+     * @dev Set the NFTEscrow implementation used for new escrow clones
+     * Existing escrows keep the implementation they were cloned from
+     * @param newEscrowImplementation Address of the NFTEscrow implementation
+     */
+    function setEscrowImplementation(address newEscrowImplementation) external onlyOwner {
+        require(newEscrowImplementation != address(0), "Invalid address");
+        require(newEscrowImplementation.code.length > 0, "Implementation has no code");
+        escrowImplementation = newEscrowImplementation;
+    }
+    
+    /**
+     * @dev Get the price oracle address
+     * @return Address of the PriceOracle contract
+     */
+    function priceOracle() external view returns (address) {
+        return address(_priceOracle);
+    }
+    
+    /**
+     * @dev Get the YapLendCore address
+     * @return Address of the YapLendCore contract
+     */
+    function yapLendCore() external view returns (address) {
+        return address(_yapLendCore);
+    }
+    
     /**
      * @dev Execute a function in an escrow contract (for emergencies)
      * @param escrowAddress Escrow contract address
@@ -0,0 +1,525 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.26;
+
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
+import "@openzeppelin/contracts/token/ERC721/IERC721Receiver.sol";
+import "./CollateralAssets.sol";
+
+// Mirrors YapLendCore.Loan; the public getter returns the same static fields, so it decodes into this struct
+struct AuctionLoanData {
+    address borrower;
+    address lender;
+    uint256 amount;
+    uint256 startTime;
+    uint256 duration;
+    uint256 interestRate;
+    bool active;
+    bool liquidated;
+    bool partiallyRepaid;
+    address currency;
+    uint256 accrualStart;
+    uint256 principalRepaid;
+    uint256 interestPaid;
+}
+
+struct AuctionCollateral {
+    address nftAddress;
+    uint96 quantity; // 0 em colaterais antigos, que são uma unidade
+    uint256 tokenId;
+}
+
+interface IYapLendCore {
+    function loans(uint256 loanId) external view returns (AuctionLoanData memory);
+    function getLoanCollaterals(uint256 loanId) external view returns (AuctionCollateral[] memory);
+    function collateralManager() external view returns (address);
+}
+
+interface IAuctionCollateralManager {
+    function getCollateralAsset(address nftAddress, uint256 tokenId, uint256 loanId) external view returns (CollateralAssetType, uint256);
+}
+
+/**
+ * @title LiquidationAuction
+ * @dev Sells the collateral of defaulted loans instead of handing every NFT to the lender
+ * YapLendCore sends the escrowed NFTs here on liquidation. They are auctioned one at a time (Dutch or English),
+ * each sale paying the lender first until the debt is covered; any surplus goes to the borrower, and the NFTs
+ * still unsold once the debt is covered go back to the borrower. A lot nobody buys goes to the lender, which
+ * reduces the debt by the lot's floor price
+ */
+contract LiquidationAuction is Initializable, PausableUpgradeable, ReentrancyGuardUpgradeable, OwnableUpgradeable, UUPSUpgradeable, IERC721Receiver {
+    using SafeERC20 for IERC20;
+
+    enum AuctionKind { None, Dutch, English }
+
+    // Auction of a defaulted loan's collateral
+    struct Auction {
+        address lender;
+        address borrower;
+        address currency; // Loan currency, address(0) for the native token
+        AuctionKind kind;
+        uint256 debt; // Still owed to the lender
+        uint256 recovered; // Paid to the lender so far
+        uint256 nextLot; // Index in the loan's collateral of the lot on sale
+        uint256 lotCount;
+        bool settled;
+    }
+
+    // The lot currently on sale for a loan
+    struct Lot {
+        uint256 startTime;
+        uint256 endTime;
+        uint256 startPrice; // Dutch only: price at the start, decaying linearly to floorPrice
+        uint256 floorPrice; // Dutch: lowest price; English: reserve price
+        address highestBidder;
+        uint256 highestBid;
+    }
+
+    IYapLendCore private _yapLendCore;
+
+    // Auction kind used when the lender has not picked one (None hands the collateral to the lender)
+    AuctionKind public defaultKind;
+
+    // Lot parameters
+    uint256 public lotDuration; // Seconds each lot is on sale
+    uint256 public startPremium; // Dutch start price, in basis points of the outstanding debt
+    uint256 public floorRatio; // Dutch floor / English reserve, in basis points of the outstanding debt
+    uint256 public minBidIncrement; // In basis points of the highest bid
+    uint256 public extensionWindow; // Bids this close to the end push it out by this much
+
+    mapping(uint256 => Auction) public auctions;
+    mapping(uint256 => Lot) public currentLots;
+
+    // Kind picked by the lender of a loan before liquidation
+    mapping(uint256 => AuctionKind) public lenderPreferences;
+
+    // Payouts and refunds that could not be pushed: account => currency => amount
+    mapping(address => mapping(address => uint256)) public claimable;
+
+    event AuctionPreferenceSet(uint256 indexed loanId, AuctionKind kind);
+    event AuctionStarted(uint256 indexed loanId, AuctionKind kind, uint256 debt, uint256 lotCount);
+    event LotOpened(uint256 indexed loanId, uint256 lotIndex, address nftAddress, uint256 tokenId, uint256 startPrice, uint256 floorPrice, uint256 endTime);
+    event BidPlaced(uint256 indexed loanId, address indexed bidder, uint256 amount, uint256 endTime);
+    event LotSold(uint256 indexed loanId, uint256 lotIndex, address indexed buyer, uint256 price, uint256 toLender, uint256 toBorrower);
+    event LotUnsold(uint256 indexed loanId, uint256 lotIndex, address indexed lender, uint256 creditedDebt);
+    event AuctionSettled(uint256 indexed loanId, uint256 recovered, uint256 shortfall, uint256 returnedToBorrower);
+    event PaymentDeferred(address indexed account, address indexed currency, uint256 amount);
+    event Claimed(address indexed account, address indexed currency, uint256 amount);
+    event AuctionParametersUpdated(uint256 lotDuration, uint256 startPremium, uint256 floorRatio, uint256 minBidIncrement, uint256 extensionWindow);
+    event DefaultKindUpdated(AuctionKind kind);
+
+    modifier onlyYapLendCore() {
+        require(msg.sender == address(_yapLendCore), "Only YapLendCore can call");
+        _;
+    }
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    /**
+     * @dev Initializes the contract
+     * @param yapLendCoreAddress YapLendCore address
+     */
+    function initialize(address yapLendCoreAddress) public initializer {
+        __Pausable_init();
+        __ReentrancyGuard_init();
+        __Ownable_init(msg.sender);
+        __UUPSUpgradeable_init();
+
+        _yapLendCore = IYapLendCore(yapLendCoreAddress);
+
+        defaultKind = AuctionKind.Dutch;
+        lotDuration = 1 days;
+        startPremium = 20000; // 200% da dívida
+        floorRatio = 5000; // 50% da dívida
+        minBidIncrement = 500; // 5%
+        extensionWindow = 10 minutes;
+    }
+
+    /**
+     * @dev Function that authorizes upgrades for UUPS pattern
+     * @param newImplementation Address of the new implementation
+     */
+    function _authorizeUpgrade(address newImplementation) internal override onlyOwner {}
+
+    /**
+     * @dev Pick how a loan's collateral is auctioned if it defaults
+     * @param loanId ID of the loan
+     * @param kind Dutch or English
+     */
+    function setAuctionPreference(uint256 loanId, AuctionKind kind) external {
+        AuctionLoanData memory loan = _yapLendCore.loans(loanId);
+        require(loan.lender == msg.sender, "Not the lender");
+        require(loan.active, "Loan not active");
+        require(kind != AuctionKind.None, "Invalid auction kind");
+
+        lenderPreferences[loanId] = kind;
+        emit AuctionPreferenceSet(loanId, kind);
+    }
+
+    /**
+     * @dev Start the auction of a liquidated loan's collateral, already transferred to this contract
+     * @param loanId ID of the loan
+     * @param debt Outstanding principal plus interest and late penalty owed to the lender
+     */
+    function startAuction(uint256 loanId, uint256 debt) external onlyYapLendCore {
+        require(auctions[loanId].lotCount == 0, "Auction already started");
+
+        AuctionLoanData memory loan = _yapLendCore.loans(loanId);
+        uint256 lotCount = _yapLendCore.getLoanCollaterals(loanId).length;
+        AuctionKind kind = lenderPreferences[loanId] != AuctionKind.None ? lenderPreferences[loanId] : defaultKind;
+
+        auctions[loanId] = Auction({
+            lender: loan.lender,
+            borrower: loan.borrower,
+            currency: loan.currency,
+            kind: kind,
+            debt: debt,
+            recovered: 0,
+            nextLot: 0,
+            lotCount: lotCount,
+            settled: false
+        });
+        emit AuctionStarted(loanId, kind, debt, lotCount);
+
+        if (kind == AuctionKind.None) {
+            // Leilões desativados: o lender fica com todo o colateral, como antes
+            _settle(loanId, loan.lender);
+        } else {
+            _openLot(loanId);
+        }
+    }
+
+    /**
+     * @dev Buy the lot on sale in a Dutch auction at the current price
+     * For ERC20 loans the buyer must have approved this contract; excess native funds are refunded
+     * @param loanId ID of the loan
+     */
+    function buy(uint256 loanId) external payable nonReentrant whenNotPaused {
+        Auction storage auction = auctions[loanId];
+        require(auction.kind == AuctionKind.Dutch && !auction.settled, "No Dutch auction running");
+        require(block.timestamp <= currentLots[loanId].endTime, "Lot sale ended");
+
+        uint256 price = currentPrice(loanId);
+        _collect(auction.currency, price);
+        if (auction.currency == address(0) && msg.value > price) {
+            _pay(address(0), msg.sender, msg.value - price);
+        }
+
+        _sellLot(loanId, msg.sender, price);
+    }
+
+    /**
+     * @dev Bid on the lot on sale in an English auction
+     * The previous highest bid is refunded; bids close to the end extend the sale
+     * @param loanId ID of the loan
+     * @param amount Bid, sent as value for native loans or pulled for ERC20 loans
+     */
+    function bid(uint256 loanId, uint256 amount) external payable nonReentrant whenNotPaused {
+        Auction storage auction = auctions[loanId];
+        require(auction.kind == AuctionKind.English && !auction.settled, "No English auction running");
+
+        Lot storage lot = currentLots[loanId];
+        require(block.timestamp <= lot.endTime, "Lot sale ended");
+        require(amount >= minimumBid(loanId), "Bid too low");
+        if (auction.currency == address(0)) {
+            require(msg.value == amount, "Incorrect bid amount");
+        } else {
+            _collect(auction.currency, amount);
+        }
+
+        if (lot.highestBidder != address(0)) {
+            _pay(auction.currency, lot.highestBidder, lot.highestBid);
+        }
+        lot.highestBidder = msg.sender;
+        lot.highestBid = amount;
+
+        // Anti-sniping: lances no fim prorrogam o leilão
+        if (lot.endTime - block.timestamp < extensionWindow) {
+            lot.endTime = block.timestamp + extensionWindow;
+        }
+
+        emit BidPlaced(loanId, msg.sender, amount, lot.endTime);
+    }
+
+    /**
+     * @dev Close the lot on sale once its time is up: to the highest bidder, or to the lender if unsold
+     * Callable by anyone
+     * @param loanId ID of the loan
+     */
+    function settleLot(uint256 loanId) external nonReentrant {
+        Auction storage auction = auctions[loanId];
+        require(auction.lotCount > 0 && !auction.settled, "No auction running");
+
+        Lot memory lot = currentLots[loanId];
+        require(block.timestamp > lot.endTime, "Lot sale not ended");
+
+        if (lot.highestBidder != address(0)) {
+            _sellLot(loanId, lot.highestBidder, lot.highestBid);
+            return;
+        }
+
+        // Sem comprador: o lender fica com o NFT, abatendo o preço mínimo da dívida
+        uint256 credited = lot.floorPrice < auction.debt ? lot.floorPrice : auction.debt;
+        auction.debt -= credited;
+        _transferCollateral(loanId, auction.nextLot, auction.lender);
+        emit LotUnsold(loanId, auction.nextLot, auction.lender, credited);
+
+        _advance(loanId);
+    }
+
+    /**
+     * @dev Withdraw payouts and refunds that could not be sent directly
+     * @param currency ERC20 token address, or address(0) for the native token
+     */
+    function claim(address currency) external nonReentrant {
+        uint256 amount = claimable[msg.sender][currency];
+        require(amount > 0, "Nothing to claim");
+        claimable[msg.sender][currency] = 0;
+
+        if (currency == address(0)) {
+            (bool success, ) = payable(msg.sender).call{value: amount}("");
+            require(success, "Transfer failed");
+        } else {
+            IERC20(currency).safeTransfer(msg.sender, amount);
+        }
+
+        emit Claimed(msg.sender, currency, amount);
+    }
+
+    /**
+     * @dev Current price of the lot on sale in a Dutch auction
+     * @param loanId ID of the loan
+     * @return Price decaying linearly from the start price to the floor over the lot duration
+     */
+    function currentPrice(uint256 loanId) public view returns (uint256) {
+        Lot memory lot = currentLots[loanId];
+        if (block.timestamp >= lot.endTime) {
+            return lot.floorPrice;
+        }
+        uint256 remaining = lot.endTime - block.timestamp;
+        return lot.floorPrice + ((lot.startPrice - lot.floorPrice) * remaining) / (lot.endTime - lot.startTime);
+    }
+
+    /**
+     * @dev Lowest bid accepted right now in an English auction
+     * @param loanId ID of the loan
+     * @return The reserve price, or the highest bid plus the minimum increment
+     */
+    function minimumBid(uint256 loanId) public view returns (uint256) {
+        Lot memory lot = currentLots[loanId];
+        if (lot.highestBidder == address(0)) {
+            return lot.floorPrice > 0 ? lot.floorPrice : 1;
+        }
+        return lot.highestBid + (lot.highestBid * minBidIncrement) / 10000;
+    }
+
+    /**
+     * @dev Put the next lot of a loan on sale, priced against the debt still outstanding
+     */
+    function _openLot(uint256 loanId) private {
+        Auction storage auction = auctions[loanId];
+        uint256 floorPrice = (auction.debt * floorRatio) / 10000;
+        uint256 startPrice = auction.kind == AuctionKind.Dutch ? (auction.debt * startPremium) / 10000 : 0;
+        if (startPrice < floorPrice) {
+            startPrice = floorPrice;
+        }
+
+        currentLots[loanId] = Lot({
+            startTime: block.timestamp,
+            endTime: block.timestamp + lotDuration,
+            startPrice: startPrice,
+            floorPrice: floorPrice,
+            highestBidder: address(0),
+            highestBid: 0
+        });
+
+        AuctionCollateral memory item = _yapLendCore.getLoanCollaterals(loanId)[auction.nextLot];
+        emit LotOpened(loanId, auction.nextLot, item.nftAddress, item.tokenId, startPrice, floorPrice, block.timestamp + lotDuration);
+    }
+
+    /**
+     * @dev Hand the lot on sale to the buyer and split the price: lender first, surplus to the borrower
+     */
+    function _sellLot(uint256 loanId, address buyer, uint256 price) private {
+        Auction storage auction = auctions[loanId];
+        uint256 toLender = price < auction.debt ? price : auction.debt;
+        uint256 toBorrower = price - toLender;
+        auction.debt -= toLender;
+        auction.recovered += toLender;
+
+        _transferCollateral(loanId, auction.nextLot, buyer);
+        if (toLender > 0) {
+            _pay(auction.currency, auction.lender, toLender);
+        }
+        if (toBorrower > 0) {
+            _pay(auction.currency, auction.borrower, toBorrower);
+        }
+        emit LotSold(loanId, auction.nextLot, buyer, price, toLender, toBorrower);
+
+        _advance(loanId);
+    }
+
+    /**
+     * @dev Move on after a lot closes: next lot while debt remains, otherwise settle
+     */
+    function _advance(uint256 loanId) private {
+        Auction storage auction = auctions[loanId];
+        auction.nextLot++;
+
+        if (auction.debt == 0 || auction.nextLot == auction.lotCount) {
+            // Dívida quitada: o colateral que sobrou volta para o borrower
+            _settle(loanId, auction.borrower);
+        } else {
+            _openLot(loanId);
+        }
+    }
+
+    /**
+     * @dev Close the auction, sending every lot not yet sold to `recipient`
+     */
+    function _settle(uint256 loanId, address recipient) private {
+        Auction storage auction = auctions[loanId];
+        uint256 returned = auction.lotCount - auction.nextLot;
+        for (uint256 i = auction.nextLot; i < auction.lotCount; i++) {
+            _transferCollateral(loanId, i, recipient);
+        }
+        auction.nextLot = auction.lotCount;
+        auction.settled = true;
+        delete currentLots[loanId];
+
+        emit AuctionSettled(loanId, auction.recovered, auction.debt, returned);
+    }
+
+    function _transferCollateral(uint256 loanId, uint256 index, address to) private {
+        AuctionCollateral memory item = _yapLendCore.getLoanCollaterals(loanId)[index];
+        (CollateralAssetType assetType, ) = IAuctionCollateralManager(_yapLendCore.collateralManager())
+            .getCollateralAsset(item.nftAddress, item.tokenId, loanId);
+        if (assetType == CollateralAssetType.ERC721) {
+            IERC721(item.nftAddress).transferFrom(address(this), to, item.tokenId);
+        } else {
+            uint256 quantity = item.quantity == 0 ? 1 : item.quantity;
+            CollateralAssets.transfer(assetType, item.nftAddress, item.tokenId, quantity, address(this), to);
+        }
+    }
+
+    /**
+     * @dev Take a payment in the auction currency from the caller
+     */
+    function _collect(address currency, uint256 amount) private {
+        if (currency == address(0)) {
+            require(msg.value >= amount, "Insufficient funds sent");
+        } else {
+            require(msg.value == 0, "Native funds sent for token auction");
+            IERC20(currency).safeTransferFrom(msg.sender, address(this), amount);
+        }
+    }
+
+    /**
+     * @dev Send funds without reverting; what cannot be sent is left to claim()
+     */
+    function _pay(address currency, address to, uint256 amount) private {
+        bool success;
+        if (currency == address(0)) {
+            (success, ) = payable(to).call{value: amount}("");
+        } else {
+            bytes memory data;
+            (success, data) = currency.call(abi.encodeCall(IERC20.transfer, (to, amount)));
+            success = success && (data.length == 0 || abi.decode(data, (bool)));
+        }
+
+        if (!success) {
+            claimable[to][currency] += amount;
+            emit PaymentDeferred(to, currency, amount);
+        }
+    }
+
+    /**
+     * @dev Accept collateral released from escrow on liquidation
+     */
+    function onERC721Received(address, address, uint256, bytes calldata) external pure returns (bytes4) {
+        return IERC721Receiver.onERC721Received.selector;
+    }
+
+    /**
+     * @dev Accept ERC1155 collateral released from escrow on liquidation
+     */
+    function onERC1155Received(address, address, uint256, uint256, bytes calldata) external pure returns (bytes4) {
+        return this.onERC1155Received.selector;
+    }
+
+    /**
+     * @dev Get the YapLendCore address
+     * @return Address of the YapLendCore contract
+     */
+    function yapLendCore() external view returns (address) {
+        return address(_yapLendCore);
+    }
+
+    /**
+     * @dev Set the YapLendCore address
+     * @param yapLendCoreAddress New YapLendCore address
+     */
+    function setYapLendCore(address yapLendCoreAddress) external onlyOwner {
+        require(yapLendCoreAddress != address(0), "Invalid address");
+        _yapLendCore = IYapLendCore(yapLendCoreAddress);
+    }
+
+    /**
+     * @dev Set the auction kind used when the lender has not picked one
+     * @param kind None to hand the collateral straight to the lender, Dutch or English
+     */
+    function setDefaultKind(AuctionKind kind) external onlyOwner {
+        defaultKind = kind;
+        emit DefaultKindUpdated(kind);
+    }
+
+    /**
+     * @dev Set the lot parameters; lots already on sale keep theirs
+     * @param _lotDuration Seconds each lot is on sale
+     * @param _startPremium Dutch start price, in basis points of the outstanding debt
+     * @param _floorRatio Dutch floor / English reserve, in basis points of the outstanding debt
+     * @param _minBidIncrement Minimum English bid increment, in basis points
+     * @param _extensionWindow Anti-sniping window in seconds
+     */
+    function setAuctionParameters(
+        uint256 _lotDuration,
+        uint256 _startPremium,
+        uint256 _floorRatio,
+        uint256 _minBidIncrement,
+        uint256 _extensionWindow
+    ) external onlyOwner {
+        require(_lotDuration > 0 && _lotDuration <= 30 days, "Invalid lot duration");
+        require(_startPremium >= _floorRatio, "Start price below floor");
+        require(_extensionWindow <= _lotDuration, "Invalid extension window");
+
+        lotDuration = _lotDuration;
+        startPremium = _startPremium;
+        floorRatio = _floorRatio;
+        minBidIncrement = _minBidIncrement;
+        extensionWindow = _extensionWindow;
+        emit AuctionParametersUpdated(_lotDuration, _startPremium, _floorRatio, _minBidIncrement, _extensionWindow);
+    }
+
+    /**
+     * @dev Pause the contract
+     */
+    function pause() external onlyOwner {
+        _pause();
+    }
+
+    /**
+     * @dev Unpause the contract
+     */
+    function unpause() external onlyOwner {
+        _unpause();
+    }
+}
@@ -6,16 +6,50 @@ import "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
 import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
 import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
 import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/ERC20Upgradeable.sol";
+import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
+import "@openzeppelin/contracts/token/ERC721/IERC721Receiver.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "./CollateralAssets.sol";
+
+interface IYapLendCore {
+    function createLoanWithQuantities(
+        address borrower,
+        address lender,
+        address[] memory nftAddresses,
+        uint256[] memory tokenIds,
+        uint256[] memory quantities,
+        uint256 loanAmount,
+        uint256 duration,
+        uint256 proposedInterestRate,
+        address currency
+    ) external payable returns (uint256);
+}
 
 /**
  * @title LiquidityPool
  * @dev Manages liquidity for the YAP LEND protocol
+ * Borrowers can take native-token loans funded by the pool, which is recorded as their lender. YapLendCore
+ * repays principal through repay() and writes off defaulted loans; interest and auction proceeds arrive as
+ * plain transfers. Utilization is totalBorrowed over cash plus totalBorrowed, and drives a kinked borrow rate
+ *
+ * Providers hold ERC4626-style shares of the pool's assets (cash plus outstanding principal), so interest
+ * repaid on pool loans, net of the protocol fee, raises the value of every share. The asset is the native
+ * token. Redemptions the pool cannot pay in cash wait in a FIFO queue and become claimable as loans are repaid
  */
-contract LiquidityPool is Initializable, PausableUpgradeable, ReentrancyGuardUpgradeable, OwnableUpgradeable, UUPSUpgradeable {
-    // Mapping from provider address to their liquidity amount
+contract LiquidityPool is Initializable, PausableUpgradeable, ReentrancyGuardUpgradeable, OwnableUpgradeable, UUPSUpgradeable, ERC20Upgradeable, IERC721Receiver {
+    using Math for uint256;
+
+    // Redemption waiting for cash; shares are held by the pool meanwhile
+    struct WithdrawalRequest {
+        address owner;
+        uint256 shares;
+    }
+
+    // Deposits made before share accounting, per provider, until converted with migrateLiquidity
     mapping(address => uint256) public providerLiquidity;
     
-    // Total liquidity in the pool
+    // Assets backing the shares, refreshed on every deposit, withdrawal, borrow and repayment
     uint256 public totalLiquidity;
     
     // APY for liquidity providers (in basis points, e.g., 500 = 5%)
@@ -34,11 +68,59 @@ contract LiquidityPool is Initializable, PausableUpgradeable, ReentrancyGuardUpg
     // Utilization ratio (in basis points, e.g., 7500 = 75%)
     uint256 public utilizationRatio;
     
+    // YapLendCore, which opens pool-funded loans and repays them
+    address public yapLendCore;
+    
+    // Principal lent out and not yet repaid or written off
+    uint256 public totalBorrowed;
+    
+    // Borrow rate curve (APR in basis points): baseBorrowRate at 0% utilization, plus rateSlope1 at
+    // utilizationTarget (the kink), plus rateSlope2 at 100%
+    uint256 public baseBorrowRate;
+    uint256 public rateSlope1;
+    uint256 public rateSlope2;
+    
+    // Limits per pool-funded loan; a zero maxLoanAmount disables borrowing from the pool
+    uint256 public maxLoanAmount;
+    uint256 public maxLoanDuration;
+    
+    // Outstanding principal of each pool-funded loan
+    mapping(uint256 => uint256) public loanPrincipal;
+    
+    // Sum of providerLiquidity not yet converted to shares; excluded from totalAssets
+    uint256 public legacyLiquidity;
+    
+    // Cash set aside for fulfilled redemptions, not yet claimed
+    uint256 public reservedPayouts;
+    
+    // Fulfilled redemptions per provider, paid out by claim()
+    mapping(address => uint256) public claimable;
+    
+    // Redemption queue; entries before queueHead are fulfilled or cancelled
+    WithdrawalRequest[] public withdrawalQueue;
+    uint256 public queueHead;
+    
+    // Queue entries fulfilled per call, so repayments through YapLendCore stay cheap
+    uint256 private constant MAX_QUEUE_STEPS = 10;
+    
     // Events
     event LiquidityProvided(address indexed provider, uint256 amount);
     event LiquidityWithdrawn(address indexed provider, uint256 amount);
+    event Deposit(address indexed sender, address indexed owner, uint256 assets, uint256 shares);
+    event Withdraw(address indexed sender, address indexed receiver, address indexed owner, uint256 assets, uint256 shares);
+    event WithdrawalRequested(uint256 indexed requestId, address indexed owner, uint256 shares);
+    event WithdrawalFulfilled(uint256 indexed requestId, address indexed owner, uint256 shares, uint256 assets);
+    event WithdrawalCancelled(uint256 indexed requestId, address indexed owner, uint256 shares);
+    event PayoutClaimed(address indexed owner, uint256 assets);
+    event LiquidityMigrated(address indexed provider, uint256 assets, uint256 shares);
     event APYUpdated(uint256 newAPY);
     event UtilizationRatioUpdated(uint256 newRatio);
+    event PoolLoanOpened(uint256 indexed loanId, address indexed borrower, uint256 amount, uint256 interestRate);
+    event PoolLoanRepaid(uint256 indexed loanId, uint256 principal, uint256 outstanding);
+    event PoolLoanWrittenOff(uint256 indexed loanId, uint256 principal);
+    event RateCurveUpdated(uint256 baseBorrowRate, uint256 rateSlope1, uint256 rateSlope2);
+    event LoanLimitsUpdated(uint256 maxLoanAmount, uint256 maxLoanDuration);
+    event YapLendCoreUpdated(address newYapLendCore);
     
     /// @custom:oz-upgrades-unsafe-allow constructor
     constructor() {
@@ -53,6 +135,7 @@ contract LiquidityPool is Initializable, PausableUpgradeable, ReentrancyGuardUpg
         __ReentrancyGuard_init();
         __Ownable_init(msg.sender);
         __UUPSUpgradeable_init();
+        __ERC20_init("YapLend Pool Share", "yapLP");
         
         liquidityAPY = 500; // 5% initial APY
         lastAPYUpdateTime = block.timestamp;
@@ -60,6 +143,21 @@ contract LiquidityPool is Initializable, PausableUpgradeable, ReentrancyGuardUpg
         minAPY = 200; // 2% minimum APY
         maxAPY = 2000; // 20% maximum APY
         utilizationRatio = 0; // 0% initial utilization
+        baseBorrowRate = 200; // 2% APR with nothing borrowed
+        rateSlope1 = 1000; // 12% APR at the target utilization
+        rateSlope2 = 6000; // 72% APR fully utilized
+        maxLoanDuration = 30 days;
+    }
+    
+    /**
+     * @dev Set up share accounting on pools deployed before it; existing deposits are left in
+     * providerLiquidity and converted by each provider with migrateLiquidity
+     */
+    function initializeShares() external reinitializer(2) onlyOwner {
+        require(bytes(name()).length == 0, "Shares already initialized");
+        __ERC20_init("YapLend Pool Share", "yapLP");
+        legacyLiquidity = totalLiquidity;
+        _updateUtilizationRatio();
     }
     
     /**
@@ -69,46 +167,398 @@ contract LiquidityPool is Initializable, PausableUpgradeable, ReentrancyGuardUpg
     function _authorizeUpgrade(address newImplementation) internal override onlyOwner {}
     
     /**
-     * @dev Provide liquidity to the pool
+     * @dev Deposit native tokens and mint shares to the receiver
+     * @param receiver Address receiving the shares
+     * @return shares Shares minted
      */
-    function provideLiquidity() external payable nonReentrant whenNotPaused {
+    function deposit(address receiver) public payable nonReentrant whenNotPaused returns (uint256 shares) {
         require(msg.value > 0, "Amount must be greater than 0");
+        require(receiver != address(0), "Invalid receiver");
         
-        // Update provider's liquidity
-        providerLiquidity[msg.sender] += msg.value;
+        // O valor já está no saldo: a cotação usa os ativos de antes do depósito
+        shares = _convertToShares(msg.value, _assetsExcluding(msg.value), Math.Rounding.Floor);
+        require(shares > 0, "Deposit too small");
+        _mint(receiver, shares);
         
-        // Update total liquidity
-        totalLiquidity += msg.value;
-        
-        // Update utilization ratio
+        _processQueue();
         _updateUtilizationRatio();
         
-        emit LiquidityProvided(msg.sender, msg.value);
+        emit Deposit(msg.sender, receiver, msg.value, shares);
+        emit LiquidityProvided(receiver, msg.value);
+    }
+    
+    /**
+     * @dev Provide liquidity to the pool, minting shares to the caller
+     */
+    function provideLiquidity() external payable {
+        deposit(msg.sender);
+    }
+    
+    /**
+     * @dev Withdraw an amount of assets now, burning the shares it is worth (rounded up)
+     * Only free cash can be withdrawn, and only while no redemption is queued; otherwise use requestRedeem
+     * @param assets Amount to withdraw
+     * @param receiver Address receiving the assets
+     * @param shareOwner Owner of the shares (the caller, or an address that approved it)
+     * @return shares Shares burned
+     */
+    function withdraw(uint256 assets, address receiver, address shareOwner) public nonReentrant returns (uint256 shares) {
+        require(assets > 0, "Amount must be greater than 0");
+        shares = previewWithdraw(assets);
+        _withdraw(shareOwner, receiver, assets, shares);
+    }
+    
+    /**
+     * @dev Redeem shares now for the assets they are worth (rounded down)
+     * Same cash and queue conditions as withdraw
+     * @param shares Shares to burn
+     * @param receiver Address receiving the assets
+     * @param shareOwner Owner of the shares (the caller, or an address that approved it)
+     * @return assets Amount paid out
+     */
+    function redeem(uint256 shares, address receiver, address shareOwner) external nonReentrant returns (uint256 assets) {
+        require(shares > 0, "Amount must be greater than 0");
+        assets = previewRedeem(shares);
+        _withdraw(shareOwner, receiver, assets, shares);
     }
     
     /**
-     * @dev Withdraw liquidity from the pool
+     * @dev Withdraw liquidity from the pool to the caller
      * @param amount Amount to withdraw
      */
-    function withdrawLiquidity(uint256 amount) external nonReentrant {
-        require(amount > 0, "Amount must be greater than 0");
-        require(providerLiquidity[msg.sender] >= amount, "Insufficient liquidity");
-        require(address(this).balance >= amount, "Insufficient pool balance");
+    function withdrawLiquidity(uint256 amount) external {
+        withdraw(amount, msg.sender, msg.sender);
+    }
+    
+    /**
+     * @dev Queue shares for redemption when the pool lacks the cash to pay them now
+     * The shares keep earning until the request is fulfilled, at the share price of that moment
+     * @param shares Shares to redeem
+     * @return requestId Position in the withdrawal queue
+     */
+    function requestRedeem(uint256 shares) external nonReentrant returns (uint256 requestId) {
+        require(shares > 0, "Amount must be greater than 0");
+        _transfer(msg.sender, address(this), shares);
+        
+        requestId = withdrawalQueue.length;
+        withdrawalQueue.push(WithdrawalRequest({owner: msg.sender, shares: shares}));
+        emit WithdrawalRequested(requestId, msg.sender, shares);
+        
+        _processQueue();
+        _updateUtilizationRatio();
+    }
+    
+    /**
+     * @dev Take back the shares of a queued request not yet fulfilled
+     * @param requestId Request to cancel
+     */
+    function cancelRedeem(uint256 requestId) external nonReentrant {
+        require(requestId >= queueHead && requestId < withdrawalQueue.length, "Request not pending");
+        WithdrawalRequest storage request = withdrawalQueue[requestId];
+        require(request.owner == msg.sender, "Not the request owner");
+        require(request.shares > 0, "Request not pending");
+        
+        uint256 shares = request.shares;
+        request.shares = 0;
+        _transfer(address(this), msg.sender, shares);
+        
+        emit WithdrawalCancelled(requestId, msg.sender, shares);
+    }
+    
+    /**
+     * @dev Fulfil queued requests with the cash available; anyone can call it
+     * Deposits, interest payments and new requests already do this
+     */
+    function processWithdrawalQueue() external nonReentrant {
+        _processQueue();
+        _updateUtilizationRatio();
+    }
+    
+    /**
+     * @dev Collect the assets of fulfilled redemptions
+     */
+    function claim() external nonReentrant {
+        uint256 assets = claimable[msg.sender];
+        require(assets > 0, "Nothing to claim");
+        claimable[msg.sender] = 0;
+        reservedPayouts -= assets;
         
-        // Update provider's liquidity
-        providerLiquidity[msg.sender] -= amount;
+        (bool success, ) = payable(msg.sender).call{value: assets}("");
+        require(success, "Transfer failed");
         
-        // Update total liquidity
-        totalLiquidity -= amount;
+        emit PayoutClaimed(msg.sender, assets);
+    }
+    
+    /**
+     * @dev Convert a deposit made before share accounting into shares at the current price
+     */
+    function migrateLiquidity() external nonReentrant {
+        uint256 assets = providerLiquidity[msg.sender];
+        require(assets > 0, "Nothing to migrate");
         
-        // Update utilization ratio
+        uint256 shares = _convertToShares(assets, totalAssets(), Math.Rounding.Floor);
+        providerLiquidity[msg.sender] = 0;
+        legacyLiquidity -= assets;
+        _mint(msg.sender, shares);
         _updateUtilizationRatio();
         
-        // Transfer the funds
-        (bool success, ) = payable(msg.sender).call{value: amount}("");
+        emit LiquidityMigrated(msg.sender, assets, shares);
+    }
+    
+    /**
+     * @dev Assets backing the shares: cash plus outstanding principal, less payouts owed and
+     * deposits not yet migrated
+     * @return Total assets
+     */
+    function totalAssets() public view returns (uint256) {
+        return _assetsExcluding(0);
+    }
+    
+    /**
+     * @dev Shares worth an amount of assets at the current price
+     */
+    function convertToShares(uint256 assets) external view returns (uint256) {
+        return _convertToShares(assets, totalAssets(), Math.Rounding.Floor);
+    }
+    
+    /**
+     * @dev Assets an amount of shares is worth at the current price
+     */
+    function convertToAssets(uint256 shares) public view returns (uint256) {
+        return _convertToAssets(shares, Math.Rounding.Floor);
+    }
+    
+    /**
+     * @dev Shares a deposit of `assets` would mint now
+     */
+    function previewDeposit(uint256 assets) external view returns (uint256) {
+        return _convertToShares(assets, totalAssets(), Math.Rounding.Floor);
+    }
+    
+    /**
+     * @dev Shares a withdrawal of `assets` would burn now
+     */
+    function previewWithdraw(uint256 assets) public view returns (uint256) {
+        return _convertToShares(assets, totalAssets(), Math.Rounding.Ceil);
+    }
+    
+    /**
+     * @dev Assets a redemption of `shares` would pay now
+     */
+    function previewRedeem(uint256 shares) public view returns (uint256) {
+        return _convertToAssets(shares, Math.Rounding.Floor);
+    }
+    
+    /**
+     * @dev Assets an owner can withdraw right now, limited by free cash and the queue
+     */
+    function maxWithdraw(address shareOwner) external view returns (uint256) {
+        if (queueHead < withdrawalQueue.length) {
+            return 0;
+        }
+        return Math.min(convertToAssets(balanceOf(shareOwner)), _cash());
+    }
+    
+    /**
+     * @dev Number of requests in the withdrawal queue, including fulfilled and cancelled ones
+     */
+    function withdrawalQueueLength() external view returns (uint256) {
+        return withdrawalQueue.length;
+    }
+    
+    function _withdraw(address shareOwner, address receiver, uint256 assets, uint256 shares) private {
+        require(receiver != address(0), "Invalid receiver");
+        require(queueHead == withdrawalQueue.length, "Withdrawals queued, use requestRedeem");
+        require(assets <= _cash(), "Insufficient pool balance");
+        if (msg.sender != shareOwner) {
+            _spendAllowance(shareOwner, msg.sender, shares);
+        }
+        _burn(shareOwner, shares);
+        
+        (bool success, ) = payable(receiver).call{value: assets}("");
         require(success, "Transfer failed");
+        _updateUtilizationRatio();
         
-        emit LiquidityWithdrawn(msg.sender, amount);
+        emit Withdraw(msg.sender, receiver, shareOwner, assets, shares);
+        emit LiquidityWithdrawn(shareOwner, assets);
+    }
+    
+    /**
+     * @dev Fulfil queued requests in order while the cash covers them
+     */
+    function _processQueue() private {
+        uint256 head = queueHead;
+        uint256 end = withdrawalQueue.length;
+        for (uint256 steps = 0; head < end && steps < MAX_QUEUE_STEPS; steps++) {
+            WithdrawalRequest storage request = withdrawalQueue[head];
+            if (request.shares > 0) {
+                uint256 assets = _convertToAssets(request.shares, Math.Rounding.Floor);
+                if (assets > _cash()) {
+                    break;
+                }
+                uint256 shares = request.shares;
+                request.shares = 0;
+                _burn(address(this), shares);
+                reservedPayouts += assets;
+                claimable[request.owner] += assets;
+                emit WithdrawalFulfilled(head, request.owner, shares, assets);
+            }
+            head++;
+        }
+        queueHead = head;
+    }
+    
+    /**
+     * @dev totalAssets without `pending` native tokens already in the balance (0 if losses exceed the deductions)
+     */
+    function _assetsExcluding(uint256 pending) private view returns (uint256) {
+        uint256 gross = address(this).balance + totalBorrowed;
+        uint256 deductions = pending + reservedPayouts + legacyLiquidity;
+        return gross > deductions ? gross - deductions : 0;
+    }
+    
+    /**
+     * @dev Cash the pool can lend or pay out
+     */
+    function _cash() private view returns (uint256) {
+        return address(this).balance - reservedPayouts;
+    }
+    
+    // Virtual share and asset of 1 keep the first depositor from inflating the share price
+    function _convertToShares(uint256 assets, uint256 currentAssets, Math.Rounding rounding) private view returns (uint256) {
+        return assets.mulDiv(totalSupply() + 1, currentAssets + 1, rounding);
+    }
+    
+    function _convertToAssets(uint256 shares, Math.Rounding rounding) private view returns (uint256) {
+        return shares.mulDiv(totalAssets() + 1, totalSupply() + 1, rounding);
+    }
+    
+    /**
+     * @dev Borrow native tokens from the pool against NFTs approved to the CollateralManager
+     * The rate is the pool's borrow rate at the utilization reached once the loan is funded,
+     * fixed for the life of the loan
+     * @param nftAddresses Collateral NFT contracts
+     * @param tokenIds Collateral token IDs
+     * @param amount Principal to borrow
+     * @param duration Loan duration in seconds
+     * @return loanId ID of the loan created on YapLendCore
+     */
+    function borrow(
+        address[] calldata nftAddresses,
+        uint256[] calldata tokenIds,
+        uint256 amount,
+        uint256 duration
+    ) external nonReentrant whenNotPaused returns (uint256 loanId) {
+        return _borrow(nftAddresses, tokenIds, new uint256[](0), amount, duration);
+    }
+    
+    /**
+     * @dev Borrow from the pool pledging a quantity of each token (ERC1155 units; 1 for ERC721 and punks)
+     * Same rules as borrow
+     * @param quantities Units of each token, in the order of tokenIds
+     * @return loanId ID of the loan created on YapLendCore
+     */
+    function borrowWithQuantities(
+        address[] calldata nftAddresses,
+        uint256[] calldata tokenIds,
+        uint256[] calldata quantities,
+        uint256 amount,
+        uint256 duration
+    ) external nonReentrant whenNotPaused returns (uint256 loanId) {
+        require(quantities.length == tokenIds.length, "Arrays length mismatch");
+        return _borrow(nftAddresses, tokenIds, quantities, amount, duration);
+    }
+    
+    function _borrow(
+        address[] memory nftAddresses,
+        uint256[] memory tokenIds,
+        uint256[] memory quantities,
+        uint256 amount,
+        uint256 duration
+    ) private returns (uint256 loanId) {
+        require(yapLendCore != address(0), "YapLendCore not set");
+        require(amount > 0, "Amount must be greater than 0");
+        require(amount <= maxLoanAmount, "Amount above pool limit");
+        require(duration <= maxLoanDuration, "Duration above pool limit");
+        // Resgates na fila têm prioridade sobre novos empréstimos
+        _processQueue();
+        require(queueHead == withdrawalQueue.length, "Withdrawals queued");
+        require(amount <= _cash(), "Insufficient pool liquidity");
+        
+        uint256 interestRate = borrowRateAt(_utilization(totalBorrowed + amount, _cash() - amount));
+        loanId = IYapLendCore(yapLendCore).createLoanWithQuantities{value: amount}(
+            msg.sender,
+            address(this),
+            nftAddresses,
+            tokenIds,
+            quantities,
+            amount,
+            duration,
+            interestRate,
+            address(0)
+        );
+        
+        loanPrincipal[loanId] = amount;
+        totalBorrowed += amount;
+        _updateUtilizationRatio();
+        
+        emit PoolLoanOpened(loanId, msg.sender, amount, interestRate);
+    }
+    
+    /**
+     * @dev Take back principal of a pool-funded loan; interest is sent separately as a plain transfer
+     * Called by YapLendCore on repayments, paydowns and refinancing
+     * @param loanId ID of the loan
+     */
+    function repay(uint256 loanId) external payable {
+        require(msg.sender == yapLendCore, "Only YapLendCore can call");
+        
+        // O excedente além do principal registrado é tratado como receita do pool
+        uint256 principal = msg.value < loanPrincipal[loanId] ? msg.value : loanPrincipal[loanId];
+        loanPrincipal[loanId] -= principal;
+        totalBorrowed -= principal;
+        _updateUtilizationRatio();
+        
+        emit PoolLoanRepaid(loanId, principal, loanPrincipal[loanId]);
+    }
+    
+    /**
+     * @dev Write off the outstanding principal of a liquidated pool-funded loan
+     * Auction proceeds, if any, arrive later as plain transfers
+     * @param loanId ID of the loan
+     */
+    function writeOff(uint256 loanId) external {
+        require(msg.sender == yapLendCore, "Only YapLendCore can call");
+        
+        uint256 principal = loanPrincipal[loanId];
+        if (principal == 0) {
+            return;
+        }
+        loanPrincipal[loanId] = 0;
+        totalBorrowed -= principal;
+        _updateUtilizationRatio();
+        
+        emit PoolLoanWrittenOff(loanId, principal);
+    }
+    
+    /**
+     * @dev Borrow rate at a given utilization, on the kinked curve
+     * @param utilization Utilization in basis points
+     * @return APR in basis points
+     */
+    function borrowRateAt(uint256 utilization) public view returns (uint256) {
+        if (utilization <= utilizationTarget) {
+            return baseBorrowRate + (utilization * rateSlope1) / utilizationTarget;
+        }
+        return baseBorrowRate + rateSlope1 + ((utilization - utilizationTarget) * rateSlope2) / (10000 - utilizationTarget);
+    }
+    
+    /**
+     * @dev Borrow rate a new loan would get now, ignoring its own effect on utilization
+     * @return APR in basis points
+     */
+    function borrowRate() external view returns (uint256) {
+        return borrowRateAt(utilizationRatio);
     }
     
     /**
@@ -120,30 +570,25 @@ contract LiquidityPool is Initializable, PausableUpgradeable, ReentrancyGuardUpg
     }
     
     /**
-     * @dev Update the APY based on current utilization ratio
-     * Only callable by owner or authorized contracts
+     * @dev Recompute utilization and APY from the pool's balance and outstanding loans
+     * They are also updated on every deposit, withdrawal, borrow and repayment
      */
     function updateAPY() external onlyOwner {
-        _updateAPY();
+        _updateUtilizationRatio();
     }
     
     /**
      * @dev Internal function to update the APY
+     * Liquidity providers earn the borrow rate on the borrowed share of the pool, within minAPY and maxAPY
      */
     function _updateAPY() internal {
-        // Update APY based on utilization ratio
-        // If utilization is below target, decrease APY
-        // If utilization is above target, increase APY
-        
-        if (utilizationRatio < utilizationTarget) {
-            // Decrease APY proportionally
-            uint256 decrease = (utilizationTarget - utilizationRatio) * (liquidityAPY - minAPY) / utilizationTarget;
-            liquidityAPY = liquidityAPY > (minAPY + decrease) ? (liquidityAPY - decrease) : minAPY;
-        } else {
-            // Increase APY proportionally
-            uint256 increase = (utilizationRatio - utilizationTarget) * (maxAPY - liquidityAPY) / (10000 - utilizationTarget);
-            liquidityAPY = (liquidityAPY + increase) < maxAPY ? (liquidityAPY + increase) : maxAPY;
+        uint256 supplyRate = (borrowRateAt(utilizationRatio) * utilizationRatio) / 10000;
+        if (supplyRate < minAPY) {
+            supplyRate = minAPY;
+        } else if (supplyRate > maxAPY) {
+            supplyRate = maxAPY;
         }
+        liquidityAPY = supplyRate;
         
         lastAPYUpdateTime = block.timestamp;
         
@@ -152,21 +597,11 @@ contract LiquidityPool is Initializable, PausableUpgradeable, ReentrancyGuardUpg
     
     /**
      * @dev Update the utilization ratio
-     * Called when liquidity is provided or withdrawn
+     * Called when liquidity is provided or withdrawn, and when loans are opened, repaid or written off
      */
     function _updateUtilizationRatio() internal {
-        // In a real system, this would calculate:
-        // utilizationRatio = (totalLoaned / totalLiquidity) * 10000
-        // For the hackathon, we'll use a simplified approach
-        
-        // For demo purposes, we'll just use the current contract balance versus total liquidity
-        if (totalLiquidity > 0) {
-            uint256 available = address(this).balance;
-            uint256 utilized = totalLiquidity - available;
-            utilizationRatio = (utilized * 10000) / totalLiquidity;
-        } else {
-            utilizationRatio = 0;
-        }
+        utilizationRatio = _utilization(totalBorrowed, _cash());
+        totalLiquidity = totalAssets();
         
         emit UtilizationRatioUpdated(utilizationRatio);
         
@@ -174,6 +609,16 @@ contract LiquidityPool is Initializable, PausableUpgradeable, ReentrancyGuardUpg
         _updateAPY();
     }
     
+    /**
+     * @dev Borrowed share of the pool's assets (cash plus outstanding principal), in basis points
+     */
+    function _utilization(uint256 borrowed, uint256 cash) private pure returns (uint256) {
+        if (borrowed == 0) {
+            return 0;
+        }
+        return (borrowed * 10000) / (borrowed + cash);
+    }
+    
     /**
      * @dev Set the utilization target
      * @param newTarget New utilization target (in basis points)
@@ -196,6 +641,89 @@ contract LiquidityPool is Initializable, PausableUpgradeable, ReentrancyGuardUpg
         maxAPY = newMaxAPY;
     }
     
+    /**
+     * @dev Set the borrow rate curve
+     * @param newBaseBorrowRate APR at 0% utilization (in basis points)
+     * @param newRateSlope1 APR added between 0% and the target utilization (in basis points)
+     * @param newRateSlope2 APR added between the target utilization and 100% (in basis points)
+     */
+    function setRateCurve(uint256 newBaseBorrowRate, uint256 newRateSlope1, uint256 newRateSlope2) external onlyOwner {
+        require(newBaseBorrowRate + newRateSlope1 + newRateSlope2 <= 100000, "Borrow rate too high"); // Maximum 1000% APR
+        
+        baseBorrowRate = newBaseBorrowRate;
+        rateSlope1 = newRateSlope1;
+        rateSlope2 = newRateSlope2;
+        _updateAPY();
+        
+        emit RateCurveUpdated(newBaseBorrowRate, newRateSlope1, newRateSlope2);
+    }
+    
+    /**
+     * @dev Set the limits of pool-funded loans
+     * @param newMaxLoanAmount Largest principal per loan (0 disables borrowing)
+     * @param newMaxLoanDuration Longest duration per loan, in seconds
+     */
+    function setLoanLimits(uint256 newMaxLoanAmount, uint256 newMaxLoanDuration) external onlyOwner {
+        maxLoanAmount = newMaxLoanAmount;
+        maxLoanDuration = newMaxLoanDuration;
+        
+        emit LoanLimitsUpdated(newMaxLoanAmount, newMaxLoanDuration);
+    }
+    
+    /**
+     * @dev Set the YapLendCore address
+     * @param yapLendCoreAddress New YapLendCore address
+     */
+    function setYapLendCore(address yapLendCoreAddress) external onlyOwner {
+        require(yapLendCoreAddress != address(0), "Invalid address");
+        yapLendCore = yapLendCoreAddress;
+        emit YapLendCoreUpdated(yapLendCoreAddress);
+    }
+    
+    /**
+     * @dev Move collateral seized from a defaulted pool loan, e.g. to sell it
+     * @param nftAddress NFT contract
+     * @param tokenId Token ID
+     * @param recipient Address to send the NFT to
+     */
+    function transferCollateral(address nftAddress, uint256 tokenId, address recipient) external onlyOwner {
+        require(recipient != address(0), "Invalid recipient");
+        IERC721(nftAddress).safeTransferFrom(address(this), recipient, tokenId);
+    }
+    
+    /**
+     * @dev Move ERC1155 or punk-style collateral seized from a defaulted pool loan
+     * @param assetType Collateral adapter of the collection
+     * @param nftAddress Token contract
+     * @param tokenId Token ID
+     * @param quantity Units to send (1 for punks)
+     * @param recipient Address to send the tokens to
+     */
+    function transferCollateralAsset(
+        CollateralAssetType assetType,
+        address nftAddress,
+        uint256 tokenId,
+        uint256 quantity,
+        address recipient
+    ) external onlyOwner {
+        require(recipient != address(0), "Invalid recipient");
+        CollateralAssets.transfer(assetType, nftAddress, tokenId, quantity, address(this), recipient);
+    }
+    
+    /**
+     * @dev Accept collateral of defaulted pool loans sent with safeTransferFrom
+     */
+    function onERC721Received(address, address, uint256, bytes calldata) external pure returns (bytes4) {
+        return IERC721Receiver.onERC721Received.selector;
+    }
+    
+    /**
+     * @dev Accept ERC1155 collateral of defaulted pool loans
+     */
+    function onERC1155Received(address, address, uint256, uint256, bytes calldata) external pure returns (bytes4) {
+        return this.onERC1155Received.selector;
+    }
+    
     /**
      * @dev Emergency withdrawal function
      * Only callable by the owner after the contract is paused
@@ -227,6 +755,13 @@ contract LiquidityPool is Initializable, PausableUpgradeable, ReentrancyGuardUpg
     
     /**
      * @dev Function to receive Ether
+     * Interest from YapLendCore comes after the principal, so queued redemptions are fulfilled here,
+     * at the share price that includes it
      */
-    receive() external payable {}
+    receive() external payable {
+        if (msg.sender == yapLendCore) {
+            _processQueue();
+            _updateUtilizationRatio();
+        }
+    }
 }
\ No newline at end of file
@@ -6,18 +6,28 @@ import "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
 import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
 import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
 import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
+// Mirrors YapLendCore.Loan; the public getter returns the same static fields, so it decodes into this struct
+struct LoanData {
+    address borrower;
+    address lender;
+    uint256 amount;
+    uint256 startTime;
+    uint256 duration;
+    uint256 interestRate;
+    bool active;
+    bool liquidated;
+    bool partiallyRepaid;
+    address currency;
+    uint256 accrualStart;
+    uint256 principalRepaid;
+    uint256 interestPaid;
+}
 
 interface IYapLendCore {
-    function loans(uint256 loanId) external view returns (
-        address borrower,
-        address lender,
-        uint256 amount,
-        uint256 startTime,
-        uint256 duration,
-        uint256 interestRate,
-        bool active,
-        bool liquidated
-    );
+    function loans(uint256 loanId) external view returns (LoanData memory);
     
     function protocolFeePercentage() external view returns (uint256);
     function feeCollector() external view returns (address);
@@ -28,6 +38,8 @@ interface IYapLendCore {
  * @dev Manages the funds for the YAP LEND protocol
  */
 contract LoanVault is Initializable, PausableUpgradeable, ReentrancyGuardUpgradeable, OwnableUpgradeable, UUPSUpgradeable {
+    using SafeERC20 for IERC20;
+
     // Interface to YapLendCore
     IYapLendCore private _yapLendCore;
     
@@ -36,6 +48,31 @@ contract LoanVault is Initializable, PausableUpgradeable, ReentrancyGuardUpgrade
     
     // Mapping from loan ID to amount of interest accrued
     mapping(uint256 => uint256) public loanInterests;
+
+    // What a ledger entry holds for its beneficiary
+    enum EntryKind {
+        Principal,      // Loan funds not yet drawn by the borrower, or principal repaid to a lender
+        Interest,       // Lender interest, net of the protocol fee
+        ProtocolFee,    // Fee the fee collector could not receive
+        ExcessRefund    // Overpayment the payer could not take back
+    }
+
+    // Unclaimed funds per loan, beneficiary and kind; entries of address(0) (loans without a lender) belong to the owner
+    mapping(uint256 => mapping(address => mapping(EntryKind => uint256))) public ledger;
+
+    // Unclaimed funds per beneficiary and currency (address(0) for the native token), across all loans
+    mapping(address => mapping(address => uint256)) public unclaimedBalance;
+
+    // Part of loanDeposits recorded in the ledger; the rest was deposited before the ledger existed
+    mapping(uint256 => uint256) public loanAssigned;
+
+    // One installment of an amortization schedule
+    struct Installment {
+        uint256 dueDate;
+        uint256 principal;
+        uint256 interest;
+        uint256 outstanding; // Principal left after this installment
+    }
     
     // Events
     event Deposited(uint256 indexed loanId, uint256 amount);
@@ -44,7 +81,10 @@ contract LoanVault is Initializable, PausableUpgradeable, ReentrancyGuardUpgrade
     event ProtocolFeeSent(uint256 indexed loanId, address indexed feeCollector, uint256 amount);
     event FailedToSendFee(uint256 indexed loanId, address indexed feeCollector, uint256 amount);
     event EmergencyWithdrawal(address indexed recipient, uint256 amount);
+    event EmergencyTokenWithdrawal(address indexed token, address indexed recipient, uint256 amount);
     event InterestCalculationFailed(uint256 indexed loanId, string reason);
+    event Credited(uint256 indexed loanId, address indexed beneficiary, EntryKind kind, uint256 amount);
+    event Claimed(uint256 indexed loanId, address indexed beneficiary, address indexed recipient, uint256 amount);
     
     /// @custom:oz-upgrades-unsafe-allow constructor
     constructor() {
@@ -70,83 +110,149 @@ contract LoanVault is Initializable, PausableUpgradeable, ReentrancyGuardUpgrade
     function _authorizeUpgrade(address newImplementation) internal override onlyOwner {}
     
     /**
-     * @dev Deposit funds for a loan
+     * @dev Deposit funds for a loan, credited to the borrower as principal to draw
      * @param loanId ID of the loan
      */
     function deposit(uint256 loanId) external payable nonReentrant whenNotPaused {
         require(msg.value > 0, "Amount must be greater than 0");
+        LoanData memory loan = _yapLendCore.loans(loanId);
+        require(loan.currency == address(0), "Loan is denominated in a token");
         
         // Update loan deposit amount
         loanDeposits[loanId] += msg.value;
+        _credit(loanId, loan.borrower, EntryKind.Principal, address(0), msg.value);
         
         emit Deposited(loanId, msg.value);
     }
     
     /**
-     * @dev Withdraw funds from a loan
+     * @dev Deposit ERC20 funds for a loan denominated in a token, credited to the borrower as principal to draw
+     * Pulls `amount` of the loan's currency from the caller, who must have approved this contract
+     * @param loanId ID of the loan
+     * @param amount Amount to deposit
+     */
+    function depositToken(uint256 loanId, uint256 amount) external nonReentrant whenNotPaused {
+        require(amount > 0, "Amount must be greater than 0");
+        LoanData memory loan = _yapLendCore.loans(loanId);
+        require(loan.currency != address(0), "Loan is denominated in the native token");
+
+        IERC20(loan.currency).safeTransferFrom(msg.sender, address(this), amount);
+        loanDeposits[loanId] += amount;
+        _credit(loanId, loan.borrower, EntryKind.Principal, loan.currency, amount);
+
+        emit Deposited(loanId, amount);
+    }
+
+    /**
+     * @dev Hold funds of a loan for a beneficiary, when YapLendCore could not pay them out directly
+     * Native funds come as msg.value; ERC20 funds are pulled from YapLendCore, which approves them first
+     * @param loanId ID of the loan
+     * @param beneficiary Address the funds belong to (address(0) when the loan has no lender)
+     * @param kind What the funds are
+     * @param amount Amount to hold
+     */
+    function credit(uint256 loanId, address beneficiary, EntryKind kind, uint256 amount) external payable nonReentrant {
+        require(msg.sender == address(_yapLendCore), "Only YapLendCore can call");
+        require(amount > 0, "Amount must be greater than 0");
+        address currency = _loanCurrency(loanId);
+        if (currency == address(0)) {
+            require(msg.value == amount, "Amount mismatch");
+        } else {
+            require(msg.value == 0, "Native funds sent for token loan");
+            IERC20(currency).safeTransferFrom(msg.sender, address(this), amount);
+        }
+
+        loanDeposits[loanId] += amount;
+        _credit(loanId, beneficiary, kind, currency, amount);
+
+        emit Deposited(loanId, amount);
+    }
+
+    /**
+     * @dev Withdraw part of the caller's principal on a loan (the borrower drawing the loan funds)
      * @param loanId ID of the loan
      * @param amount Amount to withdraw
      */
     function withdraw(uint256 loanId, uint256 amount) external nonReentrant {
-        // Get loan information
-       (address borrower, , , , , , bool active, bool liquidated) = _yapLendCore.loans(loanId);
-        
-        // Only borrower can withdraw if loan is active and not liquidated
-        if (active && !liquidated) {
-            require(msg.sender == borrower, "Only borrower can withdraw from active loans");
-        }
-        
-        // Protocol owner can withdraw from inactive loans (repaid or liquidated)
-        if (!active || liquidated) {
-            require(msg.sender == owner(), "Only owner can withdraw from inactive loans");
-        }
+        require(amount > 0 && ledger[loanId][msg.sender][EntryKind.Principal] >= amount, "Insufficient funds in loan vault");
         
-        // Check if amount is available
-        require(loanDeposits[loanId] >= amount, "Insufficient funds in loan vault");
-        
-        // Update loan deposit amount
-        loanDeposits[loanId] -= amount;
-        
-        // Transfer the funds
-        (bool success, ) = payable(msg.sender).call{value: amount}("");
-        require(success, "Transfer failed");
+        address currency = _loanCurrency(loanId);
+        _debit(loanId, msg.sender, EntryKind.Principal, currency, amount);
+        _transfer(currency, msg.sender, amount);
         
         emit Withdrawn(loanId, msg.sender, amount);
     }
+
+    /**
+     * @dev Claim everything the caller is owed on a loan: principal, interest, fees and refunds
+     * @param loanId ID of the loan
+     * @return amount Amount paid out
+     */
+    function claim(uint256 loanId) external nonReentrant returns (uint256 amount) {
+        amount = _claim(loanId, msg.sender);
+    }
+
+    /**
+     * @dev Pay a beneficiary everything they are owed on a loan; callable by anyone (keepers),
+     * the funds only ever go to the beneficiary, or to the owner for entries without one
+     * @param loanId ID of the loan
+     * @param beneficiary Beneficiary to pay
+     * @return amount Amount paid out
+     */
+    function claimFor(uint256 loanId, address beneficiary) external nonReentrant returns (uint256 amount) {
+        amount = _claim(loanId, beneficiary);
+    }
+
+    /**
+     * @dev Unclaimed funds of a beneficiary on a loan, all kinds together
+     * @param loanId ID of the loan
+     * @param beneficiary Beneficiary address
+     * @return total Amount claimable
+     */
+    function claimableBalance(uint256 loanId, address beneficiary) public view returns (uint256 total) {
+        mapping(EntryKind => uint256) storage entries = ledger[loanId][beneficiary];
+        total = entries[EntryKind.Principal] + entries[EntryKind.Interest] +
+            entries[EntryKind.ProtocolFee] + entries[EntryKind.ExcessRefund];
+    }
+
+    /**
+     * @dev Record deposits made before the ledger existed, which no beneficiary can claim yet
+     * @param loanId ID of the loan
+     * @param beneficiary Address the funds belong to
+     * @param kind What the funds are
+     * @param amount Amount to assign, at most the loan's unassigned deposits
+     */
+    function assignLegacyDeposit(uint256 loanId, address beneficiary, EntryKind kind, uint256 amount) external onlyOwner {
+        require(amount > 0 && amount <= loanDeposits[loanId] - loanAssigned[loanId], "Exceeds unassigned deposits");
+        _credit(loanId, beneficiary, kind, _loanCurrency(loanId), amount);
+    }
     
         /**
      * @dev Calculate interest for a loan using the formula:
      * Interest = Principal × (APR/10000) × (Seconds/SecondsInYear)
+     * Principal is the outstanding balance, and Seconds run from the last partial repayment or extension
      * 
      * @param loanId ID of the loan
      * @return Interest amount
      */
     function calculateInterest(uint256 loanId) external view returns (uint256) {
-        try _yapLendCore.loans(loanId) returns (
-            address,
-            address,
-            uint256 amount,
-            uint256 startTime,
-            uint256 duration,
-            uint256 interestRate,
-            bool active,
-            bool liquidated
-        ) {
-            if (!active || liquidated) {
+        try _yapLendCore.loans(loanId) returns (LoanData memory loan) {
+            if (!loan.active || loan.liquidated) {
                 return 0;
             }
             
-            // Calcula o tempo decorrido (limitado à duração do empréstimo)
-            uint256 timeElapsed = block.timestamp - startTime;
-            if (timeElapsed > duration) {
-                timeElapsed = duration;
-            }
+            // Calcula o tempo decorrido desde o último pagamento parcial (limitado à duração do empréstimo)
+            uint256 from = loan.accrualStart > loan.startTime ? loan.accrualStart : loan.startTime;
+            uint256 end = loan.startTime + loan.duration;
+            uint256 to = block.timestamp < end ? block.timestamp : end;
+            uint256 timeElapsed = to > from ? to - from : 0;
             
-            // Cálculo de juros padrão, mantendo a proporcionalidade ao tempo
-            uint256 regularInterest = (amount * interestRate * timeElapsed) / (10000 * 31536000);
+            // Cálculo de juros padrão sobre o saldo devedor, mantendo a proporcionalidade ao tempo
+            uint256 regularInterest = (loan.amount * loan.interestRate * timeElapsed) / (10000 * 31536000);
             
-            // Calcula 5% do APR como juros mínimos
-            uint256 minimumInterest = (amount * interestRate * 5) / 1000000;
+            // Calcula 5% do APR sobre o principal original como juros mínimos, descontando os já pagos
+            uint256 minimumInterest = ((loan.amount + loan.principalRepaid) * loan.interestRate * 5) / 1000000;
+            minimumInterest = minimumInterest > loan.interestPaid ? minimumInterest - loan.interestPaid : 0;
             
             // Retorna o maior valor entre os juros calculados e o mínimo
             return regularInterest > minimumInterest ? regularInterest : minimumInterest;
@@ -157,6 +263,56 @@ contract LoanVault is Initializable, PausableUpgradeable, ReentrancyGuardUpgrade
         }
     }
 
+    /**
+     * @dev Amortization schedule for the outstanding principal: equal principal installments at equal
+     * intervals until the due date, each paying the interest accrued on the balance since the previous one
+     * The first installment also settles the interest accrued so far and any minimum interest still owed,
+     * using the same rules as calculateInterest
+     * @param loanId ID of the loan
+     * @param installmentCount Number of installments
+     * @return schedule Installments in due date order
+     */
+    function getAmortizationSchedule(
+        uint256 loanId,
+        uint256 installmentCount
+    ) external view returns (Installment[] memory schedule) {
+        LoanData memory loan = _yapLendCore.loans(loanId);
+        require(loan.active && !loan.liquidated, "Loan not active");
+        require(installmentCount > 0 && installmentCount <= 365, "Invalid installment count");
+        
+        uint256 end = loan.startTime + loan.duration;
+        require(block.timestamp < end, "Loan expired, cannot be repaid");
+        
+        schedule = new Installment[](installmentCount);
+        uint256 period = (end - block.timestamp) / installmentCount;
+        uint256 outstanding = loan.amount;
+        uint256 previous = loan.accrualStart > loan.startTime ? loan.accrualStart : loan.startTime;
+        
+        for (uint256 i = 0; i < installmentCount; i++) {
+            uint256 dueDate = i == installmentCount - 1 ? end : block.timestamp + period * (i + 1);
+            uint256 principal = i == installmentCount - 1 ? outstanding : loan.amount / installmentCount;
+            uint256 interest = (outstanding * loan.interestRate * (dueDate - previous)) / (10000 * 31536000);
+            
+            if (i == 0) {
+                // Mesmo mínimo de calculateInterest: 5% do APR sobre o principal original, menos o já pago
+                uint256 minimumInterest = ((loan.amount + loan.principalRepaid) * loan.interestRate * 5) / 1000000;
+                minimumInterest = minimumInterest > loan.interestPaid ? minimumInterest - loan.interestPaid : 0;
+                if (minimumInterest > interest) {
+                    interest = minimumInterest;
+                }
+            }
+            
+            outstanding -= principal;
+            schedule[i] = Installment({
+                dueDate: dueDate,
+                principal: principal,
+                interest: interest,
+                outstanding: outstanding
+            });
+            previous = dueDate;
+        }
+    }
+
     /**
      * @dev Process interest payment and send protocol fee to multisig
      * @param loanId ID of the loan
@@ -194,22 +350,105 @@ contract LoanVault is Initializable, PausableUpgradeable, ReentrancyGuardUpgrade
     }
     
     /**
-     * @dev Manually send any unsent fees to the fee collector
-     * Useful if previous fee transfers failed
+     * @dev Emergency withdrawal of an ERC20 held for token-denominated loans
+     * Only callable by the owner after the contract is paused
+     * @param token ERC20 token address
+     * @param recipient Address to send the tokens to
+     * @param amount Amount to withdraw
+     */
+    function emergencyWithdrawToken(address token, address recipient, uint256 amount) external nonReentrant onlyOwner whenPaused {
+        require(recipient != address(0), "Invalid recipient");
+        require(amount > 0 && amount <= IERC20(token).balanceOf(address(this)), "Invalid amount");
+
+        IERC20(token).safeTransfer(recipient, amount);
+
+        emit EmergencyTokenWithdrawal(token, recipient, amount);
+    }
+
+    function _credit(uint256 loanId, address beneficiary, EntryKind kind, address currency, uint256 amount) private {
+        ledger[loanId][beneficiary][kind] += amount;
+        unclaimedBalance[beneficiary][currency] += amount;
+        loanAssigned[loanId] += amount;
+        emit Credited(loanId, beneficiary, kind, amount);
+    }
+
+    function _debit(uint256 loanId, address beneficiary, EntryKind kind, address currency, uint256 amount) private {
+        ledger[loanId][beneficiary][kind] -= amount;
+        unclaimedBalance[beneficiary][currency] -= amount;
+        loanAssigned[loanId] -= amount;
+        loanDeposits[loanId] -= amount;
+    }
+
+    function _claim(uint256 loanId, address beneficiary) private returns (uint256 amount) {
+        address currency = _loanCurrency(loanId);
+        for (uint256 kind = 0; kind <= uint256(EntryKind.ExcessRefund); kind++) {
+            uint256 entry = ledger[loanId][beneficiary][EntryKind(kind)];
+            if (entry > 0) {
+                _debit(loanId, beneficiary, EntryKind(kind), currency, entry);
+                amount += entry;
+            }
+        }
+        require(amount > 0, "Nothing to claim");
+
+        // Fundos sem beneficiário (loans sem lender) ficam com o owner
+        address recipient = beneficiary == address(0) ? owner() : beneficiary;
+        _transfer(currency, recipient, amount);
+
+        emit Claimed(loanId, beneficiary, recipient, amount);
+    }
+
+    function _transfer(address currency, address to, uint256 amount) private {
+        if (currency == address(0)) {
+            (bool success, ) = payable(to).call{value: amount}("");
+            require(success, "Transfer failed");
+        } else {
+            IERC20(currency).safeTransfer(to, amount);
+        }
+    }
+
+    /**
+     * @dev Currency a loan is denominated in, address(0) for the native token
+     */
+    function _loanCurrency(uint256 loanId) private view returns (address currency) {
+        currency = _yapLendCore.loans(loanId).currency;
+    }
+    
+    /**
+     * @dev Get the YapLendCore address
+     * @return Address of the YapLendCore contract
+     */
+    function yapLendCore() external view returns (address) {
+        return address(_yapLendCore);
+    }
+    
+    /**
+     * @dev Set the YapLendCore address
+     * @param yapLendCoreAddress New YapLendCore address
+     */
+    function setYapLendCore(address yapLendCoreAddress) external onlyOwner {
+        require(yapLendCoreAddress != address(0), "Invalid address");
+        _yapLendCore = IYapLendCore(yapLendCoreAddress);
+    }
+    
+    /**
+     * @dev Send a loan's unsent protocol fee to the current fee collector
+     * Useful if previous fee transfers failed, or the collector they were recorded for was replaced;
+     * only the ProtocolFee entry moves, principal and interest held for lenders stay in the ledger
+     * @param loanId ID of the loan
+     * @param recordedCollector Fee collector the fee was recorded for
      */
-    function recoverFailedFees() external nonReentrant onlyOwner {
+    function recoverFailedFees(uint256 loanId, address recordedCollector) external nonReentrant onlyOwner {
         address feeCollector = _yapLendCore.feeCollector();
         require(feeCollector != address(0), "No fee collector set");
         
-        // Get contract balance
-        uint256 balance = address(this).balance;
-        require(balance > 0, "No balance to recover");
+        uint256 fee = ledger[loanId][recordedCollector][EntryKind.ProtocolFee];
+        require(fee > 0, "No fees to recover");
         
-        // Send the entire balance to the fee collector
-        (bool success, ) = payable(feeCollector).call{value: balance}("");
-        require(success, "Fee recovery failed");
+        address currency = _loanCurrency(loanId);
+        _debit(loanId, recordedCollector, EntryKind.ProtocolFee, currency, fee);
+        _transfer(currency, feeCollector, fee);
         
-        emit ProtocolFeeSent(0, feeCollector, balance);
+        emit ProtocolFeeSent(loanId, feeCollector, fee);
     }
     
     /**
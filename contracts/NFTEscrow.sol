@@ -10,6 +10,43 @@ import "@openzeppelin/contracts-upgradeable/token/ERC721/utils/ERC721HolderUpgra
 import "@openzeppelin/contracts-upgradeable/utils/introspection/ERC165Upgradeable.sol";
 import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/token/ERC1155/IERC1155.sol";
+import "@openzeppelin/contracts/token/ERC1155/IERC1155Receiver.sol";
+import "./CollateralAssets.sol";
+
+/**
+ * @dev Subset of the delegate.xyz v2 registry used by the escrows
+ */
+interface IDelegateRegistry {
+    function delegateERC721(address to, address contract_, uint256 tokenId, bytes32 rights, bool enable) external payable returns (bytes32);
+    function checkDelegateForERC721(address to, address from, address contract_, uint256 tokenId, bytes32 rights) external view returns (bool);
+    function delegateERC1155(address to, address contract_, uint256 tokenId, bytes32 rights, uint256 amount) external payable returns (bytes32);
+    function checkDelegateForERC1155(address to, address from, address contract_, uint256 tokenId, bytes32 rights) external view returns (uint256);
+}
+
+// Declaração assinada (EIP-712) de que `signer` controla o token através do escrow
+struct OwnershipAttestation {
+    address signer;
+    address nftAddress;
+    uint256 tokenId;
+    address escrow;
+    uint256 issuedAt; // Unix timestamp; expira após NFTVerifier.signatureValidityPeriod
+}
+
+interface IOwnershipAttestationVerifier {
+    function verifyOwnershipAttestation(OwnershipAttestation calldata attestation, bytes calldata signature) external view returns (bool);
+}
+
+// Caminho até o NFTVerifier do protocolo: CollateralManager -> YapLendCore -> NFTVerifier
+interface IEscrowCollateralManager {
+    function yapLendCore() external view returns (address);
+    function allowedBenefitCalls(address target, bytes4 selector) external view returns (bool);
+}
+
+interface IEscrowYapLendCore {
+    function nftVerifier() external view returns (address);
+}
 
 /**
  * @title NFTEscrow
@@ -24,6 +61,8 @@ contract NFTEscrow is
     ERC721HolderUpgradeable,
     ERC165Upgradeable 
 {
+    using SafeERC20 for IERC20;
+    
     // NFT details
     address public nftAddress;
     uint256 public tokenId;
@@ -53,6 +92,14 @@ contract NFTEscrow is
     // Partner project delegation interfaces
     mapping(address => bytes4) public partnerInterfaces;
     
+    // Registry onde o borrower é registrado como delegate enquanto o NFT está no escrow
+    /// @custom:oz-upgrades-unsafe-allow state-variable-immutable
+    IDelegateRegistry public immutable delegateRegistry;
+    
+    // Adapter do colateral e unidades guardadas (sempre 1 para ERC721 e punks)
+    CollateralAssetType public assetType;
+    uint256 public quantity;
+    
     // Eventos
     event NFTDeposited(address nftAddress, uint256 tokenId, address borrower);
     event NFTReleased(address nftAddress, uint256 tokenId, address recipient);
@@ -62,9 +109,18 @@ contract NFTEscrow is
     event DelegateAdded(address delegate);
     event DelegateRemoved(address delegate);
     event ERC20Withdrawn(address tokenAddress, uint256 amount, address recipient);
+    event LenderUpdated(address lender);
+    event RegistryDelegationUpdated(address indexed delegate, bool enabled);
+    event AirdropRouted(address indexed token, uint256 tokenId, uint256 amount, address recipient);
+    event AirdropHeld(address indexed token, uint256 tokenId, uint256 amount);
     
-    /// @custom:oz-upgrades-unsafe-allow constructor
-    constructor() {
+    /**
+     * @dev The registry is fixed per implementation; clones read it from the implementation code
+     * @param _delegateRegistry Delegate registry (address without code disables registration)
+     * @custom:oz-upgrades-unsafe-allow constructor
+     */
+    constructor(address _delegateRegistry) {
+        delegateRegistry = IDelegateRegistry(_delegateRegistry);
         _disableInitializers();
     }
     
@@ -104,6 +160,18 @@ contract NFTEscrow is
         
         isDeposited = false;
         isReleased = false;
+        quantity = 1;
+    }
+    
+    /**
+     * @dev Set the collateral adapter and the units to hold, before the deposit
+     * Can only be called by the owner (CollateralManager); escrows default to a single ERC721
+     */
+    function setAsset(CollateralAssetType _assetType, uint256 _quantity) external onlyOwner {
+        require(!isDeposited, "NFT already deposited");
+        require(_assetType == CollateralAssetType.ERC1155 ? _quantity > 0 : _quantity == 1, "Invalid collateral quantity");
+        assetType = _assetType;
+        quantity = _quantity;
     }
     
     /**
@@ -114,21 +182,12 @@ contract NFTEscrow is
         require(!isDeposited, "NFT already deposited");
         require(!isReleased, "NFT already released");
         
-        // Verificar se este contrato possui o NFT
-        try IERC721(nftAddress).ownerOf(tokenId) returns (address currentOwner) {
-            if (currentOwner == address(this)) {
-                isDeposited = true;
-                emit NFTDeposited(nftAddress, tokenId, borrower);
-                return;
-            }
-        } catch {
-            revert("NFT does not exist");
-        }
+        // A transferência é feita pelo CollateralManager antes desta chamada; verificamos por segurança
+        require(_holdsCollateral(), "NFT not transferred to escrow");
         
-        // Se chegou aqui, significa que o NFT ainda não está no escrow
-        // Isso não deveria acontecer, pois a transferência deve ser feita pelo CollateralManager
-        // antes de chamar esta função, mas verificamos por segurança
-        revert("NFT not transferred to escrow");
+        isDeposited = true;
+        _setRegistryDelegation(true);
+        emit NFTDeposited(nftAddress, tokenId, borrower);
     }
     
     /**
@@ -141,24 +200,31 @@ contract NFTEscrow is
         require(recipient != address(0), "Invalid recipient address");
         
         // Verificar se este contrato ainda possui o NFT
-        address currentOwner;
-        try IERC721(nftAddress).ownerOf(tokenId) returns (address owner) {
-            currentOwner = owner;
-        } catch {
-            revert("NFT does not exist");
-        }
+        require(_holdsCollateral(), "Escrow does not own the NFT");
         
-        require(currentOwner == address(this), "Escrow does not own the NFT");
+        // Revogar a delegação antes do NFT sair (repagamento, liquidação ou liberação de emergência)
+        _setRegistryDelegation(false);
         
-        // Transferir o NFT para o destinatário
-        IERC721(nftAddress).safeTransferFrom(address(this), recipient, tokenId);
+        // Transferir o NFT (ou as unidades do ERC1155) para o destinatário
+        CollateralAssets.transfer(assetType, nftAddress, tokenId, quantity, address(this), recipient);
         
         isReleased = true;
         emit NFTReleased(nftAddress, tokenId, recipient);
     }
     
+    /**
+     * @dev Point the escrow at the loan's new lender after a refinance
+     * Can only be called by the owner (CollateralManager)
+     */
+    function setLender(address newLender) external onlyOwner {
+        require(!isReleased, "NFT already released");
+        lender = newLender;
+        emit LenderUpdated(newLender);
+    }
+    
     /**
      * @dev Claim benefits on behalf of the borrower (e.g., airdrops, staking rewards)
+     * Only target and selector pairs allow-listed on the CollateralManager can be called
      */
     function claimBenefits(address benefitAddress, bytes calldata data) 
         external 
@@ -172,6 +238,7 @@ contract NFTEscrow is
         
         // Verificar se o benefitAddress não é o próprio NFT para evitar exploits
         require(benefitAddress != nftAddress, "Cannot claim from NFT contract");
+        _requireAllowedBenefitCall(benefitAddress, data);
         
         (bool success, bytes memory result) = benefitAddress.call(data);
         
@@ -198,11 +265,7 @@ contract NFTEscrow is
             return false;
         }
         
-        try IERC721(nftAddress).ownerOf(tokenId) returns (address currentOwner) {
-            return currentOwner == address(this);
-        } catch {
-            return false;
-        }
+        return _holdsCollateral();
     }
     
     /**
@@ -244,10 +307,49 @@ contract NFTEscrow is
     }
     
     /**
-     * @dev Get the NFT address and token ID held in this escrow
+     * @dev Check if the borrower is registered as delegate for the escrowed NFT in the delegate registry
+     */
+    function isRegistryDelegated() external view returns (bool) {
+        if (address(delegateRegistry).code.length == 0) {
+            return false;
+        }
+        if (assetType == CollateralAssetType.ERC1155) {
+            return delegateRegistry.checkDelegateForERC1155(borrower, address(this), nftAddress, tokenId, bytes32(0)) >= quantity;
+        }
+        return delegateRegistry.checkDelegateForERC721(borrower, address(this), nftAddress, tokenId, bytes32(0));
+    }
+    
+    /**
+     * @dev Register or revoke the borrower in the delegate registry (ERC1155 delegations carry the quantity)
+     * A missing or failing registry never blocks a deposit or a release
+     */
+    function _setRegistryDelegation(bool enable) private {
+        if (address(delegateRegistry).code.length == 0) {
+            return;
+        }
+        if (assetType == CollateralAssetType.ERC1155) {
+            try delegateRegistry.delegateERC1155(borrower, nftAddress, tokenId, bytes32(0), enable ? quantity : 0) {
+                emit RegistryDelegationUpdated(borrower, enable);
+            } catch {}
+            return;
+        }
+        try delegateRegistry.delegateERC721(borrower, nftAddress, tokenId, bytes32(0), enable) {
+            emit RegistryDelegationUpdated(borrower, enable);
+        } catch {}
+    }
+    
+    /**
+     * @dev Check that this escrow holds every unit of the collateral
      */
-    function getEscrowedNFT() external view returns (address, uint256) {
-        return (nftAddress, tokenId);
+    function _holdsCollateral() private view returns (bool) {
+        return CollateralAssets.balanceOf(assetType, nftAddress, tokenId, address(this)) >= quantity;
+    }
+    
+    /**
+     * @dev Get the token held in this escrow, with its adapter and quantity
+     */
+    function getEscrowedNFT() external view returns (address, uint256, CollateralAssetType, uint256) {
+        return (nftAddress, tokenId, assetType, quantity);
     }
     
     /**
@@ -274,6 +376,140 @@ contract NFTEscrow is
         emit ERC20Withdrawn(tokenAddress, amount, borrower);
     }
     
+    /**
+     * @dev Send the escrow's whole balance of an airdropped ERC20 to the borrower
+     * ERC20 transfers give the escrow no callback, so anyone (e.g. a keeper) can trigger the routing
+     * @param tokenAddress Token to route
+     * @return amount Amount sent to the borrower
+     */
+    function sweepERC20(address tokenAddress) external nonReentrant returns (uint256 amount) {
+        require(tokenAddress != nftAddress, "Cannot withdraw collateral NFT");
+        amount = IERC20(tokenAddress).balanceOf(address(this));
+        require(amount > 0, "Nothing to route");
+        
+        IERC20(tokenAddress).safeTransfer(borrower, amount);
+        emit AirdropRouted(tokenAddress, 0, amount, borrower);
+    }
+    
+    /**
+     * @dev Airdropped ERC721 tokens are forwarded to the borrower as they arrive; the collateral stays locked
+     */
+    function onERC721Received(address, address, uint256 receivedTokenId, bytes memory) 
+        public 
+        override 
+        returns (bytes4) 
+    {
+        if (!_isCollateral(msg.sender, receivedTokenId)) {
+            _routeERC721(msg.sender, receivedTokenId);
+        }
+        return this.onERC721Received.selector;
+    }
+    
+    /**
+     * @dev Airdropped ERC1155 tokens are forwarded to the borrower as they arrive; ERC1155 collateral stays
+     */
+    function onERC1155Received(address, address, uint256 id, uint256 value, bytes calldata) 
+        external 
+        returns (bytes4) 
+    {
+        if (!_isCollateralDeposit(msg.sender, id)) {
+            _routeERC1155(msg.sender, id, value);
+        }
+        return this.onERC1155Received.selector;
+    }
+    
+    /**
+     * @dev Batch version of onERC1155Received
+     */
+    function onERC1155BatchReceived(
+        address,
+        address,
+        uint256[] calldata ids,
+        uint256[] calldata values,
+        bytes calldata
+    ) external returns (bytes4) {
+        for (uint256 i = 0; i < ids.length; i++) {
+            if (!_isCollateralDeposit(msg.sender, ids[i])) {
+                _routeERC1155(msg.sender, ids[i], values[i]);
+            }
+        }
+        return this.onERC1155BatchReceived.selector;
+    }
+    
+    /**
+     * @dev Retry routing an ERC721 airdrop the borrower could not receive when it arrived
+     * @param tokenAddress ERC721 contract
+     * @param airdropTokenId Token ID
+     */
+    function routeERC721(address tokenAddress, uint256 airdropTokenId) external nonReentrant {
+        require(!_isCollateral(tokenAddress, airdropTokenId), "Cannot withdraw collateral NFT");
+        require(IERC721(tokenAddress).ownerOf(airdropTokenId) == address(this), "Nothing to route");
+        IERC721(tokenAddress).safeTransferFrom(address(this), borrower, airdropTokenId);
+        emit AirdropRouted(tokenAddress, airdropTokenId, 1, borrower);
+    }
+    
+    /**
+     * @dev Retry routing an ERC1155 airdrop the borrower could not receive when it arrived
+     * @param tokenAddress ERC1155 contract
+     * @param id Token ID
+     */
+    function routeERC1155(address tokenAddress, uint256 id) external nonReentrant {
+        uint256 amount = IERC1155(tokenAddress).balanceOf(address(this), id);
+        if (assetType == CollateralAssetType.ERC1155 && _isCollateral(tokenAddress, id)) {
+            // Só as unidades além do colateral
+            amount = amount > quantity ? amount - quantity : 0;
+        }
+        require(amount > 0, "Nothing to route");
+        IERC1155(tokenAddress).safeTransferFrom(address(this), borrower, id, amount, "");
+        emit AirdropRouted(tokenAddress, id, amount, borrower);
+    }
+    
+    /**
+     * @dev The collateral NFT, while this escrow is responsible for it
+     */
+    function _isCollateral(address tokenAddress, uint256 id) private view returns (bool) {
+        return tokenAddress == nftAddress && id == tokenId && !isReleased;
+    }
+    
+    /**
+     * @dev The ERC1155 collateral arriving from the CollateralManager, before depositNFT
+     */
+    function _isCollateralDeposit(address tokenAddress, uint256 id) private view returns (bool) {
+        return !isDeposited && _isCollateral(tokenAddress, id);
+    }
+    
+    /**
+     * @dev Forward an ERC721 airdrop to the borrower; if the borrower cannot receive it, it stays here for routeERC721
+     */
+    function _routeERC721(address tokenAddress, uint256 airdropTokenId) private {
+        try IERC721(tokenAddress).safeTransferFrom(address(this), borrower, airdropTokenId) {
+            emit AirdropRouted(tokenAddress, airdropTokenId, 1, borrower);
+        } catch {
+            emit AirdropHeld(tokenAddress, airdropTokenId, 1);
+        }
+    }
+    
+    /**
+     * @dev Forward an ERC1155 airdrop to the borrower; if the borrower cannot receive it, it stays here for routeERC1155
+     */
+    function _routeERC1155(address tokenAddress, uint256 id, uint256 value) private {
+        try IERC1155(tokenAddress).safeTransferFrom(address(this), borrower, id, value, "") {
+            emit AirdropRouted(tokenAddress, id, value, borrower);
+        } catch {
+            emit AirdropHeld(tokenAddress, id, value);
+        }
+    }
+    
+    /**
+     * @dev Only allow-listed benefit calls, so the escrow cannot be made to approve or move what it holds
+     */
+    function _requireAllowedBenefitCall(address target, bytes calldata data) private view {
+        require(
+            data.length >= 4 && IEscrowCollateralManager(collateralManager).allowedBenefitCalls(target, bytes4(data[:4])),
+            "Benefit call not allowed"
+        );
+    }
+    
     /**
      * @dev Register a new interface for partner projects
      * Only owner can register interfaces
@@ -319,7 +555,10 @@ contract NFTEscrow is
         override 
         returns (bool) 
     {
-        return _supportedInterfaces[interfaceId] || super.supportsInterface(interfaceId);
+        return _supportedInterfaces[interfaceId]
+            || interfaceId == type(IERC721Receiver).interfaceId
+            || interfaceId == type(IERC1155Receiver).interfaceId
+            || super.supportsInterface(interfaceId);
     }
     
     /**
@@ -331,30 +570,28 @@ contract NFTEscrow is
     }
     
     /**
-     * @dev Support for partner-specific verification interfaces
-     * This function can be overridden by specific implementations
+     * @dev Verify a signed ownership attestation for the NFT in this escrow
+     * verificationData is abi.encode(signer, issuedAt, signature): an EIP-712 OwnershipAttestation for this
+     * escrow's token, signed by the borrower or a delegate (EIP-1271 for contract wallets). The signature,
+     * the signer's rights and the expiry are checked by the protocol's NFTVerifier.
+     * Empty data only accepts direct calls from the borrower or a delegate
      */
-    // Substitua a função verifyOwnership no contrato NFTEscrow com esta versão:
-
-/**
- * @dev Support for partner-specific verification interfaces
- * This function can be overridden by specific implementations
- */
     function verifyOwnership(bytes calldata verificationData) 
         external 
         view 
         returns (bool) 
     {
-        // Verificação básica: suporta mensagem assinada pelo borrower
-        if (verificationData.length >= 85) {  // 32 bytes message + 65 bytes signature
-            
-            // Em vez de tentar extrair partes específicas da calldata, simplesmente
-            // verificamos se o remetente da mensagem é um delegado autorizado
+        if (verificationData.length == 0) {
             return msg.sender == borrower || delegates[msg.sender];
         }
         
-        // Fallback: aceita chamadas diretas do borrower ou delegados
-        return msg.sender == borrower || delegates[msg.sender];
+        (address signer, uint256 issuedAt, bytes memory signature) = abi.decode(verificationData, (address, uint256, bytes));
+        address yapLendCore = IEscrowCollateralManager(collateralManager).yapLendCore();
+        IOwnershipAttestationVerifier verifier = IOwnershipAttestationVerifier(IEscrowYapLendCore(yapLendCore).nftVerifier());
+        return verifier.verifyOwnershipAttestation(
+            OwnershipAttestation(signer, nftAddress, tokenId, address(this), issuedAt),
+            signature
+        );
     }
     
     /**
@@ -372,6 +609,7 @@ contract NFTEscrow is
         require(isDeposited && !isReleased, "NFT not in escrow");
         require(target != address(0), "Invalid target address");
         require(target != nftAddress, "Cannot call NFT contract directly");
+        _requireAllowedBenefitCall(target, data);
         
         // Execute the call and return the result
         (bool success, bytes memory result) = target.call(data);
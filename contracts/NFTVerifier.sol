@@ -4,31 +4,43 @@ pragma solidity ^0.8.26;
 import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
 import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
 import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/cryptography/EIP712Upgradeable.sol";
 import "@openzeppelin/contracts/interfaces/IERC721.sol";
+import "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
 import "./NFTEscrow.sol";
 
 interface ICollateralManager {
     function validateCollateral(address nftAddress, uint256 tokenId) external view returns (bool);
     function getEscrowAddress(address nftAddress, uint256 tokenId, uint256 loanId) external view returns (address);
     function getLoanEscrowAddresses(uint256 loanId) external view returns (address[] memory);
+    function collectionAssetTypes(address nftAddress) external view returns (CollateralAssetType);
 }
 
 /**
  * @title NFTVerifier (Enhanced for Escrow)
- * @dev Verifies NFT ownership both directly and through escrow
+ * @dev Verifies NFT ownership both directly and through escrow.
+ * Borrowers and their delegates can prove control of an escrowed NFT with an EIP-712 OwnershipAttestation,
+ * valid for signatureValidityPeriod after it is issued. Signatures are checked with SignatureChecker,
+ * so contract wallets can sign through EIP-1271
  */
-contract NFTVerifier is Initializable, OwnableUpgradeable, UUPSUpgradeable {
-    // Signature validity period (in seconds)
+contract NFTVerifier is Initializable, OwnableUpgradeable, UUPSUpgradeable, EIP712Upgradeable {
+    bytes32 public constant OWNERSHIP_ATTESTATION_TYPEHASH = keccak256(
+        "OwnershipAttestation(address signer,address nftAddress,uint256 tokenId,address escrow,uint256 issuedAt)"
+    );
+    
+    // Validity period of ownership attestations (in seconds)
     uint256 public signatureValidityPeriod;
     
     // Reference to the collateral manager
     ICollateralManager public collateralManager;
     
-    // Mapping to track delegation records for partner projects
+    // Registro antigo de delegações, substituído pelo delegate registry; mantido pelo layout de storage
     mapping(address => mapping(address => bool)) private delegationRecords;
     
+    // Delegate registry where escrows register the borrower (delegate.xyz v2)
+    IDelegateRegistry public delegateRegistry;
+    
     // Events
-    event DelegationRecorded(address indexed nftAddress, address indexed delegatee, bool status);
     event VerificationRequested(address indexed owner, address indexed nftAddress, uint256 tokenId, bool result);
     
     /// @custom:oz-upgrades-unsafe-allow constructor
@@ -43,11 +55,20 @@ contract NFTVerifier is Initializable, OwnableUpgradeable, UUPSUpgradeable {
     function initialize(address _collateralManager) public initializer {
         __Ownable_init(msg.sender);
         __UUPSUpgradeable_init();
+        __EIP712_init("YapLend NFTVerifier", "1");
         
         collateralManager = ICollateralManager(_collateralManager);
         signatureValidityPeriod = 1 hours; // Default validity period
     }
     
+    /**
+     * @dev Set up the EIP-712 domain on verifiers deployed before ownership attestations
+     */
+    function initializeAttestations() external reinitializer(2) onlyOwner {
+        require(bytes(_EIP712Name()).length == 0, "Attestations already initialized");
+        __EIP712_init("YapLend NFTVerifier", "1");
+    }
+    
     /**
      * @dev Function that authorizes upgrades for UUPS pattern
      * @param newImplementation Address of the new implementation
@@ -64,14 +85,13 @@ contract NFTVerifier is Initializable, OwnableUpgradeable, UUPSUpgradeable {
     }
     
     /**
-     * @dev Record delegation for partner projects
-     * @param nftAddress NFT contract address
-     * @param delegatee Delegatee address
-     * @param status Delegation status
+     * @dev Set the delegate registry used to resolve delegations
+     * Must be the registry the NFTEscrow implementation was deployed with
+     * @param _delegateRegistry Address of the delegate registry
      */
-    function recordDelegation(address nftAddress, address delegatee, bool status) external {
-        delegationRecords[nftAddress][delegatee] = status;
-        emit DelegationRecorded(nftAddress, delegatee, status);
+    function setDelegateRegistry(address _delegateRegistry) external onlyOwner {
+        require(_delegateRegistry != address(0), "Invalid address");
+        delegateRegistry = IDelegateRegistry(_delegateRegistry);
     }
     
    /**
@@ -86,27 +106,8 @@ contract NFTVerifier is Initializable, OwnableUpgradeable, UUPSUpgradeable {
         address nftAddress,
         uint256 tokenId
     ) external view returns (bool) {
-        // First check direct ownership
-        bool directOwnership = _checkDirectOwnership(owner, nftAddress, tokenId);
-    
-        if (directOwnership) {
-        return true;
+        return _checkOwnership(owner, nftAddress, tokenId);
     }
-    
-    // If not direct owner, check escrow ownership
-    try IERC721(nftAddress).ownerOf(tokenId) returns (address currentOwner) {
-        // Check if current owner is an escrow contract
-        try NFTEscrow(currentOwner).isBeneficialOwner(owner) returns (bool isBeneficial) {
-            return isBeneficial;
-        } catch {
-            // Not an escrow contract or doesn't implement the interface
-            return false;
-        }
-    } catch {
-        // NFT doesn't exist or error in contract call
-        return false;
-    }
-}
 
     /**
      * @dev Verify NFT ownership, both directly and through escrow
@@ -120,26 +121,32 @@ contract NFTVerifier is Initializable, OwnableUpgradeable, UUPSUpgradeable {
         address nftAddress,
         uint256 tokenId
     ) external view returns (bool) {
+        return _checkOwnership(owner, nftAddress, tokenId);
+    }
+    
+    /**
+     * @dev Direct ownership, or beneficial ownership through the escrow holding the token
+     * ERC1155 ids have no single holder, so escrowed ERC1155 balances are only verified through their escrow
+     */
+    function _checkOwnership(address owner, address nftAddress, uint256 tokenId) internal view returns (bool) {
         // First check direct ownership
-        bool directOwnership = _checkDirectOwnership(owner, nftAddress, tokenId);
-        
-        if (directOwnership) {
+        if (_checkDirectOwnership(owner, nftAddress, tokenId)) {
             return true;
         }
         
         // If not direct owner, check escrow ownership
-        try IERC721(nftAddress).ownerOf(tokenId) returns (address currentOwner) {
-            // Check if current owner is an escrow contract
-            try NFTEscrow(currentOwner).isBeneficialOwner(owner) returns (bool isBeneficial) {
-                return isBeneficial;
-            } catch {
-                // Not an escrow contract or doesn't implement the interface
-                return false;
-            }
-        } catch {
+        address currentOwner = CollateralAssets.holderOf(_assetType(nftAddress), nftAddress, tokenId);
+        if (currentOwner == address(0)) {
             // NFT doesn't exist or error in contract call
             return false;
         }
+        // Check if current owner is an escrow contract
+        try NFTEscrow(currentOwner).isBeneficialOwner(owner) returns (bool isBeneficial) {
+            return isBeneficial;
+        } catch {
+            // Not an escrow contract or doesn't implement the interface
+            return false;
+        }
     }
 
     
@@ -164,11 +171,8 @@ contract NFTVerifier is Initializable, OwnableUpgradeable, UUPSUpgradeable {
             return false;
         }
         
-        // Check if the CollateralManager is approved to transfer the NFT
-        address approvedAddress = IERC721(nftAddress).getApproved(tokenId);
-        bool isApprovedForAll = IERC721(nftAddress).isApprovedForAll(owner, address(collateralManager));
-        
-        return (approvedAddress == address(collateralManager) || isApprovedForAll);
+        // Check if the CollateralManager is approved to transfer the NFT (punks: offered to it for free)
+        return CollateralAssets.isApproved(_assetType(nftAddress), nftAddress, tokenId, owner, address(collateralManager));
     }
     
     /**
@@ -206,17 +210,34 @@ contract NFTVerifier is Initializable, OwnableUpgradeable, UUPSUpgradeable {
     }
     
     /**
-     * @dev Check if a delegate has rights for an NFT
+     * @dev Deprecated: always returns false. Kept so integrators of the old recordDelegation-based check
+     * keep the selector; a collection-wide answer cannot be trusted without knowing the delegator.
+     * Use checkTokenDelegation
+     * @return False
+     */
+    function checkDelegation(
+        address,  // nftAddress (não utilizado)
+        address   // delegatee (não utilizado)
+    ) external pure returns (bool) {
+        return false;
+    }
+    
+    /**
+     * @dev Check if a delegate may act for the current holder of an NFT, as recorded in the delegate registry
+     * While the NFT is collateralized the holder is its escrow, which delegates to the borrower
+     * @param delegate Delegate address
      * @param nftAddress NFT contract address
-     * @param delegatee Delegatee address
+     * @param tokenId Token ID
      * @return True if delegation is verified
      */
-    function checkDelegation(address nftAddress, address delegatee) external view returns (bool) {
-        return delegationRecords[nftAddress][delegatee];
+    function checkTokenDelegation(address delegate, address nftAddress, uint256 tokenId) external view returns (bool) {
+        address holder = CollateralAssets.holderOf(_assetType(nftAddress), nftAddress, tokenId);
+        return holder != address(0) && _checkRegistryDelegation(delegate, holder, nftAddress, tokenId);
     }
     
     /**
      * @dev Verify delegation through escrow contract
+     * Accepts the escrow's own delegates and the delegations it registered in the delegate registry
      * @param escrowAddress Escrow contract address
      * @param delegate Delegate address
      * @return True if delegation is verified
@@ -225,11 +246,113 @@ contract NFTVerifier is Initializable, OwnableUpgradeable, UUPSUpgradeable {
         address escrowAddress,
         address delegate
     ) external view returns (bool) {
+        return _isEscrowDelegate(escrowAddress, delegate);
+    }
+    
+    /**
+     * @dev EIP-712 digest a borrower or delegate signs for an ownership attestation
+     * @param attestation Attestation to hash
+     * @return Typed data hash
+     */
+    function hashOwnershipAttestation(OwnershipAttestation calldata attestation) public view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(
+            OWNERSHIP_ATTESTATION_TYPEHASH,
+            attestation.signer,
+            attestation.nftAddress,
+            attestation.tokenId,
+            attestation.escrow,
+            attestation.issuedAt
+        )));
+    }
+    
+    /**
+     * @dev Verify a signed ownership attestation: the escrow is a protocol escrow holding the token,
+     * the signer is its borrower or a delegate, the attestation has not expired and the signature is valid
+     * @param attestation Signed attestation
+     * @param signature Signer's EIP-712 signature (or EIP-1271 data for contract wallets)
+     * @return True if the attestation is valid right now
+     */
+    function verifyOwnershipAttestation(
+        OwnershipAttestation calldata attestation,
+        bytes calldata signature
+    ) external view returns (bool) {
+        if (attestation.issuedAt > block.timestamp || block.timestamp > attestation.issuedAt + signatureValidityPeriod) {
+            return false;
+        }
+        if (!_isProtocolEscrow(attestation.escrow, attestation.nftAddress, attestation.tokenId)) {
+            return false;
+        }
+        if (attestation.signer != NFTEscrow(attestation.escrow).borrower() && !_isEscrowDelegate(attestation.escrow, attestation.signer)) {
+            return false;
+        }
+        return SignatureChecker.isValidSignatureNow(attestation.signer, hashOwnershipAttestation(attestation), signature);
+    }
+    
+    /**
+     * @dev Check that an escrow was created by the CollateralManager for the token and still holds it
+     */
+    function _isProtocolEscrow(address escrowAddress, address nftAddress, uint256 tokenId) internal view returns (bool) {
+        if (!_checkDirectOwnership(escrowAddress, nftAddress, tokenId)) {
+            return false;
+        }
+        try NFTEscrow(escrowAddress).loanId() returns (uint256 escrowLoanId) {
+            return collateralManager.getEscrowAddress(nftAddress, tokenId, escrowLoanId) == escrowAddress;
+        } catch {
+            return false;
+        }
+    }
+    
+    /**
+     * @dev Escrow delegates: the ones added on the escrow and the ones it registered in the delegate registry
+     */
+    function _isEscrowDelegate(address escrowAddress, address delegate) internal view returns (bool) {
         try NFTEscrow(escrowAddress).isDelegateFor(delegate) returns (bool isDelegated) {
-            return isDelegated;
+            if (isDelegated) {
+                return true;
+            }
         } catch {
             return false;
         }
+        
+        // Getters que os escrows de implementações antigas também têm
+        return _checkRegistryDelegation(delegate, escrowAddress, NFTEscrow(escrowAddress).nftAddress(), NFTEscrow(escrowAddress).tokenId());
+    }
+    
+    /**
+     * @dev Look up a token-level delegation (any rights) in the delegate registry; ERC1155 ones need a non-zero amount
+     */
+    function _checkRegistryDelegation(
+        address delegate,
+        address vault,
+        address nftAddress,
+        uint256 tokenId
+    ) internal view returns (bool) {
+        if (address(delegateRegistry).code.length == 0) {
+            return false;
+        }
+        if (_assetType(nftAddress) == CollateralAssetType.ERC1155) {
+            try delegateRegistry.checkDelegateForERC1155(delegate, vault, nftAddress, tokenId, bytes32(0)) returns (uint256 amount) {
+                return amount > 0;
+            } catch {
+                return false;
+            }
+        }
+        try delegateRegistry.checkDelegateForERC721(delegate, vault, nftAddress, tokenId, bytes32(0)) returns (bool delegated) {
+            return delegated;
+        } catch {
+            return false;
+        }
+    }
+    
+    /**
+     * @dev Adapter the CollateralManager uses for a collection
+     */
+    function _assetType(address nftAddress) internal view returns (CollateralAssetType) {
+        try collateralManager.collectionAssetTypes(nftAddress) returns (CollateralAssetType assetType) {
+            return assetType;
+        } catch {
+            return CollateralAssetType.ERC721;
+        }
     }
     
     /**
@@ -244,16 +367,12 @@ contract NFTVerifier is Initializable, OwnableUpgradeable, UUPSUpgradeable {
         address nftAddress,
         uint256 tokenId
     ) internal view returns (bool) {
-        try IERC721(nftAddress).ownerOf(tokenId) returns (address actualOwner) {
-            return (actualOwner == owner);
-        } catch {
-            // If ownerOf reverts (token doesn't exist or other issues)
-            return false;
-        }
+        // ERC1155: any balance; ERC721 and punks: the holder (false if the token doesn't exist)
+        return CollateralAssets.balanceOf(_assetType(nftAddress), nftAddress, tokenId, owner) > 0;
     }
     
     /**
-     * @dev Set the signature validity period
+     * @dev Set how long ownership attestations stay valid after they are issued
      * @param period New validity period in seconds
      */
     function setSignatureValidityPeriod(uint256 period) external onlyOwner {
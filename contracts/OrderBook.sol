@@ -0,0 +1,265 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.26;
+
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/cryptography/EIP712Upgradeable.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
+
+interface IYapLendCore {
+    function createLoanWithQuantities(
+        address borrower,
+        address lender,
+        address[] memory nftAddresses,
+        uint256[] memory tokenIds,
+        uint256[] memory quantities,
+        uint256 loanAmount,
+        uint256 duration,
+        uint256 proposedInterestRate,
+        address currency
+    ) external payable returns (uint256);
+}
+
+/**
+ * @title OrderBook
+ * @dev Matches EIP-712 signed borrower proposals and lender offers, so neither side needs a transaction
+ * (or locked funds) until the loan is opened. Both orders must carry the same terms; anyone can submit a
+ * matching pair. ERC20 loans pull the principal from the lender, who approves this contract; native loans
+ * must be submitted by the lender with the principal as value. Signatures are checked with
+ * SignatureChecker, so contract wallets can sign through EIP-1271
+ */
+contract OrderBook is Initializable, PausableUpgradeable, ReentrancyGuardUpgradeable, OwnableUpgradeable, UUPSUpgradeable, EIP712Upgradeable {
+    using SafeERC20 for IERC20;
+
+    // Signed order; `maker` is the borrower of a LoanProposal or the lender of a LoanOffer
+    struct Order {
+        address maker;
+        address[] nftAddresses;
+        uint256[] tokenIds;
+        uint256[] quantities; // Units of each token (ERC1155); empty for one unit of each
+        uint256 amount;
+        uint256 duration; // in seconds
+        uint256 interestRate; // APR in basis points
+        address currency; // address(0) for the native token
+        uint256 nonce;
+        uint256 expiry; // Unix timestamp
+    }
+
+    bytes32 public constant PROPOSAL_TYPEHASH = keccak256(
+        "LoanProposal(address borrower,address[] nftAddresses,uint256[] tokenIds,uint256[] quantities,uint256 amount,uint256 duration,uint256 interestRate,address currency,uint256 nonce,uint256 expiry)"
+    );
+    bytes32 public constant OFFER_TYPEHASH = keccak256(
+        "LoanOffer(address lender,address[] nftAddresses,uint256[] tokenIds,uint256[] quantities,uint256 amount,uint256 duration,uint256 interestRate,address currency,uint256 nonce,uint256 expiry)"
+    );
+
+    IYapLendCore private _yapLendCore;
+
+    // Orders with a nonce below this are cancelled, per maker
+    mapping(address => uint256) public minNonce;
+
+    // Nonces executed or cancelled one by one, per maker
+    mapping(address => mapping(uint256 => bool)) public nonceUsed;
+
+    event OrderExecuted(bytes32 indexed proposalHash, bytes32 indexed offerHash, uint256 indexed loanId, address borrower, address lender);
+    event OrdersCancelled(address indexed maker, uint256[] nonces);
+    event AllOrdersCancelled(address indexed maker, uint256 minNonce);
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    /**
+     * @dev Initializes the contract
+     * @param yapLendCoreAddress YapLendCore address
+     */
+    function initialize(address yapLendCoreAddress) public initializer {
+        __Pausable_init();
+        __ReentrancyGuard_init();
+        __Ownable_init(msg.sender);
+        __UUPSUpgradeable_init();
+        __EIP712_init("YapLend OrderBook", "1");
+
+        _yapLendCore = IYapLendCore(yapLendCoreAddress);
+    }
+
+    /**
+     * @dev Function that authorizes upgrades for UUPS pattern
+     * @param newImplementation Address of the new implementation
+     */
+    function _authorizeUpgrade(address newImplementation) internal override onlyOwner {}
+
+    /**
+     * @dev Open a loan from a borrower proposal and a lender offer with the same terms
+     * @param proposal Borrower's order
+     * @param proposalSignature Borrower's EIP-712 signature (or EIP-1271 data for contract wallets)
+     * @param offer Lender's order
+     * @param offerSignature Lender's EIP-712 signature (or EIP-1271 data for contract wallets)
+     * @return loanId ID of the loan created
+     */
+    function executeOrder(
+        Order calldata proposal,
+        bytes calldata proposalSignature,
+        Order calldata offer,
+        bytes calldata offerSignature
+    ) external payable nonReentrant whenNotPaused returns (uint256 loanId) {
+        require(proposal.maker != offer.maker, "Borrower cannot be the lender");
+        require(_sameTerms(proposal, offer), "Orders do not match");
+
+        bytes32 proposalHash = hashProposal(proposal);
+        bytes32 offerHash = hashOffer(offer);
+        _useOrder(proposal, proposalHash, proposalSignature);
+        _useOrder(offer, offerHash, offerSignature);
+
+        loanId = _openLoan(proposal, offer);
+
+        emit OrderExecuted(proposalHash, offerHash, loanId, proposal.maker, offer.maker);
+    }
+
+    /**
+     * @dev Cancel the caller's orders with the given nonces
+     * @param nonces Nonces to cancel
+     */
+    function cancelOrders(uint256[] calldata nonces) external {
+        for (uint256 i = 0; i < nonces.length; i++) {
+            nonceUsed[msg.sender][nonces[i]] = true;
+        }
+        emit OrdersCancelled(msg.sender, nonces);
+    }
+
+    /**
+     * @dev Cancel every order of the caller with a nonce below newMinNonce
+     * @param newMinNonce Lowest nonce still valid; must be above the current one
+     */
+    function cancelAllOrders(uint256 newMinNonce) external {
+        require(newMinNonce > minNonce[msg.sender], "Nonce too low");
+        minNonce[msg.sender] = newMinNonce;
+        emit AllOrdersCancelled(msg.sender, newMinNonce);
+    }
+
+    /**
+     * @dev Whether an order can still be executed: not expired, not cancelled and not used
+     * Signatures are not checked here
+     * @param maker Order maker
+     * @param nonce Order nonce
+     * @param expiry Order expiry
+     * @return True if the order is still open
+     */
+    function isOrderOpen(address maker, uint256 nonce, uint256 expiry) public view returns (bool) {
+        return block.timestamp <= expiry && nonce >= minNonce[maker] && !nonceUsed[maker][nonce];
+    }
+
+    /**
+     * @dev EIP-712 digest a borrower signs for a proposal
+     * @param proposal Borrower's order
+     * @return Typed data hash
+     */
+    function hashProposal(Order calldata proposal) public view returns (bytes32) {
+        return _hashTypedDataV4(_structHash(PROPOSAL_TYPEHASH, proposal));
+    }
+
+    /**
+     * @dev EIP-712 digest a lender signs for an offer
+     * @param offer Lender's order
+     * @return Typed data hash
+     */
+    function hashOffer(Order calldata offer) public view returns (bytes32) {
+        return _hashTypedDataV4(_structHash(OFFER_TYPEHASH, offer));
+    }
+
+    /**
+     * @dev Check an order and burn its nonce
+     */
+    function _useOrder(Order calldata order, bytes32 digest, bytes calldata signature) private {
+        require(isOrderOpen(order.maker, order.nonce, order.expiry), "Order expired or cancelled");
+        require(SignatureChecker.isValidSignatureNow(order.maker, digest, signature), "Invalid signature");
+        nonceUsed[order.maker][order.nonce] = true;
+    }
+
+    /**
+     * @dev Fund and open the loan on YapLendCore
+     */
+    function _openLoan(Order calldata proposal, Order calldata offer) private returns (uint256) {
+        if (offer.currency == address(0)) {
+            // Sem transferFrom para o token nativo: o lender envia o principal na própria chamada
+            require(msg.sender == offer.maker, "Lender must submit native orders");
+            require(msg.value == offer.amount, "Incorrect funds sent");
+        } else {
+            require(msg.value == 0, "Native funds sent for token order");
+            IERC20(offer.currency).safeTransferFrom(offer.maker, address(this), offer.amount);
+            IERC20(offer.currency).forceApprove(address(_yapLendCore), offer.amount);
+        }
+        return _yapLendCore.createLoanWithQuantities{value: msg.value}(
+            proposal.maker,
+            offer.maker,
+            proposal.nftAddresses,
+            proposal.tokenIds,
+            proposal.quantities,
+            offer.amount,
+            offer.duration,
+            offer.interestRate,
+            offer.currency
+        );
+    }
+
+    function _structHash(bytes32 typeHash, Order calldata order) private pure returns (bytes32) {
+        // Arrays are hashed as the concatenation of their 32-byte encoded elements (EIP-712)
+        return keccak256(abi.encode(
+            typeHash,
+            order.maker,
+            keccak256(abi.encodePacked(order.nftAddresses)),
+            keccak256(abi.encodePacked(order.tokenIds)),
+            keccak256(abi.encodePacked(order.quantities)),
+            order.amount,
+            order.duration,
+            order.interestRate,
+            order.currency,
+            order.nonce,
+            order.expiry
+        ));
+    }
+
+    function _sameTerms(Order calldata a, Order calldata b) private pure returns (bool) {
+        return a.amount == b.amount
+            && a.duration == b.duration
+            && a.interestRate == b.interestRate
+            && a.currency == b.currency
+            && keccak256(abi.encode(a.nftAddresses, a.tokenIds, a.quantities)) == keccak256(abi.encode(b.nftAddresses, b.tokenIds, b.quantities));
+    }
+
+    /**
+     * @dev Get the YapLendCore address
+     * @return Address of the YapLendCore contract
+     */
+    function yapLendCore() external view returns (address) {
+        return address(_yapLendCore);
+    }
+
+    /**
+     * @dev Set the YapLendCore address
+     * @param yapLendCoreAddress New YapLendCore address
+     */
+    function setYapLendCore(address yapLendCoreAddress) external onlyOwner {
+        require(yapLendCoreAddress != address(0), "Invalid address");
+        _yapLendCore = IYapLendCore(yapLendCoreAddress);
+    }
+
+    /**
+     * @dev Pause the contract
+     */
+    function pause() external onlyOwner {
+        _pause();
+    }
+
+    /**
+     * @dev Unpause the contract
+     */
+    function unpause() external onlyOwner {
+        _unpause();
+    }
+}
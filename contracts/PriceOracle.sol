@@ -4,6 +4,7 @@ pragma solidity ^0.8.26;
 import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
 import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
 import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
 
 interface IAggregatorV3 {
     function latestRoundData() external view returns (
@@ -18,6 +19,10 @@ interface IAggregatorV3 {
 /**
 * @title PriceOracle
 * @dev Provides price data for NFTs and tokens
+* Collection floors are aggregated from several reporters (the authorized updaters): each report is kept,
+* and the floor moves to the median of the fresh reports once enough reporters agree. A median too far from
+* the current floor trips the collection's circuit breaker instead, until the owner resets it. Lending reads
+* the lower of the floor and its time-weighted average, so a single spike cannot inflate a loan
 */
 contract PriceOracle is Initializable, OwnableUpgradeable, UUPSUpgradeable {
     // Struct to store NFT collection price information
@@ -41,11 +46,61 @@ contract PriceOracle is Initializable, OwnableUpgradeable, UUPSUpgradeable {
     // Authorized updaters
     mapping(address => bool) public authorizedUpdaters;
     
+    // Latest floor report of a reporter for a collection
+    struct PriceReport {
+        uint256 price;
+        uint256 timestamp;
+    }
+    
+    // Floor in effect from a timestamp on, for the TWAP
+    struct PriceObservation {
+        uint256 timestamp;
+        uint256 price;
+    }
+    
+    // Reports per collection and reporter
+    mapping(address => mapping(address => PriceReport)) public priceReports;
+    
+    // Reporters that have reported a collection; revoked or removed reporters give up their slot
+    mapping(address => address[]) private _collectionReporters;
+    
+    // Floor history per collection
+    mapping(address => PriceObservation[]) private _priceObservations;
+    
+    // Collections whose floor is frozen after a deviation, until the owner resets it
+    mapping(address => bool) public circuitBroken;
+    
+    // Timestamp of each specific NFT price
+    mapping(address => mapping(uint256 => uint256)) public specificNFTPriceUpdatedAt;
+    
+    // Fresh reports needed to move a floor (per collection overrides, 0 = use minReporters)
+    uint256 public minReporters;
+    mapping(address => uint256) public collectionMinReporters;
+    
+    // Reports older than this are left out of the median (in seconds)
+    uint256 public reportValidity;
+    
+    // Largest move of a floor or specific price in one update, in basis points (0 = no limit)
+    uint256 public maxDeviationBps;
+    
+    // Window of the floor TWAP (in seconds, 0 = spot floor only)
+    uint256 public twapWindow;
+    
+    // Bounds on the loops over reporters and observations
+    uint256 public constant MAX_REPORTERS = 32;
+    uint256 public constant MAX_TWAP_OBSERVATIONS = 48;
+    
     // Events
     event CollectionPriceUpdated(address indexed nftAddress, uint256 floorPrice);
+    event PriceReported(address indexed nftAddress, address indexed reporter, uint256 price);
+    event CircuitBreakerTripped(address indexed nftAddress, uint256 floorPrice, uint256 rejectedPrice);
+    event CircuitBreakerReset(address indexed nftAddress, uint256 floorPrice);
+    event AggregationParametersUpdated(uint256 minReporters, uint256 reportValidity, uint256 maxDeviationBps, uint256 twapWindow);
+    event CollectionMinReportersUpdated(address indexed nftAddress, uint256 minReporters);
     event SpecificNFTPriceUpdated(address indexed nftAddress, uint256 indexed tokenId, uint256 price);
     event TokenPriceFeedUpdated(address indexed tokenAddress, address indexed priceFeed);
     event UpdaterAuthorization(address indexed updater, bool authorized);
+    event ReporterRemoved(address indexed nftAddress, address indexed reporter);
     
     /// @custom:oz-upgrades-unsafe-allow constructor
     constructor() {
@@ -59,6 +114,22 @@ contract PriceOracle is Initializable, OwnableUpgradeable, UUPSUpgradeable {
         __Ownable_init(msg.sender);
         __UUPSUpgradeable_init();
         priceStaleThreshold = 24 hours;
+        _initAggregation();
+    }
+    
+    /**
+    * @dev Set the aggregation defaults on oracles deployed before reporter aggregation
+    */
+    function initializeAggregation() external reinitializer(2) onlyOwner {
+        require(minReporters == 0, "Aggregation already initialized");
+        _initAggregation();
+    }
+    
+    function _initAggregation() private {
+        minReporters = 1;
+        reportValidity = 1 hours;
+        maxDeviationBps = 5000; // 50%
+        twapWindow = 1 hours;
     }
     
     /**
@@ -69,6 +140,8 @@ contract PriceOracle is Initializable, OwnableUpgradeable, UUPSUpgradeable {
     
     /**
     * @dev Gets the price of a specific NFT
+    * A fresh specific price wins over the floor; a stale one falls through to the floor, which is read as
+    * the lower of spot and TWAP
     * @param nftAddress NFT contract address
     * @param tokenId Token ID
     * @return Price of the NFT in wei
@@ -76,10 +149,12 @@ contract PriceOracle is Initializable, OwnableUpgradeable, UUPSUpgradeable {
     function getNFTPrice(
         address nftAddress,
         uint256 tokenId
-    ) external view returns (uint256) {
-        // Check if there's a specific price for this NFT
+    ) public view returns (uint256) {
+        require(!circuitBroken[nftAddress], "Circuit breaker tripped");
+        
+        // Check if there's a fresh specific price for this NFT (prices set before aggregation have no timestamp)
         uint256 specificPrice = specificNFTPrices[nftAddress][tokenId];
-        if (specificPrice > 0) {
+        if (specificPrice > 0 && block.timestamp - specificNFTPriceUpdatedAt[nftAddress][tokenId] <= priceStaleThreshold) {
             return specificPrice;
         }
         
@@ -93,7 +168,85 @@ contract PriceOracle is Initializable, OwnableUpgradeable, UUPSUpgradeable {
             "Price data is stale"
         );
         
-        return collectionPrice.floorPrice;
+        if (twapWindow == 0) {
+            return collectionPrice.floorPrice;
+        }
+        uint256 twap = getTWAP(nftAddress);
+        return twap < collectionPrice.floorPrice ? twap : collectionPrice.floorPrice;
+    }
+    
+    /**
+    * @dev Time-weighted average floor over the last twapWindow seconds
+    * Only the history the oracle has is averaged: a floor set in this block weighs nothing until time passes,
+    * and collections priced before aggregation existed return their floor
+    * @param nftAddress NFT contract address
+    * @return Average floor in wei
+    */
+    function getTWAP(address nftAddress) public view returns (uint256) {
+        PriceObservation[] storage observations = _priceObservations[nftAddress];
+        uint256 count = observations.length;
+        if (count == 0) {
+            require(collectionPrices[nftAddress].floorPrice > 0, "No price data available");
+            return collectionPrices[nftAddress].floorPrice;
+        }
+        
+        uint256 start = block.timestamp > twapWindow ? block.timestamp - twapWindow : 0;
+        uint256 end = block.timestamp;
+        uint256 weighted = 0;
+        uint256 covered = 0;
+        
+        for (uint256 i = count; i > 0 && count - i < MAX_TWAP_OBSERVATIONS; i--) {
+            PriceObservation storage observation = observations[i - 1];
+            uint256 from = observation.timestamp > start ? observation.timestamp : start;
+            weighted += observation.price * (end - from);
+            covered += end - from;
+            end = from;
+            if (observation.timestamp <= start) {
+                break;
+            }
+        }
+        
+        return covered == 0 ? observations[count - 1].price : weighted / covered;
+    }
+    
+    /**
+    * @dev Number of fresh reports a collection's floor needs to move
+    * @param nftAddress NFT contract address
+    * @return Minimum reporter count
+    */
+    function requiredReporters(address nftAddress) public view returns (uint256) {
+        uint256 required = collectionMinReporters[nftAddress];
+        return required > 0 ? required : minReporters;
+    }
+    
+    /**
+    * @dev Reporters holding a slot of a collection (at most MAX_REPORTERS)
+    * @param nftAddress NFT contract address
+    * @return Reporter addresses
+    */
+    function getCollectionReporters(address nftAddress) external view returns (address[] memory) {
+        return _collectionReporters[nftAddress];
+    }
+    
+    /**
+    * @dev Number of floor observations recorded for a collection
+    * @param nftAddress NFT contract address
+    * @return Observation count
+    */
+    function priceObservationCount(address nftAddress) external view returns (uint256) {
+        return _priceObservations[nftAddress].length;
+    }
+    
+    /**
+    * @dev Floor observation by index, oldest first
+    * @param nftAddress NFT contract address
+    * @param index Observation index
+    * @return timestamp When the floor took effect
+    * @return price Floor in wei
+    */
+    function priceObservation(address nftAddress, uint256 index) external view returns (uint256 timestamp, uint256 price) {
+        PriceObservation storage observation = _priceObservations[nftAddress][index];
+        return (observation.timestamp, observation.price);
     }
     
     /**
@@ -103,7 +256,7 @@ contract PriceOracle is Initializable, OwnableUpgradeable, UUPSUpgradeable {
     */
     function getTokenPrice(
         address tokenAddress
-    ) external view returns (uint256) {
+    ) public view returns (uint256) {
         address priceFeed = tokenPriceFeeds[tokenAddress];
         require(priceFeed != address(0), "No price feed for token");
         
@@ -129,27 +282,50 @@ contract PriceOracle is Initializable, OwnableUpgradeable, UUPSUpgradeable {
     }
     
     /**
-    * @dev Updates the floor price for an NFT collection
+    * @dev Gets the price of an NFT in a loan currency
+    * NFT prices are kept in wei of the native token; they are converted with the USD feeds of the
+    * native token (registered under address(0)) and of the currency
     * @param nftAddress NFT contract address
-    * @param floorPrice New floor price in wei
+    * @param tokenId Token ID
+    * @param currency ERC20 token address, or address(0) for the native token
+    * @return Price of the NFT in the currency's smallest unit
+    */
+    function getNFTPriceInCurrency(
+        address nftAddress,
+        uint256 tokenId,
+        address currency
+    ) external view returns (uint256) {
+        uint256 priceInWei = getNFTPrice(nftAddress, tokenId);
+        if (currency == address(0)) {
+            return priceInWei;
+        }
+        
+        uint256 nativeUsdPrice = getTokenPrice(address(0));
+        uint256 currencyUsdPrice = getTokenPrice(currency);
+        uint8 decimals = IERC20Metadata(currency).decimals();
+        
+        // Both feeds share the same scale, so it cancels out
+        return (priceInWei * nativeUsdPrice * (10 ** decimals)) / (currencyUsdPrice * 1e18);
+    }
+    
+    /**
+    * @dev Reports the floor price of an NFT collection
+    * The report replaces the caller's previous one; the floor moves to the median of the fresh reports
+    * once requiredReporters have reported within reportValidity
+    * @param nftAddress NFT contract address
+    * @param floorPrice Reported floor price in wei
     */
     function updateCollectionPrice(
         address nftAddress,
         uint256 floorPrice
     ) external {
         require(authorizedUpdaters[msg.sender] || msg.sender == owner(), "Not authorized");
-        require(floorPrice > 0, "Price must be positive");
-        
-        collectionPrices[nftAddress] = CollectionPrice({
-            floorPrice: floorPrice,
-            lastUpdated: block.timestamp
-        });
-        
-        emit CollectionPriceUpdated(nftAddress, floorPrice);
+        _reportCollectionPrice(nftAddress, floorPrice);
     }
     
     /**
     * @dev Updates the price for a specific NFT
+    * A non-zero price may not move more than maxDeviationBps from a fresh previous one; 0 clears it
     * @param nftAddress NFT contract address
     * @param tokenId Token ID
     * @param price New price in wei
@@ -161,11 +337,28 @@ contract PriceOracle is Initializable, OwnableUpgradeable, UUPSUpgradeable {
     ) external {
         require(authorizedUpdaters[msg.sender] || msg.sender == owner(), "Not authorized");
         
+        uint256 previous = specificNFTPrices[nftAddress][tokenId];
+        bool fresh = block.timestamp - specificNFTPriceUpdatedAt[nftAddress][tokenId] <= priceStaleThreshold;
+        require(price == 0 || previous == 0 || !fresh || _withinDeviation(previous, price), "Price deviation too high");
+        
         specificNFTPrices[nftAddress][tokenId] = price;
+        specificNFTPriceUpdatedAt[nftAddress][tokenId] = block.timestamp;
         
         emit SpecificNFTPriceUpdated(nftAddress, tokenId, price);
     }
     
+    /**
+    * @dev Set the floor of a collection whose circuit breaker tripped and let reports move it again
+    * @param nftAddress NFT contract address
+    * @param floorPrice Floor price checked off-chain, in wei
+    */
+    function resetCircuitBreaker(address nftAddress, uint256 floorPrice) external onlyOwner {
+        require(floorPrice > 0, "Price must be positive");
+        circuitBroken[nftAddress] = false;
+        _setCollectionPrice(nftAddress, floorPrice);
+        emit CircuitBreakerReset(nftAddress, floorPrice);
+    }
+    
     /**
     * @dev Updates the price feed for a token
     * @param tokenAddress Token contract address
@@ -175,7 +368,7 @@ contract PriceOracle is Initializable, OwnableUpgradeable, UUPSUpgradeable {
         address tokenAddress,
         address priceFeed
     ) external onlyOwner {
-        require(tokenAddress != address(0), "Invalid token address");
+        // address(0) registers the feed of the native token
         require(priceFeed != address(0), "Invalid price feed address");
         
         tokenPriceFeeds[tokenAddress] = priceFeed;
@@ -192,6 +385,41 @@ contract PriceOracle is Initializable, OwnableUpgradeable, UUPSUpgradeable {
         priceStaleThreshold = newThreshold;
     }
     
+    /**
+    * @dev Sets the aggregation parameters
+    * @param newMinReporters Fresh reports needed to move a floor
+    * @param newReportValidity Age after which a report is left out of the median, in seconds
+    * @param newMaxDeviationBps Largest move in one update, in basis points (0 = no limit)
+    * @param newTwapWindow TWAP window in seconds (0 = spot floor only)
+    */
+    function setAggregationParameters(
+        uint256 newMinReporters,
+        uint256 newReportValidity,
+        uint256 newMaxDeviationBps,
+        uint256 newTwapWindow
+    ) external onlyOwner {
+        require(newMinReporters > 0 && newMinReporters <= MAX_REPORTERS, "Invalid reporter count");
+        require(newReportValidity > 0, "Validity must be positive");
+        
+        minReporters = newMinReporters;
+        reportValidity = newReportValidity;
+        maxDeviationBps = newMaxDeviationBps;
+        twapWindow = newTwapWindow;
+        
+        emit AggregationParametersUpdated(newMinReporters, newReportValidity, newMaxDeviationBps, newTwapWindow);
+    }
+    
+    /**
+    * @dev Sets the reporter count of a collection
+    * @param nftAddress NFT contract address
+    * @param newMinReporters Fresh reports needed to move its floor (0 = use minReporters)
+    */
+    function setCollectionMinReporters(address nftAddress, uint256 newMinReporters) external onlyOwner {
+        require(newMinReporters <= MAX_REPORTERS, "Invalid reporter count");
+        collectionMinReporters[nftAddress] = newMinReporters;
+        emit CollectionMinReportersUpdated(nftAddress, newMinReporters);
+    }
+    
     /**
     * @dev Authorizes or revokes an address to update prices
     * @param updater Updater address
@@ -206,7 +434,24 @@ contract PriceOracle is Initializable, OwnableUpgradeable, UUPSUpgradeable {
     }
     
     /**
-    * @dev Batch update collection prices
+    * @dev Drop a reporter and its report from a collection, freeing its slot
+    * Revoked reporters are also dropped when a new reporter needs their slot
+    * @param nftAddress NFT contract address
+    * @param reporter Reporter to remove
+    */
+    function removeReporter(address nftAddress, address reporter) external onlyOwner {
+        address[] storage reporters = _collectionReporters[nftAddress];
+        for (uint256 i = 0; i < reporters.length; i++) {
+            if (reporters[i] == reporter) {
+                _removeReporter(nftAddress, i);
+                return;
+            }
+        }
+        revert("Not a reporter");
+    }
+    
+    /**
+    * @dev Batch report collection prices, as updateCollectionPrice for each
     * @param nftAddresses Array of NFT contract addresses
     * @param floorPrices Array of floor prices
     */
@@ -218,14 +463,126 @@ contract PriceOracle is Initializable, OwnableUpgradeable, UUPSUpgradeable {
         require(nftAddresses.length == floorPrices.length, "Arrays length mismatch");
         
         for (uint256 i = 0; i < nftAddresses.length; i++) {
-            require(floorPrices[i] > 0, "Price must be positive");
-            
-            collectionPrices[nftAddresses[i]] = CollectionPrice({
-                floorPrice: floorPrices[i],
-                lastUpdated: block.timestamp
-            });
-            
-            emit CollectionPriceUpdated(nftAddresses[i], floorPrices[i]);
+            _reportCollectionPrice(nftAddresses[i], floorPrices[i]);
         }
     }
-}
\ No newline at end of file
+    
+    function _reportCollectionPrice(address nftAddress, uint256 floorPrice) private {
+        require(floorPrice > 0, "Price must be positive");
+        
+        PriceReport storage report = priceReports[nftAddress][msg.sender];
+        if (report.timestamp == 0) {
+            if (_collectionReporters[nftAddress].length == MAX_REPORTERS) {
+                _removeRevokedReporter(nftAddress);
+            }
+            _collectionReporters[nftAddress].push(msg.sender);
+        }
+        report.price = floorPrice;
+        report.timestamp = block.timestamp;
+        emit PriceReported(nftAddress, msg.sender, floorPrice);
+        
+        // Com o circuit breaker ativo os reports ficam registrados, mas o floor só volta a andar após o reset
+        if (circuitBroken[nftAddress]) {
+            return;
+        }
+        
+        (uint256 median, uint256 count) = _medianReport(nftAddress);
+        if (count < requiredReporters(nftAddress)) {
+            return;
+        }
+        
+        CollectionPrice memory current = collectionPrices[nftAddress];
+        bool fresh = current.floorPrice > 0 && block.timestamp - current.lastUpdated <= priceStaleThreshold;
+        if (fresh && !_withinDeviation(current.floorPrice, median)) {
+            circuitBroken[nftAddress] = true;
+            emit CircuitBreakerTripped(nftAddress, current.floorPrice, median);
+            return;
+        }
+        
+        _setCollectionPrice(nftAddress, median);
+    }
+    
+    /**
+    * @dev Median of the fresh reports of still-authorized reporters (mean of the middle two for even counts)
+    */
+    function _medianReport(address nftAddress) private view returns (uint256, uint256) {
+        address[] storage reporters = _collectionReporters[nftAddress];
+        uint256[] memory prices = new uint256[](reporters.length);
+        uint256 count = 0;
+        
+        for (uint256 i = 0; i < reporters.length; i++) {
+            address reporter = reporters[i];
+            if (!_isAuthorized(reporter)) {
+                continue;
+            }
+            PriceReport storage report = priceReports[nftAddress][reporter];
+            if (block.timestamp - report.timestamp > reportValidity) {
+                continue;
+            }
+            // Insertion sort: at most MAX_REPORTERS entries
+            uint256 j = count;
+            while (j > 0 && prices[j - 1] > report.price) {
+                prices[j] = prices[j - 1];
+                j--;
+            }
+            prices[j] = report.price;
+            count++;
+        }
+        
+        if (count == 0) {
+            return (0, 0);
+        }
+        uint256 middle = count / 2;
+        uint256 median = count % 2 == 1 ? prices[middle] : (prices[middle - 1] + prices[middle]) / 2;
+        return (median, count);
+    }
+    
+    /**
+    * @dev Free the slot of the first reporter of a full collection that is no longer authorized
+    */
+    function _removeRevokedReporter(address nftAddress) private {
+        address[] storage reporters = _collectionReporters[nftAddress];
+        for (uint256 i = 0; i < reporters.length; i++) {
+            if (!_isAuthorized(reporters[i])) {
+                _removeReporter(nftAddress, i);
+                return;
+            }
+        }
+        revert("Too many reporters");
+    }
+    
+    // Troca com o último e remove; a ordem dos reporters não importa para a mediana
+    function _removeReporter(address nftAddress, uint256 index) private {
+        address[] storage reporters = _collectionReporters[nftAddress];
+        address reporter = reporters[index];
+        reporters[index] = reporters[reporters.length - 1];
+        reporters.pop();
+        delete priceReports[nftAddress][reporter];
+        emit ReporterRemoved(nftAddress, reporter);
+    }
+    
+    function _isAuthorized(address reporter) private view returns (bool) {
+        return authorizedUpdaters[reporter] || reporter == owner();
+    }
+    
+    function _setCollectionPrice(address nftAddress, uint256 floorPrice) private {
+        collectionPrices[nftAddress] = CollectionPrice({
+            floorPrice: floorPrice,
+            lastUpdated: block.timestamp
+        });
+        _priceObservations[nftAddress].push(PriceObservation({
+            timestamp: block.timestamp,
+            price: floorPrice
+        }));
+        
+        emit CollectionPriceUpdated(nftAddress, floorPrice);
+    }
+    
+    function _withinDeviation(uint256 basePrice, uint256 price) private view returns (bool) {
+        if (maxDeviationBps == 0) {
+            return true;
+        }
+        uint256 difference = price > basePrice ? price - basePrice : basePrice - price;
+        return difference * 10000 <= basePrice * maxDeviationBps;
+    }
+}
@@ -6,20 +6,64 @@
     import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
     import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
     import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+    import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+    import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
+    // Mirrors YapLendCore.Loan; the public getter returns the same static fields, so it decodes into this struct
+    struct LoanData {
+        address borrower;
+        address lender;
+        uint256 amount;
+        uint256 startTime;
+        uint256 duration;
+        uint256 interestRate;
+        bool active;
+        bool liquidated;
+        bool partiallyRepaid;
+        address currency;
+        uint256 accrualStart;
+        uint256 principalRepaid;
+        uint256 interestPaid;
+    }
 
     // Interface para o YapLendCore
     interface IYapLendCore {
-        function createLoan(
+        function createLoanWithQuantities(
             address borrower,
             address lender,
             address[] memory nftAddresses,
             uint256[] memory tokenIds,
+            uint256[] memory quantities,
             uint256 loanAmount,
             uint256 duration,
-            uint256 proposedInterestRate
+            uint256 proposedInterestRate,
+            address currency
         ) external payable returns (uint256);
         
+        function refinanceLoan(
+            uint256 loanId,
+            address newLender,
+            uint256 amount,
+            uint256 duration,
+            uint256 interestRate
+        ) external payable;
+        
+        function loans(uint256 loanId) external view returns (LoanData memory);
+        function collateralManager() external view returns (address);
         function nftVerifier() external view returns (address);
+        function isCurrencyAllowed(address currency) external view returns (bool);
+    }
+
+    // Interface para o CollateralManager
+    interface ICollateralManager {
+        function allowedCollections(address nftAddress) external view returns (bool);
+        function checkLoanToValue(
+            address[] memory nftAddresses,
+            uint256[] memory tokenIds,
+            uint256[] memory quantities,
+            uint256 amount,
+            address currency
+        ) external view returns (uint256 collateralValue, uint256 ltv);
     }
 
     // Interface para o NFTVerifier
@@ -34,6 +78,8 @@
      * @dev Manages loan proposals between NFT owners and liquidity providers with escrow integration
      */
     contract ProposalManager is Initializable, PausableUpgradeable, ReentrancyGuardUpgradeable, OwnableUpgradeable, UUPSUpgradeable {
+        using SafeERC20 for IERC20;
+
         // Interface to YapLendCore
         IYapLendCore private _yapLendCore;
         
@@ -60,7 +106,34 @@
             uint256 expiresAt;
             bool isActive;
             bool isCounterOffer; // true if this is a counter offer from lender
+            address currency; // ERC20 the loan is denominated in, address(0) for the native token
         }   
+
+        // Offer from a new lender to take over an active loan on new terms
+        struct RefinanceOffer {
+            uint256 loanId;
+            address lender;
+            uint256 amount; // New principal; must cover the payoff when the borrower accepts
+            uint256 duration; // in seconds, counted from acceptance
+            uint256 interestRate; // in basis points
+            uint256 expiresAt;
+            address currency; // Loan currency, locked at creation
+            bool isActive;
+        }
+        
+        // Standing offer from a lender: up to maxLoans loans against any token of an allow-listed collection
+        struct CollectionOffer {
+            address lender;
+            address nftAddress;
+            uint256 amountPerLoan;
+            uint256 duration; // in seconds
+            uint256 interestRate; // in basis points
+            uint256 maxLoans;
+            uint256 loansTaken;
+            uint256 expiresAt;
+            address currency; // address(0) for the native token
+            bool isActive;
+        }
         
         // Mapping from proposal ID to Proposal struct
         mapping(uint256 => Proposal) public proposals;
@@ -70,6 +143,23 @@
         
         // Mapping of locked funds per lender address
         mapping(address => uint256) public lockedFunds;
+
+        // Locked ERC20 funds per lender and token, for proposals denominated in a token
+        mapping(address => mapping(address => uint256)) public lockedTokens;
+
+        // Refinance offers by ID (IDs start at 1)
+        mapping(uint256 => RefinanceOffer) public refinanceOffers;
+        uint256 private _refinanceOfferIdCounter;
+
+        // Collection offers by ID (IDs start at 1)
+        mapping(uint256 => CollectionOffer) public collectionOffers;
+        uint256 private _collectionOfferIdCounter;
+
+        // Unidades de cada token das propostas com colateral ERC1155 (vazio = uma unidade de cada)
+        mapping(uint256 => uint256[]) private _proposalQuantities;
+        
+        // Unidades do token que cada empréstimo de uma oferta de coleção ERC1155 leva (0 = uma)
+        mapping(uint256 => uint256) private _collectionOfferQuantities;
         
         // Events
         event ProposalCreated(uint256 indexed proposalId, address indexed borrower, address[] nftAddresses, uint256[] tokenIds, uint256 amount, uint256 duration, uint256 interestRate);
@@ -81,6 +171,12 @@
         event FundsReleased(address indexed lender, uint256 amount);
         event NFTVerificationFailed(address indexed borrower, address nftAddress, uint256 tokenId);
         event ProposalCancelled(uint256 indexed proposalId, address indexed borrower);
+        event RefinanceOfferCreated(uint256 indexed offerId, uint256 indexed loanId, address indexed lender, uint256 amount, uint256 duration, uint256 interestRate, uint256 expiresAt);
+        event RefinanceOfferAccepted(uint256 indexed offerId, uint256 indexed loanId, address indexed lender);
+        event RefinanceOfferCancelled(uint256 indexed offerId);
+        event CollectionOfferCreated(uint256 indexed offerId, address indexed lender, address indexed nftAddress, uint256 amountPerLoan, uint256 maxLoans, uint256 duration, uint256 interestRate, uint256 expiresAt);
+        event CollectionOfferTaken(uint256 indexed offerId, uint256 indexed loanId, address indexed borrower, uint256 tokenId, uint256 loansRemaining);
+        event CollectionOfferCancelled(uint256 indexed offerId, uint256 refunded);
         
         /// @custom:oz-upgrades-unsafe-allow constructor
         constructor() {
@@ -124,10 +220,64 @@
             uint256 duration,
             uint256 interestRate
         ) external nonReentrant whenNotPaused returns (uint256) {
+            return _createProposal(nftAddresses, tokenIds, requestedAmount, duration, interestRate, address(0));
+        }
+
+        /**
+         * @dev Create a loan proposal denominated in an allow-listed ERC20
+         * Lenders fund it (and counter offers on it) in that token, after approving this contract
+         * @param currency ERC20 token address, or address(0) for the native token
+         * @return proposalId ID of the created proposal
+         */
+        function createProposalWithCurrency(
+            address[] memory nftAddresses,
+            uint256[] memory tokenIds,
+            uint256 requestedAmount,
+            uint256 duration,
+            uint256 interestRate,
+            address currency
+        ) external nonReentrant whenNotPaused returns (uint256) {
+            return _createProposal(nftAddresses, tokenIds, requestedAmount, duration, interestRate, currency);
+        }
+
+        /**
+         * @dev Create a loan proposal with a quantity for each token, for ERC1155 collateral
+         * ERC721 and punk-style tokens must have a quantity of 1; balances are checked when the loan opens
+         * @param quantities Units of each token
+         * @param currency ERC20 token address, or address(0) for the native token
+         * @return proposalId ID of the created proposal
+         */
+        function createProposalWithQuantities(
+            address[] memory nftAddresses,
+            uint256[] memory tokenIds,
+            uint256[] memory quantities,
+            uint256 requestedAmount,
+            uint256 duration,
+            uint256 interestRate,
+            address currency
+        ) external nonReentrant whenNotPaused returns (uint256) {
+            require(quantities.length == nftAddresses.length, "Arrays length mismatch");
+            for (uint256 i = 0; i < quantities.length; i++) {
+                require(quantities[i] > 0, "Invalid collateral quantity");
+            }
+            uint256 proposalId = _createProposal(nftAddresses, tokenIds, requestedAmount, duration, interestRate, currency);
+            _proposalQuantities[proposalId] = quantities;
+            return proposalId;
+        }
+
+        function _createProposal(
+            address[] memory nftAddresses,
+            uint256[] memory tokenIds,
+            uint256 requestedAmount,
+            uint256 duration,
+            uint256 interestRate,
+            address currency
+        ) private returns (uint256) {
             require(nftAddresses.length > 0, "No collateral provided");
             require(nftAddresses.length == tokenIds.length, "Arrays length mismatch");
             require(requestedAmount > 0, "Amount must be greater than 0");
             require(duration > 0, "Duration must be greater than 0");
+            require(currency == address(0) || _yapLendCore.isCurrencyAllowed(currency), "Currency not allowed");
             
             // Verify NFT ownership using the updated NFTVerifier
             for (uint256 i = 0; i < nftAddresses.length; i++) {
@@ -151,7 +301,8 @@
                 createdAt: block.timestamp,
                 expiresAt: 0, // No expiration for initial proposal
                 isActive: true,
-                isCounterOffer: false
+                isCounterOffer: false,
+                currency: currency
             });
             
             emit ProposalCreated(proposalId, msg.sender, nftAddresses, tokenIds, requestedAmount, duration, interestRate);
@@ -176,15 +327,24 @@
             uint256 validityPeriod
         ) external payable nonReentrant whenNotPaused returns (uint256) {
             require(proposals[proposalId].isActive, "Proposal not active");
-            require(msg.value >= offerAmount, "Insufficient funds sent");
             require(validityPeriod > 0 && validityPeriod <= 30 days, "Invalid validity period");
             
             Proposal memory originalProposal = proposals[proposalId];
+            uint256[] memory quantities = _proposalQuantities[proposalId];
+            // Mesmo limite de LTV da abertura do empréstimo, checado antes de travar os fundos da contra-oferta
+            ICollateralManager(_yapLendCore.collateralManager()).checkLoanToValue(
+                originalProposal.nftAddresses,
+                originalProposal.tokenIds,
+                quantities,
+                offerAmount,
+                originalProposal.currency
+            );
             
             uint256 counterProposalId = _proposalIdCounter++;
+            _proposalQuantities[counterProposalId] = quantities;
             
-            // Lock the funds
-            lockedFunds[msg.sender] += offerAmount;
+            // Lock the funds, in the proposal's currency (refunding excess native funds)
+            _lockFunds(msg.sender, originalProposal.currency, offerAmount);
             
             // Create counter offer proposal
             proposals[counterProposalId] = Proposal({
@@ -198,16 +358,10 @@
                 createdAt: block.timestamp,
                 expiresAt: block.timestamp + validityPeriod,
                 isActive: true,
-                isCounterOffer: true
+                isCounterOffer: true,
+                currency: originalProposal.currency
             });
             
-            // Refund excess ETH if any
-            uint256 excess = msg.value - offerAmount;
-            if (excess > 0) {
-                (bool success, ) = payable(msg.sender).call{value: excess}("");
-                require(success, "Refund failed");
-            }
-            
             emit CounterOfferCreated(counterProposalId, msg.sender, offerAmount, duration, interestRate, block.timestamp + validityPeriod);
             emit FundsLocked(msg.sender, offerAmount);
             
@@ -244,41 +398,224 @@
         } else {
             // Na proposta original, o lender (não o borrower) deve aceitar e enviar os fundos
             require(msg.sender != prop.borrower, "Unauthorized acceptance");
-            require(msg.value >= prop.amount, "Insufficient funds sent");
             prop.lender = msg.sender; // Define o lender
-            lockedFunds[msg.sender] += prop.amount;
-            
-            // Se houver excesso, reembolsa imediatamente
-            uint256 excess = msg.value - prop.amount;
-            if (excess > 0) {
-                (bool refunded, ) = payable(msg.sender).call{value: excess}("");
-                require(refunded, "Refund failed");
-            }
+            // Bloqueia os fundos na moeda da proposta; excesso nativo é reembolsado imediatamente
+            _lockFunds(msg.sender, prop.currency, prop.amount);
             emit FundsLocked(msg.sender, prop.amount);
         }
         
         // Marca a proposta como inativa
         prop.isActive = false;
         
-        // Desbloqueia os fundos do lender
-        uint256 amount = prop.amount; // cache local para economizar gás
-        lockedFunds[prop.lender] -= amount;
-        
-        // Cria o empréstimo chamando o contrato central
-        uint256 loanId = _yapLendCore.createLoan{value: amount}(
+        // Cria o empréstimo com os fundos bloqueados do lender e as quantidades da proposta
+        uint256 loanId = _openLoan(
             prop.borrower,
             prop.lender,
             prop.nftAddresses,
             prop.tokenIds,
-            amount,
+            _proposalQuantities[proposalId],
+            prop.amount,
             prop.duration,
-            prop.interestRate
+            prop.interestRate,
+            prop.currency
         );
         
         emit ProposalAccepted(proposalId, prop.borrower, prop.lender, loanId);
-        emit FundsReleased(prop.lender, amount);
+        emit FundsReleased(prop.lender, prop.amount);
     }
 
+        /**
+         * @dev Post a standing offer: up to maxLoans loans of amountPerLoan against any token of a collection
+         * The funds for every loan are locked once, in the offer's currency
+         * @param nftAddress Collection allow-listed in the CollateralManager
+         * @param currency ERC20 token address, or address(0) for the native token
+         * @param amountPerLoan Principal of each loan
+         * @param maxLoans Number of loans the offer can fund
+         * @param duration Duration of each loan in seconds
+         * @param interestRate Interest rate (APR in basis points)
+         * @param validityPeriod How long the offer is valid for (in seconds)
+         * @return offerId ID of the collection offer
+         */
+        function createCollectionOffer(
+            address nftAddress,
+            address currency,
+            uint256 amountPerLoan,
+            uint256 maxLoans,
+            uint256 duration,
+            uint256 interestRate,
+            uint256 validityPeriod
+        ) external payable nonReentrant whenNotPaused returns (uint256) {
+            return _createCollectionOffer(nftAddress, currency, amountPerLoan, maxLoans, duration, interestRate, validityPeriod);
+        }
+        
+        /**
+         * @dev Post a collection offer whose loans each take quantityPerLoan units of the pledged token (ERC1155)
+         * Same rules as createCollectionOffer
+         * @param quantityPerLoan Units of the token pledged for each loan
+         * @return offerId ID of the collection offer
+         */
+        function createCollectionOfferWithQuantity(
+            address nftAddress,
+            address currency,
+            uint256 amountPerLoan,
+            uint256 maxLoans,
+            uint256 duration,
+            uint256 interestRate,
+            uint256 validityPeriod,
+            uint256 quantityPerLoan
+        ) external payable nonReentrant whenNotPaused returns (uint256) {
+            require(quantityPerLoan > 0, "Invalid collateral quantity");
+            uint256 offerId = _createCollectionOffer(nftAddress, currency, amountPerLoan, maxLoans, duration, interestRate, validityPeriod);
+            _collectionOfferQuantities[offerId] = quantityPerLoan;
+            return offerId;
+        }
+        
+        function _createCollectionOffer(
+            address nftAddress,
+            address currency,
+            uint256 amountPerLoan,
+            uint256 maxLoans,
+            uint256 duration,
+            uint256 interestRate,
+            uint256 validityPeriod
+        ) private returns (uint256) {
+            require(_isCollectionAllowed(nftAddress), "Collection not allowed");
+            require(currency == address(0) || _yapLendCore.isCurrencyAllowed(currency), "Currency not allowed");
+            require(amountPerLoan > 0, "Amount must be greater than 0");
+            require(maxLoans > 0, "Invalid number of loans");
+            require(duration > 0, "Duration must be greater than 0");
+            require(validityPeriod > 0 && validityPeriod <= 30 days, "Invalid validity period");
+            
+            uint256 total = amountPerLoan * maxLoans;
+            _lockFunds(msg.sender, currency, total);
+            
+            uint256 offerId = ++_collectionOfferIdCounter;
+            uint256 expiresAt = block.timestamp + validityPeriod;
+            collectionOffers[offerId] = CollectionOffer({
+                lender: msg.sender,
+                nftAddress: nftAddress,
+                amountPerLoan: amountPerLoan,
+                duration: duration,
+                interestRate: interestRate,
+                maxLoans: maxLoans,
+                loansTaken: 0,
+                expiresAt: expiresAt,
+                currency: currency,
+                isActive: true
+            });
+            
+            emit CollectionOfferCreated(offerId, msg.sender, nftAddress, amountPerLoan, maxLoans, duration, interestRate, expiresAt);
+            emit FundsLocked(msg.sender, total);
+            
+            return offerId;
+        }
+        
+        /**
+         * @dev Take one loan from a collection offer, pledging a token of the collection
+         * (collectionOfferQuantity units of it for ERC1155 collections)
+         * The token must be owned by the caller and approved for the CollateralManager
+         * @param offerId ID of the collection offer
+         * @param tokenId Token of the offer's collection to pledge
+         * @return loanId ID of the loan created
+         */
+        function takeCollectionOffer(uint256 offerId, uint256 tokenId) external nonReentrant whenNotPaused returns (uint256) {
+            CollectionOffer storage offer = collectionOffers[offerId];
+            require(offer.isActive, "Collection offer not active");
+            require(block.timestamp <= offer.expiresAt, "Collection offer expired");
+            require(msg.sender != offer.lender, "Unauthorized acceptance");
+            require(_isCollectionAllowed(offer.nftAddress), "Collection not allowed");
+            require(_nftVerifier.checkOwnership(msg.sender, offer.nftAddress, tokenId), "Not owner of NFT");
+            require(_nftVerifier.checkApproval(msg.sender, offer.nftAddress, tokenId), "NFT not approved for transfer");
+            
+            // Contabilidade do uso parcial: a oferta se encerra ao financiar o último empréstimo
+            offer.loansTaken++;
+            if (offer.loansTaken == offer.maxLoans) {
+                offer.isActive = false;
+            }
+            
+            address[] memory nftAddresses = new address[](1);
+            uint256[] memory tokenIds = new uint256[](1);
+            uint256[] memory quantities = new uint256[](1);
+            nftAddresses[0] = offer.nftAddress;
+            tokenIds[0] = tokenId;
+            quantities[0] = collectionOfferQuantity(offerId);
+            uint256 loanId = _openLoan(
+                msg.sender,
+                offer.lender,
+                nftAddresses,
+                tokenIds,
+                quantities,
+                offer.amountPerLoan,
+                offer.duration,
+                offer.interestRate,
+                offer.currency
+            );
+            
+            emit CollectionOfferTaken(offerId, loanId, msg.sender, tokenId, offer.maxLoans - offer.loansTaken);
+            emit FundsReleased(offer.lender, offer.amountPerLoan);
+            
+            return loanId;
+        }
+        
+        /**
+         * @dev Cancel a collection offer and return the funds of the loans not taken
+         * The lender can cancel at any time; anyone can clean up an expired offer
+         * @param offerId ID of the collection offer
+         */
+        function cancelCollectionOffer(uint256 offerId) external nonReentrant {
+            CollectionOffer storage offer = collectionOffers[offerId];
+            require(offer.isActive, "Collection offer not active");
+            require(msg.sender == offer.lender || block.timestamp > offer.expiresAt, "Only lender can cancel");
+            
+            offer.isActive = false;
+            uint256 refund = offer.amountPerLoan * (offer.maxLoans - offer.loansTaken);
+            _releaseFunds(offer.lender, offer.currency, refund);
+            
+            emit CollectionOfferCancelled(offerId, refund);
+            emit FundsReleased(offer.lender, refund);
+        }
+        
+        /**
+         * @dev Create the loan in YapLendCore with funds already locked for the lender
+         * An empty quantities array takes one unit of each token
+         */
+        function _openLoan(
+            address borrower,
+            address lender,
+            address[] memory nftAddresses,
+            uint256[] memory tokenIds,
+            uint256[] memory quantities,
+            uint256 amount,
+            uint256 duration,
+            uint256 interestRate,
+            address currency
+        ) private returns (uint256) {
+            uint256 value = 0;
+            if (currency == address(0)) {
+                lockedFunds[lender] -= amount;
+                value = amount;
+            } else {
+                // O YapLendCore puxa os tokens deste contrato
+                lockedTokens[lender][currency] -= amount;
+                IERC20(currency).forceApprove(address(_yapLendCore), amount);
+            }
+            return _yapLendCore.createLoanWithQuantities{value: value}(
+                borrower,
+                lender,
+                nftAddresses,
+                tokenIds,
+                quantities,
+                amount,
+                duration,
+                interestRate,
+                currency
+            );
+        }
+        
+        function _isCollectionAllowed(address nftAddress) private view returns (bool) {
+            return ICollateralManager(_yapLendCore.collateralManager()).allowedCollections(nftAddress);
+        }
+
 
             /**
          * @dev Cancel a proposal (only borrower can cancel)
@@ -301,11 +638,9 @@
             // Se for uma contra-oferta, desbloquear os fundos do credor
             if (proposal.isCounterOffer) {
                 uint256 amountToUnlock = proposal.amount;
-                lockedFunds[proposal.lender] -= amountToUnlock;
                 
                 // Devolver os fundos ao credor
-                (bool success, ) = payable(proposal.lender).call{value: amountToUnlock}("");
-                require(success, "Fund return failed");
+                _releaseFunds(proposal.lender, proposal.currency, amountToUnlock);
                 
                 emit FundsReleased(proposal.lender, amountToUnlock);
             }
@@ -328,13 +663,9 @@
             // Mark proposal as inactive
             proposal.isActive = false;
             
-            // Unlock the funds from the lender
+            // Unlock the funds from the lender and return them
             uint256 amountToUnlock = proposal.amount;
-            lockedFunds[proposal.lender] -= amountToUnlock;
-            
-            // Return the funds to the lender
-            (bool success, ) = payable(proposal.lender).call{value: amountToUnlock}("");
-            require(success, "Fund return failed");
+            _releaseFunds(proposal.lender, proposal.currency, amountToUnlock);
             
             emit ProposalRejected(proposalId);
             emit FundsReleased(proposal.lender, amountToUnlock);
@@ -354,18 +685,142 @@
             // Mark proposal as inactive
             proposal.isActive = false;
             
-            // Unlock the funds from the lender
+            // Unlock the funds from the lender and return them
             uint256 amountToUnlock = proposal.amount;
-            lockedFunds[proposal.lender] -= amountToUnlock;
-            
-            // Return the funds to the lender
-            (bool success, ) = payable(proposal.lender).call{value: amountToUnlock}("");
-            require(success, "Fund return failed");
+            _releaseFunds(proposal.lender, proposal.currency, amountToUnlock);
             
             emit ProposalExpired(proposalId);
             emit FundsReleased(proposal.lender, amountToUnlock);
         }
         
+        /**
+         * @dev Offer to refinance an active loan, locking the new principal in the loan's currency
+         * On acceptance the funds pay off the current lender and any surplus goes to the borrower
+         * @param loanId ID of the loan to refinance
+         * @param amount New principal
+         * @param duration New duration in seconds, counted from acceptance
+         * @param interestRate New interest rate (APR in basis points)
+         * @param validityPeriod How long the offer is valid for (in seconds)
+         * @return offerId ID of the refinance offer
+         */
+        function createRefinanceOffer(
+            uint256 loanId,
+            uint256 amount,
+            uint256 duration,
+            uint256 interestRate,
+            uint256 validityPeriod
+        ) external payable nonReentrant whenNotPaused returns (uint256) {
+            LoanData memory loan = _yapLendCore.loans(loanId);
+            require(loan.active && !loan.liquidated, "Loan not active");
+            require(msg.sender != loan.lender && msg.sender != loan.borrower, "Unauthorized refinance offer");
+            require(amount > 0, "Amount must be greater than 0");
+            require(duration > 0, "Duration must be greater than 0");
+            require(validityPeriod > 0 && validityPeriod <= 30 days, "Invalid validity period");
+            
+            _lockFunds(msg.sender, loan.currency, amount);
+            
+            uint256 offerId = ++_refinanceOfferIdCounter;
+            uint256 expiresAt = block.timestamp + validityPeriod;
+            refinanceOffers[offerId] = RefinanceOffer({
+                loanId: loanId,
+                lender: msg.sender,
+                amount: amount,
+                duration: duration,
+                interestRate: interestRate,
+                expiresAt: expiresAt,
+                currency: loan.currency,
+                isActive: true
+            });
+            
+            emit RefinanceOfferCreated(offerId, loanId, msg.sender, amount, duration, interestRate, expiresAt);
+            emit FundsLocked(msg.sender, amount);
+            
+            return offerId;
+        }
+        
+        /**
+         * @dev Accept a refinance offer (only the loan's borrower); YapLendCore moves the loan to the new lender
+         * @param offerId ID of the refinance offer
+         */
+        function acceptRefinanceOffer(uint256 offerId) external nonReentrant whenNotPaused {
+            RefinanceOffer storage offer = refinanceOffers[offerId];
+            require(offer.isActive, "Refinance offer not active");
+            require(block.timestamp <= offer.expiresAt, "Refinance offer expired");
+            require(msg.sender == _yapLendCore.loans(offer.loanId).borrower, "Unauthorized acceptance");
+            
+            offer.isActive = false;
+            uint256 amount = offer.amount;
+            
+            // Os fundos bloqueados vão para o YapLendCore, que quita o lender atual
+            if (offer.currency == address(0)) {
+                lockedFunds[offer.lender] -= amount;
+                _yapLendCore.refinanceLoan{value: amount}(offer.loanId, offer.lender, amount, offer.duration, offer.interestRate);
+            } else {
+                lockedTokens[offer.lender][offer.currency] -= amount;
+                IERC20(offer.currency).forceApprove(address(_yapLendCore), amount);
+                _yapLendCore.refinanceLoan(offer.loanId, offer.lender, amount, offer.duration, offer.interestRate);
+            }
+            
+            emit RefinanceOfferAccepted(offerId, offer.loanId, offer.lender);
+            emit FundsReleased(offer.lender, amount);
+        }
+        
+        /**
+         * @dev Cancel a refinance offer and return the locked funds
+         * The lender can cancel at any time; anyone can clean up an expired or stale offer
+         * @param offerId ID of the refinance offer
+         */
+        function cancelRefinanceOffer(uint256 offerId) external nonReentrant {
+            RefinanceOffer storage offer = refinanceOffers[offerId];
+            require(offer.isActive, "Refinance offer not active");
+            if (msg.sender != offer.lender && block.timestamp <= offer.expiresAt) {
+                // Antes de expirar, terceiros só podem limpar ofertas de empréstimos já encerrados
+                require(!_yapLendCore.loans(offer.loanId).active, "Only lender can cancel");
+            }
+            
+            offer.isActive = false;
+            _releaseFunds(offer.lender, offer.currency, offer.amount);
+            
+            emit RefinanceOfferCancelled(offerId);
+            emit FundsReleased(offer.lender, offer.amount);
+        }
+        
+        /**
+         * @dev Lock a lender's funds in the proposal's currency
+         * Native funds come with the call (any excess is refunded); ERC20 funds are pulled from the lender
+         */
+        function _lockFunds(address lender, address currency, uint256 amount) private {
+            if (currency == address(0)) {
+                require(msg.value >= amount, "Insufficient funds sent");
+                lockedFunds[lender] += amount;
+                
+                // Refund excess native funds if any
+                uint256 excess = msg.value - amount;
+                if (excess > 0) {
+                    (bool refunded, ) = payable(lender).call{value: excess}("");
+                    require(refunded, "Refund failed");
+                }
+            } else {
+                require(msg.value == 0, "Native funds sent for token proposal");
+                IERC20(currency).safeTransferFrom(lender, address(this), amount);
+                lockedTokens[lender][currency] += amount;
+            }
+        }
+
+        /**
+         * @dev Unlock a lender's funds and send them back
+         */
+        function _releaseFunds(address lender, address currency, uint256 amount) private {
+            if (currency == address(0)) {
+                lockedFunds[lender] -= amount;
+                (bool success, ) = payable(lender).call{value: amount}("");
+                require(success, "Fund return failed");
+            } else {
+                lockedTokens[lender][currency] -= amount;
+                IERC20(currency).safeTransfer(lender, amount);
+            }
+        }
+        
         /**
          * @dev Check if a counter offer has expired
          * @param proposalId ID of the counter offer
@@ -435,6 +890,25 @@
             return (proposal.nftAddresses, proposal.tokenIds);
         }
         
+        /**
+         * @dev Get the quantity of each collateral token of a proposal
+         * @param proposalId ID of the proposal
+         * @return quantities Units of each token, empty when the proposal takes one unit of each
+         */
+        function getProposalQuantities(uint256 proposalId) external view returns (uint256[] memory) {
+            return _proposalQuantities[proposalId];
+        }
+        
+        /**
+         * @dev Get the units of the pledged token each loan of a collection offer takes
+         * @param offerId ID of the collection offer
+         * @return Units per loan (1 unless posted with createCollectionOfferWithQuantity)
+         */
+        function collectionOfferQuantity(uint256 offerId) public view returns (uint256) {
+            uint256 quantity = _collectionOfferQuantities[offerId];
+            return quantity == 0 ? 1 : quantity;
+        }
+        
         /**
          * @dev Check how much funds a lender has locked
          * @param lender Address of the lender
@@ -451,6 +925,22 @@
             _nftVerifier = INFTVerifier(_yapLendCore.nftVerifier());
         }
         
+        /**
+         * @dev Get the YapLendCore address
+         * @return Address of the YapLendCore contract
+         */
+        function yapLendCore() external view returns (address) {
+            return address(_yapLendCore);
+        }
+        
+        /**
+         * @dev Get the NFTVerifier address currently in use
+         * @return Address of the NFTVerifier contract
+         */
+        function nftVerifier() external view returns (address) {
+            return address(_nftVerifier);
+        }
+        
         /**
          * @dev Pause the contract
          */
@@ -6,14 +6,18 @@ import "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
 import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
 import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
 import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 
 interface ICollateralManager {
-    function addCollateral(uint256 loanId, address nftAddress, uint256 tokenId, address borrower, address lender) external;
+    function addCollateral(uint256 loanId, address nftAddress, uint256 tokenId, uint256 quantity, address borrower, address lender) external;
     function removeCollateral(uint256 loanId, address nftAddress, uint256 tokenId, address recipient) external;
     function validateCollateral(address nftAddress, uint256 tokenId) external view returns (bool);
-    function checkNFTValue(address, uint256) external pure returns (uint256);
+    function checkNFTValue(address nftAddress, uint256 tokenId) external view returns (uint256);
     function getEscrowAddress(address nftAddress, uint256 tokenId, uint256 loanId) external view returns (address);
     function getLoanEscrowAddresses(uint256 loanId) external view returns (address[] memory);
+    function updateLender(uint256 loanId, address newLender) external;
+    function recordLoanToValue(uint256 loanId, uint256 amount, address currency) external;
 }
 
 interface INFTVerifier {
@@ -23,17 +27,29 @@ interface INFTVerifier {
 }
 
 interface ILoanVault {
+    // Mirrors LoanVault.EntryKind
+    enum EntryKind { Principal, Interest, ProtocolFee, ExcessRefund }
+
     function deposit(uint256 loanId) external payable;
+    function depositToken(uint256 loanId, uint256 amount) external;
+    function credit(uint256 loanId, address beneficiary, EntryKind kind, uint256 amount) external payable;
     function withdraw(uint256 loanId, uint256 amount) external;
     function calculateInterest(uint256 loanId) external view returns (uint256);
     function processInterestPayment(uint256 loanId, uint256 interestAmount) external; 
     function loanDeposits(uint256 loanId) external view returns (uint256);
+    function claimableBalance(uint256 loanId, address beneficiary) external view returns (uint256);
 }
 
 interface ILiquidityPool {
     function provideLiquidity() external payable;
     function withdrawLiquidity(uint256 amount) external;
     function calculateAPY() external view returns (uint256);
+    function repay(uint256 loanId) external payable;
+    function writeOff(uint256 loanId) external;
+}
+
+interface ILiquidationAuction {
+    function startAuction(uint256 loanId, uint256 debt) external;
 }
 
 /**
@@ -41,6 +57,8 @@ interface ILiquidityPool {
  * @dev Main contract for the YAP LEND protocol, manages loan lifecycle with escrow integration
  */
 contract YapLendCore is Initializable, PausableUpgradeable, ReentrancyGuardUpgradeable, OwnableUpgradeable, UUPSUpgradeable {
+    using SafeERC20 for IERC20;
+
     // Struct to store loan information
     struct Loan {
         address borrower;
@@ -51,12 +69,26 @@ contract YapLendCore is Initializable, PausableUpgradeable, ReentrancyGuardUpgra
         uint256 interestRate; // APR in basis points (e.g., 4000 = 40%)
         bool active;
         bool liquidated;
-        bool partiallyRepaid;
+        bool partiallyRepaid; // Paid off but some collateral could not be released (not a principal paydown)
+        address currency; // ERC20 the loan is denominated in, address(0) for the native token
+        uint256 accrualStart; // Interest accrues on `amount` (outstanding principal) from here; 0 means startTime
+        uint256 principalRepaid; // Principal paid down through partial repayments
+        uint256 interestPaid; // Interest settled by partial repayments and extensions
     }
-    
+
+    // Extension terms offered by the lender, accepted by the borrower
+    struct ExtensionOffer {
+        uint256 additionalDuration;
+        uint256 interestRate; // APR in basis points applied from the extension on
+        uint256 fee; // Paid by the borrower on acceptance, split with the protocol like interest
+        uint256 expiresAt;
+    }
+
     // Struct to store collateral information
+    // quantity ocupa o resto do slot do endereço; colaterais antigos leem 0, que vale 1 unidade
     struct Collateral {
         address nftAddress;
+        uint96 quantity;
         uint256 tokenId;
     }
     
@@ -87,12 +119,36 @@ contract YapLendCore is Initializable, PausableUpgradeable, ReentrancyGuardUpgra
     INFTVerifier public nftVerifier;
     ILoanVault private _loanVault;
     ILiquidityPool private _liquidityPool;
+
+    // ERC20 tokens loans can be denominated in (the native token is always allowed)
+    mapping(address => bool) public allowedCurrencies;
+
+    // Pending extension offer per loan
+    mapping(uint256 => ExtensionOffer) public extensionOffers;
+
+    // Seconds after the due date during which the borrower can still repay, paying the late penalty
+    uint256 public gracePeriod;
+
+    // Penalty APR (basis points) charged on the outstanding principal for the time past the due date
+    uint256 public latePenaltyRate;
+
+    // Auctions the collateral of defaulted loans; unset, liquidation hands the collateral to the lender
+    address public liquidationAuction;
+
+    // Matches EIP-712 signed orders; may create loans like the proposal manager
+    address public orderBook;
     
     // Events
     event LoanCreated(uint256 indexed loanId, address indexed borrower, address indexed lender, uint256 amount, uint256 duration, uint256 interestRate);
     event LoanRepaid(uint256 indexed loanId, address indexed borrower, uint256 amount);
     event LoanLiquidated(uint256 indexed loanId, address indexed borrower, uint256 amount);
+    // Emitted when a loan is paid off but collateral release failed; paydowns emit PrincipalRepaid
     event PartialRepayment(uint256 indexed loanId, address indexed borrower, uint256 amount);
+    event PrincipalRepaid(uint256 indexed loanId, address indexed borrower, uint256 principal, uint256 interest, uint256 outstanding);
+    event ExtensionOffered(uint256 indexed loanId, address indexed lender, uint256 additionalDuration, uint256 interestRate, uint256 fee, uint256 expiresAt);
+    event ExtensionOfferCancelled(uint256 indexed loanId);
+    event LoanExtended(uint256 indexed loanId, uint256 newDuration, uint256 interestRate, uint256 fee, uint256 interest);
+    event LoanRefinanced(uint256 indexed loanId, address indexed oldLender, address indexed newLender, uint256 amount, uint256 duration, uint256 interestRate, uint256 payoff);
     event CollateralAdded(uint256 indexed loanId, address indexed nftAddress, uint256 tokenId);
     event ProtocolParameterUpdated(string parameter, uint256 value);
     event FeeCollectorUpdated(address newFeeCollector);
@@ -102,6 +158,9 @@ contract YapLendCore is Initializable, PausableUpgradeable, ReentrancyGuardUpgra
     event CollateralReleaseFailure(uint256 indexed loanId, address indexed nftAddress, uint256 tokenId, address recipient);
     event ExcessReturnFailure(uint256 indexed loanId, address indexed recipient, uint256 amount);
     event AutoWithdrawalTriggered(uint256 indexed loanId, address indexed user, uint256 amount, uint256 timestamp);
+    event CurrencyAllowanceUpdated(address indexed currency, bool allowed);
+    event LiquidationAuctionUpdated(address newLiquidationAuction);
+    event OrderBookUpdated(address newOrderBook);
     
     // Modifiers
     modifier onlyProposalManager() {
@@ -206,18 +265,16 @@ contract YapLendCore is Initializable, PausableUpgradeable, ReentrancyGuardUpgra
             interestRate: proposedInterestRate,
             active: true,
             liquidated: false,
-            partiallyRepaid: false
+            partiallyRepaid: false,
+            currency: address(0),
+            accrualStart: 0,
+            principalRepaid: 0,
+            interestPaid: 0
         });
         
-        // Adição dos colaterais
-        for (uint256 i = 0; i < nftAddresses.length; i++) {
-            loanCollaterals[loanId].push(Collateral({
-                nftAddress: nftAddresses[i],
-                tokenId: tokenIds[i]
-            }));
-            collateralManager.addCollateral(loanId, nftAddresses[i], tokenIds[i], msg.sender, address(0));
-            emit CollateralAdded(loanId, nftAddresses[i], tokenIds[i]);
-        }
+        // Adição dos colaterais, uma unidade de cada
+        _addCollaterals(loanId, msg.sender, address(0), nftAddresses, tokenIds, new uint256[](0));
+        collateralManager.recordLoanToValue(loanId, loanAmount, address(0));
         
         // Opcional: se forem enviados fundos a mais, reembolsa o excesso
         if (msg.value > loanAmount) {
@@ -227,7 +284,7 @@ contract YapLendCore is Initializable, PausableUpgradeable, ReentrancyGuardUpgra
         }
         
         // Depósito do valor do empréstimo no Vault
-        _loanVault.deposit{value: loanAmount}(loanId);
+        _depositToVault(loanId, address(0), msg.sender, ILoanVault.EntryKind.Principal, loanAmount);
         
         emit LoanCreated(loanId, msg.sender, address(0), loanAmount, duration, proposedInterestRate);
         return loanId;
@@ -247,9 +304,63 @@ contract YapLendCore is Initializable, PausableUpgradeable, ReentrancyGuardUpgra
     uint256 duration,
     uint256 proposedInterestRate
     ) external payable nonReentrant whenNotPaused returns (uint256) {
+        return _createLoan(borrower, lender, nftAddresses, tokenIds, new uint256[](0), loanAmount, duration, proposedInterestRate, address(0));
+    }
+
+    /**
+     * @dev Create a loan denominated in an allow-listed ERC20 (or the native token with address(0))
+     * For ERC20 loans the caller must have approved this contract for loanAmount; no native funds may be sent
+     * @param currency ERC20 token address, or address(0) for the native token
+     * @return loanId Unique identifier for the loan
+     */
+    function createLoanWithCurrency(
+        address borrower,
+        address lender,
+        address[] memory nftAddresses,
+        uint256[] memory tokenIds,
+        uint256 loanAmount,
+        uint256 duration,
+        uint256 proposedInterestRate,
+        address currency
+    ) external payable nonReentrant whenNotPaused returns (uint256) {
+        return _createLoan(borrower, lender, nftAddresses, tokenIds, new uint256[](0), loanAmount, duration, proposedInterestRate, currency);
+    }
+
+    /**
+     * @dev Create a loan with a quantity for each collateral token (ERC1155 units; 1 for ERC721 and punks)
+     * Same rules as createLoanWithCurrency
+     * @param quantities Units of each token, in the order of tokenIds; empty for one unit of each
+     * @return loanId Unique identifier for the loan
+     */
+    function createLoanWithQuantities(
+        address borrower,
+        address lender,
+        address[] memory nftAddresses,
+        uint256[] memory tokenIds,
+        uint256[] memory quantities,
+        uint256 loanAmount,
+        uint256 duration,
+        uint256 proposedInterestRate,
+        address currency
+    ) external payable nonReentrant whenNotPaused returns (uint256) {
+        require(quantities.length == 0 || quantities.length == tokenIds.length, "Arrays length mismatch");
+        return _createLoan(borrower, lender, nftAddresses, tokenIds, quantities, loanAmount, duration, proposedInterestRate, currency);
+    }
+
+    function _createLoan(
+        address borrower,
+        address lender,
+        address[] memory nftAddresses,
+        uint256[] memory tokenIds,
+        uint256[] memory quantities,
+        uint256 loanAmount,
+        uint256 duration,
+        uint256 proposedInterestRate,
+        address currency
+    ) private returns (uint256) {
         require(
-            msg.sender == proposalManager || msg.sender == owner(),
-            "Only ProposalManager or owner can call"
+            msg.sender == proposalManager || msg.sender == orderBook || msg.sender == address(_liquidityPool) || msg.sender == owner(),
+            "Unauthorized loan origination"
         );
         require(nftAddresses.length > 0, "No collateral provided");
         require(nftAddresses.length == tokenIds.length, "Arrays length mismatch");
@@ -257,6 +368,7 @@ contract YapLendCore is Initializable, PausableUpgradeable, ReentrancyGuardUpgra
         require(duration > 0, "Duration must be greater than 0");
         require(borrower != address(0), "Invalid borrower address");
         require(lender != address(0), "Invalid lender address");
+        require(isCurrencyAllowed(currency), "Currency not allowed");
         
         // Validação do interest rate proposto
         require(proposedInterestRate >= minInterestRate, "Interest rate too low");
@@ -274,8 +386,12 @@ contract YapLendCore is Initializable, PausableUpgradeable, ReentrancyGuardUpgra
             );
         }
         
-        // Se a chamada for do proposalManager, garantir que os fundos enviados sejam suficientes
-        if (msg.sender == proposalManager) {
+        if (currency != address(0)) {
+            // Empréstimos em ERC20: os tokens são puxados do chamador, sem valor nativo
+            require(msg.value == 0, "Native funds sent for token loan");
+            IERC20(currency).safeTransferFrom(msg.sender, address(this), loanAmount);
+        } else if (msg.sender != owner()) {
+            // Se a chamada for do proposalManager, do orderBook ou do pool, garantir que os fundos enviados sejam suficientes
             require(msg.value >= loanAmount, "Insufficient funds sent");
         }
         
@@ -290,19 +406,17 @@ contract YapLendCore is Initializable, PausableUpgradeable, ReentrancyGuardUpgra
             interestRate: proposedInterestRate,
             active: true,
             liquidated: false,
-            partiallyRepaid: false
+            partiallyRepaid: false,
+            currency: currency,
+            accrualStart: 0,
+            principalRepaid: 0,
+            interestPaid: 0
         });
         
-        // Adição dos colaterais
-        for (uint256 i = 0; i < nftAddresses.length; i++) {
-            loanCollaterals[loanId].push(Collateral({
-                nftAddress: nftAddresses[i],
-                tokenId: tokenIds[i]
-            }));
-            // Chamada para a adição do colateral com dados de borrower e lender
-            collateralManager.addCollateral(loanId, nftAddresses[i], tokenIds[i], borrower, lender);
-            emit CollateralAdded(loanId, nftAddresses[i], tokenIds[i]);
-        }
+        // Adição dos colaterais com dados de borrower e lender
+        _addCollaterals(loanId, borrower, lender, nftAddresses, tokenIds, quantities);
+        // Limite de LTV por coleção, com os preços do oracle
+        collateralManager.recordLoanToValue(loanId, loanAmount, currency);
         
         // Opcional: se forem enviados fundos a mais, reembolsa o excesso
         if (msg.value > loanAmount) {
@@ -312,7 +426,7 @@ contract YapLendCore is Initializable, PausableUpgradeable, ReentrancyGuardUpgra
         }
         
         // Depósito do valor do empréstimo no Vault
-        _loanVault.deposit{value: loanAmount}(loanId);
+        _depositToVault(loanId, currency, borrower, ILoanVault.EntryKind.Principal, loanAmount);
         
         emit LoanCreated(loanId, borrower, lender, loanAmount, duration, proposedInterestRate);
         return loanId;
@@ -324,9 +438,9 @@ contract YapLendCore is Initializable, PausableUpgradeable, ReentrancyGuardUpgra
         
         // Verifica se o empréstimo foi pago (não está ativo) e não foi liquidado
         if (!loan.active && !loan.liquidated) {
-            // Obtém o saldo do empréstimo no vault usando a interface existente
+            // Obtém o saldo do lender no ledger do vault
             uint256 depositAmount = 0;
-            try _loanVault.loanDeposits(loanId) returns (uint256 amount) {
+            try _loanVault.claimableBalance(loanId, loan.lender) returns (uint256 amount) {
                 depositAmount = amount;
             } catch {
                 return; // Se houver erro, apenas sai da função
@@ -347,31 +461,18 @@ contract YapLendCore is Initializable, PausableUpgradeable, ReentrancyGuardUpgra
 
     /**
      * @dev Repay a loan with robust error handling
+     * Within the grace period after the due date, the late penalty is added to the interest
      * @param loanId ID of the loan to repay
      */
     function repayLoan(uint256 loanId) external payable nonReentrant {
-        require(loans[loanId].active, "Loan not active");
-        require(!loans[loanId].liquidated, "Loan already liquidated");
-        
         Loan storage loan = loans[loanId];
+        _checkRepayable(loan, gracePeriod);
         
-        // Verificar se o empréstimo não expirou
-        if (block.timestamp > loan.startTime + loan.duration) {
-            revert("Loan expired, cannot be repaid");
-        }
-        
-        require(loan.borrower == msg.sender, "Not the borrower");
-        
-        // Calcular repagamento com try/catch
-        uint256 interest;
-        try _loanVault.calculateInterest(loanId) returns (uint256 interestAmount) {
-            interest = interestAmount;
-        } catch {
-            interest = 0; // Fallback se o cálculo falhar
-        }
-        
+        // Calcular repagamento com try/catch; após o vencimento, soma a penalidade do período de carência
+        uint256 interest = _accruedInterest(loanId) + _latePenalty(loan);
         uint256 totalRepayment = loan.amount + interest;
-        require(msg.value >= totalRepayment, "Insufficient repayment amount");
+        address currency = loan.currency;
+        uint256 excess = _collect(currency, totalRepayment);
         
         // Criar uma variável para rastrear o sucesso da liberação do colateral
         bool allCollateralsReleased = true;
@@ -406,117 +507,397 @@ contract YapLendCore is Initializable, PausableUpgradeable, ReentrancyGuardUpgra
             // Processar o pagamento mesmo assim
         }
         
-        // Calcular a taxa do protocolo para os juros
-        uint256 protocolFee = 0;
-        uint256 lenderInterest = 0;
-        if (interest > 0) {
-            protocolFee = (interest * protocolFeePercentage) / 10000;
-            lenderInterest = interest - protocolFee;
+        _distribute(loanId, loan.lender, currency, loan.amount, interest, allCollateralsReleased);
+        _returnExcess(loanId, excess);
+        
+        // Se o pagamento foi bem-sucedido e todos os colaterais foram liberados
+        if (allCollateralsReleased) {
+            emit LoanRepaid(loanId, msg.sender, totalRepayment);
         }
+    }
+
+    /**
+     * @dev Pay down part of the principal, together with the interest accrued so far
+     * Interest then accrues on the outstanding balance only. Paying off the full balance goes through
+     * repayLoan, which also releases the collateral
+     * @param loanId ID of the loan
+     * @param principal Principal to pay down, less than the outstanding balance
+     */
+    function repayPartial(uint256 loanId, uint256 principal) external payable nonReentrant {
+        Loan storage loan = loans[loanId];
+        _checkRepayable(loan, 0);
+        require(principal > 0, "Amount must be greater than 0");
+        require(principal < loan.amount, "Use repayLoan to pay off the loan");
         
-        // Usar blocos try/catch para cada transferência de fundos
-        bool principalSent = false;
+        uint256 interest = _accruedInterest(loanId);
+        uint256 excess = _collect(loan.currency, principal + interest);
         
-        // Enviar o principal diretamente para o credor se houver um
-        if (loan.lender != address(0)) {
-            (bool principalSuccess, ) = payable(loan.lender).call{value: loan.amount}("");
-            principalSent = principalSuccess;
-            if (!principalSuccess) {
-                // Se falhar, tentar depositar no vault como fallback
-                _loanVault.deposit{value: loan.amount}(loanId);
-            }
-        } else {
-            // Se não houver credor específico, enviar para o contrato de vault
-            _loanVault.deposit{value: loan.amount}(loanId);
-            principalSent = true;
-        }
+        // Juros liquidados até agora; a partir daqui acumulam só sobre o saldo devedor
+        loan.amount -= principal;
+        loan.principalRepaid += principal;
+        loan.interestPaid += interest;
+        loan.accrualStart = block.timestamp;
         
-        // Enviar os juros para o credor (exceto a taxa do protocolo)
-        if (interest > 0) {
-            if (loan.lender != address(0) && lenderInterest > 0) {
-                (bool interestSuccess, ) = payable(loan.lender).call{value: lenderInterest}("");
-                if (!interestSuccess) {
-                    // Se falhar, depositar no vault como fallback
-                    _loanVault.deposit{value: lenderInterest}(loanId);
-                }
-                
-                // Emitir evento para saque automático após pagamento bem-sucedido
-                if (interestSuccess && allCollateralsReleased) {
-                    emit AutoWithdrawalTriggered(
-                        loanId,
-                        loan.lender,
-                        lenderInterest,
-                        block.timestamp
-                    );
-                }
-            } else if (lenderInterest > 0) {
-                // Se não houver credor específico, enviar para o contrato de vault
-                _loanVault.deposit{value: lenderInterest}(loanId);
-            }
-            
-            // Enviar a taxa do protocolo diretamente para o coletor de taxas
-            if (protocolFee > 0) {
-                (bool feeSuccess, ) = payable(feeCollector).call{value: protocolFee}("");
-                if (feeSuccess) {
-                    emit ProtocolFeeSent(loanId, feeCollector, protocolFee);
-                } else {
-                    emit FailedToSendFee(loanId, feeCollector, protocolFee);
-                    // Depositar no vault se falhar
-                    _loanVault.deposit{value: protocolFee}(loanId);
-                }
-            }
-        }
+        _distribute(loanId, loan.lender, loan.currency, principal, interest, false);
+        _returnExcess(loanId, excess);
         
-        // Return excess payment if any
-        uint256 excess = msg.value - totalRepayment;
-        if (excess > 0) {
-            (bool success, ) = payable(msg.sender).call{value: excess}("");
-            if (!success) {
-                // Se falhar o retorno do excesso, depositar no vault
-                _loanVault.deposit{value: excess}(loanId);
-                emit ExcessReturnFailure(loanId, msg.sender, excess);
-            }
-        }
+        emit PrincipalRepaid(loanId, msg.sender, principal, interest, loan.amount);
+    }
+
+    /**
+     * @dev Offer the borrower more time, replacing any previous offer
+     * @param loanId ID of the loan
+     * @param additionalDuration Seconds added to the loan duration
+     * @param interestRate APR in basis points from the extension on (the current rate to keep it)
+     * @param fee Extension fee the borrower pays on acceptance
+     * @param validityPeriod How long the offer can be accepted for (in seconds)
+     */
+    function offerExtension(
+        uint256 loanId,
+        uint256 additionalDuration,
+        uint256 interestRate,
+        uint256 fee,
+        uint256 validityPeriod
+    ) external whenNotPaused {
+        Loan storage loan = loans[loanId];
+        require(loan.active && !loan.liquidated, "Loan not active");
+        require(loan.lender == msg.sender, "Not the lender");
+        require(additionalDuration > 0, "Duration must be greater than 0");
+        require(interestRate >= minInterestRate, "Interest rate too low");
+        require(interestRate <= maxInterestRate, "Interest rate too high");
+        require(validityPeriod > 0 && validityPeriod <= 30 days, "Invalid validity period");
         
-        // Se o pagamento foi bem-sucedido e todos os colaterais foram liberados
-        if (allCollateralsReleased) {
-            emit LoanRepaid(loanId, msg.sender, totalRepayment);
+        uint256 expiresAt = block.timestamp + validityPeriod;
+        extensionOffers[loanId] = ExtensionOffer({
+            additionalDuration: additionalDuration,
+            interestRate: interestRate,
+            fee: fee,
+            expiresAt: expiresAt
+        });
+        
+        emit ExtensionOffered(loanId, msg.sender, additionalDuration, interestRate, fee, expiresAt);
+    }
+
+    /**
+     * @dev Withdraw a pending extension offer
+     * @param loanId ID of the loan
+     */
+    function cancelExtensionOffer(uint256 loanId) external {
+        require(loans[loanId].lender == msg.sender, "Not the lender");
+        require(extensionOffers[loanId].expiresAt > 0, "No extension offer");
+        
+        delete extensionOffers[loanId];
+        emit ExtensionOfferCancelled(loanId);
+    }
+
+    /**
+     * @dev Accept the lender's extension offer, paying the fee and the interest accrued at the current rate
+     * @param loanId ID of the loan
+     */
+    function acceptExtension(uint256 loanId) external payable nonReentrant whenNotPaused {
+        Loan storage loan = loans[loanId];
+        _checkRepayable(loan, 0);
+        ExtensionOffer memory offer = extensionOffers[loanId];
+        require(offer.expiresAt > 0, "No extension offer");
+        require(block.timestamp <= offer.expiresAt, "Extension offer expired");
+        delete extensionOffers[loanId];
+        
+        // A mudança de taxa só vale daqui em diante: os juros até agora são liquidados na taxa atual
+        uint256 interest = _accruedInterest(loanId);
+        uint256 excess = _collect(loan.currency, interest + offer.fee);
+        
+        loan.interestPaid += interest;
+        loan.accrualStart = block.timestamp;
+        loan.duration += offer.additionalDuration;
+        loan.interestRate = offer.interestRate;
+        
+        _distribute(loanId, loan.lender, loan.currency, 0, interest + offer.fee, false);
+        _returnExcess(loanId, excess);
+        
+        emit LoanExtended(loanId, loan.duration, offer.interestRate, offer.fee, interest);
+    }
+
+    /**
+     * @dev Move a loan to a new lender on new terms, keeping the collateral in the same escrows
+     * The new lender's funds pay off the old lender (principal plus interest, and the late penalty within
+     * the grace period); what is left over goes to the vault for the borrower, as on loan creation.
+     * ProposalManager checks that the borrower accepted the offer
+     * @param loanId ID of the loan
+     * @param newLender Lender funding the refinance
+     * @param amount New principal, at least the payoff; pulled from ProposalManager for ERC20 loans
+     * @param duration New duration in seconds, counted from now
+     * @param interestRate New APR in basis points
+     */
+    function refinanceLoan(
+        uint256 loanId,
+        address newLender,
+        uint256 amount,
+        uint256 duration,
+        uint256 interestRate
+    ) external payable nonReentrant whenNotPaused onlyProposalManager {
+        Loan storage loan = loans[loanId];
+        require(loan.active && !loan.liquidated, "Loan not active");
+        require(block.timestamp <= loan.startTime + loan.duration + gracePeriod, "Loan expired, cannot be repaid");
+        require(duration > 0, "Duration must be greater than 0");
+        require(interestRate >= minInterestRate, "Interest rate too low");
+        require(interestRate <= maxInterestRate, "Interest rate too high");
+        
+        uint256 interest = _accruedInterest(loanId) + _latePenalty(loan);
+        uint256 payoff = loan.amount + interest;
+        require(amount >= payoff, "Offer does not cover the payoff");
+        uint256 excess = _collect(loan.currency, amount);
+        
+        // O lender antigo recebe como num repagamento; o novo assume o empréstimo do zero
+        address oldLender = loan.lender;
+        _distribute(loanId, oldLender, loan.currency, loan.amount, interest, false);
+        if (amount > payoff) {
+            _depositToVault(loanId, loan.currency, loan.borrower, ILoanVault.EntryKind.Principal, amount - payoff);
         }
+        _returnExcess(loanId, excess);
+        
+        loan.lender = newLender;
+        loan.amount = amount;
+        loan.startTime = block.timestamp;
+        loan.duration = duration;
+        loan.interestRate = interestRate;
+        loan.accrualStart = 0;
+        loan.principalRepaid = 0;
+        loan.interestPaid = 0;
+        delete extensionOffers[loanId];
+        
+        collateralManager.updateLender(loanId, newLender);
+        
+        emit LoanRefinanced(loanId, oldLender, newLender, amount, duration, interestRate, payoff);
     }
 
     /**
-     * @dev Liquidate a defaulted loan
+     * @dev Liquidate a defaulted loan once the grace period is over
+     * With a liquidation auction set the collateral is auctioned, otherwise it goes to the lender
      * @param loanId ID of the loan to liquidate
      */
     function liquidateLoan(uint256 loanId) external nonReentrant {
         require(loans[loanId].active, "Loan not active");
         require(!loans[loanId].liquidated, "Already liquidated");
         require(
-            block.timestamp > loans[loanId].startTime + loans[loanId].duration,
+            block.timestamp > loans[loanId].startTime + loans[loanId].duration + gracePeriod,
             "Loan not yet defaulted"
         );
         
         Loan storage loan = loans[loanId];
         
+        // Dívida calculada antes de encerrar o empréstimo (o vault não calcula juros de empréstimos inativos)
+        uint256 debt = loan.amount + _accruedInterest(loanId) + _latePenalty(loan);
+        address recipient = liquidationAuction != address(0) ? liquidationAuction : loan.lender;
+        
         // Update loan status
         loan.active = false;
         loan.liquidated = true;
         
-        // Transfer collateral to the lender
+        // Transfer collateral to the lender, or to the auction
         Collateral[] memory collaterals = loanCollaterals[loanId];
         for (uint256 i = 0; i < collaterals.length; i++) {
-            // Updated to transfer collateral to lender instead of borrower
             collateralManager.removeCollateral(
                 loanId, 
                 collaterals[i].nftAddress, 
                 collaterals[i].tokenId,
-                loan.lender // transfer to lender
+                recipient
             );
         }
         
+        if (liquidationAuction != address(0)) {
+            ILiquidationAuction(liquidationAuction).startAuction(loanId, debt);
+        }
+        if (loan.lender == address(_liquidityPool)) {
+            _liquidityPool.writeOff(loanId);
+        }
+        
         emit LoanLiquidated(loanId, loan.borrower, loan.amount);
     }
     
+    /**
+     * @dev Checks shared by repayment and extension: loan open, not past its due date, called by the borrower
+     * @param grace Seconds past the due date still accepted
+     */
+    function _checkRepayable(Loan storage loan, uint256 grace) private view {
+        require(loan.active, "Loan not active");
+        require(!loan.liquidated, "Loan already liquidated");
+        
+        // Verificar se o empréstimo não expirou
+        if (block.timestamp > loan.startTime + loan.duration + grace) {
+            revert("Loan expired, cannot be repaid");
+        }
+        
+        require(loan.borrower == msg.sender, "Not the borrower");
+    }
+
+    /**
+     * @dev Interest accrued on the outstanding principal, as calculated by the vault (0 if the calculation fails)
+     */
+    function _accruedInterest(uint256 loanId) private view returns (uint256 interest) {
+        try _loanVault.calculateInterest(loanId) returns (uint256 interestAmount) {
+            interest = interestAmount;
+        } catch {
+            interest = 0; // Fallback se o cálculo falhar
+        }
+    }
+
+    /**
+     * @dev Late penalty for the time past the due date, capped at the end of the grace period
+     */
+    function _latePenalty(Loan storage loan) private view returns (uint256) {
+        uint256 dueDate = loan.startTime + loan.duration;
+        if (block.timestamp <= dueDate) {
+            return 0;
+        }
+        uint256 overdue = block.timestamp - dueDate;
+        if (overdue > gracePeriod) {
+            overdue = gracePeriod;
+        }
+        return (loan.amount * latePenaltyRate * overdue) / (10000 * 31536000);
+    }
+
+    /**
+     * @dev Take a payment from the borrower in the loan's currency
+     * ERC20 loans pull the exact amount (the borrower approves it); native loans may overpay
+     * @return excess Native funds sent above `amount`, to be returned
+     */
+    function _collect(address currency, uint256 amount) private returns (uint256 excess) {
+        if (currency == address(0)) {
+            require(msg.value >= amount, "Insufficient repayment amount");
+            return msg.value - amount;
+        }
+        // Em empréstimos ERC20 o borrower aprova o valor exato; não há excesso a devolver
+        require(msg.value == 0, "Native funds sent for token loan");
+        IERC20(currency).safeTransferFrom(msg.sender, address(this), amount);
+    }
+
+    /**
+     * @dev Pay principal and interest out to the lender, less the protocol fee on the interest
+     * Each transfer that fails falls back to the loan's vault balance
+     * @param notifyLender Emit AutoWithdrawalTriggered once the lender's interest went through (loan closed)
+     */
+    function _distribute(
+        uint256 loanId,
+        address lender,
+        address currency,
+        uint256 principal,
+        uint256 interest,
+        bool notifyLender
+    ) private {
+        // Enviar o principal diretamente para o credor se houver um
+        if (principal > 0) {
+            if (lender == address(_liquidityPool)) {
+                // Empréstimos do pool: o principal volta pela contabilidade do pool (sempre em token nativo)
+                _liquidityPool.repay{value: principal}(loanId);
+            } else if (lender == address(0) || !_send(currency, lender, principal)) {
+                // Sem credor específico, ou se falhar, depositar no vault
+                _depositToVault(loanId, currency, lender, ILoanVault.EntryKind.Principal, principal);
+            }
+        }
+        
+        if (interest == 0) {
+            return;
+        }
+        
+        // Calcular a taxa do protocolo para os juros
+        uint256 protocolFee = (interest * protocolFeePercentage) / 10000;
+        uint256 lenderInterest = interest - protocolFee;
+        
+        // Enviar os juros para o credor (exceto a taxa do protocolo)
+        if (lenderInterest > 0) {
+            bool interestSuccess = lender != address(0) && _send(currency, lender, lenderInterest);
+            if (!interestSuccess) {
+                // Sem credor específico, ou se falhar, depositar no vault como fallback
+                _depositToVault(loanId, currency, lender, ILoanVault.EntryKind.Interest, lenderInterest);
+            } else if (notifyLender) {
+                // Emitir evento para saque automático após pagamento bem-sucedido
+                emit AutoWithdrawalTriggered(loanId, lender, lenderInterest, block.timestamp);
+            }
+        }
+        
+        // Enviar a taxa do protocolo diretamente para o coletor de taxas
+        if (protocolFee > 0) {
+            if (_send(currency, feeCollector, protocolFee)) {
+                emit ProtocolFeeSent(loanId, feeCollector, protocolFee);
+            } else {
+                emit FailedToSendFee(loanId, feeCollector, protocolFee);
+                // Depositar no vault se falhar
+                _depositToVault(loanId, currency, feeCollector, ILoanVault.EntryKind.ProtocolFee, protocolFee);
+            }
+        }
+    }
+
+    /**
+     * @dev Return excess native payment to the caller, into the vault if the transfer fails
+     */
+    function _returnExcess(uint256 loanId, uint256 excess) private {
+        if (excess == 0) {
+            return;
+        }
+        (bool success, ) = payable(msg.sender).call{value: excess}("");
+        if (!success) {
+            // Se falhar o retorno do excesso, depositar no vault
+            _depositToVault(loanId, address(0), msg.sender, ILoanVault.EntryKind.ExcessRefund, excess);
+            emit ExcessReturnFailure(loanId, msg.sender, excess);
+        }
+    }
+
+    /**
+     * @dev Send native tokens or an ERC20 without reverting, so failed transfers can fall back to the vault
+     * @return success Whether the transfer went through
+     */
+    function _send(address currency, address to, uint256 amount) private returns (bool success) {
+        if (currency == address(0)) {
+            (success, ) = payable(to).call{value: amount}("");
+        } else {
+            bytes memory data;
+            (success, data) = currency.call(abi.encodeCall(IERC20.transfer, (to, amount)));
+            success = success && (data.length == 0 || abi.decode(data, (bool)));
+        }
+    }
+
+    /**
+     * @dev Move a new loan's collateral to escrow; an empty quantities array takes one unit of each token
+     */
+    function _addCollaterals(
+        uint256 loanId,
+        address borrower,
+        address lender,
+        address[] memory nftAddresses,
+        uint256[] memory tokenIds,
+        uint256[] memory quantities
+    ) private {
+        for (uint256 i = 0; i < nftAddresses.length; i++) {
+            uint256 quantity = quantities.length > 0 ? quantities[i] : 1;
+            // O CollateralManager valida a quantidade (até uint96) antes de gravá-la aqui
+            collateralManager.addCollateral(loanId, nftAddresses[i], tokenIds[i], quantity, borrower, lender);
+            loanCollaterals[loanId].push(Collateral({
+                nftAddress: nftAddresses[i],
+                quantity: uint96(quantity),
+                tokenId: tokenIds[i]
+            }));
+            emit CollateralAdded(loanId, nftAddresses[i], tokenIds[i]);
+        }
+    }
+
+    /**
+     * @dev Hold funds of this contract in the vault ledger for a beneficiary of the loan, in the loan's currency
+     */
+    function _depositToVault(
+        uint256 loanId,
+        address currency,
+        address beneficiary,
+        ILoanVault.EntryKind kind,
+        uint256 amount
+    ) private {
+        uint256 value = amount;
+        if (currency != address(0)) {
+            IERC20(currency).forceApprove(address(_loanVault), amount);
+            value = 0;
+        }
+        _loanVault.credit{value: value}(loanId, beneficiary, kind, amount);
+    }
+
     /**
      * @dev Get the escrow addresses for all collaterals of a loan
      * @param loanId ID of the loan
@@ -559,7 +940,7 @@ contract YapLendCore is Initializable, PausableUpgradeable, ReentrancyGuardUpgra
         /**
      * @dev Calculate the exact amount needed for loan repayment
      * @param loanId ID of the loan
-     * @return Total amount needed for repayment (principal + interest)
+     * @return Total amount needed for repayment (principal + interest, plus the late penalty during the grace period)
      */
     function getRepaymentAmount(uint256 loanId) external view returns (uint256) {
         Loan memory loan = loans[loanId];
@@ -567,15 +948,25 @@ contract YapLendCore is Initializable, PausableUpgradeable, ReentrancyGuardUpgra
             return 0;
         }
         
-        uint256 interest = 0;
-        try _loanVault.calculateInterest(loanId) returns (uint256 interestAmount) {
-            interest = interestAmount;
-        } catch {
-            // Se o cálculo falhar, retorna apenas o principal
-            // Isso pode ser impreciso, mas melhor do que falhar completamente
-        }
-        
-        return loan.amount + interest;
+        // Se o cálculo falhar, retorna apenas o principal
+        // Isso pode ser impreciso, mas melhor do que falhar completamente
+        return loan.amount + _accruedInterest(loanId) + _latePenalty(loans[loanId]);
+    }
+
+    /**
+     * @dev Get the loan vault address
+     * @return Address of the LoanVault contract
+     */
+    function loanVault() external view returns (address) {
+        return address(_loanVault);
+    }
+    
+    /**
+     * @dev Get the liquidity pool address
+     * @return Address of the LiquidityPool contract
+     */
+    function liquidityPool() external view returns (address) {
+        return address(_liquidityPool);
     }
 
     /**
@@ -659,6 +1050,57 @@ contract YapLendCore is Initializable, PausableUpgradeable, ReentrancyGuardUpgra
         emit FeeCollectorUpdated(newFeeCollector);
     }
     
+    /**
+     * @dev Set the grace period after the due date
+     * @param newGracePeriod Seconds the borrower can still repay after the due date
+     */
+    function setGracePeriod(uint256 newGracePeriod) external onlyOwner {
+        require(newGracePeriod <= 30 days, "Grace period too long");
+        gracePeriod = newGracePeriod;
+        emit ProtocolParameterUpdated("gracePeriod", newGracePeriod);
+    }
+
+    /**
+     * @dev Set the late penalty rate charged during the grace period
+     * @param newPenaltyRate Penalty APR in basis points
+     */
+    function setLatePenaltyRate(uint256 newPenaltyRate) external onlyOwner {
+        require(newPenaltyRate <= maxInterestRate, "Interest rate too high");
+        latePenaltyRate = newPenaltyRate;
+        emit ProtocolParameterUpdated("latePenaltyRate", newPenaltyRate);
+    }
+
+    /**
+     * @dev Set the liquidation auction address
+     * @param liquidationAuctionAddress New liquidation auction address
+     */
+    function setLiquidationAuction(address liquidationAuctionAddress) external onlyOwner {
+        require(liquidationAuctionAddress != address(0), "Invalid address");
+        liquidationAuction = liquidationAuctionAddress;
+        emit LiquidationAuctionUpdated(liquidationAuctionAddress);
+    }
+
+    /**
+     * @dev Whether loans can be denominated in a currency
+     * @param currency ERC20 token address, or address(0) for the native token
+     * @return True if the currency is the native token or allow-listed
+     */
+    function isCurrencyAllowed(address currency) public view returns (bool) {
+        return currency == address(0) || allowedCurrencies[currency];
+    }
+
+    /**
+     * @dev Allow or disallow an ERC20 as loan currency
+     * Disallowing only blocks new loans; existing loans are repaid in their currency
+     * @param currency ERC20 token address
+     * @param allowed Whether new loans may use it
+     */
+    function setCurrencyAllowed(address currency, bool allowed) external onlyOwner {
+        require(currency != address(0), "Invalid address");
+        allowedCurrencies[currency] = allowed;
+        emit CurrencyAllowanceUpdated(currency, allowed);
+    }
+
     /**
      * @dev Set the proposal manager address
      * @param _proposalManager New proposal manager address
@@ -669,6 +1111,16 @@ contract YapLendCore is Initializable, PausableUpgradeable, ReentrancyGuardUpgra
         emit ProposalManagerUpdated(_proposalManager);
     }
 
+    /**
+     * @dev Set the order book address
+     * @param orderBookAddress New OrderBook address
+     */
+    function setOrderBook(address orderBookAddress) external onlyOwner {
+        require(orderBookAddress != address(0), "Invalid address");
+        orderBook = orderBookAddress;
+        emit OrderBookUpdated(orderBookAddress);
+    }
+
         /**
      * @dev Set the collateral manager address
      * @param collateralManagerAddress New collateral manager address
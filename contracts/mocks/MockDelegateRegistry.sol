@@ -0,0 +1,94 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.26;
+
+/**
+ * @title MockDelegateRegistry
+ * @dev Local stand-in for the delegate.xyz v2 registry, limited to token-level ERC721 and ERC1155 delegations.
+ * The delegator is always msg.sender, as in the real registry
+ */
+contract MockDelegateRegistry {
+    mapping(bytes32 => bool) private _delegations;
+    mapping(bytes32 => uint256) private _amounts;
+    bool public rejectDelegations;
+
+    event DelegateERC721(address indexed from, address indexed to, address indexed contract_, uint256 tokenId, bytes32 rights, bool enable);
+    event DelegateERC1155(address indexed from, address indexed to, address indexed contract_, uint256 tokenId, bytes32 rights, uint256 amount);
+
+    /**
+     * @dev Make every delegateERC721 call revert, to simulate a broken registry
+     * @param reject True to revert
+     */
+    function setRejectDelegations(bool reject) external {
+        rejectDelegations = reject;
+    }
+
+    /**
+     * @dev Enable or disable a delegation from msg.sender to `to` for a single token
+     * @return delegationHash Identifier of the delegation
+     */
+    function delegateERC721(
+        address to,
+        address contract_,
+        uint256 tokenId,
+        bytes32 rights,
+        bool enable
+    ) external payable returns (bytes32 delegationHash) {
+        require(!rejectDelegations, "Delegations rejected");
+        delegationHash = _hash(to, msg.sender, contract_, tokenId, rights);
+        _delegations[delegationHash] = enable;
+        emit DelegateERC721(msg.sender, to, contract_, tokenId, rights, enable);
+    }
+
+    /**
+     * @dev Check if `to` may act for `from` on a token; a delegation without rights covers every right
+     */
+    function checkDelegateForERC721(
+        address to,
+        address from,
+        address contract_,
+        uint256 tokenId,
+        bytes32 rights
+    ) external view returns (bool) {
+        return _delegations[_hash(to, from, contract_, tokenId, bytes32(0))]
+            || (rights != bytes32(0) && _delegations[_hash(to, from, contract_, tokenId, rights)]);
+    }
+
+    /**
+     * @dev Delegate `amount` units of an ERC1155 token from msg.sender to `to`; 0 revokes
+     * @return delegationHash Identifier of the delegation
+     */
+    function delegateERC1155(
+        address to,
+        address contract_,
+        uint256 tokenId,
+        bytes32 rights,
+        uint256 amount
+    ) external payable returns (bytes32 delegationHash) {
+        require(!rejectDelegations, "Delegations rejected");
+        delegationHash = _hash(to, msg.sender, contract_, tokenId, rights);
+        _amounts[delegationHash] = amount;
+        emit DelegateERC1155(msg.sender, to, contract_, tokenId, rights, amount);
+    }
+
+    /**
+     * @dev Units of an ERC1155 token `to` may act on for `from`
+     */
+    function checkDelegateForERC1155(
+        address to,
+        address from,
+        address contract_,
+        uint256 tokenId,
+        bytes32 rights
+    ) external view returns (uint256) {
+        uint256 amount = _amounts[_hash(to, from, contract_, tokenId, bytes32(0))];
+        if (rights != bytes32(0)) {
+            uint256 withRights = _amounts[_hash(to, from, contract_, tokenId, rights)];
+            amount = withRights > amount ? withRights : amount;
+        }
+        return amount;
+    }
+
+    function _hash(address to, address from, address contract_, uint256 tokenId, bytes32 rights) private pure returns (bytes32) {
+        return keccak256(abi.encode(to, from, contract_, tokenId, rights));
+    }
+}
@@ -0,0 +1,32 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.26;
+
+import "@openzeppelin/contracts/token/ERC1155/ERC1155.sol";
+
+/**
+ * @title MockERC1155
+ * @dev Freely mintable ERC1155 used for airdrops and ERC1155 collateral in tests
+ */
+contract MockERC1155 is ERC1155 {
+    constructor() ERC1155("") {}
+
+    /**
+     * @dev Mint tokens to any address
+     * @param to Recipient
+     * @param id Token ID
+     * @param amount Amount
+     */
+    function mint(address to, uint256 id, uint256 amount) external {
+        _mint(to, id, amount, "");
+    }
+
+    /**
+     * @dev Mint several token IDs at once (triggers onERC1155BatchReceived)
+     * @param to Recipient
+     * @param ids Token IDs
+     * @param amounts Amounts
+     */
+    function mintBatch(address to, uint256[] calldata ids, uint256[] calldata amounts) external {
+        _mintBatch(to, ids, amounts, "");
+    }
+}
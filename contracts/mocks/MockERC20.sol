@@ -0,0 +1,46 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.26;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @title MockERC20
+ * @dev Freely mintable ERC20 with configurable decimals, used as loan currency in tests
+ * Addresses can be blocked from receiving tokens, like stablecoin blocklists, to exercise failed transfers
+ */
+contract MockERC20 is ERC20 {
+    uint8 private _decimals;
+
+    mapping(address => bool) public blocked;
+
+    constructor(string memory name, string memory symbol, uint8 decimals_) ERC20(name, symbol) {
+        _decimals = decimals_;
+    }
+
+    function decimals() public view override returns (uint8) {
+        return _decimals;
+    }
+
+    /**
+     * @dev Mint tokens to any address
+     * @param to Recipient
+     * @param amount Amount
+     */
+    function mint(address to, uint256 amount) external {
+        _mint(to, amount);
+    }
+
+    /**
+     * @dev Block or unblock an address from receiving tokens
+     * @param account Address
+     * @param isBlocked True to make transfers to it revert
+     */
+    function setBlocked(address account, bool isBlocked) external {
+        blocked[account] = isBlocked;
+    }
+
+    function _update(address from, address to, uint256 value) internal override {
+        require(!blocked[to], "Recipient blocked");
+        super._update(from, to, value);
+    }
+}
@@ -0,0 +1,21 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.26;
+
+import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+
+/**
+ * @title MockERC721
+ * @dev Freely mintable ERC721 used as loan collateral in tests
+ */
+contract MockERC721 is ERC721 {
+    constructor(string memory name, string memory symbol) ERC721(name, symbol) {}
+
+    /**
+     * @dev Mint a token to any address
+     * @param to Recipient
+     * @param tokenId Token ID
+     */
+    function mint(address to, uint256 tokenId) external {
+        _mint(to, tokenId);
+    }
+}
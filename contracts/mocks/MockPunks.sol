@@ -0,0 +1,64 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.26;
+
+/**
+ * @title MockPunks
+ * @dev Punk-style market with the CryptoPunks transfer and sale functions: no ERC721, no approvals.
+ * A punk is handed to a contract by offering it for sale to that address only, which then buys it
+ */
+contract MockPunks {
+    struct Offer {
+        bool isForSale;
+        uint256 punkIndex;
+        address seller;
+        uint256 minValue;
+        address onlySellTo;
+    }
+
+    mapping(uint256 => address) public punkIndexToAddress;
+    mapping(uint256 => Offer) public punksOfferedForSale;
+    mapping(address => uint256) public pendingWithdrawals;
+
+    event PunkTransfer(address indexed from, address indexed to, uint256 punkIndex);
+    event PunkOffered(uint256 indexed punkIndex, uint256 minValue, address indexed toAddress);
+    event PunkBought(uint256 indexed punkIndex, uint256 value, address indexed fromAddress, address indexed toAddress);
+
+    /**
+     * @dev Assign a punk to any address (the original contract restricts this to its deployer)
+     */
+    function setInitialOwner(address to, uint256 punkIndex) external {
+        punkIndexToAddress[punkIndex] = to;
+    }
+
+    function transferPunk(address to, uint256 punkIndex) external {
+        require(punkIndexToAddress[punkIndex] == msg.sender, "Not the punk owner");
+        delete punksOfferedForSale[punkIndex];
+        punkIndexToAddress[punkIndex] = to;
+        emit PunkTransfer(msg.sender, to, punkIndex);
+    }
+
+    function offerPunkForSaleToAddress(uint256 punkIndex, uint256 minSalePriceInWei, address toAddress) external {
+        require(punkIndexToAddress[punkIndex] == msg.sender, "Not the punk owner");
+        punksOfferedForSale[punkIndex] = Offer(true, punkIndex, msg.sender, minSalePriceInWei, toAddress);
+        emit PunkOffered(punkIndex, minSalePriceInWei, toAddress);
+    }
+
+    function punkNoLongerForSale(uint256 punkIndex) external {
+        require(punkIndexToAddress[punkIndex] == msg.sender, "Not the punk owner");
+        delete punksOfferedForSale[punkIndex];
+    }
+
+    function buyPunk(uint256 punkIndex) external payable {
+        Offer memory offer = punksOfferedForSale[punkIndex];
+        require(offer.isForSale, "Punk not for sale");
+        require(offer.onlySellTo == address(0) || offer.onlySellTo == msg.sender, "Punk not offered to buyer");
+        require(msg.value >= offer.minValue, "Insufficient value");
+        require(offer.seller == punkIndexToAddress[punkIndex], "Seller no longer owns the punk");
+
+        delete punksOfferedForSale[punkIndex];
+        punkIndexToAddress[punkIndex] = msg.sender;
+        pendingWithdrawals[offer.seller] += msg.value;
+        emit PunkTransfer(offer.seller, msg.sender, punkIndex);
+        emit PunkBought(punkIndex, msg.value, offer.seller, msg.sender);
+    }
+}
@@ -0,0 +1,75 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.26;
+
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+
+/**
+ * @title MockRevertingReceiver
+ * @dev Contract account that can act as borrower or lender and refuse native currency (and ERC1155) transfers,
+ * used to exercise the protocol's fallbacks for failed payments
+ */
+contract MockRevertingReceiver {
+    bool public rejectPayments;
+    address public signer;
+
+    /**
+     * @dev Toggle whether incoming native currency transfers revert
+     * @param reject True to revert on every transfer
+     */
+    function setRejectPayments(bool reject) external {
+        rejectPayments = reject;
+    }
+
+    /**
+     * @dev Forward a call (and any value sent) to another contract, bubbling up reverts
+     * @param target Contract to call
+     * @param data Calldata
+     * @return result Return data of the call
+     */
+    function execute(address target, bytes calldata data) external payable returns (bytes memory result) {
+        bool success;
+        (success, result) = target.call{value: msg.value}(data);
+        if (!success) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+    }
+
+    /**
+     * @dev Set the EOA whose signatures this account accepts through EIP-1271
+     * @param newSigner Signer address
+     */
+    function setSigner(address newSigner) external {
+        signer = newSigner;
+    }
+
+    /**
+     * @dev EIP-1271: valid when the hash was signed by `signer`
+     */
+    function isValidSignature(bytes32 hash, bytes calldata signature) external view returns (bytes4) {
+        (address recovered, ECDSA.RecoverError error, ) = ECDSA.tryRecover(hash, signature);
+        return error == ECDSA.RecoverError.NoError && recovered == signer && signer != address(0)
+            ? this.isValidSignature.selector
+            : bytes4(0xffffffff);
+    }
+
+    /**
+     * @dev Accept ERC721 safe transfers
+     */
+    function onERC721Received(address, address, uint256, bytes calldata) external pure returns (bytes4) {
+        return this.onERC721Received.selector;
+    }
+
+    /**
+     * @dev Accept ERC1155 transfers unless payments are rejected
+     */
+    function onERC1155Received(address, address, uint256, uint256, bytes calldata) external view returns (bytes4) {
+        require(!rejectPayments, "Payments rejected");
+        return this.onERC1155Received.selector;
+    }
+
+    receive() external payable {
+        require(!rejectPayments, "Payments rejected");
+    }
+}
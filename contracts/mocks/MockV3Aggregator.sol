@@ -0,0 +1,48 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.26;
+
+/**
+ * @title MockV3Aggregator
+ * @dev Chainlink AggregatorV3 stand-in with a settable answer and update time
+ */
+contract MockV3Aggregator {
+    uint8 public decimals;
+    int256 public latestAnswer;
+    uint256 public latestTimestamp;
+    uint80 public latestRound;
+
+    constructor(uint8 decimals_, int256 initialAnswer) {
+        decimals = decimals_;
+        updateAnswer(initialAnswer);
+    }
+
+    /**
+     * @dev Publish a new answer at the current block time
+     * @param answer New answer
+     */
+    function updateAnswer(int256 answer) public {
+        updateRoundData(latestRound + 1, answer, block.timestamp);
+    }
+
+    /**
+     * @dev Publish an answer with an explicit round and update time, e.g. to simulate a stale feed
+     * @param roundId Round ID
+     * @param answer Answer
+     * @param updatedAt Update timestamp
+     */
+    function updateRoundData(uint80 roundId, int256 answer, uint256 updatedAt) public {
+        latestRound = roundId;
+        latestAnswer = answer;
+        latestTimestamp = updatedAt;
+    }
+
+    function latestRoundData() external view returns (
+        uint80 roundId,
+        int256 answer,
+        uint256 startedAt,
+        uint256 updatedAt,
+        uint80 answeredInRound
+    ) {
+        return (latestRound, latestAnswer, latestTimestamp, latestTimestamp, latestRound);
+    }
+}
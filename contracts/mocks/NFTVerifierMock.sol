@@ -0,0 +1,34 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.26;
+
+/**
+ * @title NFTVerifierMock
+ * @dev NFTVerifier stand-in whose ownership and approval checks pass unless disabled,
+ * so ProposalManager can be tested without real collections
+ */
+contract NFTVerifierMock {
+    bool public ownershipResult = true;
+    bool public approvalResult = true;
+
+    /**
+     * @dev Set what the checks return
+     * @param ownership Result of verifyOwnership and checkOwnership
+     * @param approval Result of checkApproval
+     */
+    function setResults(bool ownership, bool approval) external {
+        ownershipResult = ownership;
+        approvalResult = approval;
+    }
+
+    function verifyOwnership(address, address, uint256) external view returns (bool) {
+        return ownershipResult;
+    }
+
+    function checkOwnership(address, address, uint256) external view returns (bool) {
+        return ownershipResult;
+    }
+
+    function checkApproval(address, address, uint256) external view returns (bool) {
+        return approvalResult;
+    }
+}
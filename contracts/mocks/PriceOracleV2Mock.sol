@@ -0,0 +1,17 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.26;
+
+import "../PriceOracle.sol";
+
+/**
+ * @title PriceOracleV2Mock
+ * @dev Storage-compatible PriceOracle upgrade that appends a variable, used to test the upgrade pipeline
+ * @custom:oz-upgrades-from PriceOracle
+ */
+contract PriceOracleV2Mock is PriceOracle {
+    uint256 public maxPriceDeviation;
+
+    function version() external pure returns (string memory) {
+        return "2";
+    }
+}
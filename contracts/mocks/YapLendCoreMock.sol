@@ -0,0 +1,67 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.26;
+
+/**
+ * @title YapLendCoreMock
+ * @dev Minimal YapLendCore stand-in for ProposalManager tests: exposes the NFT verifier and
+ * records createLoanWithQuantities calls instead of opening real loans. It also answers as the CollateralManager,
+ * with no collection capped by a max loan-to-value
+ */
+contract YapLendCoreMock {
+    address public nftVerifier;
+    uint256 public loanCounter;
+
+    // Last loan created, for assertions
+    address public lastBorrower;
+    address public lastLender;
+    uint256 public lastLoanAmount;
+    uint256 public lastDuration;
+    uint256 public lastInterestRate;
+
+    event MockLoanCreated(uint256 indexed loanId, address indexed borrower, address indexed lender, uint256 value);
+
+    constructor(address nftVerifierAddress) {
+        nftVerifier = nftVerifierAddress;
+    }
+
+    /**
+     * @dev Record the loan terms and keep the funds; returns sequential loan IDs starting at 1
+     */
+    function createLoanWithQuantities(
+        address borrower,
+        address lender,
+        address[] memory,
+        uint256[] memory,
+        uint256[] memory,
+        uint256 loanAmount,
+        uint256 duration,
+        uint256 proposedInterestRate,
+        address
+    ) external payable returns (uint256) {
+        require(msg.value == loanAmount, "Incorrect loan amount");
+
+        loanCounter++;
+        lastBorrower = borrower;
+        lastLender = lender;
+        lastLoanAmount = loanAmount;
+        lastDuration = duration;
+        lastInterestRate = proposedInterestRate;
+
+        emit MockLoanCreated(loanCounter, borrower, lender, msg.value);
+        return loanCounter;
+    }
+
+    function collateralManager() external view returns (address) {
+        return address(this);
+    }
+
+    function checkLoanToValue(
+        address[] memory,
+        uint256[] memory,
+        uint256[] memory,
+        uint256,
+        address
+    ) external pure returns (uint256, uint256) {
+        return (0, 0);
+    }
+}
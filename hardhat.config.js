@@ -1,6 +1,9 @@
 require("@nomicfoundation/hardhat-toolbox");
 require('@openzeppelin/hardhat-upgrades');
 require('dotenv').config();
+require('./tasks/wiring');
+require('./tasks/indexer');
+require('./tasks/upgrade');
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
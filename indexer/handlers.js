@@ -0,0 +1,178 @@
+// indexer/handlers.js
+// Event handlers that turn protocol events into proposal, loan and escrow records
+// Amounts are stored as decimal strings (JSON has no bigint); rates stay in basis points as emitted
+
+function collateralFrom(nftAddresses, tokenIds) {
+  return nftAddresses.map((nftAddress, i) => ({ nftAddress, tokenId: tokenIds[i].toString() }));
+}
+
+function origin(event) {
+  return { block: event.blockNumber, txHash: event.transactionHash };
+}
+
+const ProposalManager = {
+  ProposalCreated(store, event) {
+    const { proposalId, borrower, nftAddresses, tokenIds, amount, duration, interestRate } = event.args;
+    store.put('proposals', proposalId, {
+      id: proposalId.toString(),
+      borrower,
+      lender: null,
+      collateral: collateralFrom(nftAddresses, tokenIds),
+      amount: amount.toString(),
+      duration: duration.toString(),
+      interestRateBps: Number(interestRate),
+      isCounterOffer: false,
+      expiresAt: null,
+      status: 'open',
+      loanId: null,
+      createdAt: event.timestamp,
+      created: origin(event),
+      updated: origin(event)
+    });
+  },
+
+  async CounterOfferCreated(store, event, ctx) {
+    const { proposalId, lender, amount, duration, interestRate, expiresAt } = event.args;
+    // The event does not carry the borrower or collateral: read them from the counter offer itself
+    const { borrower, collateral } = await ctx.readProposal(proposalId, event.blockNumber);
+    store.put('proposals', proposalId, {
+      id: proposalId.toString(),
+      borrower,
+      lender,
+      collateral,
+      amount: amount.toString(),
+      duration: duration.toString(),
+      interestRateBps: Number(interestRate),
+      isCounterOffer: true,
+      expiresAt: Number(expiresAt),
+      status: 'open',
+      loanId: null,
+      createdAt: event.timestamp,
+      created: origin(event),
+      updated: origin(event)
+    });
+  },
+
+  ProposalAccepted(store, event) {
+    const { proposalId, lender, loanId } = event.args;
+    store.update('proposals', proposalId, {
+      lender,
+      loanId: loanId.toString(),
+      status: 'accepted',
+      updated: origin(event)
+    });
+  },
+
+  ProposalCancelled(store, event) {
+    store.update('proposals', event.args.proposalId, { status: 'cancelled', updated: origin(event) });
+  },
+
+  ProposalRejected(store, event) {
+    store.update('proposals', event.args.proposalId, { status: 'rejected', updated: origin(event) });
+  },
+
+  ProposalExpired(store, event) {
+    store.update('proposals', event.args.proposalId, { status: 'expired', updated: origin(event) });
+  }
+};
+
+const YapLendCore = {
+  // Emitted before LoanCreated in the same transaction, so the loan record may not exist yet
+  CollateralAdded(store, event) {
+    const { loanId, nftAddress, tokenId } = event.args;
+    const loan = store.get('loans', loanId) || { id: loanId.toString(), collateral: [] };
+    store.put('loans', loanId, {
+      ...loan,
+      collateral: [...loan.collateral, { nftAddress, tokenId: tokenId.toString() }]
+    });
+  },
+
+  LoanCreated(store, event) {
+    const { loanId, borrower, lender, amount, duration, interestRate } = event.args;
+    const loan = store.get('loans', loanId) || { collateral: [] };
+    store.put('loans', loanId, {
+      id: loanId.toString(),
+      borrower,
+      lender,
+      collateral: loan.collateral,
+      amount: amount.toString(),
+      duration: duration.toString(),
+      interestRateBps: Number(interestRate),
+      startTime: event.timestamp,
+      dueAt: event.timestamp + Number(duration),
+      status: 'active',
+      outstanding: amount.toString(),
+      principalRepaid: '0',
+      repaidAmount: null,
+      created: origin(event),
+      updated: origin(event)
+    });
+  },
+
+  PrincipalRepaid(store, event) {
+    const { loanId, principal, outstanding } = event.args;
+    const loan = store.get('loans', loanId) || {};
+    const principalRepaid = BigInt(loan.principalRepaid || 0) + principal;
+    store.update('loans', loanId, {
+      outstanding: outstanding.toString(),
+      principalRepaid: principalRepaid.toString(),
+      updated: origin(event)
+    });
+  },
+
+  LoanExtended(store, event) {
+    const { loanId, newDuration, interestRate } = event.args;
+    const loan = store.get('loans', loanId);
+    store.update('loans', loanId, {
+      duration: newDuration.toString(),
+      dueAt: loan.startTime + Number(newDuration),
+      interestRateBps: Number(interestRate),
+      updated: origin(event)
+    });
+  },
+
+  // Same loan and collateral, new lender and terms starting at the refinance
+  LoanRefinanced(store, event) {
+    const { loanId, newLender, amount, duration, interestRate } = event.args;
+    store.update('loans', loanId, {
+      lender: newLender,
+      amount: amount.toString(),
+      duration: duration.toString(),
+      interestRateBps: Number(interestRate),
+      startTime: event.timestamp,
+      dueAt: event.timestamp + Number(duration),
+      outstanding: amount.toString(),
+      principalRepaid: '0',
+      updated: origin(event)
+    });
+  },
+
+  LoanRepaid(store, event) {
+    const { loanId, amount } = event.args;
+    store.update('loans', loanId, { status: 'repaid', repaidAmount: amount.toString(), updated: origin(event) });
+  },
+
+  LoanLiquidated(store, event) {
+    store.update('loans', event.args.loanId, { status: 'liquidated', updated: origin(event) });
+  }
+};
+
+const CollateralManager = {
+  EscrowCreated(store, event) {
+    const { escrowAddress, nftAddress, tokenId, loanId } = event.args;
+    store.put('escrows', escrowAddress, {
+      address: escrowAddress,
+      nftAddress,
+      tokenId: tokenId.toString(),
+      loanId: loanId.toString(),
+      created: origin(event)
+    });
+  }
+};
+
+// Handlers by contract name, then by event name
+module.exports = {
+  ProposalManager,
+  YapLendCore,
+  CollateralManager
+};
@@ -0,0 +1,10 @@
+// indexer/index.js
+// Public entry point of the protocol event indexer
+const { Indexer } = require('./indexer');
+const { INDEXER_DATA_DIR, JsonStore } = require('./store');
+
+module.exports = {
+  INDEXER_DATA_DIR,
+  Indexer,
+  JsonStore
+};
@@ -0,0 +1,237 @@
+// indexer/indexer.js
+// Follows protocol events and applies them to a store, resuming from the last processed block
+// and rolling back blocks that were reorganised away
+const { Contract, Interface } = require('ethers');
+const { YapLendCoreABI, ProposalManagerABI, CollateralManagerABI } = require('../abis');
+const HANDLERS = require('./handlers');
+
+const ABIS = {
+  ProposalManager: ProposalManagerABI.abi,
+  YapLendCore: YapLendCoreABI.abi,
+  CollateralManager: CollateralManagerABI.abi
+};
+
+class Indexer {
+  /**
+   * @param {object} options
+   * @param {object} options.provider ethers v6 provider
+   * @param {object} options.deployment Deployment manifest
+   * @param {object} options.store Store to write to (see indexer/store.js)
+   * @param {number} [options.startBlock] First block to index (defaults to the protocol deploy block)
+   * @param {number} [options.confirmations] Blocks to stay behind the head
+   * @param {number} [options.batchSize] Maximum block range per eth_getLogs request
+   * @param {number} [options.reorgDepth] How many recent blocks can be rolled back
+   * @param {function} [options.log] Logger
+   */
+  constructor(options) {
+    this.provider = options.provider;
+    this.deployment = options.deployment;
+    this.store = options.store;
+    this.startBlock = options.startBlock;
+    this.confirmations = options.confirmations || 0;
+    this.batchSize = options.batchSize || 2000;
+    this.reorgDepth = options.reorgDepth || 64;
+    this.log = options.log || console.log;
+
+    this.sources = Object.keys(HANDLERS).map(name => {
+      const address = this.deployment.contracts[name];
+      if (!address) {
+        throw new Error(`Contract ${name} not found in deployment`);
+      }
+      const iface = new Interface(ABIS[name]);
+      const topics = Object.keys(HANDLERS[name]).map(eventName => iface.getEvent(eventName).topicHash);
+      return { name, address: address.toLowerCase(), iface, topics, handlers: HANDLERS[name] };
+    });
+
+    this.proposalManager = new Contract(this.deployment.contracts.ProposalManager, ABIS.ProposalManager, this.provider);
+    this._initialized = false;
+    this._running = false;
+    this._wake = null;
+  }
+
+  async _init() {
+    if (this._initialized) {
+      return;
+    }
+    const { chainId } = await this.provider.getNetwork();
+    this.store.bind(chainId, Object.fromEntries(this.sources.map(source => [source.name, source.address])));
+    this._initialized = true;
+  }
+
+  /**
+   * Block to start from on an empty store: the earliest deploy transaction recorded in the manifest
+   */
+  async _firstBlock() {
+    if (this.startBlock !== undefined) {
+      return this.startBlock;
+    }
+
+    const steps = this.deployment.steps || {};
+    const txHashes = this.sources
+      .map(source => steps[`deploy:${source.name}`]?.txHash)
+      .filter(Boolean);
+
+    const blocks = [];
+    for (const txHash of txHashes) {
+      const receipt = await this.provider.getTransactionReceipt(txHash);
+      if (receipt) {
+        blocks.push(receipt.blockNumber);
+      }
+    }
+    return blocks.length > 0 ? Math.min(...blocks) : 0;
+  }
+
+  /**
+   * Compare recorded block hashes with the chain and roll back to the newest block still on it
+   * @returns {Promise<number|null>} Block rolled back to, or null when there was no reorg
+   */
+  async _handleReorg() {
+    const recorded = this.store.recordedBlocks();
+    for (const block of recorded) {
+      const onChain = await this.provider.getBlock(block.number);
+      if (onChain && onChain.hash === block.hash) {
+        if (block.number === recorded[0].number) {
+          return null;
+        }
+        this.log(`⚠️  Reorg detected: rolling back from block ${this.store.lastBlock} to ${block.number}`);
+        this.store.rollback(block.number);
+        this.store.save();
+        return block.number;
+      }
+    }
+
+    if (recorded.length > 0) {
+      throw new Error(
+        `Reorg deeper than the ${this.reorgDepth} tracked blocks (no recorded block is still on chain); ` +
+        'reindex into a new store'
+      );
+    }
+    return null;
+  }
+
+  /**
+   * Read the borrower and collateral of a proposal as of a block
+   */
+  async readProposal(proposalId, blockNumber) {
+    const overrides = { blockTag: blockNumber };
+    const [proposal, [nftAddresses, tokenIds]] = await Promise.all([
+      this.proposalManager.getProposal(proposalId, overrides),
+      this.proposalManager.getProposalCollateral(proposalId, overrides)
+    ]);
+    return {
+      borrower: proposal.borrower,
+      collateral: nftAddresses.map((nftAddress, i) => ({ nftAddress, tokenId: tokenIds[i].toString() }))
+    };
+  }
+
+  async _fetchEvents(fromBlock, toBlock) {
+    const logs = await this.provider.getLogs({
+      address: this.sources.map(source => source.address),
+      topics: [this.sources.flatMap(source => source.topics)],
+      fromBlock,
+      toBlock
+    });
+
+    const events = [];
+    for (const log of logs) {
+      const source = this.sources.find(candidate => candidate.address === log.address.toLowerCase());
+      const parsed = source && source.iface.parseLog(log);
+      if (!parsed || !source.handlers[parsed.name]) {
+        continue;
+      }
+      events.push({
+        contract: source.name,
+        name: parsed.name,
+        args: parsed.args,
+        handler: source.handlers[parsed.name],
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        transactionHash: log.transactionHash,
+        logIndex: log.index
+      });
+    }
+
+    return events.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+  }
+
+  async _processRange(fromBlock, toBlock) {
+    const events = await this._fetchEvents(fromBlock, toBlock);
+
+    let currentBlock = null;
+    let timestamp = null;
+    for (const event of events) {
+      if (event.blockNumber !== currentBlock) {
+        const block = await this.provider.getBlock(event.blockNumber);
+        currentBlock = event.blockNumber;
+        timestamp = block.timestamp;
+        this.store.beginBlock(event.blockNumber, event.blockHash);
+      }
+      event.timestamp = timestamp;
+      await event.handler(this.store, event, this);
+    }
+
+    const lastBlock = await this.provider.getBlock(toBlock);
+    this.store.markProcessed(toBlock, lastBlock.hash);
+    this.store.prune(this.reorgDepth);
+    this.store.save();
+    return events.length;
+  }
+
+  /**
+   * Index every block up to the current head (minus confirmations)
+   * @returns {Promise<object>} { fromBlock, toBlock, events, rolledBackTo }
+   */
+  async sync() {
+    await this._init();
+    const rolledBackTo = await this._handleReorg();
+
+    const head = (await this.provider.getBlockNumber()) - this.confirmations;
+    const fromBlock = this.store.lastBlock === null ? await this._firstBlock() : this.store.lastBlock + 1;
+
+    let events = 0;
+    for (let from = fromBlock; from <= head; from += this.batchSize) {
+      const to = Math.min(from + this.batchSize - 1, head);
+      events += await this._processRange(from, to);
+      this.log(`Indexed blocks ${from}-${to} (${events} events so far)`);
+    }
+
+    return { fromBlock, toBlock: Math.max(head, fromBlock - 1), events, rolledBackTo };
+  }
+
+  /**
+   * Keep syncing until stop() is called
+   * @param {object} [options]
+   * @param {number} [options.pollInterval] Milliseconds between syncs
+   */
+  async run(options = {}) {
+    const pollInterval = options.pollInterval || 5000;
+    this._running = true;
+
+    while (this._running) {
+      await this.sync();
+      if (!this._running) {
+        break;
+      }
+      await new Promise(resolve => {
+        const timer = setTimeout(resolve, pollInterval);
+        this._wake = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+      });
+      this._wake = null;
+    }
+  }
+
+  /**
+   * Stop a running loop after the current sync
+   */
+  stop() {
+    this._running = false;
+    if (this._wake) {
+      this._wake();
+    }
+  }
+}
+
+module.exports = { Indexer };
@@ -0,0 +1,255 @@
+// indexer/store.js
+// JSON-file store for indexed proposals, loans and escrows
+// Every write is journaled under the block that caused it, so recent blocks can be undone after a reorg
+const fs = require('fs');
+const path = require('path');
+
+const STORE_VERSION = 1;
+
+// Default folder for store files (gitignored)
+const INDEXER_DATA_DIR = path.join(__dirname, '../indexer-data');
+
+function emptyState() {
+  return {
+    version: STORE_VERSION,
+    chainId: null,
+    contracts: {},
+    lastBlock: null,
+    blockHashes: {},
+    journal: {},
+    proposals: {},
+    loans: {},
+    escrows: {}
+  };
+}
+
+function clone(value) {
+  return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+function sameAddress(a, b) {
+  return typeof a === 'string' && typeof b === 'string' && a.toLowerCase() === b.toLowerCase();
+}
+
+class JsonStore {
+  /**
+   * @param {string|null} file Path of the JSON file, or null for an in-memory store
+   */
+  constructor(file = null) {
+    this.file = file;
+    this.state = file && fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : emptyState();
+    if (this.state.version !== STORE_VERSION) {
+      throw new Error(`Store ${file} has version ${this.state.version}, expected ${STORE_VERSION}; reindex into a new file`);
+    }
+    this._block = null;
+  }
+
+  /**
+   * Last block whose events are fully applied (null before the first sync)
+   */
+  get lastBlock() {
+    return this.state.lastBlock;
+  }
+
+  /**
+   * Bind the store to a chain and deployment, refusing to mix data from another one
+   * @param {number} chainId Chain ID
+   * @param {object} contracts Indexed contract addresses by name
+   */
+  bind(chainId, contracts) {
+    if (this.state.chainId === null) {
+      this.state.chainId = Number(chainId);
+      this.state.contracts = { ...contracts };
+      return;
+    }
+
+    if (this.state.chainId !== Number(chainId)) {
+      throw new Error(`Store ${this.file} was built for chain ${this.state.chainId}, not ${chainId}`);
+    }
+    for (const [name, address] of Object.entries(contracts)) {
+      if (this.state.contracts[name] && !sameAddress(this.state.contracts[name], address)) {
+        throw new Error(`Store ${this.file} was built for ${name} at ${this.state.contracts[name]}, not ${address}`);
+      }
+    }
+  }
+
+  /**
+   * Start applying the events of a block; later writes are journaled under it
+   * @param {number} blockNumber Block number
+   * @param {string} blockHash Block hash, used to detect reorgs
+   */
+  beginBlock(blockNumber, blockHash) {
+    this._block = blockNumber;
+    this.state.blockHashes[blockNumber] = blockHash;
+  }
+
+  /**
+   * Mark everything up to a block as processed
+   * @param {number} blockNumber Block number
+   * @param {string} [blockHash] Block hash, recorded so a reorg of this block is detected
+   */
+  markProcessed(blockNumber, blockHash) {
+    if (blockHash) {
+      this.state.blockHashes[blockNumber] = blockHash;
+    }
+    this.state.lastBlock = blockNumber;
+    this._block = null;
+  }
+
+  get(kind, id) {
+    return this.state[kind][String(id)] || null;
+  }
+
+  /**
+   * Insert or replace a record, journaling its previous value
+   */
+  put(kind, id, record) {
+    const key = String(id);
+    if (this._block !== null) {
+      const entries = this.state.journal[this._block] || (this.state.journal[this._block] = []);
+      entries.push({ kind, id: key, previous: clone(this.state[kind][key]) });
+    }
+    this.state[kind][key] = record;
+  }
+
+  /**
+   * Apply a partial update to a record, creating it when missing
+   */
+  update(kind, id, changes) {
+    this.put(kind, id, { ...(this.get(kind, id) || {}), ...changes });
+  }
+
+  /**
+   * Recorded block hashes, newest first
+   * @returns {object[]} { number, hash }
+   */
+  recordedBlocks() {
+    return Object.entries(this.state.blockHashes)
+      .map(([number, hash]) => ({ number: Number(number), hash }))
+      .sort((a, b) => b.number - a.number);
+  }
+
+  /**
+   * Undo every write made for blocks after `blockNumber`
+   * @param {number} blockNumber Last block to keep
+   */
+  rollback(blockNumber) {
+    const blocks = Object.keys(this.state.journal).map(Number).filter(n => n > blockNumber).sort((a, b) => b - a);
+
+    for (const n of blocks) {
+      const entries = this.state.journal[n];
+      for (let i = entries.length - 1; i >= 0; i--) {
+        const { kind, id, previous } = entries[i];
+        if (previous === null) {
+          delete this.state[kind][id];
+        } else {
+          this.state[kind][id] = previous;
+        }
+      }
+      delete this.state.journal[n];
+    }
+
+    for (const n of Object.keys(this.state.blockHashes).map(Number)) {
+      if (n > blockNumber) {
+        delete this.state.blockHashes[n];
+      }
+    }
+
+    this.state.lastBlock = blockNumber;
+    this._block = null;
+  }
+
+  /**
+   * Drop journal entries and block hashes older than the reorg window
+   * @param {number} depth Number of recent blocks to keep undo data for
+   */
+  prune(depth) {
+    if (this.state.lastBlock === null) {
+      return;
+    }
+    const oldest = this.state.lastBlock - depth;
+    for (const n of Object.keys(this.state.journal).map(Number)) {
+      if (n < oldest) {
+        delete this.state.journal[n];
+      }
+    }
+
+    // Keep the newest hash below the window so a reorg right at its edge still finds a common ancestor
+    const stale = this.recordedBlocks().filter(block => block.number < oldest);
+    stale.slice(1).forEach(block => delete this.state.blockHashes[block.number]);
+  }
+
+  /**
+   * Persist the store, writing to a temporary file first so a crash never leaves half a JSON behind
+   */
+  save() {
+    if (!this.file) {
+      return;
+    }
+    const dir = path.dirname(this.file);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    const tmpFile = `${this.file}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(this.state, null, 2));
+    fs.renameSync(tmpFile, this.file);
+  }
+
+  /**
+   * Query proposals
+   * @param {object} [filter]
+   * @param {string} [filter.borrower] Borrower address
+   * @param {string} [filter.lender] Lender address (counter offers and accepted proposals)
+   * @param {string} [filter.collection] NFT collection used as collateral
+   * @param {string} [filter.status] open | accepted | cancelled | rejected | expired
+   * @returns {object[]} Matching proposals ordered by ID
+   */
+  getProposals(filter = {}) {
+    return this._query('proposals', filter);
+  }
+
+  /**
+   * Query loans
+   * @param {object} [filter]
+   * @param {string} [filter.borrower] Borrower address
+   * @param {string} [filter.lender] Lender address
+   * @param {string} [filter.collection] NFT collection used as collateral
+   * @param {string} [filter.status] active | repaid | liquidated
+   * @returns {object[]} Matching loans ordered by ID
+   */
+  getLoans(filter = {}) {
+    return this._query('loans', filter);
+  }
+
+  /**
+   * Query escrows
+   * @param {object} [filter]
+   * @param {string|number} [filter.loanId] Loan the escrow was created for
+   * @param {string} [filter.collection] NFT collection held by the escrow
+   * @returns {object[]} Matching escrows
+   */
+  getEscrows(filter = {}) {
+    return Object.values(this.state.escrows).filter(escrow =>
+      (filter.loanId === undefined || escrow.loanId === String(filter.loanId)) &&
+      (filter.collection === undefined || sameAddress(escrow.nftAddress, filter.collection))
+    );
+  }
+
+  _query(kind, filter) {
+    return Object.values(this.state[kind])
+      .filter(record =>
+        (filter.borrower === undefined || sameAddress(record.borrower, filter.borrower)) &&
+        (filter.lender === undefined || sameAddress(record.lender, filter.lender)) &&
+        (filter.status === undefined || record.status === filter.status) &&
+        (filter.collection === undefined ||
+          (record.collateral || []).some(item => sameAddress(item.nftAddress, filter.collection)))
+      )
+      .sort((a, b) => (BigInt(a.id) < BigInt(b.id) ? -1 : 1));
+  }
+}
+
+module.exports = {
+  STORE_VERSION,
+  INDEXER_DATA_DIR,
+  JsonStore
+};
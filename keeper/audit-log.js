@@ -0,0 +1,64 @@
+// keeper/audit-log.js
+// Append-only JSON Lines audit log of vault withdrawals and lender payouts
+const fs = require('fs');
+const path = require('path');
+
+class AuditLog {
+  /**
+   * @param {string|null} file Path of the .jsonl file, or null to keep entries in memory
+   */
+  constructor(file = null) {
+    this.file = file;
+    this._entries = file && fs.existsSync(file)
+      ? fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line))
+      : [];
+  }
+
+  /**
+   * Append an entry; amounts must already be decimal strings
+   * @param {object} entry Entry with at least `type` and `loanId`
+   * @returns {object} The stored entry, with its timestamp
+   */
+  append(entry) {
+    const stored = { at: new Date().toISOString(), ...entry };
+    if (this.file) {
+      const dir = path.dirname(this.file);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+      fs.appendFileSync(this.file, `${JSON.stringify(stored)}\n`);
+    }
+    this._entries.push(stored);
+    return stored;
+  }
+
+  /**
+   * All entries, oldest first
+   */
+  entries(filter = {}) {
+    return this._entries.filter(entry =>
+      (filter.type === undefined || entry.type === filter.type) &&
+      (filter.loanId === undefined || entry.loanId === String(filter.loanId))
+    );
+  }
+
+  /**
+   * Funds withdrawn from the vault but not yet paid to the lender, per loan
+   * @returns {object[]} { loanId, lender, amount } with amount as bigint
+   */
+  owed() {
+    const balances = new Map();
+    for (const entry of this._entries) {
+      if (entry.type !== 'withdrawn' && entry.type !== 'paid') {
+        continue;
+      }
+      const current = balances.get(entry.loanId)
+        || { loanId: entry.loanId, lender: entry.lender, currency: entry.currency, amount: 0n };
+      current.amount += entry.type === 'withdrawn' ? BigInt(entry.amount) : -BigInt(entry.amount);
+      balances.set(entry.loanId, current);
+    }
+    return [...balances.values()].filter(balance => balance.amount > 0n);
+  }
+}
+
+module.exports = { AuditLog };
@@ -0,0 +1,214 @@
+// keeper/auto-withdrawal.js
+// Off-chain listener for YapLendCore.AutoWithdrawalTriggered: when a repaid loan still holds funds for the
+// lender in the LoanVault ledger (a direct transfer to the lender failed and fell back to the vault), they are
+// paid out with LoanVault.claimFor, which only ever sends a beneficiary's own funds to the beneficiary.
+// In queue mode the payout is only recorded in the audit log.
+// Entries "withdrawn" by earlier versions, which forwarded the funds from the service account, are still retried
+const { Contract, Interface, ZeroAddress } = require('ethers');
+const { YapLendCoreABI, LoanVaultABI } = require('../abis');
+const { toYapLendError } = require('../sdk/errors');
+
+const ERC20_TRANSFER_ABI = ['function transfer(address to, uint256 amount) returns (bool)'];
+
+const EXECUTE = 'execute';
+const QUEUE = 'queue';
+
+class AutoWithdrawalService {
+  /**
+   * @param {object} options
+   * @param {object} options.indexer Indexer following the protocol, used to find repaid loans to sweep
+   * @param {object} options.signer Signer paying for the claims
+   * @param {object} options.auditLog Audit log (see keeper/audit-log.js)
+   * @param {string} [options.mode] 'execute' (default) or 'queue'
+   * @param {function} [options.log] Logger
+   */
+  constructor(options) {
+    this.indexer = options.indexer;
+    this.signer = options.signer;
+    this.auditLog = options.auditLog;
+    this.mode = options.mode || EXECUTE;
+    this.log = options.log || console.log;
+
+    const { contracts } = this.indexer.deployment;
+    this.core = new Contract(contracts.YapLendCore, YapLendCoreABI.abi, this.signer);
+    this.vault = new Contract(contracts.LoanVault, LoanVaultABI.abi, this.signer);
+    this.interfaces = [new Interface(YapLendCoreABI.abi), new Interface(LoanVaultABI.abi)];
+
+    // Triggers are handled one at a time so the same payout is never queued twice
+    this._queue = Promise.resolve();
+    this._listener = null;
+    this._sweepTimer = null;
+  }
+
+  /**
+   * Handle a trigger for a loan: check the vault and pay out (or queue) whatever the lender is owed
+   * @param {bigint|string} loanId Loan ID
+   * @param {string} source What caused the check (event, sweep, ...), recorded in the audit log
+   * @returns {Promise<object|null>} Audit entry written, or null when there was nothing to do
+   */
+  handleTrigger(loanId, source) {
+    const run = this._queue.then(() => this._process(String(loanId), source));
+    this._queue = run.catch(() => {});
+    return run;
+  }
+
+  async _process(loanId, source) {
+    const loan = await this.core.loans(loanId);
+    // Same conditions as checkAutoWithdrawConditions: only repaid loans pay out to the lender
+    if (loan.active || loan.liquidated || loan.lender === ZeroAddress) {
+      return null;
+    }
+
+    const amount = await this.vault.claimableBalance(loanId, loan.lender);
+    if (amount === 0n) {
+      return null;
+    }
+
+    // Token loans are paid out in the loan currency; older entries without a currency are native
+    const currency = loan.currency || ZeroAddress;
+    const details = { loanId, lender: loan.lender, currency, amount: amount.toString(), source };
+
+    if (this.mode === QUEUE) {
+      if (this._isQueued(loanId, amount)) {
+        return null;
+      }
+      this.log(`📋 Loan ${loanId}: queued payout of ${amount} for ${loan.lender}`);
+      return this.auditLog.append({ type: 'queued', ...details });
+    }
+
+    let receipt;
+    try {
+      receipt = await (await this.vault.claimFor(loanId, loan.lender)).wait();
+    } catch (error) {
+      // Os fundos continuam no ledger do lender e são tentados de novo no próximo sweep
+      const typed = toYapLendError(error, this.interfaces);
+      this.log(`⚠️  Loan ${loanId}: claim for ${loan.lender} failed, will retry: ${typed.message}`);
+      return this.auditLog.append({ type: 'claim-failed', ...details, error: typed.message });
+    }
+    this.log(`✅ Loan ${loanId}: paid ${amount} to ${loan.lender} from the vault (tx ${receipt.hash})`);
+    return this.auditLog.append({ type: 'claimed', ...details, txHash: receipt.hash });
+  }
+
+  _isQueued(loanId, amount) {
+    return this.auditLog.entries({ type: 'queued', loanId }).some(entry => entry.amount === amount.toString());
+  }
+
+  async _payout({ loanId, lender, currency = ZeroAddress, amount }, source) {
+    const details = { loanId, lender, currency, amount: amount.toString(), source };
+    try {
+      const tx = currency === ZeroAddress
+        ? await this.signer.sendTransaction({ to: lender, value: amount })
+        : await new Contract(currency, ERC20_TRANSFER_ABI, this.signer).transfer(lender, amount);
+      const receipt = await tx.wait();
+      this.log(`✅ Loan ${loanId}: paid ${amount} to ${lender} (tx ${receipt.hash})`);
+      return this.auditLog.append({ type: 'paid', ...details, txHash: receipt.hash });
+    } catch (error) {
+      // The funds stay with the service account and are retried on the next sweep
+      const message = error.shortMessage || error.message;
+      this.log(`⚠️  Loan ${loanId}: payout to ${lender} failed, will retry: ${message}`);
+      return this.auditLog.append({ type: 'payout-failed', ...details, error: message });
+    }
+  }
+
+  /**
+   * Retry payouts that earlier versions withdrew from the vault but never forwarded to the lender
+   * @returns {Promise<object[]>} Audit entries written
+   */
+  async retryOwed() {
+    const entries = [];
+    for (const owed of this.auditLog.owed()) {
+      const run = this._queue.then(() => this._payout(owed, 'retry'));
+      this._queue = run.catch(() => {});
+      entries.push(await run);
+    }
+    return entries;
+  }
+
+  /**
+   * Call checkAutoWithdrawConditions for every repaid loan that still owes the lender funds in the vault,
+   * handling the emitted trigger directly from the receipt
+   * @returns {Promise<object[]>} Audit entries written
+   */
+  async sweep() {
+    await this.indexer.sync();
+    const entries = [...await this.retryOwed()];
+
+    for (const loan of this.indexer.store.getLoans({ status: 'repaid' })) {
+      if (!loan.lender || loan.lender === ZeroAddress) {
+        continue;
+      }
+      const amount = await this.vault.claimableBalance(loan.id, loan.lender);
+      if (amount === 0n || (this.mode === QUEUE && this._isQueued(loan.id, amount))) {
+        continue;
+      }
+
+      const receipt = await (await this.core.checkAutoWithdrawConditions(loan.id)).wait();
+      const triggered = receipt.logs
+        .map(log => {
+          try {
+            return this.interfaces[0].parseLog(log);
+          } catch (error) {
+            return null;
+          }
+        })
+        .some(parsed => parsed && parsed.name === 'AutoWithdrawalTriggered');
+
+      if (triggered) {
+        const entry = await this.handleTrigger(loan.id, 'sweep');
+        if (entry) {
+          entries.push(entry);
+        }
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Subscribe to AutoWithdrawalTriggered and sweep periodically until stop() is called
+   * @param {object} [options]
+   * @param {number} [options.sweepInterval] Milliseconds between sweeps
+   */
+  async start(options = {}) {
+    const sweepInterval = options.sweepInterval || 10 * 60 * 1000;
+
+    this._listener = (loanId, user, amount, timestamp, payload) => {
+      const txHash = payload && payload.log ? payload.log.transactionHash : 'unknown tx';
+      this.log(`🔔 AutoWithdrawalTriggered for loan ${loanId} (${amount} to ${user}, ${txHash})`);
+      this.handleTrigger(loanId, 'event').catch(error => this.log(`❌ Loan ${loanId}: ${error.message}`));
+    };
+    await this.core.on('AutoWithdrawalTriggered', this._listener);
+
+    const sweepLoop = async () => {
+      try {
+        await this.sweep();
+      } catch (error) {
+        this.log(`❌ Sweep failed: ${error.message}`);
+      }
+      if (this._listener) {
+        this._sweepTimer = setTimeout(sweepLoop, sweepInterval);
+      }
+    };
+    await sweepLoop();
+  }
+
+  /**
+   * Unsubscribe and stop sweeping
+   */
+  async stop() {
+    if (this._sweepTimer) {
+      clearTimeout(this._sweepTimer);
+      this._sweepTimer = null;
+    }
+    if (this._listener) {
+      await this.core.off('AutoWithdrawalTriggered', this._listener);
+      this._listener = null;
+    }
+    await this._queue;
+  }
+}
+
+module.exports = {
+  EXECUTE,
+  QUEUE,
+  AutoWithdrawalService
+};
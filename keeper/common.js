@@ -0,0 +1,50 @@
+// keeper/common.js
+// Shared by the keepers and their scripts: outcome statuses used by more than one keeper,
+// and the --flag / environment switches of the scripts
+const DRY_RUN = 'dry-run';
+const FAILED = 'failed';
+
+const TRUE_VALUES = ['1', 'true'];
+const FALSE_VALUES = ['', '0', 'false'];
+
+/**
+ * Read a boolean environment variable. Unset, empty, 0 and false disable it; 1 and true enable it
+ * @param {string} envVar Variable name
+ * @param {object} [env] Environment (defaults to process.env)
+ * @returns {boolean}
+ * @throws {Error} For any other value, so a typo never silently flips a switch
+ */
+function envFlag(envVar, env = process.env) {
+  const value = env[envVar];
+  if (value === undefined) {
+    return false;
+  }
+  const normalized = value.trim().toLowerCase();
+  if (TRUE_VALUES.includes(normalized)) {
+    return true;
+  }
+  if (FALSE_VALUES.includes(normalized)) {
+    return false;
+  }
+  throw new Error(`${envVar} must be 1, true, 0 or false (got "${value}")`);
+}
+
+/**
+ * A script switch, on when the command line has `name` (e.g. --dry-run) or `envVar` is enabled
+ * @param {string} name Command line flag
+ * @param {string} envVar Environment variable, parsed with envFlag
+ * @param {object} [options]
+ * @param {string[]} [options.argv] Command line (defaults to process.argv)
+ * @param {object} [options.env] Environment (defaults to process.env)
+ * @returns {boolean}
+ */
+function readFlag(name, envVar, { argv = process.argv, env = process.env } = {}) {
+  return argv.includes(name) || envFlag(envVar, env);
+}
+
+module.exports = {
+  DRY_RUN,
+  FAILED,
+  envFlag,
+  readFlag
+};
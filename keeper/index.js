@@ -0,0 +1,17 @@
+// keeper/index.js
+// Public entry point of the protocol keepers
+const common = require('./common');
+const liquidationKeeper = require('./liquidation-keeper');
+const autoWithdrawal = require('./auto-withdrawal');
+const priceFeeder = require('./price-feeder');
+const priceSources = require('./price-sources');
+const { AuditLog } = require('./audit-log');
+
+module.exports = {
+  ...common,
+  ...liquidationKeeper,
+  ...autoWithdrawal,
+  ...priceFeeder,
+  ...priceSources,
+  AuditLog
+};
@@ -0,0 +1,288 @@
+// keeper/liquidation-keeper.js
+// Keeper that liquidates defaulted loans: active loans are tracked by the event indexer,
+// and every loan past startTime + duration + gracePeriod is sent to YapLendCore.liquidateLoan
+const { Contract, Interface, NonceManager } = require('ethers');
+const { YapLendCoreABI, CollateralManagerABI } = require('../abis');
+const { YapLendError, LoanNotActiveError, LoanNotDefaultedError, toYapLendError } = require('../sdk/errors');
+const { DRY_RUN, FAILED } = require('./common');
+
+const ERC721_ABI = ['function ownerOf(uint256 tokenId) view returns (address)'];
+const ERC1155_ABI = ['function balanceOf(address account, uint256 id) view returns (uint256)'];
+const PUNKS_ABI = ['function punkIndexToAddress(uint256 punkIndex) view returns (address)'];
+
+// CollateralManager.collectionAssetTypes values (CollateralAssetType in contracts/CollateralAssets.sol)
+const ERC1155 = 1n;
+const PUNK = 2n;
+
+// Outcome statuses (plus DRY_RUN and FAILED from ./common)
+const LIQUIDATED = 'liquidated';
+const SKIPPED = 'skipped';
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+class LiquidationKeeper {
+  /**
+   * @param {object} options
+   * @param {object} options.indexer Indexer following the protocol (see indexer/)
+   * @param {object} options.signer Signer paying for liquidations (wrapped in a NonceManager)
+   * @param {boolean} [options.dryRun] Only simulate liquidations
+   * @param {number} [options.maxAttempts] Attempts per loan for transient (non-revert) failures
+   * @param {number} [options.retryDelay] Base delay in ms between attempts, multiplied by the attempt number
+   * @param {function} [options.log] Logger
+   */
+  constructor(options) {
+    this.indexer = options.indexer;
+    this.provider = options.indexer.provider;
+    this.dryRun = Boolean(options.dryRun);
+    this.maxAttempts = options.maxAttempts || 3;
+    this.retryDelay = options.retryDelay !== undefined ? options.retryDelay : 2000;
+    this.log = options.log || console.log;
+
+    this.signer = options.signer instanceof NonceManager ? options.signer : new NonceManager(options.signer);
+    const { contracts } = this.indexer.deployment;
+    this.core = new Contract(contracts.YapLendCore, YapLendCoreABI.abi, this.signer);
+    this.collateralManager = new Contract(contracts.CollateralManager, CollateralManagerABI.abi, this.provider);
+    this.interfaces = [new Interface(YapLendCoreABI.abi), new Interface(CollateralManagerABI.abi)];
+
+    this._running = false;
+    this._wake = null;
+  }
+
+  async _now() {
+    const block = await this.provider.getBlock('latest');
+    return block.timestamp;
+  }
+
+  /**
+   * Loans the indexer still sees as active whose term and grace period have ended
+   * @param {number} now Current chain timestamp
+   * @param {number} [gracePeriod] Seconds after the due date the borrower can still repay
+   * @returns {object[]} Indexed loan records
+   */
+  findDefaulted(now, gracePeriod = 0) {
+    return this.indexer.store.getLoans({ status: 'active' }).filter(loan => now > loan.dueAt + gracePeriod);
+  }
+
+  /**
+   * Re-check a loan on chain right before liquidating it (the index may lag behind)
+   * @returns {Promise<string|null>} Reason the loan cannot be liquidated, or null if it can
+   */
+  async _blocker(loanId) {
+    const loan = await this.core.loans(loanId);
+    if (!loan.active || loan.liquidated) {
+      return loan.liquidated ? 'already liquidated' : 'no longer active';
+    }
+    const now = BigInt(await this._now());
+    if (now <= loan.startTime + loan.duration) {
+      return 'not yet defaulted';
+    }
+    if (now <= loan.startTime + loan.duration + await this.core.gracePeriod()) {
+      return 'in grace period';
+    }
+    return null;
+  }
+
+  /**
+   * Whether one of the holders has the collateral, read the way its collection's asset type stores it:
+   * ownerOf for ERC721, punkIndexToAddress for punks and a balance of at least the quantity for ERC1155
+   * @returns {Promise<string|null>} Where the collateral is instead, or null when a holder has it
+   */
+  async _misplaced({ nftAddress, tokenId, quantity }, holders) {
+    const assetType = await this.collateralManager.collectionAssetTypes(nftAddress);
+
+    if (assetType === ERC1155) {
+      // Colaterais anteriores às quantidades guardam 0
+      const units = quantity === 0n ? 1n : quantity;
+      const editions = new Contract(nftAddress, ERC1155_ABI, this.provider);
+      for (const holder of holders) {
+        if (await editions.balanceOf(holder, tokenId) >= units) {
+          return null;
+        }
+      }
+      return `${units} unit(s) are not held by the lender or the liquidation auction`;
+    }
+
+    const owner = assetType === PUNK
+      ? await new Contract(nftAddress, PUNKS_ABI, this.provider).punkIndexToAddress(tokenId)
+      : await new Contract(nftAddress, ERC721_ABI, this.provider).ownerOf(tokenId);
+    if (holders.some(holder => holder.toLowerCase() === owner.toLowerCase())) {
+      return null;
+    }
+    return `is held by ${owner}, not the lender or the liquidation auction`;
+  }
+
+  /**
+   * Check what a mined liquidation actually did with the collateral
+   * @returns {Promise<string[]>} Problems found, empty when every NFT reached the lender or the liquidation auction
+   */
+  async _inspect(loan, receipt) {
+    const issues = [];
+    const auction = await this.core.liquidationAuction();
+    const holders = [loan.lender, auction];
+
+    for (const log of receipt.logs) {
+      for (const iface of this.interfaces) {
+        let parsed = null;
+        try {
+          parsed = iface.parseLog(log);
+        } catch (error) {
+          // Log from another contract
+        }
+        if (parsed && (parsed.name === 'CollateralReleaseFailure' || parsed.name === 'ExcessReturnFailure')) {
+          issues.push(`${parsed.name}: ${parsed.args.map(arg => arg.toString()).join(', ')}`);
+        }
+      }
+    }
+
+    // Quantities are only on chain, the index keeps collection and token
+    for (const item of await this.core.getLoanCollaterals(loan.id)) {
+      const label = `${item.nftAddress} #${item.tokenId}`;
+      try {
+        const problem = await this._misplaced(item, holders);
+        if (problem) {
+          issues.push(`${label} ${problem}`);
+        }
+      } catch (error) {
+        issues.push(`${label} ownership could not be read: ${error.shortMessage || error.message}`);
+      }
+    }
+
+    return issues;
+  }
+
+  /**
+   * Liquidate a single loan, retrying transient failures
+   * Contract reverts are not retried: they are deterministic, and a loan closed by someone else is skipped
+   * @param {object} loan Indexed loan record
+   * @returns {Promise<object>} { loanId, status, txHash, attempts, issues, error }
+   */
+  async liquidate(loan) {
+    const outcome = { loanId: loan.id, status: FAILED, txHash: null, attempts: 0, issues: [], error: null };
+
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      outcome.attempts = attempt;
+      try {
+        const blocker = await this._blocker(loan.id);
+        if (blocker) {
+          outcome.status = SKIPPED;
+          outcome.error = blocker;
+          return outcome;
+        }
+
+        if (this.dryRun) {
+          await this.core.liquidateLoan.staticCall(loan.id);
+          outcome.status = DRY_RUN;
+          return outcome;
+        }
+
+        const tx = await this.core.liquidateLoan(loan.id);
+        outcome.txHash = tx.hash;
+        const receipt = await tx.wait();
+        outcome.status = LIQUIDATED;
+        outcome.issues = await this._inspect(loan, receipt);
+        return outcome;
+      } catch (rawError) {
+        const error = toYapLendError(rawError, this.interfaces);
+        outcome.error = error.message;
+
+        if (error instanceof LoanNotActiveError || error instanceof LoanNotDefaultedError) {
+          outcome.status = SKIPPED;
+          return outcome;
+        }
+        if (error instanceof YapLendError) {
+          return outcome;
+        }
+
+        // Transient failure (RPC, nonce, replacement): resync the nonce and try again
+        this.signer.reset();
+        if (attempt < this.maxAttempts) {
+          this.log(`⚠️  Loan ${loan.id}: attempt ${attempt} failed (${error.shortMessage || error.message}), retrying`);
+          await sleep(this.retryDelay * attempt);
+        }
+      }
+    }
+
+    return outcome;
+  }
+
+  _report(outcome) {
+    const label = `Loan ${outcome.loanId}`;
+    if (outcome.status === LIQUIDATED) {
+      this.log(`✅ ${label} liquidated (tx ${outcome.txHash})`);
+      outcome.issues.forEach(issue => this.log(`   ⚠️  ${issue}`));
+    } else if (outcome.status === DRY_RUN) {
+      this.log(`🔎 ${label} would be liquidated (dry run)`);
+    } else if (outcome.status === SKIPPED) {
+      this.log(`⏭️  ${label} skipped: ${outcome.error}`);
+    } else {
+      this.log(`❌ ${label} failed after ${outcome.attempts} attempt(s): ${outcome.error}`);
+    }
+  }
+
+  /**
+   * Sync the index and liquidate every defaulted loan
+   * @returns {Promise<object[]>} One outcome per defaulted loan
+   */
+  async runOnce() {
+    await this.indexer.sync();
+    const defaulted = this.findDefaulted(await this._now(), Number(await this.core.gracePeriod()));
+
+    const outcomes = [];
+    for (const loan of defaulted) {
+      const outcome = await this.liquidate(loan);
+      this._report(outcome);
+      outcomes.push(outcome);
+    }
+    return outcomes;
+  }
+
+  /**
+   * Keep liquidating until stop() is called
+   * @param {object} [options]
+   * @param {number} [options.pollInterval] Milliseconds between rounds
+   */
+  async run(options = {}) {
+    const pollInterval = options.pollInterval || 15000;
+    this._running = true;
+
+    while (this._running) {
+      try {
+        await this.runOnce();
+      } catch (error) {
+        // A failed round (e.g. RPC outage during sync) must not stop the keeper
+        this.log(`❌ Keeper round failed: ${error.message}`);
+      }
+      if (!this._running) {
+        break;
+      }
+      await new Promise(resolve => {
+        const timer = setTimeout(resolve, pollInterval);
+        this._wake = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+      });
+      this._wake = null;
+    }
+  }
+
+  /**
+   * Stop a running loop after the current round
+   */
+  stop() {
+    this._running = false;
+    if (this._wake) {
+      this._wake();
+    }
+  }
+}
+
+module.exports = {
+  LIQUIDATED,
+  DRY_RUN,
+  SKIPPED,
+  FAILED,
+  LiquidationKeeper
+};
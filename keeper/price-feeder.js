@@ -0,0 +1,336 @@
+// keeper/price-feeder.js
+// Off-chain feeder for PriceOracle: reads collection floors from a price source and reports them with
+// batchUpdateCollectionPrices, so floors never reach priceStaleThreshold. A floor is only reported when it
+// moved past the deviation threshold or the feeder's last report is about to age out of the median;
+// moves the oracle would reject as a circuit breaker deviation are held back and flagged in the health report
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { Contract, Interface, NonceManager, getAddress } = require('ethers');
+const { PriceOracleABI } = require('../abis');
+const { toYapLendError } = require('../sdk/errors');
+const { DRY_RUN, FAILED } = require('./common');
+const { createSource } = require('./price-sources');
+
+// Collection statuses after a round (plus DRY_RUN and FAILED from ./common)
+const SUBMITTED = 'submitted';
+const UNCHANGED = 'unchanged';
+const HELD = 'held';
+const CIRCUIT_BROKEN = 'circuit-broken';
+const MISSING = 'missing';
+
+// Statuses that need attention; any of them turns the health report to degraded
+const PROBLEMS = [HELD, CIRCUIT_BROKEN, MISSING, FAILED];
+
+// Failed rounds in a row after which the feeder reports itself down
+const DOWN_AFTER_FAILURES = 3;
+
+/**
+ * Distance between two prices in basis points of the first
+ */
+function deviationBps(from, to) {
+  if (from === 0n) {
+    return Infinity;
+  }
+  const difference = to > from ? to - from : from - to;
+  return Number((difference * 10000n) / from);
+}
+
+/**
+ * Read and validate a feeder configuration file; a relative source "file" is resolved from the config's folder
+ * @param {string} file Path of the JSON configuration
+ * @returns {object} { source, collections, deviationThresholdBps, heartbeat, batchSize, pollInterval }
+ */
+function loadFeederConfig(file) {
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!config.source) {
+    throw new Error(`${file}: "source" is required`);
+  }
+  if (!Array.isArray(config.collections) || config.collections.length === 0) {
+    throw new Error(`${file}: "collections" must list the collections to track`);
+  }
+  const source = { ...config.source };
+  if (source.file) {
+    source.file = path.resolve(path.dirname(file), source.file);
+  }
+  return {
+    ...config,
+    source,
+    collections: config.collections.map(item => (typeof item === 'string' ? { address: item } : item))
+  };
+}
+
+class PriceFeeder {
+  /**
+   * @param {object} options
+   * @param {object} options.deployment Deployment manifest ({ contracts: { PriceOracle } })
+   * @param {object} options.signer Authorized updater of the oracle (wrapped in a NonceManager)
+   * @param {object} options.source Price source, or its configuration (see keeper/price-sources.js)
+   * @param {Array<string|object>} options.collections Collections to track: addresses or { address, name }
+   * @param {number} [options.deviationThresholdBps] Smallest move worth reporting, in basis points (default 50)
+   * @param {number} [options.heartbeat] Seconds after which an unchanged floor is reported again
+   * (default half of the oracle's reportValidity)
+   * @param {number} [options.batchSize] Collections per batchUpdateCollectionPrices call (default 20)
+   * @param {boolean} [options.dryRun] Only simulate the updates
+   * @param {function} [options.log] Logger
+   */
+  constructor(options) {
+    this.deployment = options.deployment;
+    this.source = createSource(options.source);
+    this.collections = options.collections.map(item => {
+      const address = getAddress(typeof item === 'string' ? item : item.address);
+      return { address, name: (item && item.name) || address };
+    });
+    this.deviationThresholdBps = options.deviationThresholdBps !== undefined ? options.deviationThresholdBps : 50;
+    this.heartbeat = options.heartbeat;
+    this.batchSize = options.batchSize || 20;
+    this.dryRun = Boolean(options.dryRun);
+    this.log = options.log || console.log;
+
+    this.signer = options.signer instanceof NonceManager ? options.signer : new NonceManager(options.signer);
+    this.provider = this.signer.provider;
+    this.oracle = new Contract(this.deployment.contracts.PriceOracle, PriceOracleABI.abi, this.signer);
+    this.interfaces = [new Interface(PriceOracleABI.abi)];
+
+    this._health = {
+      status: 'starting',
+      lastRoundAt: null,
+      lastSuccessAt: null,
+      consecutiveFailures: 0,
+      lastError: null,
+      collections: {}
+    };
+    this._running = false;
+    this._wake = null;
+    this._server = null;
+  }
+
+  /**
+   * Decide what to do with a collection's new price
+   * @returns {Promise<object>} { address, name, price, status, error } where status is null when the price must be reported
+   */
+  async _check(collection, price, context) {
+    const outcome = { address: collection.address, name: collection.name, price, status: null, error: null };
+    if (price === undefined) {
+      outcome.status = MISSING;
+      outcome.error = `no price from ${this.source.name}`;
+      return outcome;
+    }
+
+    const [broken, floor, report] = await Promise.all([
+      this.oracle.circuitBroken(collection.address),
+      this.oracle.collectionPrices(collection.address),
+      this.oracle.priceReports(collection.address, context.reporter)
+    ]);
+    if (broken) {
+      outcome.status = CIRCUIT_BROKEN;
+      outcome.error = 'circuit breaker tripped, waiting for the owner to reset it';
+      return outcome;
+    }
+
+    const reportAge = context.now - Number(report.timestamp);
+    if (report.timestamp > 0n && reportAge < context.heartbeat && deviationBps(report.price, price) < this.deviationThresholdBps) {
+      outcome.status = UNCHANGED;
+      return outcome;
+    }
+
+    const floorFresh = floor.floorPrice > 0n && context.now - Number(floor.lastUpdated) <= context.staleThreshold;
+    if (floorFresh && context.maxDeviationBps > 0 && deviationBps(floor.floorPrice, price) > context.maxDeviationBps) {
+      outcome.status = HELD;
+      outcome.error = `${deviationBps(floor.floorPrice, price)} bps from the on-chain floor, above the oracle's ${context.maxDeviationBps} bps limit`;
+    }
+    return outcome;
+  }
+
+  async _submit(batch) {
+    const addresses = batch.map(outcome => outcome.address);
+    const prices = batch.map(outcome => outcome.price);
+    try {
+      if (this.dryRun) {
+        await this.oracle.batchUpdateCollectionPrices.staticCall(addresses, prices);
+        batch.forEach(outcome => { outcome.status = DRY_RUN; });
+        return;
+      }
+      const tx = await this.oracle.batchUpdateCollectionPrices(addresses, prices);
+      await tx.wait();
+      batch.forEach(outcome => {
+        outcome.status = SUBMITTED;
+        outcome.txHash = tx.hash;
+      });
+    } catch (rawError) {
+      const error = toYapLendError(rawError, this.interfaces);
+      // Nonce possivelmente dessincronizado: o próximo round começa do estado da rede
+      this.signer.reset();
+      batch.forEach(outcome => {
+        outcome.status = FAILED;
+        outcome.error = error.message;
+      });
+    }
+  }
+
+  /**
+   * Read the source and report every collection whose floor needs it
+   * @returns {Promise<object[]>} One outcome per tracked collection
+   */
+  async runOnce() {
+    const roundAt = new Date().toISOString();
+    let outcomes;
+    try {
+      const [block, reporter, reportValidity, maxDeviationBps, staleThreshold] = await Promise.all([
+        this.provider.getBlock('latest'),
+        this.signer.getAddress(),
+        this.oracle.reportValidity(),
+        this.oracle.maxDeviationBps(),
+        this.oracle.priceStaleThreshold()
+      ]);
+      const context = {
+        now: block.timestamp,
+        reporter,
+        heartbeat: this.heartbeat !== undefined ? this.heartbeat : Number(reportValidity) / 2,
+        maxDeviationBps: Number(maxDeviationBps),
+        staleThreshold: Number(staleThreshold)
+      };
+
+      const prices = await this.source.getPrices(this.collections.map(collection => collection.address));
+      outcomes = [];
+      for (const collection of this.collections) {
+        outcomes.push(await this._check(collection, prices[collection.address], context));
+      }
+
+      const pending = outcomes.filter(outcome => outcome.status === null);
+      for (let i = 0; i < pending.length; i += this.batchSize) {
+        await this._submit(pending.slice(i, i + this.batchSize));
+      }
+    } catch (error) {
+      this._health.status = ++this._health.consecutiveFailures >= DOWN_AFTER_FAILURES ? 'down' : 'degraded';
+      this._health.lastRoundAt = roundAt;
+      this._health.lastError = error.message;
+      throw error;
+    }
+
+    outcomes.forEach(outcome => this._report(outcome));
+    this._record(roundAt, outcomes);
+    return outcomes;
+  }
+
+  _record(roundAt, outcomes) {
+    const health = this._health;
+    health.lastRoundAt = roundAt;
+    health.lastError = null;
+
+    const failed = outcomes.length > 0 && outcomes.every(outcome => outcome.status === FAILED);
+    health.consecutiveFailures = failed ? health.consecutiveFailures + 1 : 0;
+    if (!failed) {
+      health.lastSuccessAt = roundAt;
+    }
+
+    for (const outcome of outcomes) {
+      const previous = health.collections[outcome.address] || {};
+      health.collections[outcome.address] = {
+        name: outcome.name,
+        status: outcome.status,
+        price: outcome.price !== undefined ? outcome.price.toString() : null,
+        lastSubmittedAt: outcome.status === SUBMITTED ? roundAt : previous.lastSubmittedAt || null,
+        error: outcome.error
+      };
+    }
+
+    if (health.consecutiveFailures >= DOWN_AFTER_FAILURES) {
+      health.status = 'down';
+    } else {
+      health.status = outcomes.some(outcome => PROBLEMS.includes(outcome.status)) ? 'degraded' : 'ok';
+    }
+  }
+
+  _report(outcome) {
+    const label = outcome.name;
+    if (outcome.status === SUBMITTED) {
+      this.log(`✅ ${label}: reported ${outcome.price} (tx ${outcome.txHash})`);
+    } else if (outcome.status === DRY_RUN) {
+      this.log(`🔎 ${label}: would report ${outcome.price} (dry run)`);
+    } else if (outcome.status !== UNCHANGED) {
+      this.log(`⚠️  ${label} ${outcome.status}: ${outcome.error}`);
+    }
+  }
+
+  /**
+   * Health report: 'ok', 'degraded' when some collection needs attention or the last round failed,
+   * 'down' after several failed rounds in a row
+   * @returns {object} { status, lastRoundAt, lastSuccessAt, consecutiveFailures, lastError, collections }
+   */
+  health() {
+    return JSON.parse(JSON.stringify(this._health));
+  }
+
+  /**
+   * Serve the health report as JSON on GET /health (503 unless the status is ok)
+   * @param {number} port Port to listen on (0 for any free port)
+   * @returns {Promise<object>} The http.Server, listening
+   */
+  serveHealth(port) {
+    this._server = http.createServer((request, response) => {
+      if (request.url !== '/health') {
+        response.writeHead(404).end();
+        return;
+      }
+      const health = this.health();
+      response.writeHead(health.status === 'ok' ? 200 : 503, { 'Content-Type': 'application/json' });
+      response.end(JSON.stringify(health));
+    });
+    return new Promise(resolve => this._server.listen(port, () => resolve(this._server)));
+  }
+
+  /**
+   * Keep feeding until stop() is called
+   * @param {object} [options]
+   * @param {number} [options.pollInterval] Milliseconds between rounds
+   */
+  async run(options = {}) {
+    const pollInterval = options.pollInterval || 60000;
+    this._running = true;
+
+    while (this._running) {
+      try {
+        await this.runOnce();
+      } catch (error) {
+        // Uma fonte ou RPC fora do ar não pode parar o feeder
+        this.log(`❌ Feeder round failed: ${error.message}`);
+      }
+      if (!this._running) {
+        break;
+      }
+      await new Promise(resolve => {
+        const timer = setTimeout(resolve, pollInterval);
+        this._wake = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+      });
+      this._wake = null;
+    }
+  }
+
+  /**
+   * Stop a running loop after the current round, and the health server
+   */
+  stop() {
+    this._running = false;
+    if (this._wake) {
+      this._wake();
+    }
+    if (this._server) {
+      this._server.close();
+      this._server = null;
+    }
+  }
+}
+
+module.exports = {
+  SUBMITTED,
+  UNCHANGED,
+  HELD,
+  CIRCUIT_BROKEN,
+  MISSING,
+  PriceFeeder,
+  loadFeederConfig
+};
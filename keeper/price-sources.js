@@ -0,0 +1,114 @@
+// keeper/price-sources.js
+// Floor price sources for the price feeder. A source is any object with a `name` and
+// `getPrices(collections)`, resolving to { [collection address]: price in wei (bigint) }.
+// Collections a source has no price for are left out of the result
+const fs = require('fs');
+const { getAddress, parseEther } = require('ethers');
+
+/**
+ * Parse a price map ({ "0xabc...": "1.25" }) into wei, keeping only the tracked collections
+ * Prices are in native tokens, as decimal strings or numbers; addresses may use any casing
+ * @param {object} data Raw price map
+ * @param {string[]} collections Tracked collection addresses
+ * @returns {object} { [checksummed address]: bigint }
+ */
+function parsePrices(data, collections) {
+  if (!data || typeof data !== 'object') {
+    throw new Error('Price data must be an object of collection address to price');
+  }
+  const byAddress = {};
+  for (const [address, price] of Object.entries(data.prices || data)) {
+    byAddress[address.toLowerCase()] = price;
+  }
+
+  const prices = {};
+  for (const collection of collections) {
+    const raw = byAddress[collection.toLowerCase()];
+    if (raw === undefined || raw === null) {
+      continue;
+    }
+    prices[getAddress(collection)] = parseEther(String(raw));
+  }
+  return prices;
+}
+
+/**
+ * Prices read from a local JSON file, re-read on every round (for offline runs and tests)
+ */
+class JsonFileSource {
+  /**
+   * @param {object} options
+   * @param {string} options.file Path of the JSON price map
+   */
+  constructor(options) {
+    if (!options.file) {
+      throw new Error('The json-file source needs a "file"');
+    }
+    this.file = options.file;
+    this.name = `json-file:${options.file}`;
+  }
+
+  async getPrices(collections) {
+    return parsePrices(JSON.parse(fs.readFileSync(this.file, 'utf8')), collections);
+  }
+}
+
+/**
+ * Prices served as a JSON price map over HTTP (an aggregator API, or a local mock server)
+ */
+class HttpSource {
+  /**
+   * @param {object} options
+   * @param {string} options.url Endpoint returning the JSON price map
+   * @param {object} [options.headers] Request headers (API keys, ...)
+   * @param {number} [options.timeout] Request timeout in ms (default 10000)
+   */
+  constructor(options) {
+    if (!options.url) {
+      throw new Error('The http source needs a "url"');
+    }
+    this.url = options.url;
+    this.headers = options.headers || {};
+    this.timeout = options.timeout || 10000;
+    this.name = `http:${options.url}`;
+  }
+
+  async getPrices(collections) {
+    const response = await fetch(this.url, { headers: this.headers, signal: AbortSignal.timeout(this.timeout) });
+    if (!response.ok) {
+      throw new Error(`${this.url} answered ${response.status}`);
+    }
+    return parsePrices(await response.json(), collections);
+  }
+}
+
+// Source types available from a feeder configuration
+const SOURCE_TYPES = {
+  'json-file': JsonFileSource,
+  http: HttpSource
+};
+
+/**
+ * Build a source from its configuration ({ type, ...options }); objects that already implement
+ * getPrices are returned as they are, so custom sources can be plugged in from code
+ * @param {object} config Source configuration or instance
+ * @returns {object} Price source
+ */
+function createSource(config) {
+  if (config && typeof config.getPrices === 'function') {
+    return config;
+  }
+  const SourceClass = config && SOURCE_TYPES[config.type];
+  if (!SourceClass) {
+    throw new Error(`Unknown price source type: ${config && config.type}`);
+  }
+  return new SourceClass(config);
+}
+
+module.exports = {
+  SOURCE_TYPES,
+  JsonFileSource,
+  HttpSource,
+  createSource,
+  parsePrices
+};
@@ -1,16 +1,11 @@
 // Script para verificar a inicialização e interligação dos contratos YapLend
-const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { loadDeployment } = require("./lib/address-book");
+const { checkWiring, hasProblems, printWiringTable } = require("./lib/wiring");
 
-// Endereços dos contratos implantados
-const ADDRESSES = {
-  PriceOracle: "0x0b5B462B58bF25bC3445CBF3E5982D184A371c17",
-  YapLendCore: "0xb38F84511740227b314c58D7346B643f1D5c4BdD",
-  CollateralManager: "0x1EE1BfcFB8514d4c68f20e3119cb43439befa212",
-  NFTVerifier: "0x42D3b99Ac1bef5eb3E949b543EdE612F3d90ee4F",
-  LiquidityPool: "0xAF2a341Ca209Df41F90FacB5E012312681Af4a73",
-  LoanVault: "0xC09d7fD94C8026738554bafc8dBA3d11A6618cBE",
-  ProposalManager: "0x8aBa171f3E9417d7F307c01AE45499C2Ae9B9971"
-};
+// Endereços dos contratos implantados, carregados do manifesto de deployment em main()
+let ADDRESSES = {};
 
 async function verificarInicializacao() {
   console.log("===== VERIFICAÇÃO DE INICIALIZAÇÃO DOS CONTRATOS =====\n");
@@ -53,14 +48,10 @@ async function verificarInicializacao() {
     console.log("\n==== ProposalManager ====");
     const pmOwner = await proposalManager.owner();
     console.log("Owner:", pmOwner);
-    // Tentando acessar o YapLendCore no ProposalManager
-    try {
-      // Pode não ser uma variável pública acessível diretamente
-      const yapLendCoreInPM = await proposalManager._yapLendCore();
-      console.log("YapLendCore no ProposalManager:", yapLendCoreInPM);
-    } catch (error) {
-      console.log("Não foi possível acessar _yapLendCore diretamente");
-    }
+    const yapLendCoreInPM = await proposalManager.yapLendCore();
+    console.log("YapLendCore no ProposalManager:", yapLendCoreInPM);
+    const nftVerifierInPM = await proposalManager.nftVerifier();
+    console.log("NFTVerifier no ProposalManager:", nftVerifierInPM);
     
     console.log("\n==== LoanVault ====");
     const lvOwner = await loanVault.owner();
@@ -82,74 +73,13 @@ async function verificarInicializacao() {
 async function verificarIntegracao() {
   console.log("\n\n===== VERIFICAÇÃO DE INTEGRAÇÃO ENTRE CONTRATOS =====\n");
   
-  // Obter instâncias dos contratos
-  const yapLendCore = await ethers.getContractAt("YapLendCore", ADDRESSES.YapLendCore);
-  const collateralManager = await ethers.getContractAt("CollateralManager", ADDRESSES.CollateralManager);
-  const nftVerifier = await ethers.getContractAt("NFTVerifier", ADDRESSES.NFTVerifier);
-  const proposalManager = await ethers.getContractAt("ProposalManager", ADDRESSES.ProposalManager);
-  
-  // Verificar integração entre os contratos
+  // Verifica todo o grafo de referências (mesma verificação da task wiring:check)
   try {
-    // Verificar endereços no YapLendCore
-    console.log("Verificando integração do YapLendCore...");
-    
-    // CollateralManager no YapLendCore
-    const cmInCore = await yapLendCore.collateralManager();
-    const integracaoCM = cmInCore === ADDRESSES.CollateralManager;
-    console.log("CollateralManager correto no YapLendCore:", integracaoCM);
-    if (!integracaoCM) {
-      console.log("  Esperado:", ADDRESSES.CollateralManager);
-      console.log("  Atual:", cmInCore);
-    }
-    
-    // NFTVerifier no YapLendCore
-    const nvInCore = await yapLendCore.nftVerifier();
-    const integracaoNV = nvInCore === ADDRESSES.NFTVerifier;
-    console.log("NFTVerifier correto no YapLendCore:", integracaoNV);
-    if (!integracaoNV) {
-      console.log("  Esperado:", ADDRESSES.NFTVerifier);
-      console.log("  Atual:", nvInCore);
+    const results = await checkWiring(hre, { contracts: ADDRESSES });
+    printWiringTable(results);
+    if (hasProblems(results)) {
+      console.log("\nReferências incorretas encontradas. Use `npx hardhat wiring:fix` para corrigir.");
     }
-    
-    // ProposalManager no YapLendCore
-    const pmInCore = await yapLendCore.proposalManager();
-    const integracaoPM = pmInCore === ADDRESSES.ProposalManager;
-    console.log("ProposalManager correto no YapLendCore:", integracaoPM);
-    if (!integracaoPM) {
-      console.log("  Esperado:", ADDRESSES.ProposalManager);
-      console.log("  Atual:", pmInCore);
-    }
-    
-    // Verificar CollateralManager no NFTVerifier
-    console.log("\nVerificando integração do NFTVerifier...");
-    try {
-      const cmInVerifier = await nftVerifier.collateralManager();
-      const integracaoCMInVerifier = cmInVerifier === ADDRESSES.CollateralManager;
-      console.log("CollateralManager correto no NFTVerifier:", integracaoCMInVerifier);
-      if (!integracaoCMInVerifier) {
-        console.log("  Esperado:", ADDRESSES.CollateralManager);
-        console.log("  Atual:", cmInVerifier);
-      }
-    } catch (error) {
-      console.log("Erro ao verificar CollateralManager no NFTVerifier:", error.message);
-    }
-    
-    // Verificar YapLendCore no ProposalManager (se acessível)
-    console.log("\nVerificando integração do ProposalManager...");
-    try {
-      // A seguinte chamada pode falhar se _yapLendCore não for público
-      const coreInPM = await proposalManager._yapLendCore();
-      const integracaoCoreInPM = coreInPM === ADDRESSES.YapLendCore;
-      console.log("YapLendCore correto no ProposalManager:", integracaoCoreInPM);
-      if (!integracaoCoreInPM) {
-        console.log("  Esperado:", ADDRESSES.YapLendCore);
-        console.log("  Atual:", coreInPM);
-      }
-    } catch (error) {
-      console.log("Não foi possível verificar _yapLendCore no ProposalManager:", error.message);
-      console.log("Isso pode ocorrer se a variável não for pública ou se a integração estiver errada");
-    }
-    
   } catch (error) {
     console.log("Erro na verificação de integração:", error.message);
   }
@@ -201,6 +131,10 @@ async function verificarFuncionalidades() {
 }
 
 async function main() {
+  const deployment = await loadDeployment(hre);
+  ADDRESSES = deployment.contracts;
+  console.log(`Usando deployment: ${deployment.file}\n`);
+
   await verificarInicializacao();
   await verificarIntegracao();
   await verificarFuncionalidades();
@@ -0,0 +1,60 @@
+// scripts/auto-withdrawal-listener.js
+const path = require('path');
+const hre = require('hardhat');
+const { ethers } = hre;
+const { loadDeployment } = require('./lib/address-book');
+const { INDEXER_DATA_DIR, Indexer, JsonStore } = require('../indexer');
+const { AuditLog, AutoWithdrawalService, QUEUE, readFlag } = require('../keeper');
+
+// Usage:
+//   npx hardhat run scripts/auto-withdrawal-listener.js --network monad
+// Listens for AutoWithdrawalTriggered and pays lenders the funds that fell back into the LoanVault,
+// claiming them from the vault ledger on the lender's behalf (any account can, the funds go to the lender).
+//   AUTO_WITHDRAW_QUEUE=1 ...                  never claim, only queue payouts in the audit log
+//   AUTO_WITHDRAW_ONCE=1 ...                   run a single sweep and exit
+//   AUTO_WITHDRAW_AUDIT_LOG=<file> ...         audit log (default indexer-data/<network>-<chainId>-auto-withdrawals.jsonl)
+//   AUTO_WITHDRAW_SWEEP_INTERVAL=<ms> ...      delay between sweeps of repaid loans (default 600000)
+//   YAPLEND_DEPLOYMENT=<file> ...              deployment manifest to watch
+// The same options are available as --queue / --once / --deployment <file> when running with node.
+async function main() {
+  const [signer] = await ethers.getSigners();
+  const { chainId } = await ethers.provider.getNetwork();
+  const deployment = await loadDeployment(hre);
+  const prefix = path.join(INDEXER_DATA_DIR, `${hre.network.name}-${chainId}`);
+
+  const indexer = new Indexer({
+    provider: ethers.provider,
+    deployment,
+    store: new JsonStore(`${prefix}-auto-withdrawals-index.json`),
+    confirmations: 2
+  });
+  const auditLog = new AuditLog(process.env.AUTO_WITHDRAW_AUDIT_LOG || `${prefix}-auto-withdrawals.jsonl`);
+  const service = new AutoWithdrawalService({
+    indexer,
+    signer,
+    auditLog,
+    mode: readFlag('--queue', 'AUTO_WITHDRAW_QUEUE') ? QUEUE : undefined
+  });
+
+  console.log(`Auto-withdrawal listener for ${deployment.file}`);
+  console.log(`Service account: ${signer.address}`);
+  console.log(`Audit log: ${auditLog.file}`);
+
+  if (readFlag('--once', 'AUTO_WITHDRAW_ONCE')) {
+    const entries = await service.sweep();
+    console.log(`\nSweep complete: ${entries.length} audit entr${entries.length === 1 ? 'y' : 'ies'} written`);
+    return;
+  }
+
+  await service.start({ sweepInterval: Number(process.env.AUTO_WITHDRAW_SWEEP_INTERVAL) || undefined });
+  await new Promise(resolve => process.once('SIGINT', resolve));
+  console.log('\nStopping listener...');
+  await service.stop();
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('Erro no listener de saque automático:', error);
+    process.exit(1);
+  });
@@ -1,8 +1,11 @@
-const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { loadDeployment, getAddress } = require("./lib/address-book");
 
 async function checkOwnership() {
-  // Endereço do proxy do LoanVault
-  const LOAN_VAULT_PROXY_ADDRESS = "0x..."; // Seu endereço
+  // Endereço do proxy do LoanVault, lido do manifesto de deployment (ou --deployment <arquivo>)
+  const deployment = await loadDeployment(hre);
+  const LOAN_VAULT_PROXY_ADDRESS = getAddress(deployment, "LoanVault");
   
   // Conectar com a carteira
   const [signer] = await ethers.getSigners();
@@ -1,17 +1,11 @@
 // Script para teste completo do fluxo principal do YAP LEND
-const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { loadDeployment, getAddress } = require("./lib/address-book");
 const { BigNumber } = require("ethers");
 
-// Endereços dos contratos implantados
+// NFT usado no teste (os endereços do protocolo vêm do manifesto de deployment)
 const ADDRESSES = {
-  // Contratos principais
-  PROPOSAL_MANAGER: "0x12a09414eC78bF8BD8832FF93baD0Bc888604320",
-  YAP_LEND_CORE: "0x0b79A2fb85b01300C389d6987428FF44F9E99786",
-  NFT_VERIFIER: "0x161B38a3e6a4E89222E8fDB2B97C302FBd6Aa53E",
-  COLLATERAL_MANAGER: "0x92e4bA72513C6e2a80235fF5cD8060f9d2F5C65e",
-  LOAN_VAULT: "0xcd03Bb5f8035bF20dbAf9477C972292FE065CeE6",
-
-  // Endereço do NFT para teste
   NFT_ADDRESS: "0xf79203fc06f9fcc7d48866cb7e8b8b56cd44e3b5",
   TOKEN_ID: 248,
 };
@@ -19,6 +13,15 @@ const ADDRESSES = {
 async function main() {
   console.log("Iniciando script de teste do fluxo principal do YAP LEND...");
   
+  // Endereços do protocolo (manifesto mais recente da rede, ou --deployment <arquivo>)
+  const deployment = await loadDeployment(hre);
+  console.log(`Usando deployment: ${deployment.file}`);
+  ADDRESSES.PROPOSAL_MANAGER = getAddress(deployment, "ProposalManager");
+  ADDRESSES.YAP_LEND_CORE = getAddress(deployment, "YapLendCore");
+  ADDRESSES.NFT_VERIFIER = getAddress(deployment, "NFTVerifier");
+  ADDRESSES.COLLATERAL_MANAGER = getAddress(deployment, "CollateralManager");
+  ADDRESSES.LOAN_VAULT = getAddress(deployment, "LoanVault");
+  
   // Obter signers disponíveis
   const signers = await ethers.getSigners();
   const deployer = signers[0];
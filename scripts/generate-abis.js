@@ -2,6 +2,8 @@
 const fs = require('fs');
 const path = require('path');
 const hre = require('hardhat');
+const { loadDeployment } = require('./lib/address-book');
+const { generateDeclarations } = require('./lib/abi-types');
 
 async function main() {
   console.log("Iniciando geração de arquivos ABI para integração com front-end...");
@@ -15,19 +17,18 @@ async function main() {
     "YapLendCore",
     "LoanVault",
     "ProposalManager",
-    "NFTEscrow"
+    "NFTEscrow",
+    "LiquidationAuction",
+    "OrderBook"
   ];
 
-  // Lista de endereços implantados (para incluir nos arquivos)
+  // Endereços implantados, lidos do manifesto de deployment (use --deployment <arquivo> para outro)
+  const deployment = await loadDeployment(hre);
+  console.log(`Usando deployment: ${deployment.file}`);
   const addresses = {
-    NFTVerifier: "0xB0E4609BEBE2553a94A27E7feEc6192678586a6d",
-    PriceOracle: "0xb1f20C688a9dA017586Ee30369Be429646A288E7",
-    CollateralManager: "0x3AA54e27970fd6E4811aF0CeA22d867e64e572d6",
-    LiquidityPool: "0x02b6c799e165366B01ae5426c1E38F1E392d5Fa5",
-    YapLendCore: "0xc2c9B6F7DBE1d7028Dd3754751Eb8708b4B7E97a",
-    LoanVault: "0x83AeB0B647341c3ed10F7081eC6Ddb458C3d8a42",
-    ProposalManager: "0x8aaBa9340B264bF4977C56B059cBe00b84903fb3",
-    NFTEscrow: "0x361C5a0cef84d05a3EE88e14Fe30446a2697358e"
+    ...deployment.contracts,
+    // Os clones de escrow usam a implementação registrada pelo deploy
+    NFTEscrow: deployment.contracts.NFTEscrow || deployment.contracts.NFTEscrowImpl
   };
 
   // Criar pasta abis se não existir
@@ -37,6 +38,7 @@ async function main() {
   }
 
   // Para cada contrato, gerar e salvar o ABI
+  const generated = [];
   for (const contractName of contracts) {
     try {
       console.log(`\nGerando ABI para ${contractName}...`);
@@ -57,6 +59,7 @@ async function main() {
         filePath,
         JSON.stringify(contractInfo, null, 2)
       );
+      generated.push(contractInfo);
       
       console.log(`✅ ABI de ${contractName} gerado com sucesso em: ${filePath}`);
     } catch (error) {
@@ -78,6 +81,9 @@ async function main() {
   indexContent += `};\n`;
   
   fs.writeFileSync(path.join(abisDir, 'index.js'), indexContent);
+
+  // Declarações TypeScript geradas a partir dos ABIs (usadas pelo SDK em sdk/)
+  fs.writeFileSync(path.join(abisDir, 'index.d.ts'), generateDeclarations(generated));
   
   console.log("\n✨ Processo de geração de ABIs concluído!");
   console.log(`📁 Todos os arquivos foram salvos na pasta: ${abisDir}`);
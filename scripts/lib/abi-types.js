@@ -0,0 +1,104 @@
+// scripts/lib/abi-types.js
+// Generates TypeScript declarations (abis/index.d.ts) from the exported contract ABIs
+
+function inputType(param) {
+  const array = param.type.match(/^(.*)\[\d*\]$/);
+  if (array) {
+    return `${inputType({ ...param, type: array[1] })}[]`;
+  }
+  if (param.type === 'tuple') {
+    return `{ ${param.components.map(c => `${c.name}: ${inputType(c)}`).join('; ')} }`;
+  }
+  if (/^u?int\d*$/.test(param.type)) return 'BigNumberish';
+  if (param.type === 'address') return 'AddressLike';
+  if (param.type === 'bool') return 'boolean';
+  if (/^bytes\d*$/.test(param.type)) return 'BytesLike';
+  return 'string';
+}
+
+function outputType(param) {
+  const array = param.type.match(/^(.*)\[\d*\]$/);
+  if (array) {
+    return `${outputType({ ...param, type: array[1] })}[]`;
+  }
+  if (param.type === 'tuple') {
+    return `{ ${param.components.map(c => `${c.name}: ${outputType(c)}`).join('; ')} }`;
+  }
+  if (/^u?int\d*$/.test(param.type)) return 'bigint';
+  if (param.type === 'bool') return 'boolean';
+  return 'string';
+}
+
+function returnType(outputs) {
+  if (outputs.length === 0) return 'void';
+  if (outputs.length === 1) return outputType(outputs[0]);
+
+  // Multiple outputs come back as an ethers Result, readable by index and (when named) by name
+  const positional = `[${outputs.map(o => outputType(o)).join(', ')}]`;
+  if (outputs.every(o => o.name)) {
+    return `${positional} & { ${outputs.map(o => `${o.name}: ${outputType(o)}`).join('; ')} }`;
+  }
+  return positional;
+}
+
+function functionDeclaration(fragment) {
+  const params = fragment.inputs.map((input, i) => `${input.name || `arg${i}`}: ${inputType(input)}`);
+  const readOnly = fragment.stateMutability === 'view' || fragment.stateMutability === 'pure';
+
+  if (readOnly) {
+    return `  ${fragment.name}(${params.join(', ')}): Promise<${returnType(fragment.outputs)}>;`;
+  }
+
+  const overrides = fragment.stateMutability === 'payable' ? 'PayableOverrides' : 'Overrides';
+  params.push(`overrides?: ${overrides}`);
+  return `  ${fragment.name}(${params.join(', ')}): Promise<ContractTransactionResponse>;`;
+}
+
+function eventDeclaration(fragment) {
+  const fields = fragment.inputs.map(input => `${input.name}: ${outputType(input)}`).join('; ');
+  return `  ${fragment.name}: { ${fields} };`;
+}
+
+/**
+ * Generate declarations for every exported ABI file
+ * @param {object[]} contracts Objects with contractName and abi (the abis/<Name>.json content)
+ * @returns {string} Content for abis/index.d.ts
+ */
+function generateDeclarations(contracts) {
+  const lines = [
+    '// Generated by scripts/generate-abis.js - do not edit by hand',
+    '',
+    "import type { AddressLike, BaseContract, BigNumberish, BytesLike, ContractTransactionResponse, InterfaceAbi, Overrides } from 'ethers';",
+    '',
+    'export type PayableOverrides = Overrides & { value?: BigNumberish };',
+    '',
+    'export interface ContractAbiFile {',
+    '  contractName: string;',
+    '  address?: string;',
+    '  abi: InterfaceAbi;',
+    '}',
+    ''
+  ];
+
+  for (const { contractName, abi } of contracts) {
+    const functions = abi.filter(fragment => fragment.type === 'function');
+    const events = abi.filter(fragment => fragment.type === 'event');
+
+    lines.push(`export interface ${contractName}Contract extends BaseContract {`);
+    functions.forEach(fragment => lines.push(functionDeclaration(fragment)));
+    lines.push('}', '');
+
+    lines.push(`export interface ${contractName}Events {`);
+    events.forEach(fragment => lines.push(eventDeclaration(fragment)));
+    lines.push('}', '');
+  }
+
+  contracts.forEach(({ contractName }) => {
+    lines.push(`export declare const ${contractName}ABI: ContractAbiFile;`);
+  });
+  lines.push('');
+
+  return lines.join('\n');
+}
+
+module.exports = { generateDeclarations };
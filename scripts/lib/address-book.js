@@ -0,0 +1,187 @@
+// scripts/lib/address-book.js
+// Shared address book: resolves protocol addresses from the deployment
+// manifests written by scripts/deploy.js into deployments/<network>-*.json
+const fs = require('fs');
+const path = require('path');
+
+const DEPLOYMENTS_DIR = path.join(__dirname, '../../deployments');
+
+// Environment variable equivalent of `--deployment <file>` (hardhat run does not forward CLI flags)
+const DEPLOYMENT_ENV_VAR = 'YAPLEND_DEPLOYMENT';
+
+/**
+ * Read and parse a single deployment manifest
+ * @param {string} file Path to the manifest
+ * @returns {object} Parsed manifest with its source path in `file`
+ */
+function readDeployment(file) {
+  const manifest = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!manifest.contracts || typeof manifest.contracts !== 'object') {
+    throw new Error(`Deployment manifest ${file} has no "contracts" section`);
+  }
+  return { ...manifest, file };
+}
+
+/**
+ * List every deployment manifest written for a network
+ * @param {string} networkName Hardhat network name (e.g. "monad")
+ * @param {string} [dir] Directory holding the manifests
+ * @returns {object[]} Parsed manifests, oldest first
+ */
+function listDeployments(networkName, dir = DEPLOYMENTS_DIR) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs.readdirSync(dir)
+    .filter(name => name.startsWith(`${networkName}-`) && name.endsWith('.json'))
+    .map(name => readDeployment(path.join(dir, name)))
+    .filter(manifest => manifest.network === undefined || manifest.network === networkName)
+    .sort((a, b) => {
+      const byTimestamp = String(a.timestamp || '').localeCompare(String(b.timestamp || ''));
+      return byTimestamp !== 0 ? byTimestamp : path.basename(a.file).localeCompare(path.basename(b.file));
+    });
+}
+
+/**
+ * Check whether a manifest describes a finished deployment
+ * Manifests written before the resumable deploy pipeline have no status and are treated as complete
+ */
+function isComplete(manifest) {
+  return manifest.status === undefined || manifest.status === 'complete';
+}
+
+/**
+ * Find the most recent deployment for a network and chain
+ * @param {string} networkName Hardhat network name
+ * @param {number} chainId Chain ID the manifest must have been written for
+ * @param {string} [dir] Directory holding the manifests
+ * @param {object} [options]
+ * @param {boolean} [options.includeIncomplete] Also consider deployments that are still in progress
+ * @returns {object|null} Latest matching manifest, or null if there is none
+ */
+function findLatestDeployment(networkName, chainId, dir = DEPLOYMENTS_DIR, options = {}) {
+  const candidates = listDeployments(networkName, dir)
+    .filter(manifest => Number(manifest.chainId) === Number(chainId))
+    .filter(manifest => options.includeIncomplete || isComplete(manifest));
+  return candidates.length > 0 ? candidates[candidates.length - 1] : null;
+}
+
+/**
+ * Get the manifest path requested through `--deployment <file>` or YAPLEND_DEPLOYMENT
+ * @param {string[]} [argv] Command line arguments
+ * @param {object} [env] Environment variables
+ * @returns {string|null} Requested manifest path, if any
+ */
+function getDeploymentOverride(argv = process.argv, env = process.env) {
+  const flagIndex = argv.indexOf('--deployment');
+  if (flagIndex !== -1) {
+    if (!argv[flagIndex + 1]) {
+      throw new Error('--deployment requires a file path');
+    }
+    return argv[flagIndex + 1];
+  }
+
+  const inline = argv.find(arg => arg.startsWith('--deployment='));
+  if (inline) {
+    return inline.slice('--deployment='.length);
+  }
+
+  return env[DEPLOYMENT_ENV_VAR] || null;
+}
+
+/**
+ * Resolve a manifest path given on the command line
+ * Relative paths are tried against the working directory first, then the deployments folder
+ */
+function resolveDeploymentPath(file, dir = DEPLOYMENTS_DIR) {
+  if (path.isAbsolute(file) || fs.existsSync(file)) {
+    return path.resolve(file);
+  }
+
+  const inDeployments = path.join(dir, file);
+  if (fs.existsSync(inDeployments)) {
+    return inDeployments;
+  }
+
+  throw new Error(`Deployment manifest not found: ${file}`);
+}
+
+/**
+ * Load the deployment the current script should operate on
+ * Uses the explicit override when given, otherwise the latest manifest for the connected network
+ * @param {object} hre Hardhat runtime environment
+ * @param {object} [options]
+ * @param {string} [options.file] Explicit manifest path (takes precedence over argv/env)
+ * @param {string} [options.dir] Directory holding the manifests
+ * @returns {Promise<object>} Deployment manifest
+ */
+async function loadDeployment(hre, options = {}) {
+  const dir = options.dir || DEPLOYMENTS_DIR;
+  const networkName = hre.network.name;
+  const { chainId } = await hre.ethers.provider.getNetwork();
+
+  const override = options.file || getDeploymentOverride();
+  if (override) {
+    const deployment = readDeployment(resolveDeploymentPath(override, dir));
+    if (deployment.chainId !== undefined && Number(deployment.chainId) !== Number(chainId)) {
+      throw new Error(
+        `Deployment ${deployment.file} is for chain ${deployment.chainId}, but ${networkName} is chain ${chainId}`
+      );
+    }
+    return deployment;
+  }
+
+  const deployment = findLatestDeployment(networkName, chainId, dir);
+  if (!deployment) {
+    throw new Error(
+      `No deployment found for network "${networkName}" (chain ${chainId}) in ${dir}. ` +
+      `Run scripts/deploy.js or pass --deployment <file>`
+    );
+  }
+  return deployment;
+}
+
+/**
+ * Get a contract address from a deployment, failing loudly when it is missing
+ * @param {object} deployment Deployment manifest
+ * @param {string} name Contract name as recorded by the deploy script
+ * @returns {string} Checksummed-as-recorded address
+ */
+function getAddress(deployment, name) {
+  const address = deployment.contracts[name];
+  if (!address) {
+    throw new Error(`Contract ${name} not found in deployment ${deployment.file || ''}`.trim());
+  }
+  return address;
+}
+
+/**
+ * Attach ethers contract instances for every requested contract of a deployment
+ * @param {object} hre Hardhat runtime environment
+ * @param {object} deployment Deployment manifest
+ * @param {string[]} names Contract names
+ * @param {object} [signer] Optional signer to connect the contracts to
+ * @returns {Promise<object>} Map of contract name to contract instance
+ */
+async function getContracts(hre, deployment, names, signer) {
+  const contracts = {};
+  for (const name of names) {
+    contracts[name] = await hre.ethers.getContractAt(name, getAddress(deployment, name), signer);
+  }
+  return contracts;
+}
+
+module.exports = {
+  DEPLOYMENTS_DIR,
+  DEPLOYMENT_ENV_VAR,
+  readDeployment,
+  listDeployments,
+  isComplete,
+  findLatestDeployment,
+  getDeploymentOverride,
+  resolveDeploymentPath,
+  loadDeployment,
+  getAddress,
+  getContracts
+};
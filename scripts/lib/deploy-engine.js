@@ -0,0 +1,341 @@
+// scripts/lib/deploy-engine.js
+// Resumable deploy pipeline: every step's result is written to the deployment
+// manifest as soon as it completes, so a failed run can be picked up where it stopped
+const fs = require('fs');
+const path = require('path');
+const {
+  DEPLOYMENTS_DIR,
+  readDeployment,
+  findLatestDeployment,
+  getDeploymentOverride,
+  resolveDeploymentPath
+} = require('./address-book');
+
+// Environment variable equivalent of `--fresh` (hardhat run does not forward CLI flags)
+const FRESH_ENV_VAR = 'YAPLEND_FRESH_DEPLOY';
+
+/**
+ * Step that deploys a UUPS proxy and records its address under the contract name
+ * @param {string} contractName Contract to deploy
+ * @param {function} getArgs (ctx) => initializer arguments
+ */
+function proxyStep(contractName, getArgs = () => []) {
+  return { id: `deploy:${contractName}`, kind: 'proxy', contractName, getArgs };
+}
+
+/**
+ * Step that deploys a plain (non-proxy) contract and records its address under the given name
+ * @param {string} name Name to record the address under
+ * @param {string} contractName Contract to deploy
+ * @param {function} getArgs (ctx) => constructor arguments
+ */
+function contractStep(name, contractName, getArgs = () => []) {
+  return { id: `deploy:${name}`, kind: 'contract', name, contractName, getArgs };
+}
+
+/**
+ * Step that points a contract reference at another deployed contract
+ * Re-checked on every run; the setter is only sent when the on-chain value differs
+ * @param {string} contractName Contract holding the reference
+ * @param {string} getter View returning the current reference
+ * @param {string} setter Owner-only setter for the reference
+ * @param {string} targetName Contract the reference must point to
+ */
+function wiringStep(contractName, getter, setter, targetName) {
+  return { id: `wire:${contractName}.${setter}`, kind: 'wiring', contractName, getter, setter, targetName };
+}
+
+/**
+ * Step that records a derived address (e.g. an implementation created by another contract)
+ * @param {string} name Name to record the address under
+ * @param {function} resolve async (ctx) => address
+ */
+function recordStep(name, resolve) {
+  return { id: `record:${name}`, kind: 'record', name, resolve };
+}
+
+function sameAddress(a, b) {
+  return typeof a === 'string' && typeof b === 'string' && a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * Persist the manifest, writing to a temporary file first so a crash never leaves half a JSON behind
+ */
+function saveManifest(manifest) {
+  const { file, ...content } = manifest;
+  content.updatedAt = new Date().toISOString();
+  const tmpFile = `${file}.tmp`;
+  fs.writeFileSync(tmpFile, JSON.stringify(content, null, 2));
+  fs.renameSync(tmpFile, file);
+  manifest.updatedAt = content.updatedAt;
+}
+
+/**
+ * Pick a file name for a new deployment that does not clash with an earlier one from the same day
+ */
+function newManifestPath(networkName, dir) {
+  const date = new Date().toISOString().split('T')[0];
+  let file = path.join(dir, `${networkName}-${date}.json`);
+  for (let n = 2; fs.existsSync(file); n++) {
+    file = path.join(dir, `${networkName}-${date}-${n}.json`);
+  }
+  return file;
+}
+
+/**
+ * Open the manifest to deploy into: an explicit file, the latest unfinished run, or a new one
+ */
+function openManifest({ networkName, chainId, deployer, dir, file, fresh, log }) {
+  if (file) {
+    const manifest = readDeployment(resolveDeploymentPath(file, dir));
+    if (manifest.chainId !== undefined && Number(manifest.chainId) !== Number(chainId)) {
+      throw new Error(`Deployment ${manifest.file} is for chain ${manifest.chainId}, not ${chainId}`);
+    }
+    log(`Resuming deployment from ${manifest.file}`);
+    return manifest;
+  }
+
+  if (!fresh) {
+    const latest = findLatestDeployment(networkName, chainId, dir, { includeIncomplete: true });
+    if (latest && latest.status === 'in-progress') {
+      log(`Resuming unfinished deployment from ${latest.file}`);
+      return latest;
+    }
+  }
+
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  const manifest = {
+    network: networkName,
+    chainId: Number(chainId),
+    deployer,
+    timestamp: new Date().toISOString(),
+    status: 'in-progress',
+    contracts: {},
+    steps: {},
+    file: newManifestPath(networkName, dir)
+  };
+  log(`Starting new deployment in ${manifest.file}`);
+  saveManifest(manifest);
+  return manifest;
+}
+
+/**
+ * Skip a deploy step whose contract is already in the manifest, after checking it exists on this chain
+ * @returns {Promise<boolean>} True when the step was already done
+ */
+async function alreadyDeployed(step, name, ctx) {
+  const { hre, manifest, log } = ctx;
+  const recorded = manifest.contracts[name];
+  if (!recorded) {
+    return false;
+  }
+
+  const code = await hre.ethers.provider.getCode(recorded);
+  if (code === '0x') {
+    throw new Error(
+      `${name} is recorded at ${recorded} but has no code on chain ${manifest.chainId}. ` +
+      `The manifest ${manifest.file} does not match this chain; deploy with --fresh`
+    );
+  }
+  log(`⏭️  ${name} already deployed at ${recorded}`);
+  if (manifest.steps[step.id]?.status !== 'complete') {
+    manifest.steps[step.id] = { status: 'complete', address: recorded, completedAt: new Date().toISOString() };
+    saveManifest(manifest);
+  }
+  return true;
+}
+
+async function runProxyStep(step, ctx) {
+  const { hre, manifest, log } = ctx;
+  if (await alreadyDeployed(step, step.contractName, ctx)) {
+    return;
+  }
+
+  log(`\n📄 Deploying ${step.contractName}...`);
+  const factory = await hre.ethers.getContractFactory(step.contractName);
+  const contract = await hre.upgrades.deployProxy(factory, await step.getArgs(ctx), {
+    kind: 'uups',
+    initializer: 'initialize'
+  });
+  await contract.waitForDeployment();
+
+  const address = await contract.getAddress();
+  const deployTx = contract.deploymentTransaction();
+  manifest.contracts[step.contractName] = address;
+  manifest.steps[step.id] = {
+    status: 'complete',
+    address,
+    txHash: deployTx ? deployTx.hash : undefined,
+    completedAt: new Date().toISOString()
+  };
+  saveManifest(manifest);
+  log(`✅ ${step.contractName} deployed to: ${address}`);
+}
+
+async function runContractStep(step, ctx) {
+  const { hre, manifest, log } = ctx;
+  if (await alreadyDeployed(step, step.name, ctx)) {
+    return;
+  }
+
+  log(`\n📄 Deploying ${step.name} (${step.contractName})...`);
+  const contract = await hre.ethers.deployContract(step.contractName, await step.getArgs(ctx));
+  await contract.waitForDeployment();
+
+  const address = await contract.getAddress();
+  manifest.contracts[step.name] = address;
+  manifest.steps[step.id] = {
+    status: 'complete',
+    address,
+    txHash: contract.deploymentTransaction().hash,
+    completedAt: new Date().toISOString()
+  };
+  saveManifest(manifest);
+  log(`✅ ${step.name} deployed to: ${address}`);
+}
+
+async function runWiringStep(step, ctx) {
+  const { hre, manifest, log } = ctx;
+  const expected = ctx.address(step.targetName);
+  const contract = await hre.ethers.getContractAt(step.contractName, ctx.address(step.contractName));
+
+  const current = await contract[step.getter]();
+  if (sameAddress(current, expected)) {
+    log(`⏭️  ${step.contractName}.${step.getter} already set to ${step.targetName}`);
+    const previous = manifest.steps[step.id] || {};
+    manifest.steps[step.id] = {
+      status: 'complete',
+      value: expected,
+      txHash: previous.txHash,
+      completedAt: previous.completedAt || new Date().toISOString()
+    };
+    saveManifest(manifest);
+    return;
+  }
+
+  log(`\n📝 ${step.contractName}.${step.setter}(${expected}) (currently ${current})`);
+  const tx = await contract[step.setter](expected);
+  await tx.wait();
+
+  const updated = await contract[step.getter]();
+  if (!sameAddress(updated, expected)) {
+    throw new Error(`${step.contractName}.${step.getter} is ${updated} after ${step.setter}, expected ${expected}`);
+  }
+
+  manifest.steps[step.id] = {
+    status: 'complete',
+    value: expected,
+    txHash: tx.hash,
+    completedAt: new Date().toISOString()
+  };
+  saveManifest(manifest);
+  log(`✅ ${step.contractName} updated with ${step.targetName} address: ${expected}`);
+}
+
+async function runRecordStep(step, ctx) {
+  const { manifest, log } = ctx;
+  const address = await step.resolve(ctx);
+  manifest.contracts[step.name] = address;
+  manifest.steps[step.id] = { status: 'complete', address, completedAt: new Date().toISOString() };
+  saveManifest(manifest);
+  log(`✅ ${step.name} address: ${address}`);
+}
+
+const STEP_RUNNERS = {
+  proxy: runProxyStep,
+  contract: runContractStep,
+  wiring: runWiringStep,
+  record: runRecordStep
+};
+
+/**
+ * Run a deploy pipeline, resuming the latest unfinished deployment for the network when there is one
+ * @param {object} hre Hardhat runtime environment
+ * @param {object[]} steps Steps built with proxyStep / contractStep / wiringStep / recordStep
+ * @param {object} [options]
+ * @param {string} [options.file] Manifest to resume (defaults to --deployment / YAPLEND_DEPLOYMENT)
+ * @param {boolean} [options.fresh] Start a new deployment even if an unfinished one exists
+ * @param {string} [options.dir] Directory holding the manifests
+ * @param {function} [options.log] Logger
+ * @returns {Promise<object>} The completed manifest
+ */
+async function runDeployment(hre, steps, options = {}) {
+  const log = options.log || console.log;
+  const dir = options.dir || DEPLOYMENTS_DIR;
+  const fresh = options.fresh !== undefined
+    ? options.fresh
+    : process.argv.includes('--fresh') || Boolean(process.env[FRESH_ENV_VAR]);
+  const file = options.file !== undefined ? options.file : getDeploymentOverride();
+
+  const [deployer] = await hre.ethers.getSigners();
+  const { chainId } = await hre.ethers.provider.getNetwork();
+
+  const manifest = openManifest({
+    networkName: hre.network.name,
+    chainId,
+    deployer: deployer.address,
+    dir,
+    file,
+    fresh,
+    log
+  });
+  manifest.steps = manifest.steps || {};
+
+  const ctx = {
+    hre,
+    deployer,
+    manifest,
+    log,
+    address(name) {
+      const address = manifest.contracts[name];
+      if (!address) {
+        throw new Error(`${name} has not been deployed yet`);
+      }
+      return address;
+    }
+  };
+
+  if (manifest.status === 'complete') {
+    log('Deployment already complete, re-checking wiring only');
+  }
+
+  for (const step of steps) {
+    const runner = STEP_RUNNERS[step.kind];
+    if (!runner) {
+      throw new Error(`Unknown step kind: ${step.kind}`);
+    }
+
+    try {
+      await runner(step, ctx);
+    } catch (error) {
+      manifest.steps[step.id] = {
+        ...manifest.steps[step.id],
+        status: manifest.steps[step.id]?.status === 'complete' ? 'complete' : 'failed',
+        error: error.message
+      };
+      if (manifest.status !== 'complete') {
+        manifest.status = 'in-progress';
+      }
+      saveManifest(manifest);
+      throw error;
+    }
+  }
+
+  manifest.status = 'complete';
+  manifest.completedAt = manifest.completedAt || new Date().toISOString();
+  saveManifest(manifest);
+  return manifest;
+}
+
+module.exports = {
+  FRESH_ENV_VAR,
+  proxyStep,
+  contractStep,
+  wiringStep,
+  recordStep,
+  saveManifest,
+  runDeployment
+};
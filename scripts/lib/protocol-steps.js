@@ -0,0 +1,65 @@
+// scripts/lib/protocol-steps.js
+// Deploy pipeline for the full YapLend protocol, in dependency order
+const { proxyStep, contractStep, wiringStep, recordStep } = require('./deploy-engine');
+
+// delegate.xyz v2 registry, deployed at the same address on every supported chain
+const DELEGATE_REGISTRY_V2 = '0x00000000000000447e69651d841bD8D104Bed493';
+
+/**
+ * Build the list of deploy steps for the protocol
+ * YapLendCore is initialized with the deployer as placeholder for every reference;
+ * the wiring steps below replace them with the real addresses
+ * @param {object} [options]
+ * @param {string} [options.feeCollector] Fee collector address (defaults to the deployer)
+ * @param {string} [options.delegateRegistry] Delegate registry for escrowed NFTs (defaults to delegate.xyz v2);
+ * the step fails when the network has no contract at that address
+ * @returns {object[]} Steps for runDeployment
+ */
+function buildProtocolSteps(options = {}) {
+  return [
+    proxyStep('PriceOracle'),
+    proxyStep('YapLendCore', ({ deployer }) => [
+      deployer.address, // CollateralManager address (wired below)
+      deployer.address, // NFTVerifier address (wired below)
+      deployer.address, // LoanVault address (wired below)
+      deployer.address, // LiquidityPool address (wired below)
+      options.feeCollector || deployer.address
+    ]),
+    proxyStep('CollateralManager', ctx => [ctx.address('PriceOracle'), ctx.address('YapLendCore')]),
+    proxyStep('NFTVerifier', ctx => [ctx.address('CollateralManager')]),
+    proxyStep('LiquidityPool'),
+    proxyStep('LoanVault', ctx => [ctx.address('YapLendCore')]),
+
+    wiringStep('YapLendCore', 'collateralManager', 'setCollateralManager', 'CollateralManager'),
+    wiringStep('YapLendCore', 'nftVerifier', 'setNFTVerifier', 'NFTVerifier'),
+    wiringStep('YapLendCore', 'loanVault', 'setLoanVault', 'LoanVault'),
+    wiringStep('YapLendCore', 'liquidityPool', 'setLiquidityPool', 'LiquidityPool'),
+    wiringStep('LiquidityPool', 'yapLendCore', 'setYapLendCore', 'YapLendCore'),
+
+    // ProposalManager reads the NFTVerifier from YapLendCore on initialize, so it must come after the wiring above
+    proxyStep('ProposalManager', ctx => [ctx.address('YapLendCore')]),
+    wiringStep('YapLendCore', 'proposalManager', 'setProposalManager', 'ProposalManager'),
+    wiringStep('CollateralManager', 'yapLendCore', 'setYapLendCore', 'YapLendCore'),
+    wiringStep('NFTVerifier', 'collateralManager', 'setCollateralManager', 'CollateralManager'),
+
+    proxyStep('LiquidationAuction', ctx => [ctx.address('YapLendCore')]),
+    wiringStep('YapLendCore', 'liquidationAuction', 'setLiquidationAuction', 'LiquidationAuction'),
+
+    proxyStep('OrderBook', ctx => [ctx.address('YapLendCore')]),
+    wiringStep('YapLendCore', 'orderBook', 'setOrderBook', 'OrderBook'),
+
+    // Escrows register the borrower in the delegate registry while they hold the NFT
+    recordStep('DelegateRegistry', async ({ hre }) => {
+      const registry = options.delegateRegistry || DELEGATE_REGISTRY_V2;
+      if ((await hre.ethers.provider.getCode(registry)) === '0x') {
+        throw new Error(`No delegate registry deployed at ${registry}; pass delegateRegistry for this network`);
+      }
+      return registry;
+    }),
+    contractStep('NFTEscrowImpl', 'NFTEscrow', ctx => [ctx.address('DelegateRegistry')]),
+    wiringStep('CollateralManager', 'escrowImplementation', 'setEscrowImplementation', 'NFTEscrowImpl'),
+    wiringStep('NFTVerifier', 'delegateRegistry', 'setDelegateRegistry', 'DelegateRegistry')
+  ];
+}
+
+module.exports = { DELEGATE_REGISTRY_V2, buildProtocolSteps };
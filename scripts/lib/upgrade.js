@@ -0,0 +1,473 @@
+// scripts/lib/upgrade.js
+// Upgrade pipeline for the protocol proxies: validate against the stored .openzeppelin manifest,
+// diff the storage layouts, upgrade, then check that state and references survived
+const {
+  Manifest,
+  getImplementationAddress,
+  getStorageLayout,
+  getStorageLayoutForAddress,
+  getUnlinkedBytecode,
+  getVersion
+} = require('@openzeppelin/upgrades-core');
+const { readValidations } = require('@openzeppelin/hardhat-upgrades/dist/utils/validations');
+const { getAddress, findLatestDeployment, readDeployment, resolveDeploymentPath } = require('./address-book');
+const { saveManifest } = require('./deploy-engine');
+const { WIRING_GRAPH, checkWiring, hasProblems } = require('./wiring');
+
+/**
+ * State that must survive an upgrade untouched, per contract
+ * Labels are storage variable names, so private counters and references are covered too;
+ * owner, paused state, balance and the wiring graph are checked for every contract
+ */
+const UPGRADE_INVARIANTS = {
+  YapLendCore: ['_loanIdCounter', 'minInterestRate', 'maxInterestRate', 'protocolFeePercentage', 'feeCollector'],
+  ProposalManager: ['_proposalIdCounter', '_yapLendCore'],
+  CollateralManager: ['minimumCollateralRatio', '_priceOracle'],
+  LoanVault: [],
+  LiquidityPool: ['totalLiquidity', 'totalBorrowed', 'liquidityAPY', 'utilizationTarget', 'minAPY', 'maxAPY'],
+  NFTVerifier: ['signatureValidityPeriod'],
+  PriceOracle: ['priceStaleThreshold'],
+  LiquidationAuction: ['defaultKind', 'lotDuration', 'floorRatio'],
+  OrderBook: ['_yapLendCore']
+};
+
+// Layout diff statuses
+const UNCHANGED = 'unchanged';
+const ADDED = 'added';
+const REMOVED = 'removed';
+const RENAMED = 'renamed';
+const MOVED = 'moved';
+const RETYPED = 'retyped';
+
+// Invariant check statuses
+const PASSED = 'passed';
+const FAILED = 'failed';
+const WARNING = 'warning';
+
+const PAUSED_ABI = ['function paused() view returns (bool)'];
+const OWNER_ABI = ['function owner() view returns (address)'];
+
+function sameAddress(a, b) {
+  return typeof a === 'string' && typeof b === 'string' && a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * Type ids embed AST ids (t_struct(Loan)1234_storage) that change on every compilation
+ */
+function normalizeType(type) {
+  return type.replace(/\)\d+/g, ')');
+}
+
+/**
+ * Storage layout of the implementation currently behind a proxy, as recorded in the .openzeppelin manifest
+ * @param {object} hre Hardhat runtime environment
+ * @param {string} proxyAddress Proxy address
+ * @returns {Promise<object>} { implementation, layout }
+ */
+async function readCurrentLayout(hre, proxyAddress) {
+  const { provider } = hre.network;
+  const implementation = await getImplementationAddress(provider, proxyAddress);
+  const manifest = await Manifest.forNetwork(provider);
+  const validations = await readValidations(hre);
+
+  try {
+    const layout = await getStorageLayoutForAddress(manifest, validations, implementation);
+    return { implementation, layout };
+  } catch (error) {
+    throw new Error(
+      `Implementation ${implementation} of ${proxyAddress} is not in the .openzeppelin manifest for this network ` +
+      `(${error.message}). Register it with upgrades.forceImport before upgrading`
+    );
+  }
+}
+
+/**
+ * Storage layout of a locally compiled implementation
+ * @param {object} hre Hardhat runtime environment
+ * @param {object} factory Contract factory of the new implementation
+ * @returns {Promise<object>} Storage layout
+ */
+async function readLocalLayout(hre, factory) {
+  const validations = await readValidations(hre);
+  const version = getVersion(getUnlinkedBytecode(validations, factory.bytecode), factory.bytecode);
+  return getStorageLayout(validations, version);
+}
+
+function diffItems(currentItems, updatedItems) {
+  const rows = [];
+  const matched = new Set();
+
+  for (const item of currentItems) {
+    const position = `${item.slot}:${item.offset}`;
+    const byLabel = updatedItems.find(candidate => candidate.label === item.label);
+    const byPosition = updatedItems.find(candidate => `${candidate.slot}:${candidate.offset}` === position);
+    const row = { label: item.label, slot: item.slot, offset: item.offset, type: item.type, contract: item.contract };
+
+    if (byLabel) {
+      matched.add(byLabel);
+      if (`${byLabel.slot}:${byLabel.offset}` !== position) {
+        rows.push({ ...row, status: MOVED, slot: byLabel.slot, offset: byLabel.offset, previous: position });
+      } else if (normalizeType(byLabel.type) !== normalizeType(item.type)) {
+        rows.push({ ...row, status: RETYPED, type: byLabel.type, previous: item.type });
+      } else {
+        rows.push({ ...row, status: UNCHANGED });
+      }
+    } else if (byPosition && !currentItems.some(other => other.label === byPosition.label)) {
+      matched.add(byPosition);
+      rows.push({ ...row, status: RENAMED, label: byPosition.label, type: byPosition.type, previous: item.label });
+    } else {
+      rows.push({ ...row, status: REMOVED });
+    }
+  }
+
+  for (const item of updatedItems) {
+    if (!matched.has(item)) {
+      rows.push({
+        label: item.label, slot: item.slot, offset: item.offset, type: item.type, contract: item.contract, status: ADDED
+      });
+    }
+  }
+
+  return rows;
+}
+
+/**
+ * Compare two storage layouts variable by variable, including ERC-7201 namespaces
+ * This is for humans to review; validateUpgrade is what decides whether the upgrade is safe
+ * @param {object} current Layout of the deployed implementation
+ * @param {object} updated Layout of the new implementation
+ * @returns {object[]} Rows { namespace, label, slot, offset, type, contract, status, previous }
+ */
+function diffStorageLayouts(current, updated) {
+  const rows = diffItems(current.storage, updated.storage).map(row => ({ namespace: null, ...row }));
+
+  const namespaces = new Set([
+    ...Object.keys(current.namespaces || {}),
+    ...Object.keys(updated.namespaces || {})
+  ]);
+  for (const namespace of namespaces) {
+    const currentItems = (current.namespaces || {})[namespace] || [];
+    const updatedItems = (updated.namespaces || {})[namespace] || [];
+    rows.push(...diffItems(currentItems, updatedItems).map(row => ({ namespace, ...row })));
+  }
+
+  return rows;
+}
+
+/**
+ * Whether a layout diff has anything besides unchanged variables
+ */
+function hasLayoutChanges(rows) {
+  return rows.some(row => row.status !== UNCHANGED);
+}
+
+/**
+ * Print a layout diff, one line per variable, marking changes
+ */
+function printLayoutDiff(rows, log = console.log) {
+  const markers = { [UNCHANGED]: ' ', [ADDED]: '+', [REMOVED]: '-', [RENAMED]: '~', [MOVED]: '~', [RETYPED]: '~' };
+  let namespace = null;
+
+  for (const row of rows) {
+    if (row.namespace !== namespace) {
+      namespace = row.namespace;
+      log(`  [${namespace}]`);
+    }
+    const previous = row.previous ? ` (was ${row.previous})` : '';
+    const status = row.status === UNCHANGED ? '' : ` ${row.status.toUpperCase()}${previous}`;
+    log(`  ${markers[row.status]} slot ${row.slot}+${row.offset} ${row.label}: ${normalizeType(row.type)}${status}`);
+  }
+}
+
+/**
+ * Read a storage variable straight from the proxy's storage, decoding packed slots
+ * @returns {Promise<string|null>} Hex value, or null when the label is not in the layout
+ */
+async function readStorageVariable(hre, proxyAddress, layout, label) {
+  const item = layout.storage.find(candidate => candidate.label === label);
+  if (!item) {
+    return null;
+  }
+
+  const raw = BigInt(await hre.ethers.provider.getStorage(proxyAddress, BigInt(item.slot)));
+  const type = layout.types[item.type];
+  const bytes = type && type.numberOfBytes ? Math.min(Number(type.numberOfBytes), 32) : 32;
+  const mask = (1n << BigInt(bytes * 8)) - 1n;
+  return `0x${((raw >> BigInt(item.offset * 8)) & mask).toString(16)}`;
+}
+
+async function tryCall(hre, address, abi, method) {
+  try {
+    const contract = new hre.ethers.Contract(address, abi, hre.ethers.provider);
+    return await contract[method]();
+  } catch (error) {
+    return undefined;
+  }
+}
+
+/**
+ * Capture the state an upgrade must preserve
+ * @param {object} hre Hardhat runtime environment
+ * @param {object} deployment Deployment manifest
+ * @param {string} name Contract name in the deployment
+ * @param {object} layout Storage layout of the implementation currently deployed
+ * @returns {Promise<object>} Snapshot for checkInvariants
+ */
+async function snapshotInvariants(hre, deployment, name, layout) {
+  const proxyAddress = getAddress(deployment, name);
+  const labels = UPGRADE_INVARIANTS[name] || [];
+
+  const state = {};
+  for (const label of labels) {
+    state[label] = await readStorageVariable(hre, proxyAddress, layout, label);
+  }
+
+  return {
+    implementation: await getImplementationAddress(hre.network.provider, proxyAddress),
+    owner: await tryCall(hre, proxyAddress, OWNER_ABI, 'owner'),
+    paused: await tryCall(hre, proxyAddress, PAUSED_ABI, 'paused'),
+    balance: await hre.ethers.provider.getBalance(proxyAddress),
+    state
+  };
+}
+
+/**
+ * Compare the state after an upgrade with a snapshot taken before it
+ * @param {object} hre Hardhat runtime environment
+ * @param {object} deployment Deployment manifest
+ * @param {string} name Contract name in the deployment
+ * @param {object} before Snapshot from snapshotInvariants
+ * @param {object} layout Storage layout of the new implementation
+ * @returns {Promise<object[]>} Results { check, status, expected, actual }
+ */
+async function checkInvariants(hre, deployment, name, before, layout) {
+  const proxyAddress = getAddress(deployment, name);
+  const results = [];
+  const record = (check, passed, expected, actual, status = FAILED) => results.push({
+    check,
+    status: passed ? PASSED : status,
+    expected: String(expected),
+    actual: String(actual)
+  });
+
+  const implementation = await getImplementationAddress(hre.network.provider, proxyAddress);
+  record('implementation changed', !sameAddress(implementation, before.implementation),
+    `not ${before.implementation}`, implementation, WARNING);
+
+  const owner = await tryCall(hre, proxyAddress, OWNER_ABI, 'owner');
+  record('owner unchanged', owner !== undefined && sameAddress(owner, before.owner), before.owner, owner);
+
+  if (before.paused !== undefined) {
+    const paused = await tryCall(hre, proxyAddress, PAUSED_ABI, 'paused');
+    record('paused unchanged', paused === before.paused, before.paused, paused);
+  }
+
+  const balance = await hre.ethers.provider.getBalance(proxyAddress);
+  record('balance unchanged', balance === before.balance, before.balance, balance);
+
+  for (const [label, expected] of Object.entries(before.state)) {
+    const actual = await readStorageVariable(hre, proxyAddress, layout, label);
+    record(`${label} preserved`, expected !== null && actual === expected, expected, actual);
+  }
+
+  // References held by the contract and references other contracts hold to it
+  const edges = WIRING_GRAPH.filter(edge => edge.contract === name || edge.target === name);
+  for (const result of await checkWiring(hre, deployment, edges)) {
+    record(`${result.reference} intact`, !hasProblems([result]), result.expected, result.error || result.actual);
+  }
+
+  return results;
+}
+
+/**
+ * Whether any invariant check failed (warnings do not count)
+ */
+function hasFailures(results) {
+  return results.some(result => result.status === FAILED);
+}
+
+/**
+ * Print invariant check results, one line per check
+ */
+function printInvariantResults(results, log = console.log) {
+  const icons = { [PASSED]: '✅', [FAILED]: '❌', [WARNING]: '⚠️ ' };
+  for (const result of results) {
+    const detail = result.status === PASSED ? '' : ` (expected ${result.expected}, got ${result.actual})`;
+    log(`  ${icons[result.status]} ${result.check}${detail}`);
+  }
+}
+
+/**
+ * Resolve the deployment of a network being forked
+ * Inside a fork the chain ID is the local one, so the manifest is looked up by the forked network's name and chain ID
+ * @param {object} hre Hardhat runtime environment
+ * @param {string} networkName Forked network name
+ * @param {object} [options]
+ * @param {string} [options.file] Explicit manifest path
+ * @returns {object} Deployment manifest
+ */
+function loadForkedDeployment(hre, networkName, options = {}) {
+  if (options.file) {
+    return readDeployment(resolveDeploymentPath(options.file));
+  }
+
+  const { chainId } = hre.config.networks[networkName];
+  const deployment = findLatestDeployment(networkName, chainId);
+  if (!deployment) {
+    throw new Error(`No deployment found for network "${networkName}" (chain ${chainId}); pass --deployment <file>`);
+  }
+  return deployment;
+}
+
+/**
+ * Point the in-process Hardhat network at a fork of another configured network
+ * @param {object} hre Hardhat runtime environment (must be running on the hardhat network)
+ * @param {string} networkName Network to fork, as configured in hardhat.config.js
+ */
+async function forkNetwork(hre, networkName) {
+  if (hre.network.name !== 'hardhat') {
+    throw new Error(`Forking needs the in-process network: run with --network hardhat --fork ${networkName}`);
+  }
+  const config = hre.config.networks[networkName];
+  if (!config || !config.url) {
+    throw new Error(`Network "${networkName}" has no RPC URL in hardhat.config.js`);
+  }
+  await hre.network.provider.request({ method: 'hardhat_reset', params: [{ forking: { jsonRpcUrl: config.url } }] });
+}
+
+/**
+ * Signer allowed to upgrade the proxy
+ * In a dry run the owner is impersonated when the local account is not the owner
+ */
+async function getUpgrader(hre, owner, dryRun) {
+  const [signer] = await hre.ethers.getSigners();
+  if (signer && sameAddress(signer.address, owner)) {
+    return signer;
+  }
+  if (!dryRun) {
+    throw new Error(`Account ${signer ? signer.address : '(none)'} is not the owner (${owner}) and cannot upgrade`);
+  }
+
+  await hre.network.provider.request({ method: 'hardhat_setBalance', params: [owner, '0x56BC75E2D63100000'] });
+  return hre.ethers.getImpersonatedSigner(owner);
+}
+
+/**
+ * Validate, upgrade and check one proxy of a deployment
+ * A dry run does everything inside an EVM snapshot that is reverted at the end, so it needs
+ * a network that supports evm_snapshot (hardhat, a local node or a fork made with forkNetwork)
+ * @param {object} hre Hardhat runtime environment
+ * @param {object} deployment Deployment manifest
+ * @param {string} name Contract name in the deployment
+ * @param {object} [options]
+ * @param {string} [options.implementation] Contract to upgrade to (defaults to `name`)
+ * @param {boolean} [options.dryRun] Revert everything once the checks ran
+ * @param {function} [options.log] Logger
+ * @returns {Promise<object>} { name, proxy, previousImplementation, implementation, layoutDiff, checks, dryRun }
+ */
+async function upgradeContract(hre, deployment, name, options = {}) {
+  const log = options.log || console.log;
+  const dryRun = Boolean(options.dryRun);
+  const implementationName = options.implementation || name;
+  const proxyAddress = getAddress(deployment, name);
+  const { provider } = hre.network;
+
+  let snapshotId = null;
+  if (dryRun) {
+    try {
+      snapshotId = await provider.request({ method: 'evm_snapshot', params: [] });
+    } catch (error) {
+      throw new Error(
+        `Dry runs need a network that supports evm_snapshot (hardhat, localhost or --network hardhat --fork <network>): ${error.message}`
+      );
+    }
+  }
+
+  try {
+    log(`\n🔍 Validating ${implementationName} as an upgrade of ${name} (${proxyAddress})...`);
+    const current = await readCurrentLayout(hre, proxyAddress);
+    const owner = await tryCall(hre, proxyAddress, OWNER_ABI, 'owner');
+    const signer = await getUpgrader(hre, owner, dryRun);
+    const factory = await hre.ethers.getContractFactory(implementationName, signer);
+
+    await hre.upgrades.validateUpgrade(proxyAddress, factory, { kind: 'uups' });
+    log('✅ validateUpgrade passed');
+
+    const updatedLayout = await readLocalLayout(hre, factory);
+    const layoutDiff = diffStorageLayouts(current.layout, updatedLayout);
+    log(`\n📐 Storage layout (${current.implementation} -> ${implementationName}):`);
+    printLayoutDiff(layoutDiff, log);
+    if (!hasLayoutChanges(layoutDiff)) {
+      log('  No storage layout changes');
+    }
+
+    const before = await snapshotInvariants(hre, deployment, name, current.layout);
+
+    log(`\n📦 Upgrading ${name}${dryRun ? ' (dry run)' : ''}...`);
+    const upgraded = await hre.upgrades.upgradeProxy(proxyAddress, factory, { kind: 'uups' });
+    await upgraded.waitForDeployment();
+    const implementation = await getImplementationAddress(provider, proxyAddress);
+    log(`✅ ${name} now points to implementation ${implementation}`);
+
+    log('\n🧪 Post-upgrade checks:');
+    const checks = await checkInvariants(hre, deployment, name, before, updatedLayout);
+    printInvariantResults(checks, log);
+
+    const result = {
+      name,
+      proxy: proxyAddress,
+      previousImplementation: current.implementation,
+      implementation,
+      layoutDiff,
+      checks,
+      dryRun
+    };
+
+    if (!dryRun) {
+      deployment.upgrades = [
+        ...(deployment.upgrades || []),
+        {
+          contract: name,
+          implementationContract: implementationName,
+          from: current.implementation,
+          to: implementation,
+          checksPassed: !hasFailures(checks),
+          timestamp: new Date().toISOString()
+        }
+      ];
+      saveManifest(deployment);
+    }
+
+    return result;
+  } finally {
+    if (snapshotId !== null) {
+      await provider.request({ method: 'evm_revert', params: [snapshotId] });
+      log('\n↩️  Dry run: chain state reverted');
+    }
+  }
+}
+
+module.exports = {
+  UPGRADE_INVARIANTS,
+  UNCHANGED,
+  ADDED,
+  REMOVED,
+  RENAMED,
+  MOVED,
+  RETYPED,
+  PASSED,
+  FAILED,
+  WARNING,
+  readCurrentLayout,
+  readLocalLayout,
+  diffStorageLayouts,
+  hasLayoutChanges,
+  printLayoutDiff,
+  snapshotInvariants,
+  checkInvariants,
+  hasFailures,
+  printInvariantResults,
+  loadForkedDeployment,
+  forkNetwork,
+  upgradeContract
+};
@@ -0,0 +1,155 @@
+// scripts/lib/wiring.js
+// Dependency graph of cross-contract references and helpers to check and repair it
+const { getAddress } = require('./address-book');
+
+/**
+ * Every reference a deployed contract holds to another protocol contract
+ * Order matters for fixing: ProposalManager copies its NFTVerifier from YapLendCore,
+ * so YapLendCore must be repaired first
+ */
+const WIRING_GRAPH = [
+  { contract: 'YapLendCore', getter: 'collateralManager', target: 'CollateralManager', fix: (c, to) => c.setCollateralManager(to) },
+  { contract: 'YapLendCore', getter: 'nftVerifier', target: 'NFTVerifier', fix: (c, to) => c.setNFTVerifier(to) },
+  { contract: 'YapLendCore', getter: 'loanVault', target: 'LoanVault', fix: (c, to) => c.setLoanVault(to) },
+  { contract: 'YapLendCore', getter: 'liquidityPool', target: 'LiquidityPool', fix: (c, to) => c.setLiquidityPool(to) },
+  { contract: 'YapLendCore', getter: 'proposalManager', target: 'ProposalManager', fix: (c, to) => c.setProposalManager(to) },
+  { contract: 'YapLendCore', getter: 'liquidationAuction', target: 'LiquidationAuction', fix: (c, to) => c.setLiquidationAuction(to) },
+  { contract: 'YapLendCore', getter: 'orderBook', target: 'OrderBook', fix: (c, to) => c.setOrderBook(to) },
+  { contract: 'CollateralManager', getter: 'priceOracle', target: 'PriceOracle', fix: (c, to) => c.setPriceOracle(to) },
+  { contract: 'CollateralManager', getter: 'yapLendCore', target: 'YapLendCore', fix: (c, to) => c.setYapLendCore(to) },
+  { contract: 'CollateralManager', getter: 'escrowImplementation', target: 'NFTEscrowImpl', fix: (c, to) => c.setEscrowImplementation(to) },
+  { contract: 'NFTVerifier', getter: 'collateralManager', target: 'CollateralManager', fix: (c, to) => c.setCollateralManager(to) },
+  { contract: 'NFTVerifier', getter: 'delegateRegistry', target: 'DelegateRegistry', fix: (c, to) => c.setDelegateRegistry(to) },
+  { contract: 'LoanVault', getter: 'yapLendCore', target: 'YapLendCore', fix: (c, to) => c.setYapLendCore(to) },
+  { contract: 'LiquidityPool', getter: 'yapLendCore', target: 'YapLendCore', fix: (c, to) => c.setYapLendCore(to) },
+  { contract: 'LiquidationAuction', getter: 'yapLendCore', target: 'YapLendCore', fix: (c, to) => c.setYapLendCore(to) },
+  { contract: 'OrderBook', getter: 'yapLendCore', target: 'YapLendCore', fix: (c, to) => c.setYapLendCore(to) },
+  { contract: 'ProposalManager', getter: 'nftVerifier', target: 'NFTVerifier', fix: c => c.updateNFTVerifier() }
+];
+
+// Result statuses
+const OK = 'ok';
+const MISMATCH = 'mismatch';
+const ERROR = 'error';
+const SKIPPED = 'skipped';
+
+function sameAddress(a, b) {
+  return typeof a === 'string' && typeof b === 'string' && a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * Read every reference in the graph and compare it to the deployment manifest
+ * A target without code (e.g. a delegate registry missing on the network) is an error, not something to wire
+ * @param {object} hre Hardhat runtime environment
+ * @param {object} deployment Deployment manifest
+ * @param {object[]} [graph] Edges to check
+ * @returns {Promise<object[]>} One result per edge
+ */
+async function checkWiring(hre, deployment, graph = WIRING_GRAPH) {
+  const results = [];
+
+  for (const edge of graph) {
+    const result = {
+      edge,
+      reference: `${edge.contract}.${edge.getter}`,
+      expected: deployment.contracts[edge.target] || null,
+      actual: null,
+      status: OK,
+      error: null
+    };
+
+    if (!deployment.contracts[edge.contract] || !result.expected) {
+      result.status = SKIPPED;
+      result.error = `${deployment.contracts[edge.contract] ? edge.target : edge.contract} not in deployment`;
+      results.push(result);
+      continue;
+    }
+
+    try {
+      const contract = await hre.ethers.getContractAt(edge.contract, getAddress(deployment, edge.contract));
+      result.actual = await contract[edge.getter]();
+      if ((await hre.ethers.provider.getCode(result.expected)) === '0x') {
+        result.status = ERROR;
+        result.error = `no contract at ${edge.target}`;
+      } else if (!sameAddress(result.actual, result.expected)) {
+        result.status = MISMATCH;
+      }
+    } catch (error) {
+      result.status = ERROR;
+      result.error = error.shortMessage || error.message;
+    }
+
+    results.push(result);
+  }
+
+  return results;
+}
+
+/**
+ * Whether a check found anything that needs attention
+ */
+function hasProblems(results) {
+  return results.some(result => result.status === MISMATCH || result.status === ERROR);
+}
+
+/**
+ * Print check results as a table
+ */
+function printWiringTable(results, log = console.log) {
+  const rows = results.map(result => ({
+    Reference: result.reference,
+    Expected: result.expected || '-',
+    Actual: result.actual || '-',
+    Status: result.error ? `${result.status.toUpperCase()}: ${result.error}` : result.status.toUpperCase()
+  }));
+
+  const columns = ['Reference', 'Expected', 'Actual', 'Status'];
+  const widths = columns.map(column => Math.max(column.length, ...rows.map(row => row[column].length)));
+  const line = cells => cells.map((cell, i) => cell.padEnd(widths[i])).join(' | ');
+
+  log(line(columns));
+  log(widths.map(width => '-'.repeat(width)).join('-|-'));
+  rows.forEach(row => log(line(columns.map(column => row[column]))));
+}
+
+/**
+ * Send only the transactions needed to repair mismatched references
+ * Edges are re-read right before fixing, so an earlier repair that also fixed this one is not repeated
+ * @param {object} hre Hardhat runtime environment
+ * @param {object} deployment Deployment manifest
+ * @param {object} [options]
+ * @param {object[]} [options.graph] Edges to repair
+ * @param {function} [options.log] Logger
+ * @returns {Promise<object[]>} Results after repair
+ */
+async function fixWiring(hre, deployment, options = {}) {
+  const graph = options.graph || WIRING_GRAPH;
+  const log = options.log || console.log;
+
+  for (const edge of graph) {
+    const [result] = await checkWiring(hre, deployment, [edge]);
+    if (result.status !== MISMATCH) {
+      continue;
+    }
+
+    const contract = await hre.ethers.getContractAt(edge.contract, getAddress(deployment, edge.contract));
+    log(`📝 Repairing ${result.reference}: ${result.actual} -> ${result.expected}`);
+    const tx = await edge.fix(contract, result.expected);
+    await tx.wait();
+    log(`✅ ${result.reference} repaired (tx ${tx.hash})`);
+  }
+
+  return checkWiring(hre, deployment, graph);
+}
+
+module.exports = {
+  WIRING_GRAPH,
+  OK,
+  MISMATCH,
+  ERROR,
+  SKIPPED,
+  checkWiring,
+  hasProblems,
+  printWiringTable,
+  fixWiring
+};
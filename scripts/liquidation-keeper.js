@@ -0,0 +1,58 @@
+// scripts/liquidation-keeper.js
+const path = require('path');
+const hre = require('hardhat');
+const { ethers } = hre;
+const { loadDeployment } = require('./lib/address-book');
+const { INDEXER_DATA_DIR, Indexer, JsonStore } = require('../indexer');
+const { LiquidationKeeper, readFlag } = require('../keeper');
+
+// Usage:
+//   npx hardhat run scripts/liquidation-keeper.js --network monad
+// Tracks active loans from LoanCreated events and liquidates every loan past startTime + duration.
+//   KEEPER_DRY_RUN=1 ...           only simulate liquidations (staticCall), never send transactions
+//   KEEPER_ONCE=1 ...              run a single round and exit
+//   KEEPER_STORE=<file> ...        index file (default indexer-data/<network>-<chainId>-keeper.json)
+//   KEEPER_POLL_INTERVAL=<ms> ...  delay between rounds (default 15000)
+//   KEEPER_CONFIRMATIONS=<n> ...   blocks the index stays behind the head (default 2)
+//   YAPLEND_DEPLOYMENT=<file> ...  deployment manifest to watch
+// The same options are available as --dry-run / --once / --deployment <file> when running with node.
+async function main() {
+  const [signer] = await ethers.getSigners();
+  const { chainId } = await ethers.provider.getNetwork();
+  const deployment = await loadDeployment(hre);
+  const dryRun = readFlag('--dry-run', 'KEEPER_DRY_RUN');
+
+  const store = new JsonStore(
+    process.env.KEEPER_STORE || path.join(INDEXER_DATA_DIR, `${hre.network.name}-${chainId}-keeper.json`)
+  );
+  const indexer = new Indexer({
+    provider: ethers.provider,
+    deployment,
+    store,
+    confirmations: process.env.KEEPER_CONFIRMATIONS !== undefined ? Number(process.env.KEEPER_CONFIRMATIONS) : 2
+  });
+  const keeper = new LiquidationKeeper({ indexer, signer, dryRun });
+
+  console.log(`Liquidation keeper for ${deployment.file}`);
+  console.log(`Keeper account: ${signer.address}${dryRun ? ' (dry run)' : ''}`);
+  console.log(`Index: ${store.file}`);
+
+  if (readFlag('--once', 'KEEPER_ONCE')) {
+    const outcomes = await keeper.runOnce();
+    console.log(`\nRound complete: ${outcomes.length} defaulted loan(s) processed`);
+    return;
+  }
+
+  process.once('SIGINT', () => {
+    console.log('\nStopping keeper after the current round...');
+    keeper.stop();
+  });
+  await keeper.run({ pollInterval: Number(process.env.KEEPER_POLL_INTERVAL) || 15000 });
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('Erro no keeper de liquidação:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,55 @@
+// scripts/price-feeder.js
+const path = require('path');
+const hre = require('hardhat');
+const { ethers } = hre;
+const { loadDeployment } = require('./lib/address-book');
+const { PriceFeeder, loadFeederConfig, readFlag } = require('../keeper');
+
+// Usage:
+//   FEEDER_CONFIG=<file> npx hardhat run scripts/price-feeder.js --network monad
+// Reads collection floors from the configured price source and reports them to PriceOracle in batches.
+// The account must be the oracle owner or an authorized updater (PriceOracle.setUpdaterAuthorization).
+//   FEEDER_CONFIG=<file> ...          feeder configuration (default keeper/price-feeder.example.json)
+//   FEEDER_DRY_RUN=1 ...              only simulate the updates (staticCall), never send transactions
+//   FEEDER_ONCE=1 ...                 run a single round and exit
+//   FEEDER_POLL_INTERVAL=<ms> ...     delay between rounds (default pollInterval from the config, or 60000)
+//   FEEDER_HEALTH_PORT=<port> ...     serve the health report on http://localhost:<port>/health
+//   YAPLEND_DEPLOYMENT=<file> ...     deployment manifest to feed
+// The same options are available as --dry-run / --once / --deployment <file> when running with node.
+async function main() {
+  const [signer] = await ethers.getSigners();
+  const deployment = await loadDeployment(hre);
+  const configFile = process.env.FEEDER_CONFIG || path.join(__dirname, '..', 'keeper', 'price-feeder.example.json');
+  const config = loadFeederConfig(configFile);
+  const dryRun = readFlag('--dry-run', 'FEEDER_DRY_RUN');
+
+  const feeder = new PriceFeeder({ ...config, deployment, signer, dryRun });
+
+  console.log(`Price feeder for ${deployment.file}`);
+  console.log(`Feeder account: ${signer.address}${dryRun ? ' (dry run)' : ''}`);
+  console.log(`Source: ${feeder.source.name}, ${feeder.collections.length} collection(s)`);
+
+  if (readFlag('--once', 'FEEDER_ONCE')) {
+    const outcomes = await feeder.runOnce();
+    console.log(`\nRound complete: ${outcomes.length} collection(s), health ${feeder.health().status}`);
+    return;
+  }
+
+  if (process.env.FEEDER_HEALTH_PORT) {
+    await feeder.serveHealth(Number(process.env.FEEDER_HEALTH_PORT));
+    console.log(`Health report: http://localhost:${process.env.FEEDER_HEALTH_PORT}/health`);
+  }
+
+  process.once('SIGINT', () => {
+    console.log('\nStopping feeder after the current round...');
+    feeder.stop();
+  });
+  await feeder.run({ pollInterval: Number(process.env.FEEDER_POLL_INTERVAL) || config.pollInterval || 60000 });
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('Erro no price feeder:', error);
+    process.exit(1);
+  });
@@ -1,20 +1,15 @@
 // scripts/test-integration.js
-const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { loadDeployment } = require("./lib/address-book");
 
 async function main() {
   console.log("🧪 Iniciando testes de integração dos contratos YapLend...");
   
-  // Endereços dos contratos implantados
-  const contractAddresses = {
-    NFTVerifier: "0xB0E4609BEBE2553a94A27E7feEc6192678586a6d",
-    PriceOracle: "0xb1f20C688a9dA017586Ee30369Be429646A288E7",
-    CollateralManager: "0x3AA54e27970fd6E4811aF0CeA22d867e64e572d6",
-    LiquidityPool: "0x02b6c799e165366B01ae5426c1E38F1E392d5Fa5",
-    YapLendCore: "0xc2c9B6F7DBE1d7028Dd3754751Eb8708b4B7E97a",
-    LoanVault: "0x83AeB0B647341c3ed10F7081eC6Ddb458C3d8a42",
-    ProposalManager: "0x8aaBa9340B264bF4977C56B059cBe00b84903fb3",
-    NFTEscrow: "0x361C5a0cef84d05a3EE88e14Fe30446a2697358e"
-  };
+  // Endereços dos contratos implantados (manifesto mais recente da rede, ou --deployment <arquivo>)
+  const deployment = await loadDeployment(hre);
+  const contractAddresses = deployment.contracts;
+  console.log(`📄 Usando deployment: ${deployment.file}`);
 
   // Obter a carteira do teste
   const [tester] = await ethers.getSigners();
@@ -1,13 +1,18 @@
 // Script para testar a verificação de NFT com um exemplo real
+const hre = require("hardhat");
+const { ethers } = hre;
+const { loadDeployment, getAddress } = require("./lib/address-book");
+
 async function testarNFTReal() {
     // Substitua estes valores pelos detalhes do NFT real
     const nftAddress = "0xd97bce4518b886a36e345764333d77b5faf6fe2c";  // NFT que o usuário estava tentando usar
     const tokenId =  12548;  // Token ID específico
     const ownerAddress = "0xB170A41F2523220A12F84f17A54bD31953D98027";  // Endereço do usuário
     
-    // Obtenha instâncias dos contratos
-    const nftVerifier = await ethers.getContractAt("NFTVerifier", "0x42D3b99Ac1bef5eb3E949b543EdE612F3d90ee4F");
-    const collateralManager = await ethers.getContractAt("CollateralManager", "0x1EE1BfcFB8514d4c68f20e3119cb43439befa212");
+    // Obtenha instâncias dos contratos a partir do manifesto de deployment (ou --deployment <arquivo>)
+    const deployment = await loadDeployment(hre);
+    const nftVerifier = await ethers.getContractAt("NFTVerifier", getAddress(deployment, "NFTVerifier"));
+    const collateralManager = await ethers.getContractAt("CollateralManager", getAddress(deployment, "CollateralManager"));
     
     console.log("===== TESTE COM NFT REAL =====");
     
@@ -1,11 +1,15 @@
-const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { loadDeployment, getAddress } = require("./lib/address-book");
 
 async function main() {
   console.log("Starting ownership transfer process...");
   
-  // Endereços dos contratos
-  const LOAN_VAULT_ADDRESS = "0xcd03Bb5f8035bF20dbAf9477C972292FE065CeE6";
-  const YAP_LEND_CORE_ADDRESS = "0x0b79A2fb85b01300C389d6987428FF44F9E99786";
+  // Endereços dos contratos, lidos do manifesto de deployment (ou --deployment <arquivo>)
+  const deployment = await loadDeployment(hre);
+  console.log("Using deployment:", deployment.file);
+  const LOAN_VAULT_ADDRESS = getAddress(deployment, "LoanVault");
+  const YAP_LEND_CORE_ADDRESS = getAddress(deployment, "YapLendCore");
   
   // Endereço do desenvolvedor web2 que receberá a propriedade
   const WEB2_DEV_ADDRESS = "0x61ebCcc4572Ba10CF20Cb8780008526361cf6ef0"; 
@@ -1,4 +1,6 @@
-const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { loadDeployment } = require("./lib/address-book");
 
 async function main() {
   console.log("Iniciando transferência de ownership dos contratos...");
@@ -6,17 +8,10 @@ async function main() {
   // Nova carteira que será owner
   let newOwner = "0x61ebCcc4572Ba10CF20Cb8780008526361cf6ef0";
   
-  // Endereços dos novos contratos deployados
-  const contracts = {
-    NFTVerifier: "0xDE82B245755FAa114C731B328eA93cF3E80Fd0e0",
-    PriceOracle: "0x08f1e427E0A42561ddAf74d023031151429CCF7C",
-    CollateralManager: "0xecb85226744B135c56659C92f22DACEF1F444a20",
-    LiquidityPool: "0x5C7b529e03B527De8A849acAbE5fB3f411B47263",
-    YapLendCore: "0xE54559aDB84b59Cc11b2D472C1C65971EA6c36af",
-    LoanVault: "0xC7BDc1F908bCEC19Eb12C2713a2cd387C1324fB9",
-    ProposalManager: "0xAD81698b128e73Fe580A118294fAE0fcfD05F45d",
-    NFTEscrow: "0x41DA9EC21Cca9429518d42eB01730d982746bBD9"
-  };
+  // Endereços dos contratos deployados, lidos do manifesto de deployment (ou --deployment <arquivo>)
+  const deployment = await loadDeployment(hre);
+  const contracts = { ...deployment.contracts };
+  console.log(`Usando deployment: ${deployment.file}`);
 
   // Normalizar todos os endereços para o formato de checksum correto
   for (const name in contracts) {
@@ -43,6 +38,10 @@ async function main() {
       console.log(`\nPulando ${name} pois é gerenciado pelo CollateralManager...`);
       continue;
     }
+    // O delegate registry é um contrato externo, sem owner do protocolo
+    if (name === "DelegateRegistry") {
+      continue;
+    }
     
     console.log(`\nTransferindo ownership do contrato ${name}...`);
     
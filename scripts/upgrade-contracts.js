@@ -1,44 +1,43 @@
-// scripts/upgrade-both-contracts.js
-const { ethers, upgrades } = require("hardhat");
+// scripts/upgrade-contracts.js
+// Upgrade do NFTVerifier e do ProposalManager usando o pipeline de scripts/lib/upgrade.js
+// (para um contrato só, prefira: npx hardhat upgrade --contract <Nome>)
+const hre = require("hardhat");
+const { ethers } = hre;
+const { loadDeployment } = require("./lib/address-book");
+const { hasFailures, upgradeContract } = require("./lib/upgrade");
 
 async function main() {
   const [deployer] = await ethers.getSigners();
   console.log("Atualizando contratos com a conta:", deployer.address);
-  
-  // Endereços dos proxies
-  const nftVerifierProxyAddress = "0xB0E4609BEBE2553a94A27E7feEc6192678586a6d";
-  const proposalManagerProxyAddress = "0x8aaBa9340B264bF4977C56B059cBe00b84903fb3";
-  
-  // Passo 1: Upgrade do NFTVerifier
-  console.log("\nIniciando upgrade do NFTVerifier...");
-  const NFTVerifier = await ethers.getContractFactory("NFTVerifier");
-  const upgradedNFTVerifier = await upgrades.upgradeProxy(nftVerifierProxyAddress, NFTVerifier);
-  await upgradedNFTVerifier.deployed();
-  console.log("NFTVerifier atualizado com sucesso no endereço:", upgradedNFTVerifier.address);
-  
-  // Passo 2: Upgrade do ProposalManager
-  console.log("\nIniciando upgrade do ProposalManager...");
-  const ProposalManager = await ethers.getContractFactory("ProposalManager");
-  const upgradedProposalManager = await upgrades.upgradeProxy(proposalManagerProxyAddress, ProposalManager);
-  await upgradedProposalManager.deployed();
-  console.log("ProposalManager atualizado com sucesso no endereço:", upgradedProposalManager.address);
-  
-  console.log("\nAmbos os contratos foram atualizados com sucesso!");
-  
-  // Verificar se as implementações estão funcionando corretamente
-  console.log("\nVerificando as implementações...");
-  
-  // Verificar se checkOwnership está disponível no NFTVerifier
-  try {
-    // Simplificando: apenas verificamos se a função existe e não reverte
-    // Para um teste real, você usaria um NFT real
-    const dummyAddress = "0x0000000000000000000000000000000000000001";
-    await upgradedNFTVerifier.callStatic.checkOwnership(deployer.address, dummyAddress, 1);
-    console.log("Função checkOwnership funciona no NFTVerifier ✓");
-  } catch (error) {
-    console.error("Erro ao chamar checkOwnership:", error.message);
+
+  // Endereços dos proxies, lidos do manifesto de deployment (ou --deployment <arquivo>)
+  const deployment = await loadDeployment(hre);
+  console.log("Usando deployment:", deployment.file);
+
+  // UPGRADE_DRY_RUN=true simula os upgrades num snapshot (hardhat run não repassa flags)
+  const dryRun = process.env.UPGRADE_DRY_RUN === "true";
+
+  // NFTVerifier primeiro: o ProposalManager lê o verificador através do YapLendCore
+  const results = [];
+  for (const name of ["NFTVerifier", "ProposalManager"]) {
+    results.push(await upgradeContract(hre, deployment, name, { dryRun }));
+  }
+
+  // Verificar se checkOwnership continua disponível no NFTVerifier
+  if (!dryRun) {
+    try {
+      const nftVerifier = await ethers.getContractAt("NFTVerifier", deployment.contracts.NFTVerifier);
+      const dummyAddress = "0x0000000000000000000000000000000000000001";
+      await nftVerifier.checkOwnership.staticCall(deployer.address, dummyAddress, 1);
+      console.log("\nFunção checkOwnership funciona no NFTVerifier ✓");
+    } catch (error) {
+      console.error("\nErro ao chamar checkOwnership:", error.shortMessage || error.message);
+    }
+  }
+
+  if (results.some(result => hasFailures(result.checks))) {
+    throw new Error("Upgrade concluído, mas algumas verificações pós-upgrade falharam");
   }
-  
   console.log("\nAtualização concluída!");
 }
 
@@ -47,4 +46,4 @@ main()
   .catch((error) => {
     console.error(error);
     process.exit(1);
-  });
\ No newline at end of file
+  });
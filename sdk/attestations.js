@@ -0,0 +1,143 @@
+// sdk/attestations.js
+// EIP-712 ownership attestations: the borrower (or a delegate) of an escrowed NFT signs that they control it,
+// and partner services verify the statement off-chain here or on-chain through NFTVerifier / NFTEscrow
+const { AbiCoder, TypedDataEncoder, verifyTypedData } = require('ethers');
+const { YapLendError } = require('./errors');
+
+// Must match NFTVerifier's __EIP712_init
+const ATTESTATION_DOMAIN_NAME = 'YapLend NFTVerifier';
+const ATTESTATION_DOMAIN_VERSION = '1';
+
+// NFTVerifier's signatureValidityPeriod on new deployments
+const DEFAULT_VALIDITY_PERIOD = 60 * 60;
+
+// Same type string as NFTVerifier.OWNERSHIP_ATTESTATION_TYPEHASH
+const ATTESTATION_TYPES = {
+  OwnershipAttestation: [
+    { name: 'signer', type: 'address' },
+    { name: 'nftAddress', type: 'address' },
+    { name: 'tokenId', type: 'uint256' },
+    { name: 'escrow', type: 'address' },
+    { name: 'issuedAt', type: 'uint256' }
+  ]
+};
+
+/**
+ * EIP-712 domain of an NFTVerifier deployment
+ * @param {bigint|number} chainId Chain the NFTVerifier lives on
+ * @param {string} verifyingContract NFTVerifier address
+ * @returns {object}
+ */
+function attestationDomain(chainId, verifyingContract) {
+  return {
+    name: ATTESTATION_DOMAIN_NAME,
+    version: ATTESTATION_DOMAIN_VERSION,
+    chainId: BigInt(chainId),
+    verifyingContract
+  };
+}
+
+/**
+ * Normalize an attestation to the tuple shape verifyOwnershipAttestation takes
+ * @param {object} attestation { signer, nftAddress, tokenId, escrow, issuedAt }
+ * @returns {object}
+ */
+function normalizeAttestation(attestation) {
+  return {
+    signer: attestation.signer,
+    nftAddress: attestation.nftAddress,
+    tokenId: BigInt(attestation.tokenId),
+    escrow: attestation.escrow,
+    issuedAt: BigInt(attestation.issuedAt)
+  };
+}
+
+/**
+ * Sign an ownership attestation with an ethers Signer, as its signer
+ * @param {object} signer ethers Signer
+ * @param {object} domain Result of attestationDomain
+ * @param {object} params { nftAddress, tokenId, escrow, issuedAt? } (issuedAt defaults to the local clock)
+ * @returns {Promise<object>} { attestation, signature }
+ */
+async function signOwnershipAttestation(signer, domain, params) {
+  const attestation = normalizeAttestation({
+    ...params,
+    signer: await signer.getAddress(),
+    issuedAt: params.issuedAt !== undefined ? params.issuedAt : Math.floor(Date.now() / 1000)
+  });
+  const signature = await signer.signTypedData(domain, ATTESTATION_TYPES, attestation);
+  return { attestation, signature };
+}
+
+/**
+ * EIP-712 digest of an attestation, as returned by NFTVerifier.hashOwnershipAttestation
+ * @param {object} domain Result of attestationDomain
+ * @param {object} attestation Attestation fields
+ * @returns {string}
+ */
+function hashOwnershipAttestation(domain, attestation) {
+  return TypedDataEncoder.hash(domain, ATTESTATION_TYPES, normalizeAttestation(attestation));
+}
+
+/**
+ * Check a signed attestation locally: issue time, expiry and signature
+ * Whether the signer still controls the escrow is only known on-chain (NFTVerifier.verifyOwnershipAttestation),
+ * and only EOA signatures can be checked offline
+ * @param {object} signed { attestation, signature }
+ * @param {object} domain Result of attestationDomain
+ * @param {object} [options]
+ * @param {bigint|number} [options.now] Timestamp to check the expiry against (defaults to the local clock)
+ * @param {bigint|number} [options.validityPeriod] NFTVerifier.signatureValidityPeriod (defaults to one hour)
+ * @returns {object} { valid, reason } where reason explains the first failed check
+ */
+function validateOwnershipAttestation(signed, domain, options = {}) {
+  const now = options.now !== undefined ? BigInt(options.now) : BigInt(Math.floor(Date.now() / 1000));
+  const validityPeriod = BigInt(options.validityPeriod !== undefined ? options.validityPeriod : DEFAULT_VALIDITY_PERIOD);
+
+  let attestation;
+  try {
+    attestation = normalizeAttestation(signed.attestation);
+  } catch (error) {
+    return { valid: false, reason: 'Malformed attestation' };
+  }
+  if (attestation.issuedAt > now) {
+    return { valid: false, reason: 'Attestation not yet valid' };
+  }
+  if (now > attestation.issuedAt + validityPeriod) {
+    return { valid: false, reason: 'Attestation expired' };
+  }
+
+  let recovered;
+  try {
+    recovered = verifyTypedData(domain, ATTESTATION_TYPES, attestation, signed.signature);
+  } catch (error) {
+    return { valid: false, reason: 'Invalid signature' };
+  }
+  if (recovered.toLowerCase() !== attestation.signer.toLowerCase()) {
+    return { valid: false, reason: 'Invalid signature' };
+  }
+  return { valid: true, reason: null };
+}
+
+/**
+ * Encode a signed attestation as the verificationData NFTEscrow.verifyOwnership takes
+ * @param {object} signed { attestation, signature }
+ * @returns {string} abi.encode(signer, issuedAt, signature)
+ */
+function encodeVerificationData(signed) {
+  if (!signed || !signed.attestation || !signed.signature) {
+    throw new YapLendError('A signed attestation is required');
+  }
+  const { signer, issuedAt } = normalizeAttestation(signed.attestation);
+  return AbiCoder.defaultAbiCoder().encode(['address', 'uint256', 'bytes'], [signer, issuedAt, signed.signature]);
+}
+
+module.exports = {
+  ATTESTATION_TYPES,
+  attestationDomain,
+  normalizeAttestation,
+  signOwnershipAttestation,
+  hashOwnershipAttestation,
+  validateOwnershipAttestation,
+  encodeVerificationData
+};
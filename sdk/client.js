@@ -0,0 +1,1292 @@
+// sdk/client.js
+// High-level client for the YapLend protocol built on the exported ABIs in abis/
+const { Contract, Interface, ZeroAddress } = require('ethers');
+const {
+  YapLendCoreABI,
+  ProposalManagerABI,
+  CollateralManagerABI,
+  LoanVaultABI,
+  PriceOracleABI,
+  LiquidationAuctionABI,
+  OrderBookABI,
+  LiquidityPoolABI,
+  NFTVerifierABI
+} = require('../abis');
+const { YapLendError, ProposalNotActiveError, toYapLendError } = require('./errors');
+const { orderDomain, signProposal, signOffer, assertValidOrder, matchOrders } = require('./orders');
+const { attestationDomain, signOwnershipAttestation, validateOwnershipAttestation, normalizeAttestation } = require('./attestations');
+
+// Minimal ERC721 surface needed to check and grant collateral approval
+const ERC721_ABI = [
+  'function ownerOf(uint256 tokenId) view returns (address)',
+  'function getApproved(uint256 tokenId) view returns (address)',
+  'function isApprovedForAll(address owner, address operator) view returns (bool)',
+  'function approve(address to, uint256 tokenId)'
+];
+
+// ERC1155 collections are approved as a whole
+const ERC1155_ABI = [
+  'function isApprovedForAll(address owner, address operator) view returns (bool)',
+  'function setApprovalForAll(address operator, bool approved)'
+];
+
+// Punk-style collections have no approvals: the punk is offered for free to the CollateralManager only
+const PUNKS_ABI = [
+  'function punksOfferedForSale(uint256 punkIndex) view returns (bool isForSale, uint256 punkIndex, address seller, uint256 minValue, address onlySellTo)',
+  'function offerPunkForSaleToAddress(uint256 punkIndex, uint256 minSalePriceInWei, address toAddress)'
+];
+
+// Minimal ERC20 surface needed for token-denominated loans
+const ERC20_ABI = [
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)'
+];
+
+// CollateralAssetType, in order
+const COLLATERAL_ASSET_TYPES = ['erc721', 'erc1155', 'punk'];
+
+// LiquidationAuction.AuctionKind
+const AUCTION_KINDS = ['none', 'dutch', 'english'];
+
+// LoanVault.EntryKind, in order
+const VAULT_ENTRY_KINDS = ['principal', 'interest', 'protocolFee', 'excessRefund'];
+
+// Interest rates are stored on-chain in basis points (4000 = 40%)
+const BASIS_POINTS_PER_PERCENT = 100;
+
+// Extra value sent on repayment to cover interest accrued between the quote and the block (refunded by the contract)
+const DEFAULT_REPAY_BUFFER_BPS = 10n;
+
+function percentToBasisPoints(percent) {
+  const basisPoints = Math.round(Number(percent) * BASIS_POINTS_PER_PERCENT);
+  if (!Number.isFinite(basisPoints) || basisPoints < 0) {
+    throw new YapLendError(`Invalid interest rate: ${percent}`);
+  }
+  return BigInt(basisPoints);
+}
+
+function basisPointsToPercent(basisPoints) {
+  return Number(basisPoints) / BASIS_POINTS_PER_PERCENT;
+}
+
+function sameAddress(a, b) {
+  return typeof a === 'string' && typeof b === 'string' && a.toLowerCase() === b.toLowerCase();
+}
+
+function isNative(currency) {
+  return !currency || sameAddress(currency, ZeroAddress);
+}
+
+// Units of each collateral item, or [] (one unit of each) when no item sets a quantity
+function collateralQuantities(collateral) {
+  if (!collateral.some(item => item.quantity !== undefined)) {
+    return [];
+  }
+  return collateral.map(item => BigInt(item.quantity !== undefined ? item.quantity : 1));
+}
+
+class YapLendClient {
+  /**
+   * @param {object} runner ethers Signer (for transactions) or Provider (read-only)
+   * @param {object} deployment Deployment manifest ({ contracts: { YapLendCore, ProposalManager, CollateralManager, ... } })
+   */
+  constructor(runner, deployment) {
+    if (!runner) {
+      throw new YapLendError('A provider or signer is required');
+    }
+    if (!deployment || !deployment.contracts) {
+      throw new YapLendError('A deployment manifest with a "contracts" section is required');
+    }
+
+    this.runner = runner;
+    this.deployment = deployment;
+
+    const address = name => {
+      const value = deployment.contracts[name];
+      if (!value) {
+        throw new YapLendError(`Contract ${name} not found in deployment`);
+      }
+      return value;
+    };
+
+    this.core = new Contract(address('YapLendCore'), YapLendCoreABI.abi, runner);
+    this.proposalManager = new Contract(address('ProposalManager'), ProposalManagerABI.abi, runner);
+    this.collateralManager = new Contract(address('CollateralManager'), CollateralManagerABI.abi, runner);
+
+    // Deployments made before liquidation auctions existed have no LiquidationAuction
+    this.liquidationAuction = deployment.contracts.LiquidationAuction
+      ? new Contract(deployment.contracts.LiquidationAuction, LiquidationAuctionABI.abi, runner)
+      : null;
+
+    this.liquidityPool = deployment.contracts.LiquidityPool
+      ? new Contract(deployment.contracts.LiquidityPool, LiquidityPoolABI.abi, runner)
+      : null;
+
+    // Same for signed orders
+    this.orderBook = deployment.contracts.OrderBook
+      ? new Contract(deployment.contracts.OrderBook, OrderBookABI.abi, runner)
+      : null;
+
+    // Ownership attestations are verified by the NFTVerifier
+    this.nftVerifier = deployment.contracts.NFTVerifier
+      ? new Contract(deployment.contracts.NFTVerifier, NFTVerifierABI.abi, runner)
+      : null;
+
+    // Used to decode custom errors and events from any protocol contract
+    this._interfaces = [
+      new Interface(YapLendCoreABI.abi),
+      new Interface(ProposalManagerABI.abi),
+      new Interface(CollateralManagerABI.abi),
+      new Interface(LiquidationAuctionABI.abi),
+      new Interface(OrderBookABI.abi),
+      new Interface(LiquidityPoolABI.abi),
+      new Interface(LoanVaultABI.abi)
+    ];
+  }
+
+  /**
+   * Address of the connected signer
+   * @returns {Promise<string>}
+   */
+  async getSignerAddress() {
+    if (typeof this.runner.getAddress !== 'function') {
+      throw new YapLendError('This client is read-only: connect a signer to send transactions');
+    }
+    return this.runner.getAddress();
+  }
+
+  /**
+   * Make sure the CollateralManager may transfer an NFT of the signer, approving it if needed
+   * ERC1155 collections get setApprovalForAll; punks are offered for free to the CollateralManager only
+   * @param {string} nftAddress NFT contract
+   * @param {bigint|number} tokenId Token ID
+   * @returns {Promise<string|null>} Approval transaction hash, or null if already approved
+   */
+  async ensureApproval(nftAddress, tokenId) {
+    const owner = await this.getSignerAddress();
+    const collateralManager = await this.collateralManager.getAddress();
+    const assetType = COLLATERAL_ASSET_TYPES[Number(await this.collateralManager.collectionAssetTypes(nftAddress))];
+
+    if (assetType === 'erc1155') {
+      const editions = new Contract(nftAddress, ERC1155_ABI, this.runner);
+      if (await editions.isApprovedForAll(owner, collateralManager)) {
+        return null;
+      }
+      const receipt = await this._sendAndWait(() => editions.setApprovalForAll(collateralManager, true));
+      return receipt.hash;
+    }
+
+    if (assetType === 'punk') {
+      const punks = new Contract(nftAddress, PUNKS_ABI, this.runner);
+      const offer = await punks.punksOfferedForSale(tokenId);
+      if (offer.isForSale && sameAddress(offer.seller, owner) && offer.minValue === 0n && sameAddress(offer.onlySellTo, collateralManager)) {
+        return null;
+      }
+      const receipt = await this._sendAndWait(() => punks.offerPunkForSaleToAddress(tokenId, 0, collateralManager));
+      return receipt.hash;
+    }
+
+    const nft = new Contract(nftAddress, ERC721_ABI, this.runner);
+
+    const [approvedForAll, approved] = await Promise.all([
+      nft.isApprovedForAll(owner, collateralManager),
+      nft.getApproved(tokenId)
+    ]);
+    if (approvedForAll || sameAddress(approved, collateralManager)) {
+      return null;
+    }
+
+    const receipt = await this._sendAndWait(() => nft.approve(collateralManager, tokenId));
+    return receipt.hash;
+  }
+
+  /**
+   * Make sure a protocol contract may pull `amount` of an ERC20 from the signer, approving it if needed
+   * @param {string} token ERC20 contract
+   * @param {string} spender Contract that pulls the tokens (ProposalManager or YapLendCore)
+   * @param {bigint} amount Amount needed
+   * @returns {Promise<string|null>} Approval transaction hash, or null if the allowance already covers it
+   */
+  async ensureTokenAllowance(token, spender, amount) {
+    const owner = await this.getSignerAddress();
+    const erc20 = new Contract(token, ERC20_ABI, this.runner);
+    if (await erc20.allowance(owner, spender) >= amount) {
+      return null;
+    }
+
+    const receipt = await this._sendAndWait(() => erc20.approve(spender, amount));
+    return receipt.hash;
+  }
+
+  /**
+   * Create a loan proposal as borrower, approving the collateral first when needed
+   * @param {object} params
+   * @param {object[]} params.collateral NFTs to pledge ({ nftAddress, tokenId, quantity? }); quantity is for ERC1155
+   * collections and defaults to 1
+   * @param {bigint} params.amount Requested amount (wei, or the token's smallest unit)
+   * @param {bigint|number} params.duration Loan duration in seconds
+   * @param {number} params.interestRate APR as a percentage (40 = 40%)
+   * @param {string} [params.currency] Allow-listed ERC20 to denominate the loan in (native token when omitted)
+   * @returns {Promise<object>} { proposalId, txHash }
+   */
+  async createProposal({ collateral, amount, duration, interestRate, currency }) {
+    for (const { nftAddress, tokenId } of collateral) {
+      await this.ensureApproval(nftAddress, tokenId);
+    }
+
+    const nftAddresses = collateral.map(item => item.nftAddress);
+    const tokenIds = collateral.map(item => BigInt(item.tokenId));
+    const terms = [amount, duration, percentToBasisPoints(interestRate)];
+    const quantities = collateralQuantities(collateral);
+    const receipt = await this._sendAndWait(() => {
+      if (quantities.length > 0) {
+        return this.proposalManager.createProposalWithQuantities(nftAddresses, tokenIds, quantities, ...terms, currency || ZeroAddress);
+      }
+      return isNative(currency)
+        ? this.proposalManager.createProposal(nftAddresses, tokenIds, ...terms)
+        : this.proposalManager.createProposalWithCurrency(nftAddresses, tokenIds, ...terms, currency);
+    });
+
+    const event = this._findEvent(receipt, 'ProposalCreated');
+    return { proposalId: event.args.proposalId, txHash: receipt.hash };
+  }
+
+  /**
+   * Make a counter offer as lender, locking the offered amount in the proposal's currency
+   * @param {object} params
+   * @param {bigint|number} params.proposalId Proposal to counter
+   * @param {bigint} params.amount Offered amount, sent with the transaction or pulled as tokens
+   * @param {bigint|number} params.duration Loan duration in seconds
+   * @param {number} params.interestRate APR as a percentage
+   * @param {bigint|number} params.validity How long the offer stays valid, in seconds (max 30 days)
+   * @returns {Promise<object>} { proposalId, txHash } where proposalId is the new counter offer
+   */
+  async counterOffer({ proposalId, amount, duration, interestRate, validity }) {
+    const overrides = await this._fund((await this.getProposal(proposalId)).currency, this.proposalManager, amount);
+    const receipt = await this._sendAndWait(() => this.proposalManager.createCounterOffer(
+      proposalId,
+      amount,
+      duration,
+      percentToBasisPoints(interestRate),
+      validity,
+      overrides
+    ));
+
+    const event = this._findEvent(receipt, 'CounterOfferCreated');
+    return { proposalId: event.args.proposalId, txHash: receipt.hash };
+  }
+
+  /**
+   * Accept a proposal
+   * A lender accepting a borrower's proposal sends (or approves) the requested amount; a borrower accepting
+   * a counter offer has the collateral approved first when needed
+   * @param {bigint|number} proposalId Proposal or counter offer to accept
+   * @returns {Promise<object>} { loanId, txHash }
+   */
+  async accept(proposalId) {
+    const proposal = await this.getProposal(proposalId);
+    if (!proposal.isActive) {
+      throw new ProposalNotActiveError('Proposal not active', { reason: 'Proposal not active' });
+    }
+
+    let overrides = {};
+    if (proposal.isCounterOffer) {
+      for (const { nftAddress, tokenId } of proposal.collateral) {
+        await this.ensureApproval(nftAddress, tokenId);
+      }
+    } else {
+      overrides = await this._fund(proposal.currency, this.proposalManager, proposal.amount);
+    }
+
+    const receipt = await this._sendAndWait(() => this.proposalManager.acceptProposal(proposalId, overrides));
+    const event = this._findEvent(receipt, 'ProposalAccepted');
+    return { loanId: event.args.loanId, txHash: receipt.hash };
+  }
+
+  /**
+   * Cancel a proposal as borrower (locked counter offer funds go back to the lender)
+   * @param {bigint|number} proposalId Proposal to cancel
+   * @returns {Promise<object>} { txHash }
+   */
+  async cancel(proposalId) {
+    const receipt = await this._sendAndWait(() => this.proposalManager.cancelProposal(proposalId));
+    return { txHash: receipt.hash };
+  }
+
+  /**
+   * Repay a loan as borrower
+   * A small buffer over the quoted amount covers interest accrued until the transaction is mined;
+   * the contract refunds whatever is not needed (token loans only approve the buffer, and are charged the exact amount)
+   * @param {bigint|number} loanId Loan to repay
+   * @param {object} [options]
+   * @param {bigint} [options.bufferBps] Buffer in basis points of the quoted amount (default 10 = 0.1%)
+   * @returns {Promise<object>} { amount, txHash } where amount is what the contract charged
+   */
+  async repay(loanId, options = {}) {
+    const value = this._withBuffer(await this.getRepaymentAmount(loanId), options);
+
+    const { currency } = await this.core.loans(loanId);
+    const overrides = await this._fund(currency, this.core, value);
+    const receipt = await this._sendAndWait(() => this.core.repayLoan(loanId, overrides));
+    const event = this._findEvent(receipt, 'LoanRepaid');
+    return { amount: event.args.amount, txHash: receipt.hash };
+  }
+
+  /**
+   * Pay down part of a loan's principal as borrower, together with the interest accrued so far
+   * Interest then accrues on the outstanding balance; use repay() to pay off the rest and get the collateral back
+   * @param {bigint|number} loanId Loan to pay down
+   * @param {bigint} principal Principal to pay, less than the outstanding balance
+   * @param {object} [options]
+   * @param {bigint} [options.bufferBps] Buffer in basis points of the quoted amount (default 10 = 0.1%)
+   * @returns {Promise<object>} { principal, interest, outstanding, txHash }
+   */
+  async repayPartial(loanId, principal, options = {}) {
+    const [quote, loan] = await Promise.all([this.getRepaymentAmount(loanId), this.core.loans(loanId)]);
+    const value = this._withBuffer(BigInt(principal) + quote - loan.amount, options);
+
+    const overrides = await this._fund(loan.currency, this.core, value);
+    const receipt = await this._sendAndWait(() => this.core.repayPartial(loanId, principal, overrides));
+    const { args } = this._findEvent(receipt, 'PrincipalRepaid');
+    return { principal: args.principal, interest: args.interest, outstanding: args.outstanding, txHash: receipt.hash };
+  }
+
+  /**
+   * Offer the borrower an extension as lender, replacing any pending offer
+   * @param {object} params
+   * @param {bigint|number} params.loanId Loan to extend
+   * @param {bigint|number} params.additionalDuration Seconds added to the loan duration
+   * @param {number} params.interestRate APR as a percentage from the extension on
+   * @param {bigint} [params.fee] Fee the borrower pays on acceptance (default 0)
+   * @param {bigint|number} params.validity Seconds the offer stays open
+   * @returns {Promise<object>} { expiresAt, txHash }
+   */
+  async offerExtension({ loanId, additionalDuration, interestRate, fee = 0n, validity }) {
+    const receipt = await this._sendAndWait(() => this.core.offerExtension(
+      loanId,
+      additionalDuration,
+      percentToBasisPoints(interestRate),
+      fee,
+      validity
+    ));
+    const event = this._findEvent(receipt, 'ExtensionOffered');
+    return { expiresAt: event.args.expiresAt, txHash: receipt.hash };
+  }
+
+  /**
+   * Withdraw a pending extension offer as lender
+   * @param {bigint|number} loanId Loan ID
+   * @returns {Promise<object>} { txHash }
+   */
+  async cancelExtensionOffer(loanId) {
+    const receipt = await this._sendAndWait(() => this.core.cancelExtensionOffer(loanId));
+    return { txHash: receipt.hash };
+  }
+
+  /**
+   * Accept the lender's extension offer as borrower, paying the fee and the interest accrued so far
+   * @param {bigint|number} loanId Loan to extend
+   * @param {object} [options]
+   * @param {bigint} [options.bufferBps] Buffer in basis points of the quoted amount (default 10 = 0.1%)
+   * @returns {Promise<object>} { duration, interestRate, fee, interest, txHash }
+   */
+  async acceptExtension(loanId, options = {}) {
+    const [offer, quote, loan] = await Promise.all([
+      this.getExtensionOffer(loanId),
+      this.getRepaymentAmount(loanId),
+      this.core.loans(loanId)
+    ]);
+    if (!offer) {
+      throw new YapLendError(`No extension offer for loan ${loanId}`, { reason: 'No extension offer' });
+    }
+    const value = this._withBuffer(quote - loan.amount + offer.fee, options);
+
+    const overrides = await this._fund(loan.currency, this.core, value);
+    const receipt = await this._sendAndWait(() => this.core.acceptExtension(loanId, overrides));
+    const { args } = this._findEvent(receipt, 'LoanExtended');
+    return {
+      duration: args.newDuration,
+      interestRate: basisPointsToPercent(args.interestRate),
+      fee: args.fee,
+      interest: args.interest,
+      txHash: receipt.hash
+    };
+  }
+
+  /**
+   * Post a standing offer as lender: up to maxLoans loans against any token of an allow-listed collection
+   * The funds for every loan are locked up front (approved and pulled for ERC20 offers)
+   * @param {object} params
+   * @param {string} params.nftAddress Collection
+   * @param {bigint} params.amountPerLoan Principal of each loan
+   * @param {bigint|number} params.maxLoans Number of loans the offer can fund
+   * @param {bigint|number} params.duration Duration of each loan in seconds
+   * @param {number} params.interestRate APR as a percentage
+   * @param {bigint|number} params.validity Seconds the offer stays open
+   * @param {string} [params.currency] Allow-listed ERC20; the native token when omitted
+   * @param {bigint|number} [params.quantityPerLoan] Units of the pledged token each loan takes (ERC1155 collections)
+   * @returns {Promise<object>} { offerId, expiresAt, txHash }
+   */
+  async createCollectionOffer({ nftAddress, amountPerLoan, maxLoans, duration, interestRate, validity, currency, quantityPerLoan }) {
+    const token = currency || ZeroAddress;
+    const overrides = await this._fund(token, this.proposalManager, BigInt(amountPerLoan) * BigInt(maxLoans));
+    const terms = [nftAddress, token, amountPerLoan, maxLoans, duration, percentToBasisPoints(interestRate), validity];
+    const receipt = await this._sendAndWait(() => quantityPerLoan !== undefined
+      ? this.proposalManager.createCollectionOfferWithQuantity(...terms, quantityPerLoan, overrides)
+      : this.proposalManager.createCollectionOffer(...terms, overrides));
+    const { args } = this._findEvent(receipt, 'CollectionOfferCreated');
+    return { offerId: args.offerId, expiresAt: args.expiresAt, txHash: receipt.hash };
+  }
+
+  /**
+   * Take one loan from a collection offer as borrower, pledging a token of the collection
+   * The token is approved to the CollateralManager if needed
+   * @param {bigint|number} offerId Collection offer ID
+   * @param {bigint|number} tokenId Token to pledge
+   * @returns {Promise<object>} { loanId, txHash }
+   */
+  async takeCollectionOffer(offerId, tokenId) {
+    const offer = await this.getCollectionOffer(offerId);
+    if (!offer || !offer.isActive) {
+      throw new ProposalNotActiveError('Collection offer not active', { reason: 'Collection offer not active' });
+    }
+    await this.ensureApproval(offer.nftAddress, tokenId);
+
+    const receipt = await this._sendAndWait(() => this.proposalManager.takeCollectionOffer(offerId, tokenId));
+    const { args } = this._findEvent(receipt, 'CollectionOfferTaken');
+    return { loanId: args.loanId, txHash: receipt.hash };
+  }
+
+  /**
+   * Cancel a collection offer and get the funds of the loans not taken back
+   * @param {bigint|number} offerId Collection offer ID
+   * @returns {Promise<object>} { refunded, txHash }
+   */
+  async cancelCollectionOffer(offerId) {
+    const receipt = await this._sendAndWait(() => this.proposalManager.cancelCollectionOffer(offerId));
+    const { args } = this._findEvent(receipt, 'CollectionOfferCancelled');
+    return { refunded: args.refunded, txHash: receipt.hash };
+  }
+
+  /**
+   * Offer to refinance someone else's active loan, locking the new principal in the loan's currency
+   * The borrower accepts with acceptRefinance; the amount must cover the payoff at that point
+   * @param {object} params
+   * @param {bigint|number} params.loanId Loan to refinance
+   * @param {bigint} params.amount New principal
+   * @param {bigint|number} params.duration New duration in seconds, counted from acceptance
+   * @param {number} params.interestRate New APR as a percentage
+   * @param {bigint|number} params.validity Seconds the offer stays open
+   * @returns {Promise<object>} { offerId, expiresAt, txHash }
+   */
+  async offerRefinance({ loanId, amount, duration, interestRate, validity }) {
+    const { currency } = await this.core.loans(loanId);
+    const overrides = await this._fund(currency, this.proposalManager, amount);
+    const receipt = await this._sendAndWait(() => this.proposalManager.createRefinanceOffer(
+      loanId,
+      amount,
+      duration,
+      percentToBasisPoints(interestRate),
+      validity,
+      overrides
+    ));
+    const { args } = this._findEvent(receipt, 'RefinanceOfferCreated');
+    return { offerId: args.offerId, expiresAt: args.expiresAt, txHash: receipt.hash };
+  }
+
+  /**
+   * Accept a refinance offer as borrower: the old lender is paid off and the loan continues on the new terms
+   * @param {bigint|number} offerId Refinance offer ID
+   * @returns {Promise<object>} { loanId, payoff, txHash } where payoff went to the old lender
+   */
+  async acceptRefinance(offerId) {
+    const receipt = await this._sendAndWait(() => this.proposalManager.acceptRefinanceOffer(offerId));
+    const { args } = this._findEvent(receipt, 'LoanRefinanced');
+    return { loanId: args.loanId, payoff: args.payoff, txHash: receipt.hash };
+  }
+
+  /**
+   * Cancel a refinance offer and get the locked funds back
+   * @param {bigint|number} offerId Refinance offer ID
+   * @returns {Promise<object>} { txHash }
+   */
+  async cancelRefinanceOffer(offerId) {
+    const receipt = await this._sendAndWait(() => this.proposalManager.cancelRefinanceOffer(offerId));
+    return { txHash: receipt.hash };
+  }
+
+  /**
+   * Borrow native tokens from the LiquidityPool, approving the collateral first when needed
+   * The rate comes from the pool's utilization curve and is fixed at origination
+   * @param {object} params
+   * @param {object[]} params.collateral NFTs to pledge ({ nftAddress, tokenId, quantity? }); quantity is for ERC1155
+   * @param {bigint} params.amount Principal to borrow
+   * @param {bigint|number} params.duration Loan duration in seconds
+   * @returns {Promise<object>} { loanId, interestRate, txHash } with the rate as a percentage
+   */
+  async borrowFromPool({ collateral, amount, duration }) {
+    const pool = this._pool();
+    for (const { nftAddress, tokenId } of collateral) {
+      await this.ensureApproval(nftAddress, tokenId);
+    }
+
+    const nftAddresses = collateral.map(item => item.nftAddress);
+    const tokenIds = collateral.map(item => BigInt(item.tokenId));
+    const quantities = collateralQuantities(collateral);
+    const receipt = await this._sendAndWait(() => quantities.length > 0
+      ? pool.borrowWithQuantities(nftAddresses, tokenIds, quantities, amount, duration)
+      : pool.borrow(nftAddresses, tokenIds, amount, duration));
+    const { args } = this._findEvent(receipt, 'PoolLoanOpened');
+    return { loanId: args.loanId, interestRate: basisPointsToPercent(args.interestRate), txHash: receipt.hash };
+  }
+
+  /**
+   * Deposit native tokens into the LiquidityPool for shares
+   * @param {bigint} amount Amount to deposit
+   * @returns {Promise<object>} { shares, txHash }
+   */
+  async depositLiquidity(amount) {
+    const pool = this._pool();
+    const receiver = await this.getSignerAddress();
+    const receipt = await this._sendAndWait(() => pool.deposit(receiver, { value: amount }));
+    const { args } = this._findEvent(receipt, 'Deposit');
+    return { shares: args.shares, txHash: receipt.hash };
+  }
+
+  /**
+   * Redeem pool shares: paid at once when the pool has the cash and no queue, otherwise queued
+   * Queued redemptions are paid at the share price when fulfilled, and collected with claimWithdrawal
+   * @param {bigint} shares Shares to redeem
+   * @returns {Promise<object>} { queued, assets, requestId, txHash } with assets null when queued
+   * and requestId null when paid at once
+   */
+  async redeemLiquidity(shares) {
+    const pool = this._pool();
+    const owner = await this.getSignerAddress();
+    const [assets, available] = await Promise.all([pool.previewRedeem(shares), pool.maxWithdraw(owner)]);
+
+    if (assets <= available) {
+      const receipt = await this._sendAndWait(() => pool.redeem(shares, owner, owner));
+      const { args } = this._findEvent(receipt, 'Withdraw');
+      return { queued: false, assets: args.assets, requestId: null, txHash: receipt.hash };
+    }
+
+    const receipt = await this._sendAndWait(() => pool.requestRedeem(shares));
+    const { args } = this._findEvent(receipt, 'WithdrawalRequested');
+    return { queued: true, assets: null, requestId: args.requestId, txHash: receipt.hash };
+  }
+
+  /**
+   * Collect the assets of fulfilled queued redemptions
+   * @returns {Promise<object>} { assets, txHash }
+   */
+  async claimWithdrawal() {
+    const pool = this._pool();
+    const receipt = await this._sendAndWait(() => pool.claim());
+    const { args } = this._findEvent(receipt, 'PayoutClaimed');
+    return { assets: args.assets, txHash: receipt.hash };
+  }
+
+  /**
+   * Sign a loan proposal off-chain as borrower, approving the collateral first when needed
+   * Nothing is sent on-chain until a lender executes it against a matching offer
+   * @param {object} params
+   * @param {object[]} params.collateral NFTs to pledge ({ nftAddress, tokenId, quantity? }); quantity is for ERC1155
+   * @param {bigint} params.amount Requested amount
+   * @param {bigint|number} params.duration Loan duration in seconds
+   * @param {number} params.interestRate APR as a percentage
+   * @param {string} [params.currency] Allow-listed ERC20 (native token when omitted)
+   * @param {bigint|number} params.validity How long the order stays valid, in seconds
+   * @param {bigint|number} [params.nonce] Order nonce (defaults to the current time in milliseconds)
+   * @returns {Promise<object>} Signed order { kind, order, signature }
+   */
+  async signProposal(params) {
+    for (const { nftAddress, tokenId } of params.collateral) {
+      await this.ensureApproval(nftAddress, tokenId);
+    }
+    return signProposal(this.runner, await this._orderDomain(), await this._buildOrder(params));
+  }
+
+  /**
+   * Sign a loan offer off-chain as lender
+   * Token offers approve the OrderBook for the amount, which is only pulled when the order is executed
+   * @param {object} params Same as signProposal
+   * @returns {Promise<object>} Signed order { kind, order, signature }
+   */
+  async signOffer(params) {
+    if (!isNative(params.currency)) {
+      await this.ensureTokenAllowance(params.currency, await this._orderBook().getAddress(), params.amount);
+    }
+    return signOffer(this.runner, await this._orderDomain(), await this._buildOrder(params));
+  }
+
+  /**
+   * Open a loan from a signed proposal and a matching signed offer
+   * Both orders are validated locally first. Native-token orders must be executed by the lender,
+   * who sends the principal; token orders can be executed by anyone
+   * @param {object} proposal Signed proposal
+   * @param {object} offer Signed offer
+   * @returns {Promise<object>} { loanId, txHash }
+   */
+  async executeOrder(proposal, offer) {
+    const orderBook = this._orderBook();
+    const domain = await this._orderDomain();
+    const { timestamp } = await this._provider().getBlock('latest');
+    matchOrders(proposal, offer);
+    assertValidOrder(proposal, domain, { now: timestamp });
+    assertValidOrder(offer, domain, { now: timestamp });
+
+    const overrides = isNative(offer.order.currency) ? { value: offer.order.amount } : {};
+    const receipt = await this._sendAndWait(() => orderBook.executeOrder(
+      proposal.order,
+      proposal.signature,
+      offer.order,
+      offer.signature,
+      overrides
+    ));
+    const { args } = this._findEvent(receipt, 'OrderExecuted');
+    return { loanId: args.loanId, txHash: receipt.hash };
+  }
+
+  /**
+   * Cancel signed orders of the signer by nonce
+   * @param {Array<bigint|number>} nonces Nonces to cancel
+   * @returns {Promise<object>} { txHash }
+   */
+  async cancelOrders(nonces) {
+    const orderBook = this._orderBook();
+    const receipt = await this._sendAndWait(() => orderBook.cancelOrders(nonces.map(BigInt)));
+    return { txHash: receipt.hash };
+  }
+
+  /**
+   * Cancel every signed order of the signer with a nonce below minNonce
+   * @param {bigint|number} [minNonce] New lowest valid nonce (defaults to the current time in milliseconds)
+   * @returns {Promise<object>} { txHash }
+   */
+  async cancelAllOrders(minNonce) {
+    const orderBook = this._orderBook();
+    const value = minNonce !== undefined ? BigInt(minNonce) : BigInt(Date.now());
+    const receipt = await this._sendAndWait(() => orderBook.cancelAllOrders(value));
+    return { txHash: receipt.hash };
+  }
+
+  /**
+   * Sign an ownership attestation for an escrowed NFT, as its borrower or a delegate of the escrow
+   * The escrow is the token's current holder; the attestation is issued at the latest block's timestamp
+   * @param {object} params
+   * @param {string} params.nftAddress NFT contract
+   * @param {bigint|number} params.tokenId Token ID
+   * @returns {Promise<object>} Signed attestation { attestation, signature }
+   */
+  async signOwnershipAttestation({ nftAddress, tokenId }) {
+    const nft = new Contract(nftAddress, ERC721_ABI, this.runner);
+    const [escrow, { timestamp }] = await Promise.all([nft.ownerOf(tokenId), this._provider().getBlock('latest')]);
+    return signOwnershipAttestation(this.runner, await this._attestationDomain(), {
+      nftAddress,
+      tokenId,
+      escrow,
+      issuedAt: timestamp
+    });
+  }
+
+  /**
+   * Verify a signed ownership attestation against the chain
+   * Expiry uses NFTVerifier.signatureValidityPeriod and the latest block's timestamp; the signer's rights
+   * over the escrow (and EIP-1271 signatures) are checked by NFTVerifier.verifyOwnershipAttestation
+   * @param {object} signed Signed attestation { attestation, signature }
+   * @returns {Promise<object>} { valid, reason }
+   */
+  async verifyOwnershipAttestation(signed) {
+    const verifier = this._verifier();
+    const attestation = normalizeAttestation(signed.attestation);
+    const [validityPeriod, { timestamp }, signerCode] = await Promise.all([
+      verifier.signatureValidityPeriod(),
+      this._provider().getBlock('latest'),
+      this._provider().getCode(attestation.signer)
+    ]);
+
+    const local = validateOwnershipAttestation(signed, await this._attestationDomain(), { now: timestamp, validityPeriod });
+    // Assinaturas de contract wallets (EIP-1271) só podem ser checadas on-chain
+    if (!local.valid && !(local.reason === 'Invalid signature' && signerCode !== '0x')) {
+      return local;
+    }
+    if (!await verifier.verifyOwnershipAttestation(attestation, signed.signature)) {
+      return { valid: false, reason: 'Signer does not control the NFT' };
+    }
+    return { valid: true, reason: null };
+  }
+
+  /**
+   * Liquidate a loan past its due date and grace period
+   * The collateral goes to the LiquidationAuction, or straight to the lender when auctions are disabled
+   * @param {bigint|number} loanId Loan to liquidate
+   * @returns {Promise<object>} { txHash }
+   */
+  async liquidate(loanId) {
+    const receipt = await this._sendAndWait(() => this.core.liquidateLoan(loanId));
+    return { txHash: receipt.hash };
+  }
+
+  /**
+   * Pick how the collateral is auctioned if the loan defaults, as lender
+   * @param {bigint|number} loanId Loan ID
+   * @param {string} kind 'dutch' or 'english'
+   * @returns {Promise<object>} { txHash }
+   */
+  async setAuctionPreference(loanId, kind) {
+    const index = AUCTION_KINDS.indexOf(kind);
+    if (index < 1) {
+      throw new YapLendError(`Invalid auction kind: ${kind}`, { reason: 'Invalid auction kind' });
+    }
+    const auction = this._auction();
+    const receipt = await this._sendAndWait(() => auction.setAuctionPreference(loanId, index));
+    return { txHash: receipt.hash };
+  }
+
+  /**
+   * Buy the lot on sale in a Dutch auction at the current price
+   * The quote is sent (or approved) as is: the price only decays, and native excess is refunded
+   * @param {bigint|number} loanId Loan whose collateral is auctioned
+   * @returns {Promise<object>} { lotIndex, price, txHash }
+   */
+  async buyLot(loanId) {
+    const auction = this._auction();
+    const [{ currency }, price] = await Promise.all([auction.auctions(loanId), auction.currentPrice(loanId)]);
+
+    const overrides = await this._fund(currency, auction, price);
+    const receipt = await this._sendAndWait(() => auction.buy(loanId, overrides));
+    const { args } = this._findEvent(receipt, 'LotSold');
+    return { lotIndex: args.lotIndex, price: args.price, txHash: receipt.hash };
+  }
+
+  /**
+   * Bid on the lot on sale in an English auction; the previous highest bidder is refunded
+   * @param {bigint|number} loanId Loan whose collateral is auctioned
+   * @param {bigint} [amount] Bid (defaults to the minimum bid accepted right now)
+   * @returns {Promise<object>} { amount, endTime, txHash }
+   */
+  async bid(loanId, amount) {
+    const auction = this._auction();
+    const [{ currency }, minimum] = await Promise.all([auction.auctions(loanId), auction.minimumBid(loanId)]);
+    const value = amount !== undefined ? BigInt(amount) : minimum;
+
+    const overrides = await this._fund(currency, auction, value);
+    const receipt = await this._sendAndWait(() => auction.bid(loanId, value, overrides));
+    const { args } = this._findEvent(receipt, 'BidPlaced');
+    return { amount: args.amount, endTime: args.endTime, txHash: receipt.hash };
+  }
+
+  /**
+   * Close the lot on sale once its time is up (to the highest bidder, or to the lender if unsold)
+   * @param {bigint|number} loanId Loan whose collateral is auctioned
+   * @returns {Promise<object>} { txHash }
+   */
+  async settleLot(loanId) {
+    const auction = this._auction();
+    const receipt = await this._sendAndWait(() => auction.settleLot(loanId));
+    return { txHash: receipt.hash };
+  }
+
+  /**
+   * Read the auction of a liquidated loan's collateral
+   * @param {bigint|number} loanId Loan ID
+   * @returns {Promise<object|null>} Auction with the lot on sale (null once settled), or null if never auctioned
+   */
+  async getAuction(loanId) {
+    const auction = this._auction();
+    const data = await auction.auctions(loanId);
+    if (data.lotCount === 0n) {
+      return null;
+    }
+
+    let lot = null;
+    if (!data.settled) {
+      const [current, price, minimumBid] = await Promise.all([
+        auction.currentLots(loanId),
+        auction.currentPrice(loanId),
+        auction.minimumBid(loanId)
+      ]);
+      lot = {
+        index: data.nextLot,
+        endTime: current.endTime,
+        floorPrice: current.floorPrice,
+        highestBidder: current.highestBidder === ZeroAddress ? null : current.highestBidder,
+        highestBid: current.highestBid,
+        // Dutch: buy() price; English: lowest bid accepted
+        price: AUCTION_KINDS[Number(data.kind)] === 'dutch' ? price : minimumBid
+      };
+    }
+
+    return {
+      loanId: BigInt(loanId),
+      kind: AUCTION_KINDS[Number(data.kind)],
+      lender: data.lender,
+      borrower: data.borrower,
+      currency: data.currency,
+      debt: data.debt,
+      recovered: data.recovered,
+      lotCount: data.lotCount,
+      settled: data.settled,
+      lot
+    };
+  }
+
+  /**
+   * Read a proposal with its collateral
+   * @param {bigint|number} proposalId Proposal ID
+   * @returns {Promise<object>} Decoded proposal
+   */
+  async getProposal(proposalId) {
+    const [proposal, { currency }, [nftAddresses, tokenIds], quantities] = await Promise.all([
+      this.proposalManager.getProposal(proposalId),
+      this.proposalManager.proposals(proposalId),
+      this.proposalManager.getProposalCollateral(proposalId),
+      this.proposalManager.getProposalQuantities(proposalId)
+    ]);
+
+    return {
+      proposalId: BigInt(proposalId),
+      borrower: proposal.borrower,
+      lender: proposal.lender === ZeroAddress ? null : proposal.lender,
+      amount: proposal.amount,
+      currency,
+      duration: proposal.duration,
+      interestRate: basisPointsToPercent(proposal.interestRate),
+      createdAt: proposal.createdAt,
+      expiresAt: proposal.expiresAt,
+      isActive: proposal.isActive,
+      isCounterOffer: proposal.isCounterOffer,
+      collateral: nftAddresses.map((nftAddress, i) => ({
+        nftAddress,
+        tokenId: tokenIds[i],
+        quantity: quantities.length > 0 ? quantities[i] : 1n
+      }))
+    };
+  }
+
+  /**
+   * Read a loan with its collateral
+   * @param {bigint|number} loanId Loan ID
+   * @returns {Promise<object>} Decoded loan
+   */
+  async getLoan(loanId) {
+    const [loan, collaterals] = await Promise.all([
+      this.core.loans(loanId),
+      this.core.getLoanCollaterals(loanId)
+    ]);
+    const assets = await Promise.all(collaterals.map(item =>
+      this.collateralManager.getCollateralAsset(item.nftAddress, item.tokenId, loanId)
+    ));
+
+    return {
+      loanId: BigInt(loanId),
+      borrower: loan.borrower,
+      lender: loan.lender,
+      amount: loan.amount,
+      currency: loan.currency,
+      startTime: loan.startTime,
+      duration: loan.duration,
+      dueAt: loan.startTime + loan.duration,
+      interestRate: basisPointsToPercent(loan.interestRate),
+      active: loan.active,
+      liquidated: loan.liquidated,
+      partiallyRepaid: loan.partiallyRepaid,
+      principalRepaid: loan.principalRepaid,
+      interestPaid: loan.interestPaid,
+      collateral: collaterals.map((item, i) => ({
+        nftAddress: item.nftAddress,
+        tokenId: item.tokenId,
+        assetType: COLLATERAL_ASSET_TYPES[Number(assets[i].assetType)],
+        // Colaterais anteriores às quantidades guardam 0
+        quantity: item.quantity === 0n ? 1n : item.quantity
+      }))
+    };
+  }
+
+  /**
+   * Loan-to-value a loan was opened at, against the oracle price of its collateral
+   * @param {bigint|number} loanId Loan ID
+   * @returns {Promise<number|null>} Percentage, or null when none of the collateral had a max LTV
+   */
+  async getLoanToValue(loanId) {
+    const ltv = await this.collateralManager.loanToValue(loanId);
+    return ltv === 0n ? null : basisPointsToPercent(ltv);
+  }
+
+  /**
+   * Check loan terms against the max LTV of each collection, as YapLendCore will at origination
+   * Only collections with a max LTV are priced
+   * @param {object} params
+   * @param {Array<{nftAddress: string, tokenId: bigint|number, quantity?: bigint|number}>} params.collateral NFTs to lock
+   * @param {bigint} params.amount Loan amount
+   * @param {string} [params.currency] ERC20 token address (defaults to the native token)
+   * @returns {Promise<object>} { collateralValue, loanToValue, maxAmount, withinLimit } with loanToValue as a
+   * percentage; loanToValue and maxAmount are null when no collateral is priced
+   * @throws {StalePriceError} When a priced collection has no fresh oracle price
+   */
+  async quoteLoanToValue({ collateral, amount, currency }) {
+    const token = currency || ZeroAddress;
+    let collateralValue = 0n;
+    let maxAmount = 0n;
+    let priced = false;
+    try {
+      const oracle = new Contract(await this.collateralManager.priceOracle(), PriceOracleABI.abi, this.runner);
+      for (const item of collateral) {
+        const maxLtv = await this.collateralManager.maxLoanToValue(item.nftAddress);
+        if (maxLtv === 0n) {
+          continue;
+        }
+        // ERC1155 prices are per unit
+        const value = await oracle.getNFTPriceInCurrency(item.nftAddress, item.tokenId, token) * BigInt(item.quantity !== undefined ? item.quantity : 1);
+        collateralValue += value;
+        maxAmount += (value * maxLtv) / 10000n;
+        priced = true;
+      }
+    } catch (error) {
+      throw toYapLendError(error, this._interfaces);
+    }
+
+    if (!priced) {
+      return { collateralValue: 0n, loanToValue: null, maxAmount: null, withinLimit: true };
+    }
+    return {
+      collateralValue,
+      loanToValue: collateralValue === 0n ? null : basisPointsToPercent((BigInt(amount) * 10000n) / collateralValue),
+      maxAmount,
+      withinLimit: BigInt(amount) <= maxAmount
+    };
+  }
+
+  /**
+   * Amount the borrower must pay right now to close a loan (principal + interest)
+   * @param {bigint|number} loanId Loan ID
+   * @returns {Promise<bigint>} Zero when the loan is no longer active
+   */
+  async getRepaymentAmount(loanId) {
+    return this.core.getRepaymentAmount(loanId);
+  }
+
+  /**
+   * Read the lender's pending extension offer for a loan
+   * @param {bigint|number} loanId Loan ID
+   * @returns {Promise<object|null>} { additionalDuration, interestRate, fee, expiresAt }, or null without an offer
+   */
+  async getExtensionOffer(loanId) {
+    const offer = await this.core.extensionOffers(loanId);
+    if (offer.expiresAt === 0n) {
+      return null;
+    }
+    return {
+      additionalDuration: offer.additionalDuration,
+      interestRate: basisPointsToPercent(offer.interestRate),
+      fee: offer.fee,
+      expiresAt: offer.expiresAt
+    };
+  }
+
+  /**
+   * Read a collection offer
+   * @param {bigint|number} offerId Collection offer ID
+   * @returns {Promise<object|null>} Decoded offer, or null if it does not exist
+   */
+  async getCollectionOffer(offerId) {
+    const [offer, quantityPerLoan] = await Promise.all([
+      this.proposalManager.collectionOffers(offerId),
+      this.proposalManager.collectionOfferQuantity(offerId)
+    ]);
+    if (offer.lender === ZeroAddress) {
+      return null;
+    }
+    return {
+      offerId: BigInt(offerId),
+      lender: offer.lender,
+      nftAddress: offer.nftAddress,
+      amountPerLoan: offer.amountPerLoan,
+      currency: offer.currency,
+      duration: offer.duration,
+      interestRate: basisPointsToPercent(offer.interestRate),
+      maxLoans: offer.maxLoans,
+      loansTaken: offer.loansTaken,
+      expiresAt: offer.expiresAt,
+      isActive: offer.isActive,
+      quantityPerLoan
+    };
+  }
+
+  /**
+   * Read a refinance offer
+   * @param {bigint|number} offerId Refinance offer ID
+   * @returns {Promise<object|null>} Decoded offer, or null if it does not exist
+   */
+  async getRefinanceOffer(offerId) {
+    const offer = await this.proposalManager.refinanceOffers(offerId);
+    if (offer.lender === ZeroAddress) {
+      return null;
+    }
+    return {
+      offerId: BigInt(offerId),
+      loanId: offer.loanId,
+      lender: offer.lender,
+      amount: offer.amount,
+      currency: offer.currency,
+      duration: offer.duration,
+      interestRate: basisPointsToPercent(offer.interestRate),
+      expiresAt: offer.expiresAt,
+      isActive: offer.isActive
+    };
+  }
+
+  /**
+   * Read the LiquidityPool's state
+   * @returns {Promise<object>} { cash, totalAssets, totalShares, totalBorrowed, utilization, borrowRate, liquidityAPY, maxLoanAmount, maxLoanDuration }
+   * with utilization and rates as percentages
+   */
+  async getPoolStats() {
+    const pool = this._pool();
+    const [cash, totalAssets, totalShares, totalBorrowed, utilization, borrowRate, liquidityAPY, maxLoanAmount, maxLoanDuration] = await Promise.all([
+      this._provider().getBalance(await pool.getAddress()),
+      pool.totalAssets(),
+      pool.totalSupply(),
+      pool.totalBorrowed(),
+      pool.utilizationRatio(),
+      pool.borrowRate(),
+      pool.liquidityAPY(),
+      pool.maxLoanAmount(),
+      pool.maxLoanDuration()
+    ]);
+    return {
+      cash,
+      totalAssets,
+      totalShares,
+      totalBorrowed,
+      utilization: basisPointsToPercent(utilization),
+      borrowRate: basisPointsToPercent(borrowRate),
+      liquidityAPY: basisPointsToPercent(liquidityAPY),
+      maxLoanAmount,
+      maxLoanDuration
+    };
+  }
+
+  /**
+   * Read a provider's position in the LiquidityPool
+   * @param {string} [owner] Provider address (defaults to the signer)
+   * @returns {Promise<object>} { shares, assets, maxWithdraw, claimable, legacyDeposit } where assets is
+   * what the shares are worth now and legacyDeposit a deposit still waiting for migrateLiquidity
+   */
+  async getPoolPosition(owner) {
+    const pool = this._pool();
+    const account = owner || await this.getSignerAddress();
+    const shares = await pool.balanceOf(account);
+    const [assets, maxWithdraw, claimable, legacyDeposit] = await Promise.all([
+      pool.convertToAssets(shares),
+      pool.maxWithdraw(account),
+      pool.claimable(account),
+      pool.providerLiquidity(account)
+    ]);
+    return { shares, assets, maxWithdraw, claimable, legacyDeposit };
+  }
+
+  /**
+   * Amortization schedule paying off the outstanding principal in equal installments by the due date
+   * @param {bigint|number} loanId Loan ID
+   * @param {number} installments Number of installments
+   * @returns {Promise<object[]>} { dueDate, principal, interest, total, outstanding } per installment
+   */
+  async getAmortizationSchedule(loanId, installments) {
+    const vault = await this._vault();
+    const schedule = await vault.getAmortizationSchedule(loanId, installments);
+    return schedule.map(item => ({
+      dueDate: item.dueDate,
+      principal: item.principal,
+      interest: item.interest,
+      total: item.principal + item.interest,
+      outstanding: item.outstanding
+    }));
+  }
+
+  /**
+   * Funds a loan's vault holds for a beneficiary, by kind: principal not drawn or repaid to a lender,
+   * lender interest, protocol fees and overpayment refunds that could not be paid out directly
+   * @param {bigint|number} loanId Loan ID
+   * @param {string} [beneficiary] Beneficiary address (defaults to the signer)
+   * @returns {Promise<object>} { principal, interest, protocolFee, excessRefund, total }
+   */
+  async getVaultBalance(loanId, beneficiary) {
+    const vault = await this._vault();
+    const account = beneficiary || await this.getSignerAddress();
+    const [principal, interest, protocolFee, excessRefund] = await Promise.all(
+      VAULT_ENTRY_KINDS.map((kind, index) => vault.ledger(loanId, account, index))
+    );
+    return { principal, interest, protocolFee, excessRefund, total: principal + interest + protocolFee + excessRefund };
+  }
+
+  /**
+   * Total a beneficiary can claim from the vault across all loans in one currency
+   * @param {string} [beneficiary] Beneficiary address (defaults to the signer)
+   * @param {string} [currency] ERC20 address (native token when omitted)
+   * @returns {Promise<bigint>}
+   */
+  async getUnclaimedBalance(beneficiary, currency) {
+    const vault = await this._vault();
+    const account = beneficiary || await this.getSignerAddress();
+    return vault.unclaimedBalance(account, currency || ZeroAddress);
+  }
+
+  /**
+   * Claim everything the vault holds for the signer on a loan
+   * @param {bigint|number} loanId Loan ID
+   * @returns {Promise<object>} { amount, txHash }
+   */
+  async claimVaultFunds(loanId) {
+    const vault = await this._vault();
+    const receipt = await this._sendAndWait(() => vault.claim(loanId));
+    const { args } = this._findEvent(receipt, 'Claimed');
+    return { amount: args.amount, txHash: receipt.hash };
+  }
+
+  /**
+   * List the escrow contracts holding a loan's collateral
+   * @param {bigint|number} loanId Loan ID
+   * @returns {Promise<object[]>} { escrowAddress, nftAddress, tokenId } per collateral still in escrow
+   */
+  async listEscrows(loanId) {
+    // Uma entrada por colateral, na ordem do YapLendCore: o mesmo token ERC1155 pode aparecer mais de uma vez
+    const [collaterals, escrowAddresses] = await Promise.all([
+      this.core.getLoanCollaterals(loanId),
+      this.collateralManager.getLoanEscrowAddresses(loanId)
+    ]);
+    const escrows = collaterals.map((item, i) => ({
+      escrowAddress: escrowAddresses[i],
+      nftAddress: item.nftAddress,
+      tokenId: item.tokenId
+    }));
+    return escrows.filter(escrow => escrow.escrowAddress !== ZeroAddress);
+  }
+
+  _auction() {
+    if (!this.liquidationAuction) {
+      throw new YapLendError('Contract LiquidationAuction not found in deployment');
+    }
+    return this.liquidationAuction;
+  }
+
+  _pool() {
+    if (!this.liquidityPool) {
+      throw new YapLendError('Contract LiquidityPool not found in deployment');
+    }
+    return this.liquidityPool;
+  }
+
+  _orderBook() {
+    if (!this.orderBook) {
+      throw new YapLendError('Contract OrderBook not found in deployment');
+    }
+    return this.orderBook;
+  }
+
+  _verifier() {
+    if (!this.nftVerifier) {
+      throw new YapLendError('Contract NFTVerifier not found in deployment');
+    }
+    return this.nftVerifier;
+  }
+
+  _provider() {
+    return this.runner.provider || this.runner;
+  }
+
+  async _orderDomain() {
+    const { chainId } = await this._provider().getNetwork();
+    return orderDomain(chainId, await this._orderBook().getAddress());
+  }
+
+  async _attestationDomain() {
+    const { chainId } = await this._provider().getNetwork();
+    return attestationDomain(chainId, await this._verifier().getAddress());
+  }
+
+  /**
+   * Order terms signed by the connected signer, with the expiry counted from the latest block
+   */
+  async _buildOrder({ collateral, amount, duration, interestRate, currency, validity, nonce }) {
+    const [maker, { timestamp }] = await Promise.all([this.getSignerAddress(), this._provider().getBlock('latest')]);
+    return {
+      maker,
+      nftAddresses: collateral.map(item => item.nftAddress),
+      tokenIds: collateral.map(item => BigInt(item.tokenId)),
+      quantities: collateralQuantities(collateral),
+      amount,
+      duration,
+      interestRate: percentToBasisPoints(interestRate),
+      currency: currency || ZeroAddress,
+      nonce: nonce !== undefined ? BigInt(nonce) : BigInt(Date.now()),
+      expiry: BigInt(timestamp) + BigInt(validity)
+    };
+  }
+
+  /**
+   * Amount plus the repayment buffer, covering interest accrued until the transaction is mined
+   */
+  _withBuffer(amount, options) {
+    const bufferBps = options.bufferBps !== undefined ? BigInt(options.bufferBps) : DEFAULT_REPAY_BUFFER_BPS;
+    return amount + (amount * bufferBps) / 10000n;
+  }
+
+  async _vault() {
+    if (!this._loanVault) {
+      this._loanVault = new Contract(await this.core.loanVault(), LoanVaultABI.abi, this.runner);
+    }
+    return this._loanVault;
+  }
+
+  /**
+   * Transaction overrides that fund an amount: native value, or an ERC20 allowance for the contract pulling it
+   */
+  async _fund(currency, spender, amount) {
+    if (isNative(currency)) {
+      return { value: amount };
+    }
+    await this.ensureTokenAllowance(currency, await spender.getAddress(), amount);
+    return {};
+  }
+
+  async _send(sendTransaction) {
+    try {
+      return await sendTransaction();
+    } catch (error) {
+      throw toYapLendError(error, this._interfaces);
+    }
+  }
+
+  async _sendAndWait(sendTransaction) {
+    const tx = await this._send(sendTransaction);
+    try {
+      return await tx.wait();
+    } catch (error) {
+      throw toYapLendError(error, this._interfaces);
+    }
+  }
+
+  _findEvent(receipt, eventName) {
+    for (const log of receipt.logs) {
+      for (const iface of this._interfaces) {
+        try {
+          const parsed = iface.parseLog(log);
+          if (parsed && parsed.name === eventName) {
+            return parsed;
+          }
+        } catch (error) {
+          // Log from another contract
+        }
+      }
+    }
+    throw new YapLendError(`${eventName} event not found in transaction ${receipt.hash}`);
+  }
+}
+
+module.exports = {
+  YapLendClient,
+  percentToBasisPoints,
+  basisPointsToPercent
+};
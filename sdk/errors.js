@@ -0,0 +1,246 @@
+// sdk/errors.js
+// Typed errors for protocol reverts, so integrators can branch on the class instead of the message
+
+class YapLendError extends Error {
+  /**
+   * @param {string} message Human readable message
+   * @param {object} [details]
+   * @param {string} [details.reason] Revert reason string or custom error name
+   * @param {Error} [details.cause] Original error thrown by ethers
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.reason = details.reason || null;
+    this.cause = details.cause;
+  }
+}
+
+// Caller is not allowed to perform the action (wrong borrower, lender accepting own proposal, ...)
+class UnauthorizedError extends YapLendError {}
+
+// Borrower does not (or no longer) own the NFT
+class NotOwnerError extends YapLendError {}
+
+// NFT is not approved for the CollateralManager
+class NotApprovedError extends YapLendError {}
+
+// Not enough native currency sent with the transaction
+class InsufficientFundsError extends YapLendError {}
+
+// Proposal or counter offer is no longer active or has expired
+class ProposalNotActiveError extends YapLendError {}
+
+// Loan is not active (already repaid or liquidated)
+class LoanNotActiveError extends YapLendError {}
+
+// Loan is past its due date and can no longer be repaid
+class LoanExpiredError extends YapLendError {}
+
+// Loan is still within its term and cannot be liquidated
+class LoanNotDefaultedError extends YapLendError {}
+
+// No auction running for the loan, or the lot on sale is closed (or not yet closable)
+class AuctionNotActiveError extends YapLendError {}
+
+// Loan terms rejected by the protocol (rate bounds, zero amounts, bad collateral)
+class InvalidTermsError extends YapLendError {}
+
+// Collateral could not be priced: the oracle has no price, the price is older than its stale threshold,
+// or the collection's circuit breaker tripped
+class StalePriceError extends YapLendError {}
+
+// Contract is paused
+class PausedError extends YapLendError {}
+
+// Revert that does not map to a more specific error
+class ContractRevertError extends YapLendError {}
+
+// Revert reasons emitted by the contracts, mapped to the error class that represents them
+const REVERT_REASONS = {
+  'Unauthorized acceptance': UnauthorizedError,
+  'Only borrower can cancel proposal': UnauthorizedError,
+  'Only borrower can reject': UnauthorizedError,
+  'Not the borrower': UnauthorizedError,
+  'Not the lender': UnauthorizedError,
+  'Only ProposalManager can call': UnauthorizedError,
+  'Not owner of NFT': NotOwnerError,
+  'Borrower not owner of NFT': NotOwnerError,
+  'Borrower no longer owns NFT': NotOwnerError,
+  'Borrower does not own the NFT': NotOwnerError,
+  'NFT not approved for transfer': NotApprovedError,
+  'NFT approval revoked': NotApprovedError,
+  'NFT not approved for CollateralManager': NotApprovedError,
+  'Insufficient funds sent': InsufficientFundsError,
+  'Insufficient repayment amount': InsufficientFundsError,
+  'Proposal not active': ProposalNotActiveError,
+  'Counter offer expired': ProposalNotActiveError,
+  'Counter offer already expired': ProposalNotActiveError,
+  'Loan not active': LoanNotActiveError,
+  'Loan already liquidated': LoanNotActiveError,
+  'Already liquidated': LoanNotActiveError,
+  'Loan expired, cannot be repaid': LoanExpiredError,
+  'Loan not yet defaulted': LoanNotDefaultedError,
+  'Interest rate too low': InvalidTermsError,
+  'Interest rate too high': InvalidTermsError,
+  'Amount must be greater than 0': InvalidTermsError,
+  'Loan amount must be greater than 0': InvalidTermsError,
+  'Duration must be greater than 0': InvalidTermsError,
+  'No collateral provided': InvalidTermsError,
+  'Arrays length mismatch': InvalidTermsError,
+  'Invalid validity period': InvalidTermsError,
+  'Invalid collateral': InvalidTermsError,
+  'NFT already used as collateral': InvalidTermsError,
+  'NFT does not exist': InvalidTermsError,
+  'Currency not allowed': InvalidTermsError,
+  'Native funds sent for token loan': InvalidTermsError,
+  'Native funds sent for token proposal': InvalidTermsError,
+  'Use repayLoan to pay off the loan': InvalidTermsError,
+  'Invalid installment count': InvalidTermsError,
+  'No extension offer': InvalidTermsError,
+  'Extension offer expired': InvalidTermsError,
+  'Invalid auction kind': InvalidTermsError,
+  'Unauthorized refinance offer': UnauthorizedError,
+  'Collection not allowed': InvalidTermsError,
+  'Invalid number of loans': InvalidTermsError,
+  'Collection offer not active': ProposalNotActiveError,
+  'Collection offer expired': ProposalNotActiveError,
+  'Only lender can cancel': UnauthorizedError,
+  'Refinance offer not active': ProposalNotActiveError,
+  'Refinance offer expired': ProposalNotActiveError,
+  'Offer does not cover the payoff': InsufficientFundsError,
+  'Bid too low': InsufficientFundsError,
+  'Incorrect bid amount': InsufficientFundsError,
+  'Native funds sent for token auction': InvalidTermsError,
+  'No auction running': AuctionNotActiveError,
+  'No Dutch auction running': AuctionNotActiveError,
+  'No English auction running': AuctionNotActiveError,
+  'Lot sale ended': AuctionNotActiveError,
+  'Lot sale not ended': AuctionNotActiveError,
+  'Orders do not match': InvalidTermsError,
+  'Borrower cannot be the lender': InvalidTermsError,
+  'Invalid signature': UnauthorizedError,
+  'Order expired or cancelled': ProposalNotActiveError,
+  'Lender must submit native orders': UnauthorizedError,
+  'Incorrect funds sent': InsufficientFundsError,
+  'Native funds sent for token order': InvalidTermsError,
+  'Nonce too low': InvalidTermsError,
+  'Unauthorized loan origination': UnauthorizedError,
+  'Amount above pool limit': InvalidTermsError,
+  'Duration above pool limit': InvalidTermsError,
+  'Insufficient pool liquidity': InvalidTermsError,
+  'Withdrawals queued': InvalidTermsError,
+  'Withdrawals queued, use requestRedeem': InsufficientFundsError,
+  'Insufficient pool balance': InsufficientFundsError,
+  'Deposit too small': InvalidTermsError,
+  'Nothing to claim': InvalidTermsError,
+  'Not the request owner': UnauthorizedError,
+  'Request not pending': ProposalNotActiveError,
+  'Loan exceeds max LTV': InvalidTermsError,
+  'LTV above collateral ratio': InvalidTermsError,
+  'Price data is stale': StalePriceError,
+  'No price data available': StalePriceError,
+  'No price feed for token': StalePriceError,
+  'Invalid price': StalePriceError,
+  'Circuit breaker tripped': StalePriceError,
+  'Price deviation too high': InvalidTermsError,
+  'Insufficient funds in loan vault': InsufficientFundsError,
+  'No fees to recover': InvalidTermsError
+};
+
+// OpenZeppelin custom errors
+const CUSTOM_ERRORS = {
+  EnforcedPause: PausedError,
+  OwnableUnauthorizedAccount: UnauthorizedError,
+  ERC20InsufficientBalance: InsufficientFundsError
+};
+
+/**
+ * Extract the revert reason (or custom error name) from an ethers error
+ * @param {Error} error Error thrown by a contract call
+ * @param {object[]} [interfaces] ethers Interfaces used to decode custom errors
+ * @returns {string|null} Reason string, custom error name, or null if the error is not a revert
+ */
+function extractRevertReason(error, interfaces = []) {
+  if (!error) {
+    return null;
+  }
+  if (error.revert && error.revert.name) {
+    return error.revert.name === 'Error' ? String(error.revert.args[0]) : error.revert.name;
+  }
+  if (error.reason) {
+    return error.reason;
+  }
+
+  const data = error.data && typeof error.data === 'string' ? error.data : error.error && error.error.data;
+  if (typeof data === 'string' && data.length >= 10) {
+    for (const iface of interfaces) {
+      try {
+        const decoded = iface.parseError(data);
+        if (decoded) {
+          return decoded.name === 'Error' ? String(decoded.args[0]) : decoded.name;
+        }
+      } catch (decodeError) {
+        // Not an error of this interface
+      }
+    }
+  }
+
+  // Hardhat / JSON-RPC nodes only put the reason in the message
+  const message = String(error.message || '');
+  const reasonString = message.match(/reverted with reason string '([^']*)'/);
+  if (reasonString) {
+    return reasonString[1];
+  }
+  const customError = message.match(/reverted with custom error '(\w+)\(/);
+  if (customError) {
+    return customError[1];
+  }
+  const revertedPrefix = message.match(/execution reverted: ([^"\n]+)/);
+  if (revertedPrefix) {
+    return revertedPrefix[1].trim();
+  }
+
+  return error.code === 'CALL_EXCEPTION' ? 'execution reverted' : null;
+}
+
+/**
+ * Convert an ethers error into a typed YapLendError
+ * Errors that are not contract reverts (network, user rejection, ...) are returned unchanged
+ * @param {Error} error Error thrown by a contract call
+ * @param {object[]} [interfaces] ethers Interfaces used to decode custom errors
+ * @returns {Error}
+ */
+function toYapLendError(error, interfaces = []) {
+  if (error instanceof YapLendError) {
+    return error;
+  }
+
+  const reason = extractRevertReason(error, interfaces);
+  if (reason === null) {
+    return error;
+  }
+
+  const ErrorClass = REVERT_REASONS[reason] || CUSTOM_ERRORS[reason] || ContractRevertError;
+  return new ErrorClass(reason, { reason, cause: error });
+}
+
+module.exports = {
+  YapLendError,
+  UnauthorizedError,
+  NotOwnerError,
+  NotApprovedError,
+  InsufficientFundsError,
+  ProposalNotActiveError,
+  LoanNotActiveError,
+  LoanExpiredError,
+  LoanNotDefaultedError,
+  AuctionNotActiveError,
+  InvalidTermsError,
+  StalePriceError,
+  PausedError,
+  ContractRevertError,
+  REVERT_REASONS,
+  extractRevertReason,
+  toYapLendError
+};
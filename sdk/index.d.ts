@@ -0,0 +1,469 @@
+// Type declarations for the YapLend JavaScript SDK (sdk/index.js)
+
+import type { ContractRunner } from 'ethers';
+import type {
+  CollateralManagerContract,
+  LiquidationAuctionContract,
+  LiquidityPoolContract,
+  OrderBookContract,
+  ProposalManagerContract,
+  YapLendCoreContract
+} from '../abis';
+
+export * as abis from '../abis';
+
+export interface DeploymentManifest {
+  network?: string;
+  chainId?: number;
+  contracts: Record<string, string>;
+  [key: string]: unknown;
+}
+
+/** CollateralManager adapter of a collection */
+export type CollateralAssetType = 'erc721' | 'erc1155' | 'punk';
+
+export interface CollateralItem {
+  nftAddress: string;
+  tokenId: bigint;
+  /** Units pledged; always 1 for ERC721 and punks */
+  quantity: bigint;
+}
+
+export interface LoanCollateralItem extends CollateralItem {
+  assetType: CollateralAssetType;
+}
+
+export interface CollateralInput {
+  nftAddress: string;
+  tokenId: bigint | number;
+  /** ERC1155 units to pledge (defaults to 1) */
+  quantity?: bigint | number;
+}
+
+export interface Proposal {
+  proposalId: bigint;
+  borrower: string;
+  lender: string | null;
+  amount: bigint;
+  /** ERC20 the loan is denominated in, ZeroAddress for the native token */
+  currency: string;
+  duration: bigint;
+  /** APR as a percentage (40 = 40%) */
+  interestRate: number;
+  createdAt: bigint;
+  expiresAt: bigint;
+  isActive: boolean;
+  isCounterOffer: boolean;
+  collateral: CollateralItem[];
+}
+
+export interface Loan {
+  loanId: bigint;
+  borrower: string;
+  lender: string;
+  amount: bigint;
+  /** ERC20 the loan is denominated in, ZeroAddress for the native token */
+  currency: string;
+  startTime: bigint;
+  duration: bigint;
+  dueAt: bigint;
+  /** APR as a percentage (40 = 40%) */
+  interestRate: number;
+  active: boolean;
+  liquidated: boolean;
+  /** Paid off, but some collateral could not be released */
+  partiallyRepaid: boolean;
+  /** Principal paid down so far; amount is the outstanding balance */
+  principalRepaid: bigint;
+  /** Interest settled by partial repayments and extensions */
+  interestPaid: bigint;
+  collateral: LoanCollateralItem[];
+}
+
+export interface ExtensionOffer {
+  additionalDuration: bigint;
+  /** APR as a percentage (40 = 40%) */
+  interestRate: number;
+  fee: bigint;
+  expiresAt: bigint;
+}
+
+export interface Installment {
+  dueDate: bigint;
+  principal: bigint;
+  interest: bigint;
+  total: bigint;
+  outstanding: bigint;
+}
+
+export interface CollectionOffer {
+  offerId: bigint;
+  lender: string;
+  nftAddress: string;
+  amountPerLoan: bigint;
+  currency: string;
+  duration: bigint;
+  /** APR as a percentage (40 = 40%) */
+  interestRate: number;
+  maxLoans: bigint;
+  loansTaken: bigint;
+  expiresAt: bigint;
+  isActive: boolean;
+  /** Units of the pledged token each loan takes (1 unless ERC1155) */
+  quantityPerLoan: bigint;
+}
+
+export interface RefinanceOffer {
+  offerId: bigint;
+  loanId: bigint;
+  lender: string;
+  /** New principal, locked until acceptance or cancellation */
+  amount: bigint;
+  currency: string;
+  duration: bigint;
+  /** APR as a percentage (40 = 40%) */
+  interestRate: number;
+  expiresAt: bigint;
+  isActive: boolean;
+}
+
+export type AuctionKind = 'none' | 'dutch' | 'english';
+
+export interface AuctionLot {
+  index: bigint;
+  endTime: bigint;
+  /** Dutch floor price / English reserve */
+  floorPrice: bigint;
+  highestBidder: string | null;
+  highestBid: bigint;
+  /** Dutch: current buy price; English: lowest bid accepted */
+  price: bigint;
+}
+
+export interface Auction {
+  loanId: bigint;
+  kind: AuctionKind;
+  lender: string;
+  borrower: string;
+  currency: string;
+  /** Still owed to the lender */
+  debt: bigint;
+  recovered: bigint;
+  lotCount: bigint;
+  settled: boolean;
+  /** Lot on sale, null once settled */
+  lot: AuctionLot | null;
+}
+
+export interface PoolStats {
+  /** Native balance held by the pool */
+  cash: bigint;
+  /** Assets backing the shares: cash plus outstanding principal, less payouts owed */
+  totalAssets: bigint;
+  totalShares: bigint;
+  /** Principal of pool-funded loans still outstanding */
+  totalBorrowed: bigint;
+  /** Percentages (75 = 75%) */
+  utilization: number;
+  borrowRate: number;
+  liquidityAPY: number;
+  /** 0 when borrowing from the pool is disabled */
+  maxLoanAmount: bigint;
+  maxLoanDuration: bigint;
+}
+
+export interface PoolPosition {
+  shares: bigint;
+  /** What the shares are worth now */
+  assets: bigint;
+  /** Withdrawable at once, given the pool's cash and queue */
+  maxWithdraw: bigint;
+  /** Fulfilled queued redemptions, collected with claimWithdrawal */
+  claimable: bigint;
+  /** Deposit made before share accounting, converted with migrateLiquidity */
+  legacyDeposit: bigint;
+}
+
+/** Funds a loan's vault holds for one beneficiary */
+export interface VaultBalance {
+  /** Loan funds not yet drawn by the borrower, or principal repaid to a lender */
+  principal: bigint;
+  /** Lender interest, net of the protocol fee */
+  interest: bigint;
+  protocolFee: bigint;
+  excessRefund: bigint;
+  total: bigint;
+}
+
+export interface LoanToValueQuote {
+  /** Oracle value of the priced collateral, in the loan currency */
+  collateralValue: bigint;
+  /** Percentage; null when no collateral is priced */
+  loanToValue: number | null;
+  /** Largest amount the priced collateral allows; null when no collateral is priced */
+  maxAmount: bigint | null;
+  withinLimit: boolean;
+}
+
+export type OrderKind = 'proposal' | 'offer';
+
+/** Terms of an EIP-712 order, in the tuple shape OrderBook.executeOrder takes */
+export interface Order {
+  /** Borrower of a proposal, lender of an offer */
+  maker: string;
+  nftAddresses: string[];
+  tokenIds: bigint[];
+  /** ERC1155 units of each token; empty for one unit of each */
+  quantities: bigint[];
+  amount: bigint;
+  duration: bigint;
+  /** APR in basis points */
+  interestRate: bigint;
+  currency: string;
+  nonce: bigint;
+  expiry: bigint;
+}
+
+export interface SignedOrder {
+  kind: OrderKind;
+  order: Order;
+  signature: string;
+}
+
+export interface OrderParams {
+  collateral: CollateralInput[];
+  amount: bigint;
+  duration: bigint | number;
+  /** APR as a percentage (40 = 40%) */
+  interestRate: number;
+  /** Allow-listed ERC20; the native token when omitted */
+  currency?: string;
+  /** Seconds from the latest block until the order expires */
+  validity: bigint | number;
+  /** Defaults to the current time in milliseconds */
+  nonce?: bigint | number;
+}
+
+/** EIP-712 statement that `signer` controls `tokenId` through `escrow`, in the tuple shape NFTVerifier takes */
+export interface OwnershipAttestation {
+  signer: string;
+  nftAddress: string;
+  tokenId: bigint;
+  escrow: string;
+  /** Unix timestamp; expires after NFTVerifier.signatureValidityPeriod */
+  issuedAt: bigint;
+}
+
+export interface SignedOwnershipAttestation {
+  attestation: OwnershipAttestation;
+  signature: string;
+}
+
+export interface Escrow {
+  escrowAddress: string;
+  nftAddress: string;
+  tokenId: bigint;
+}
+
+export declare class YapLendClient {
+  constructor(runner: ContractRunner, deployment: DeploymentManifest);
+
+  readonly runner: ContractRunner;
+  readonly deployment: DeploymentManifest;
+  readonly core: YapLendCoreContract;
+  readonly proposalManager: ProposalManagerContract;
+  readonly collateralManager: CollateralManagerContract;
+  /** null for deployments without a LiquidationAuction */
+  readonly liquidationAuction: LiquidationAuctionContract | null;
+  /** null for manifests without a LiquidityPool */
+  readonly liquidityPool: LiquidityPoolContract | null;
+  /** null for deployments without an OrderBook */
+  readonly orderBook: OrderBookContract | null;
+
+  getSignerAddress(): Promise<string>;
+  ensureApproval(nftAddress: string, tokenId: bigint | number): Promise<string | null>;
+  ensureTokenAllowance(token: string, spender: string, amount: bigint): Promise<string | null>;
+
+  createProposal(params: {
+    collateral: CollateralInput[];
+    amount: bigint;
+    duration: bigint | number;
+    interestRate: number;
+    /** Allow-listed ERC20; the native token when omitted */
+    currency?: string;
+  }): Promise<{ proposalId: bigint; txHash: string }>;
+
+  counterOffer(params: {
+    proposalId: bigint | number;
+    amount: bigint;
+    duration: bigint | number;
+    interestRate: number;
+    validity: bigint | number;
+  }): Promise<{ proposalId: bigint; txHash: string }>;
+
+  accept(proposalId: bigint | number): Promise<{ loanId: bigint; txHash: string }>;
+  cancel(proposalId: bigint | number): Promise<{ txHash: string }>;
+  repay(loanId: bigint | number, options?: { bufferBps?: bigint | number }): Promise<{ amount: bigint; txHash: string }>;
+  repayPartial(
+    loanId: bigint | number,
+    principal: bigint,
+    options?: { bufferBps?: bigint | number }
+  ): Promise<{ principal: bigint; interest: bigint; outstanding: bigint; txHash: string }>;
+  offerExtension(params: {
+    loanId: bigint | number;
+    additionalDuration: bigint | number;
+    interestRate: number;
+    fee?: bigint;
+    validity: bigint | number;
+  }): Promise<{ expiresAt: bigint; txHash: string }>;
+  cancelExtensionOffer(loanId: bigint | number): Promise<{ txHash: string }>;
+  acceptExtension(
+    loanId: bigint | number,
+    options?: { bufferBps?: bigint | number }
+  ): Promise<{ duration: bigint; interestRate: number; fee: bigint; interest: bigint; txHash: string }>;
+  createCollectionOffer(params: {
+    nftAddress: string;
+    amountPerLoan: bigint;
+    maxLoans: bigint | number;
+    duration: bigint | number;
+    interestRate: number;
+    validity: bigint | number;
+    /** Allow-listed ERC20; the native token when omitted */
+    currency?: string;
+    /** Units of the pledged token each loan takes, for ERC1155 collections */
+    quantityPerLoan?: bigint | number;
+  }): Promise<{ offerId: bigint; expiresAt: bigint; txHash: string }>;
+  takeCollectionOffer(offerId: bigint | number, tokenId: bigint | number): Promise<{ loanId: bigint; txHash: string }>;
+  cancelCollectionOffer(offerId: bigint | number): Promise<{ refunded: bigint; txHash: string }>;
+  offerRefinance(params: {
+    loanId: bigint | number;
+    amount: bigint;
+    duration: bigint | number;
+    interestRate: number;
+    validity: bigint | number;
+  }): Promise<{ offerId: bigint; expiresAt: bigint; txHash: string }>;
+  acceptRefinance(offerId: bigint | number): Promise<{ loanId: bigint; payoff: bigint; txHash: string }>;
+  cancelRefinanceOffer(offerId: bigint | number): Promise<{ txHash: string }>;
+  borrowFromPool(params: {
+    collateral: CollateralInput[];
+    amount: bigint;
+    duration: bigint | number;
+  }): Promise<{ loanId: bigint; interestRate: number; txHash: string }>;
+  depositLiquidity(amount: bigint): Promise<{ shares: bigint; txHash: string }>;
+  redeemLiquidity(
+    shares: bigint
+  ): Promise<{ queued: boolean; assets: bigint | null; requestId: bigint | null; txHash: string }>;
+  claimWithdrawal(): Promise<{ assets: bigint; txHash: string }>;
+  signProposal(params: OrderParams): Promise<SignedOrder>;
+  signOffer(params: OrderParams): Promise<SignedOrder>;
+  executeOrder(proposal: SignedOrder, offer: SignedOrder): Promise<{ loanId: bigint; txHash: string }>;
+  cancelOrders(nonces: Array<bigint | number>): Promise<{ txHash: string }>;
+  cancelAllOrders(minNonce?: bigint | number): Promise<{ txHash: string }>;
+  signOwnershipAttestation(params: { nftAddress: string; tokenId: bigint | number }): Promise<SignedOwnershipAttestation>;
+  verifyOwnershipAttestation(signed: SignedOwnershipAttestation): Promise<{ valid: boolean; reason: string | null }>;
+  liquidate(loanId: bigint | number): Promise<{ txHash: string }>;
+  setAuctionPreference(loanId: bigint | number, kind: 'dutch' | 'english'): Promise<{ txHash: string }>;
+  buyLot(loanId: bigint | number): Promise<{ lotIndex: bigint; price: bigint; txHash: string }>;
+  bid(loanId: bigint | number, amount?: bigint): Promise<{ amount: bigint; endTime: bigint; txHash: string }>;
+  settleLot(loanId: bigint | number): Promise<{ txHash: string }>;
+
+  getProposal(proposalId: bigint | number): Promise<Proposal>;
+  getLoan(loanId: bigint | number): Promise<Loan>;
+  getLoanToValue(loanId: bigint | number): Promise<number | null>;
+  quoteLoanToValue(params: { collateral: CollateralInput[]; amount: bigint; currency?: string }): Promise<LoanToValueQuote>;
+  getRepaymentAmount(loanId: bigint | number): Promise<bigint>;
+  getExtensionOffer(loanId: bigint | number): Promise<ExtensionOffer | null>;
+  getCollectionOffer(offerId: bigint | number): Promise<CollectionOffer | null>;
+  getRefinanceOffer(offerId: bigint | number): Promise<RefinanceOffer | null>;
+  getPoolStats(): Promise<PoolStats>;
+  getPoolPosition(owner?: string): Promise<PoolPosition>;
+  getAmortizationSchedule(loanId: bigint | number, installments: number): Promise<Installment[]>;
+  getVaultBalance(loanId: bigint | number, beneficiary?: string): Promise<VaultBalance>;
+  getUnclaimedBalance(beneficiary?: string, currency?: string): Promise<bigint>;
+  claimVaultFunds(loanId: bigint | number): Promise<{ amount: bigint; txHash: string }>;
+  getAuction(loanId: bigint | number): Promise<Auction | null>;
+  listEscrows(loanId: bigint | number): Promise<Escrow[]>;
+}
+
+export interface OrderDomain {
+  name: string;
+  version: string;
+  chainId: bigint;
+  verifyingContract: string;
+}
+
+type OrderInput = Omit<Order, 'tokenIds' | 'quantities' | 'amount' | 'duration' | 'interestRate' | 'currency' | 'nonce' | 'expiry'> & {
+  tokenIds: Array<bigint | number>;
+  quantities?: Array<bigint | number>;
+  amount: bigint | number;
+  duration: bigint | number;
+  interestRate: bigint | number;
+  currency?: string;
+  nonce: bigint | number;
+  expiry: bigint | number;
+};
+
+export declare namespace orders {
+  const ORDER_TYPES: Record<OrderKind, Record<string, Array<{ name: string; type: string }>>>;
+  function orderDomain(chainId: bigint | number, verifyingContract: string): OrderDomain;
+  function normalizeOrder(order: OrderInput): Order;
+  function signProposal(signer: unknown, domain: OrderDomain, order: OrderInput): Promise<SignedOrder>;
+  function signOffer(signer: unknown, domain: OrderDomain, order: OrderInput): Promise<SignedOrder>;
+  function hashOrder(kind: OrderKind, domain: OrderDomain, order: OrderInput): string;
+  function validateOrder(
+    signed: SignedOrder,
+    domain: OrderDomain,
+    options?: { now?: bigint | number }
+  ): { valid: boolean; reason: string | null };
+  function assertValidOrder(signed: SignedOrder, domain: OrderDomain, options?: { now?: bigint | number }): void;
+  function matchOrders(proposal: SignedOrder, offer: SignedOrder): void;
+}
+
+type AttestationInput = Omit<OwnershipAttestation, 'tokenId' | 'issuedAt'> & {
+  tokenId: bigint | number;
+  issuedAt: bigint | number;
+};
+
+export declare namespace attestations {
+  const ATTESTATION_TYPES: Record<string, Array<{ name: string; type: string }>>;
+  function attestationDomain(chainId: bigint | number, verifyingContract: string): OrderDomain;
+  function normalizeAttestation(attestation: AttestationInput): OwnershipAttestation;
+  function signOwnershipAttestation(
+    signer: unknown,
+    domain: OrderDomain,
+    params: { nftAddress: string; tokenId: bigint | number; escrow: string; issuedAt?: bigint | number }
+  ): Promise<SignedOwnershipAttestation>;
+  function hashOwnershipAttestation(domain: OrderDomain, attestation: AttestationInput): string;
+  function validateOwnershipAttestation(
+    signed: SignedOwnershipAttestation,
+    domain: OrderDomain,
+    options?: { now?: bigint | number; validityPeriod?: bigint | number }
+  ): { valid: boolean; reason: string | null };
+  function encodeVerificationData(signed: SignedOwnershipAttestation): string;
+}
+
+export declare function percentToBasisPoints(percent: number): bigint;
+export declare function basisPointsToPercent(basisPoints: bigint | number): number;
+
+export declare class YapLendError extends Error {
+  constructor(message: string, details?: { reason?: string; cause?: unknown });
+  readonly reason: string | null;
+  readonly cause?: unknown;
+}
+export declare class UnauthorizedError extends YapLendError {}
+export declare class NotOwnerError extends YapLendError {}
+export declare class NotApprovedError extends YapLendError {}
+export declare class InsufficientFundsError extends YapLendError {}
+export declare class ProposalNotActiveError extends YapLendError {}
+export declare class LoanNotActiveError extends YapLendError {}
+export declare class LoanExpiredError extends YapLendError {}
+export declare class LoanNotDefaultedError extends YapLendError {}
+export declare class AuctionNotActiveError extends YapLendError {}
+export declare class InvalidTermsError extends YapLendError {}
+export declare class StalePriceError extends YapLendError {}
+export declare class PausedError extends YapLendError {}
+export declare class ContractRevertError extends YapLendError {}
+
+export declare const REVERT_REASONS: Record<string, typeof YapLendError>;
+export declare function extractRevertReason(error: unknown, interfaces?: unknown[]): string | null;
+export declare function toYapLendError(error: unknown, interfaces?: unknown[]): Error;
@@ -0,0 +1,17 @@
+// sdk/index.js
+// Public entry point of the YapLend JavaScript SDK
+const { YapLendClient, percentToBasisPoints, basisPointsToPercent } = require('./client');
+const errors = require('./errors');
+const orders = require('./orders');
+const attestations = require('./attestations');
+const abis = require('../abis');
+
+module.exports = {
+  YapLendClient,
+  percentToBasisPoints,
+  basisPointsToPercent,
+  abis,
+  orders,
+  attestations,
+  ...errors
+};
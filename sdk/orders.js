@@ -0,0 +1,226 @@
+// sdk/orders.js
+// EIP-712 signed loan orders for the OrderBook: borrower proposals and lender offers signed off-chain,
+// matched on-chain by executeOrder
+const { TypedDataEncoder, ZeroAddress, verifyTypedData } = require('ethers');
+const { YapLendError, InvalidTermsError, ProposalNotActiveError } = require('./errors');
+
+// Must match OrderBook's __EIP712_init
+const ORDER_DOMAIN_NAME = 'YapLend OrderBook';
+const ORDER_DOMAIN_VERSION = '1';
+
+// Order kinds: a proposal is signed by the borrower, an offer by the lender
+const PROPOSAL = 'proposal';
+const OFFER = 'offer';
+
+function orderFields(makerField) {
+  return [
+    { name: makerField, type: 'address' },
+    { name: 'nftAddresses', type: 'address[]' },
+    { name: 'tokenIds', type: 'uint256[]' },
+    { name: 'quantities', type: 'uint256[]' },
+    { name: 'amount', type: 'uint256' },
+    { name: 'duration', type: 'uint256' },
+    { name: 'interestRate', type: 'uint256' },
+    { name: 'currency', type: 'address' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'expiry', type: 'uint256' }
+  ];
+}
+
+// Same type strings as OrderBook.PROPOSAL_TYPEHASH and OrderBook.OFFER_TYPEHASH
+const ORDER_TYPES = {
+  [PROPOSAL]: { LoanProposal: orderFields('borrower') },
+  [OFFER]: { LoanOffer: orderFields('lender') }
+};
+
+/**
+ * EIP-712 domain of an OrderBook deployment
+ * @param {bigint|number} chainId Chain the OrderBook lives on
+ * @param {string} verifyingContract OrderBook address
+ * @returns {object}
+ */
+function orderDomain(chainId, verifyingContract) {
+  return {
+    name: ORDER_DOMAIN_NAME,
+    version: ORDER_DOMAIN_VERSION,
+    chainId: BigInt(chainId),
+    verifyingContract
+  };
+}
+
+function typesOf(kind) {
+  const types = ORDER_TYPES[kind];
+  if (!types) {
+    throw new YapLendError(`Invalid order kind: ${kind}`);
+  }
+  return types;
+}
+
+/**
+ * Normalize an order to the tuple shape executeOrder takes
+ * @param {object} order { maker, nftAddresses, tokenIds, quantities?, amount, duration, interestRate (basis points), currency?, nonce, expiry }
+ * quantities are ERC1155 units per token; leave them out (or empty) for one unit of each
+ * @returns {object}
+ */
+function normalizeOrder(order) {
+  const quantities = order.quantities || [];
+  if (!order.nftAddresses || !order.tokenIds || order.nftAddresses.length !== order.tokenIds.length ||
+    (quantities.length > 0 && quantities.length !== order.tokenIds.length)) {
+    throw new InvalidTermsError('Arrays length mismatch', { reason: 'Arrays length mismatch' });
+  }
+  return {
+    maker: order.maker,
+    nftAddresses: [...order.nftAddresses],
+    tokenIds: order.tokenIds.map(BigInt),
+    quantities: quantities.map(BigInt),
+    amount: BigInt(order.amount),
+    duration: BigInt(order.duration),
+    interestRate: BigInt(order.interestRate),
+    currency: order.currency || ZeroAddress,
+    nonce: BigInt(order.nonce),
+    expiry: BigInt(order.expiry)
+  };
+}
+
+// Typed data value: the maker is named after its role
+function typedValue(kind, order) {
+  const { maker, ...terms } = normalizeOrder(order);
+  return { [kind === PROPOSAL ? 'borrower' : 'lender']: maker, ...terms };
+}
+
+/**
+ * Sign an order with an ethers Signer; the maker must be the signer's address
+ * @param {object} signer ethers Signer
+ * @param {string} kind 'proposal' or 'offer'
+ * @param {object} domain Result of orderDomain
+ * @param {object} order Order terms (see normalizeOrder)
+ * @returns {Promise<object>} { kind, order, signature }
+ */
+async function signOrder(signer, kind, domain, order) {
+  const normalized = normalizeOrder(order);
+  const signerAddress = await signer.getAddress();
+  if (normalized.maker.toLowerCase() !== signerAddress.toLowerCase()) {
+    throw new YapLendError('Orders can only be signed by their maker');
+  }
+  const signature = await signer.signTypedData(domain, typesOf(kind), typedValue(kind, normalized));
+  return { kind, order: normalized, signature };
+}
+
+/**
+ * Sign a borrower proposal
+ * @returns {Promise<object>} { kind, order, signature }
+ */
+function signProposal(signer, domain, order) {
+  return signOrder(signer, PROPOSAL, domain, order);
+}
+
+/**
+ * Sign a lender offer
+ * @returns {Promise<object>} { kind, order, signature }
+ */
+function signOffer(signer, domain, order) {
+  return signOrder(signer, OFFER, domain, order);
+}
+
+/**
+ * EIP-712 digest of an order, as returned by OrderBook.hashProposal / hashOffer
+ * @param {string} kind 'proposal' or 'offer'
+ * @param {object} domain Result of orderDomain
+ * @param {object} order Order terms
+ * @returns {string}
+ */
+function hashOrder(kind, domain, order) {
+  return TypedDataEncoder.hash(domain, typesOf(kind), typedValue(kind, order));
+}
+
+/**
+ * Check a signed order locally: signature, expiry and well-formed terms
+ * Only EOA signatures can be checked offline; contract wallets (EIP-1271) are verified by the OrderBook
+ * @param {object} signed { kind, order, signature }
+ * @param {object} domain Result of orderDomain
+ * @param {object} [options]
+ * @param {bigint|number} [options.now] Timestamp to check the expiry against (defaults to the local clock)
+ * @returns {object} { valid, reason } where reason explains the first failed check
+ */
+function validateOrder(signed, domain, options = {}) {
+  const now = options.now !== undefined ? BigInt(options.now) : BigInt(Math.floor(Date.now() / 1000));
+
+  let order;
+  try {
+    order = normalizeOrder(signed.order);
+  } catch (error) {
+    return { valid: false, reason: error.message };
+  }
+  if (order.nftAddresses.length === 0) {
+    return { valid: false, reason: 'No collateral provided' };
+  }
+  if (order.amount === 0n || order.duration === 0n) {
+    return { valid: false, reason: 'Amount and duration must be greater than 0' };
+  }
+  if (order.expiry < now) {
+    return { valid: false, reason: 'Order expired' };
+  }
+
+  let recovered;
+  try {
+    recovered = verifyTypedData(domain, typesOf(signed.kind), typedValue(signed.kind, order), signed.signature);
+  } catch (error) {
+    return { valid: false, reason: 'Invalid signature' };
+  }
+  if (recovered.toLowerCase() !== order.maker.toLowerCase()) {
+    return { valid: false, reason: 'Invalid signature' };
+  }
+  return { valid: true, reason: null };
+}
+
+/**
+ * Check that a proposal and an offer can be executed together: same terms, different makers
+ * @param {object} proposal Signed proposal ({ kind, order, signature })
+ * @param {object} offer Signed offer ({ kind, order, signature })
+ * @throws {InvalidTermsError} When the orders do not match
+ */
+function matchOrders(proposal, offer) {
+  if (proposal.kind !== PROPOSAL || offer.kind !== OFFER) {
+    throw new YapLendError('Expected a signed proposal and a signed offer');
+  }
+  const a = normalizeOrder(proposal.order);
+  const b = normalizeOrder(offer.order);
+  if (a.maker.toLowerCase() === b.maker.toLowerCase()) {
+    throw new InvalidTermsError('Borrower cannot be the lender', { reason: 'Borrower cannot be the lender' });
+  }
+
+  const sameCollateral = a.nftAddresses.length === b.nftAddresses.length &&
+    a.nftAddresses.every((nft, i) => nft.toLowerCase() === b.nftAddresses[i].toLowerCase() && a.tokenIds[i] === b.tokenIds[i]) &&
+    a.quantities.length === b.quantities.length &&
+    a.quantities.every((quantity, i) => quantity === b.quantities[i]);
+  const sameTerms = a.amount === b.amount &&
+    a.duration === b.duration &&
+    a.interestRate === b.interestRate &&
+    a.currency.toLowerCase() === b.currency.toLowerCase();
+  if (!sameCollateral || !sameTerms) {
+    throw new InvalidTermsError('Orders do not match', { reason: 'Orders do not match' });
+  }
+}
+
+/**
+ * Throw the typed error for a signed order that fails validateOrder
+ */
+function assertValidOrder(signed, domain, options) {
+  const { valid, reason } = validateOrder(signed, domain, options);
+  if (!valid) {
+    const ErrorClass = reason === 'Order expired' ? ProposalNotActiveError : InvalidTermsError;
+    throw new ErrorClass(reason, { reason });
+  }
+}
+
+module.exports = {
+  ORDER_TYPES,
+  orderDomain,
+  normalizeOrder,
+  signProposal,
+  signOffer,
+  hashOrder,
+  validateOrder,
+  assertValidOrder,
+  matchOrders
+};
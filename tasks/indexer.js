@@ -0,0 +1,79 @@
+// tasks/indexer.js
+// Protocol event indexer:
+//   npx hardhat indexer:run --network monad [--store <file>] [--from-block <n>] [--once]
+//   npx hardhat indexer:query --network monad --kind loans [--borrower <address>] [--status active]
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const { loadDeployment } = require("../scripts/lib/address-book");
+const { INDEXER_DATA_DIR, Indexer, JsonStore } = require("../indexer");
+
+async function defaultStorePath(hre) {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  return path.join(INDEXER_DATA_DIR, `${hre.network.name}-${chainId}.json`);
+}
+
+task("indexer:run", "Indexes proposals, loans and escrows into a local JSON store")
+  .addOptionalParam("deployment", "Deployment manifest to index (defaults to the latest for the network)")
+  .addOptionalParam("store", "Store file (defaults to indexer-data/<network>-<chainId>.json)")
+  .addOptionalParam("fromBlock", "First block to index on an empty store", undefined, types.int)
+  .addOptionalParam("confirmations", "Blocks to stay behind the head", 2, types.int)
+  .addOptionalParam("pollInterval", "Milliseconds between syncs", 5000, types.int)
+  .addFlag("once", "Sync up to the current head and exit")
+  .setAction(async (args, hre) => {
+    const deployment = await loadDeployment(hre, { file: args.deployment });
+    const store = new JsonStore(args.store || await defaultStorePath(hre));
+    const indexer = new Indexer({
+      provider: hre.ethers.provider,
+      deployment,
+      store,
+      startBlock: args.fromBlock,
+      confirmations: args.confirmations
+    });
+
+    console.log(`Indexing ${deployment.file} into ${store.file}`);
+    if (store.lastBlock !== null) {
+      console.log(`Resuming after block ${store.lastBlock}`);
+    }
+
+    if (args.once) {
+      await indexer.sync();
+      return store;
+    }
+
+    process.once("SIGINT", () => {
+      console.log("\nStopping indexer after the current sync...");
+      indexer.stop();
+    });
+    await indexer.run({ pollInterval: args.pollInterval });
+    return store;
+  });
+
+task("indexer:query", "Queries the local indexer store")
+  .addParam("kind", "proposals | loans | escrows")
+  .addOptionalParam("store", "Store file (defaults to indexer-data/<network>-<chainId>.json)")
+  .addOptionalParam("borrower", "Filter by borrower address")
+  .addOptionalParam("lender", "Filter by lender address")
+  .addOptionalParam("collection", "Filter by NFT collection")
+  .addOptionalParam("status", "Filter by status")
+  .addOptionalParam("loanId", "Filter escrows by loan ID")
+  .setAction(async (args, hre) => {
+    const store = new JsonStore(args.store || await defaultStorePath(hre));
+    const filter = Object.fromEntries(
+      ["borrower", "lender", "collection", "status", "loanId"]
+        .filter(key => args[key] !== undefined)
+        .map(key => [key, args[key]])
+    );
+
+    const queries = {
+      proposals: () => store.getProposals(filter),
+      loans: () => store.getLoans(filter),
+      escrows: () => store.getEscrows(filter)
+    };
+    if (!queries[args.kind]) {
+      throw new Error(`Unknown kind "${args.kind}", expected proposals, loans or escrows`);
+    }
+
+    const results = queries[args.kind]();
+    console.log(JSON.stringify(results, null, 2));
+    return results;
+  });
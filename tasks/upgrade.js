@@ -0,0 +1,43 @@
+// tasks/upgrade.js
+// Safe proxy upgrades:
+//   npx hardhat upgrade --network monad --contract YapLendCore [--implementation YapLendCoreV2] [--deployment <file>]
+//   npx hardhat upgrade --network hardhat --fork monad --contract YapLendCore --dry-run
+//   npm run upgrade:monad -- --contract YapLendCore (the npm scripts need --contract after --)
+const { task } = require("hardhat/config");
+const { loadDeployment } = require("../scripts/lib/address-book");
+const { forkNetwork, hasFailures, loadForkedDeployment, upgradeContract } = require("../scripts/lib/upgrade");
+
+task("upgrade", "Validates, upgrades and checks a protocol proxy")
+  .addParam("contract", "Contract name in the deployment (e.g. YapLendCore)")
+  .addOptionalParam("implementation", "Contract to upgrade to (defaults to --contract)")
+  .addOptionalParam("deployment", "Deployment manifest (defaults to the latest for the network)")
+  .addOptionalParam("fork", "Network to fork for a dry run (run with --network hardhat)")
+  .addFlag("dryRun", "Run the whole upgrade in a snapshot and revert it afterwards")
+  .setAction(async (args, hre) => {
+    if (args.fork && !args.dryRun) {
+      throw new Error("--fork is only supported together with --dry-run");
+    }
+
+    let deployment;
+    if (args.fork) {
+      console.log(`Forking ${args.fork}...`);
+      await forkNetwork(hre, args.fork);
+      deployment = loadForkedDeployment(hre, args.fork, { file: args.deployment });
+    } else {
+      deployment = await loadDeployment(hre, { file: args.deployment });
+    }
+    console.log(`Using deployment ${deployment.file}`);
+
+    const result = await upgradeContract(hre, deployment, args.contract, {
+      implementation: args.implementation,
+      dryRun: args.dryRun
+    });
+
+    if (hasFailures(result.checks)) {
+      console.log(`\n❌ ${args.contract} upgraded but some post-upgrade checks failed. Investigate before using the protocol.`);
+      process.exitCode = 1;
+    } else {
+      console.log(`\n✅ ${args.contract} ${args.dryRun ? "can be upgraded safely" : "upgraded"}.`);
+    }
+    return result;
+  });
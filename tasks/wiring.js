@@ -0,0 +1,44 @@
+// tasks/wiring.js
+// Protocol wiring doctor:
+//   npx hardhat wiring:check --network monad [--deployment <file>]
+//   npx hardhat wiring:fix --network monad [--deployment <file>]
+const { task } = require("hardhat/config");
+const { loadDeployment } = require("../scripts/lib/address-book");
+const { checkWiring, fixWiring, hasProblems, printWiringTable } = require("../scripts/lib/wiring");
+
+task("wiring:check", "Checks every cross-contract reference against the deployment manifest")
+  .addOptionalParam("deployment", "Deployment manifest to check (defaults to the latest for the network)")
+  .setAction(async ({ deployment: file }, hre) => {
+    const deployment = await loadDeployment(hre, { file });
+    console.log(`Checking wiring of ${deployment.file}\n`);
+
+    const results = await checkWiring(hre, deployment);
+    printWiringTable(results);
+
+    if (hasProblems(results)) {
+      console.log("\n❌ Wiring has problems. Run wiring:fix to repair mismatched references.");
+      process.exitCode = 1;
+    } else {
+      console.log("\n✅ All references match the deployment.");
+    }
+    return results;
+  });
+
+task("wiring:fix", "Sends only the transactions needed to repair cross-contract references")
+  .addOptionalParam("deployment", "Deployment manifest to repair (defaults to the latest for the network)")
+  .setAction(async ({ deployment: file }, hre) => {
+    const deployment = await loadDeployment(hre, { file });
+    console.log(`Repairing wiring of ${deployment.file}\n`);
+
+    const results = await fixWiring(hre, deployment);
+    console.log("");
+    printWiringTable(results);
+
+    if (hasProblems(results)) {
+      console.log("\n❌ Some references could not be repaired.");
+      process.exitCode = 1;
+    } else {
+      console.log("\n✅ All references match the deployment.");
+    }
+    return results;
+  });
@@ -0,0 +1,180 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { time, setBalance } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("PriceOracle", function () {
+  const ONE_DAY = 24 * 60 * 60;
+  let oracle, feed, owner, updater, other, token, collection;
+
+  beforeEach(async function () {
+    [owner, updater, other, token, collection] = await ethers.getSigners();
+
+    const PriceOracleFactory = await ethers.getContractFactory("PriceOracle");
+    oracle = await upgrades.deployProxy(PriceOracleFactory, [], { initializer: "initialize", kind: "uups" });
+    await oracle.waitForDeployment();
+
+    // Feed com 8 casas decimais, como os feeds USD da Chainlink
+    feed = await ethers.deployContract("MockV3Aggregator", [8, 2000n * 10n ** 8n]);
+    await oracle.updateTokenPriceFeed(token.address, await feed.getAddress());
+  });
+
+  it("should read token prices from the aggregator", async function () {
+    expect(await oracle.getTokenPrice(token.address)).to.equal(2000n * 10n ** 8n);
+
+    await feed.updateAnswer(1500n * 10n ** 8n);
+    expect(await oracle.getTokenPrice(token.address)).to.equal(1500n * 10n ** 8n);
+
+    await expect(oracle.getTokenPrice(other.address)).to.be.revertedWith("No price feed for token");
+  });
+
+  it("should reject stale and non-positive answers", async function () {
+    await time.increase(ONE_DAY + 1);
+    await expect(oracle.getTokenPrice(token.address)).to.be.revertedWith("Price data is stale");
+
+    await feed.updateAnswer(0);
+    await expect(oracle.getTokenPrice(token.address)).to.be.revertedWith("Invalid price");
+  });
+
+  it("should only accept collection prices from authorized updaters", async function () {
+    await expect(oracle.connect(updater).updateCollectionPrice(collection.address, 100))
+      .to.be.revertedWith("Not authorized");
+
+    await oracle.setUpdaterAuthorization(updater.address, true);
+    await oracle.connect(updater).updateCollectionPrice(collection.address, 100);
+    await oracle.connect(updater).updateSpecificNFTPrice(collection.address, 7, 250);
+
+    expect(await oracle.getNFTPrice(collection.address, 1)).to.equal(100);
+    expect(await oracle.getNFTPrice(collection.address, 7)).to.equal(250);
+
+    await time.increase(ONE_DAY + 1);
+    await expect(oracle.getNFTPrice(collection.address, 1)).to.be.revertedWith("Price data is stale");
+  });
+
+  describe("reporter aggregation", function () {
+    const ONE_HOUR = 60 * 60;
+    let reporters;
+
+    beforeEach(async function () {
+      reporters = (await ethers.getSigners()).slice(5, 8);
+      for (const reporter of reporters) {
+        await oracle.setUpdaterAuthorization(reporter.address, true);
+      }
+      await oracle.setCollectionMinReporters(collection.address, 3);
+    });
+
+    async function report(prices) {
+      for (let i = 0; i < prices.length; i++) {
+        await oracle.connect(reporters[i]).updateCollectionPrice(collection.address, prices[i]);
+      }
+    }
+
+    it("should move the floor to the median once enough reporters agree", async function () {
+      await report([100, 130]);
+      await expect(oracle.getNFTPrice(collection.address, 1)).to.be.revertedWith("No price data available");
+
+      await expect(oracle.connect(reporters[2]).updateCollectionPrice(collection.address, 110))
+        .to.emit(oracle, "PriceReported").withArgs(collection.address, reporters[2].address, 110)
+        .and.to.emit(oracle, "CollectionPriceUpdated").withArgs(collection.address, 110);
+      expect(await oracle.getNFTPrice(collection.address, 1)).to.equal(110);
+      expect(await oracle.getCollectionReporters(collection.address)).to.deep.equal(reporters.map(r => r.address));
+
+      // Reports antigos ou de reporters revogados ficam fora da mediana
+      await time.increase(ONE_HOUR + 1);
+      await oracle.setUpdaterAuthorization(reporters[2].address, false);
+      await report([120, 124]);
+      expect((await oracle.collectionPrices(collection.address)).floorPrice).to.equal(110);
+      await oracle.setCollectionMinReporters(collection.address, 2);
+      await oracle.connect(reporters[1]).updateCollectionPrice(collection.address, 126);
+      expect((await oracle.collectionPrices(collection.address)).floorPrice).to.equal(123);
+      expect(await oracle.priceObservationCount(collection.address)).to.equal(2);
+    });
+
+    it("should trip the circuit breaker on large moves and apply staleness to specific prices", async function () {
+      await report([100, 100, 100]);
+      await expect(oracle.connect(reporters[0]).updateCollectionPrice(collection.address, 400)).to.not.emit(oracle, "CircuitBreakerTripped");
+      await expect(oracle.connect(reporters[1]).updateCollectionPrice(collection.address, 400))
+        .to.emit(oracle, "CircuitBreakerTripped").withArgs(collection.address, 100, 400);
+
+      expect(await oracle.circuitBroken(collection.address)).to.be.true;
+      await expect(oracle.getNFTPrice(collection.address, 1)).to.be.revertedWith("Circuit breaker tripped");
+      await oracle.connect(reporters[2]).updateCollectionPrice(collection.address, 400);
+      expect((await oracle.collectionPrices(collection.address)).floorPrice).to.equal(100);
+
+      await expect(oracle.connect(reporters[0]).resetCircuitBreaker(collection.address, 400))
+        .to.be.revertedWithCustomError(oracle, "OwnableUnauthorizedAccount");
+      await expect(oracle.resetCircuitBreaker(collection.address, 400))
+        .to.emit(oracle, "CircuitBreakerReset").withArgs(collection.address, 400);
+      expect(await oracle.getNFTPrice(collection.address, 1)).to.be.lessThanOrEqual(400);
+
+      await oracle.connect(reporters[0]).updateSpecificNFTPrice(collection.address, 7, 500);
+      await expect(oracle.connect(reporters[0]).updateSpecificNFTPrice(collection.address, 7, 1000))
+        .to.be.revertedWith("Price deviation too high");
+      expect(await oracle.getNFTPrice(collection.address, 7)).to.equal(500);
+      await time.increase(ONE_DAY + 1);
+      await expect(oracle.getNFTPrice(collection.address, 7)).to.be.revertedWith("Price data is stale");
+
+      // Preço específico velho cai para o floor da coleção
+      await report([400, 400, 400]);
+      expect(await oracle.getNFTPrice(collection.address, 7)).to.equal(await oracle.getNFTPrice(collection.address, 1));
+    });
+
+    it("should read the floor as the lower of spot and its time-weighted average", async function () {
+      await oracle.setAggregationParameters(1, ONE_HOUR, 0, ONE_HOUR);
+      await oracle.setCollectionMinReporters(collection.address, 0);
+      const low = ethers.parseEther("1");
+      const high = ethers.parseEther("2");
+
+      await report([low]);
+      await time.increase(ONE_HOUR / 2);
+      await report([high]);
+      // O spot acabou de subir: o preço lido segue a média, ainda no valor antigo
+      expect(await oracle.getNFTPrice(collection.address, 1)).to.equal(low);
+
+      await time.increase(ONE_HOUR / 2);
+      const twap = await oracle.getTWAP(collection.address);
+      expect(twap).to.be.closeTo(ethers.parseEther("1.5"), ethers.parseEther("0.01"));
+      expect(await oracle.getNFTPrice(collection.address, 1)).to.equal(twap);
+
+      await expect(oracle.setAggregationParameters(0, ONE_HOUR, 0, 0)).to.be.revertedWith("Invalid reporter count");
+      await oracle.setAggregationParameters(1, ONE_HOUR, 0, 0);
+      expect(await oracle.getNFTPrice(collection.address, 1)).to.equal(high);
+    });
+
+    it("should rotate reporters past MAX_REPORTERS by freeing revoked and removed slots", async function () {
+      const max = Number(await oracle.MAX_REPORTERS());
+      const wallets = [];
+      for (let i = 0; i < max + 2; i++) {
+        const wallet = ethers.Wallet.createRandom().connect(ethers.provider);
+        await setBalance(wallet.address, ethers.parseEther("1"));
+        await oracle.setUpdaterAuthorization(wallet.address, true);
+        wallets.push(wallet);
+      }
+      for (const wallet of wallets.slice(0, max)) {
+        await oracle.connect(wallet).updateCollectionPrice(collection.address, 100);
+      }
+      await expect(oracle.connect(wallets[max]).updateCollectionPrice(collection.address, 100))
+        .to.be.revertedWith("Too many reporters");
+
+      // O slot de um reporter revogado vai para o próximo, e o report antigo some
+      await oracle.setUpdaterAuthorization(wallets[0].address, false);
+      await expect(oracle.connect(wallets[max]).updateCollectionPrice(collection.address, 100))
+        .to.emit(oracle, "ReporterRemoved").withArgs(collection.address, wallets[0].address);
+      let current = await oracle.getCollectionReporters(collection.address);
+      expect(current).to.have.length(max);
+      expect(current).to.include(wallets[max].address).and.not.include(wallets[0].address);
+      expect((await oracle.priceReports(collection.address, wallets[0].address)).timestamp).to.equal(0);
+
+      // Sem revogados, só o owner libera slots
+      await expect(oracle.connect(wallets[max + 1]).updateCollectionPrice(collection.address, 100))
+        .to.be.revertedWith("Too many reporters");
+      await expect(oracle.connect(other).removeReporter(collection.address, wallets[1].address))
+        .to.be.revertedWithCustomError(oracle, "OwnableUnauthorizedAccount");
+      await expect(oracle.removeReporter(collection.address, wallets[0].address)).to.be.revertedWith("Not a reporter");
+      await oracle.removeReporter(collection.address, wallets[1].address);
+      await oracle.connect(wallets[max + 1]).updateCollectionPrice(collection.address, 100);
+      current = await oracle.getCollectionReporters(collection.address);
+      expect(current).to.have.length(max);
+      expect(current).to.not.include(wallets[1].address);
+    });
+  });
+});
@@ -20,7 +20,7 @@ describe("ProposalManager - cancelProposal", function () {
 
     // Deploy do mock YapLendCore, que retorna o endereço do NFTVerifier
     const YapLendCoreMockFactory = await ethers.getContractFactory("YapLendCoreMock");
-    yapLendCore = await YapLendCoreMockFactory.deploy(nftVerifier.address);
+    yapLendCore = await YapLendCoreMockFactory.deploy(await nftVerifier.getAddress());
     await yapLendCore.waitForDeployment();
 
     // Defina a factory do ProposalManager
@@ -28,7 +28,6 @@ describe("ProposalManager - cancelProposal", function () {
 
     // Deploy do ProposalManager usando o proxy upgradeable
     const yapLendCoreAddress = await yapLendCore.getAddress();
-    console.log("yapLendCore address:", yapLendCoreAddress);
     proposalManager = await upgrades.deployProxy(ProposalManagerFactory, [yapLendCoreAddress], { initializer: "initialize" });
     await proposalManager.waitForDeployment();
   });
@@ -116,3 +115,54 @@ describe("ProposalManager - cancelProposal", function () {
     });
   });
 });
+
+describe("ProposalManager - acceptProposal", function () {
+  let proposalManager, nftVerifier, yapLendCore;
+  let borrower, lender, other;
+
+  const oneEth = ethers.parseEther("1");
+
+  beforeEach(async function () {
+    [, borrower, lender, other] = await ethers.getSigners();
+
+    nftVerifier = await ethers.deployContract("NFTVerifierMock");
+    yapLendCore = await ethers.deployContract("YapLendCoreMock", [await nftVerifier.getAddress()]);
+
+    const ProposalManagerFactory = await ethers.getContractFactory("ProposalManager");
+    proposalManager = await upgrades.deployProxy(ProposalManagerFactory, [await yapLendCore.getAddress()], { initializer: "initialize" });
+    await proposalManager.waitForDeployment();
+
+    await proposalManager.connect(borrower).createProposal([other.address], [1], oneEth, 3600, 4000);
+  });
+
+  it("should forward the lender's funds to YapLendCore and refund the excess", async function () {
+    const sent = oneEth + ethers.parseEther("0.5");
+    const tx = proposalManager.connect(lender).acceptProposal(1, { value: sent });
+
+    await expect(tx)
+      .to.emit(proposalManager, "ProposalAccepted")
+      .withArgs(1, borrower.address, lender.address, 1);
+    await expect(tx).to.changeEtherBalances([lender, yapLendCore], [-oneEth, oneEth]);
+
+    expect(await yapLendCore.lastBorrower()).to.equal(borrower.address);
+    expect(await yapLendCore.lastLender()).to.equal(lender.address);
+    expect(await yapLendCore.lastInterestRate()).to.equal(4000);
+    expect(await proposalManager.getLockedFunds(lender.address)).to.equal(0);
+    expect((await proposalManager.proposals(1)).isActive).to.be.false;
+  });
+
+  it("should reject acceptance by the borrower or with too little funds", async function () {
+    await expect(proposalManager.connect(borrower).acceptProposal(1, { value: oneEth }))
+      .to.be.revertedWith("Unauthorized acceptance");
+    await expect(proposalManager.connect(lender).acceptProposal(1, { value: oneEth - 1n }))
+      .to.be.revertedWith("Insufficient funds sent");
+  });
+
+  it("should not let the borrower accept a counter offer for an NFT they no longer own", async function () {
+    await proposalManager.connect(lender).createCounterOffer(1, oneEth, 3600, 5000, 3600, { value: oneEth });
+    await nftVerifier.setResults(false, true);
+
+    await expect(proposalManager.connect(borrower).acceptProposal(2))
+      .to.be.revertedWith("Borrower no longer owns NFT");
+  });
+});
@@ -0,0 +1,436 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { YapLendClient, InsufficientFundsError } = require("../sdk");
+const { loadProtocol, ONE_DAY } = require("./helpers/protocol");
+
+// Ciclo completo: ProposalManager -> YapLendCore.createLoan -> CollateralManager.addCollateral -> NFTEscrow
+describe("YapLendCore - loan lifecycle", function () {
+  const AMOUNT = ethers.parseEther("1");
+  const RATE = 4000; // 40% APR
+  // Repaid within the first days the minimum interest applies: 5% of the APR on the principal
+  const INTEREST = (AMOUNT * BigInt(RATE) * 5n) / 1000000n;
+  const FEE = (INTEREST * 500n) / 10000n;
+
+  let deployment, owner, borrower, lender, feeCollector;
+  let nft, core, proposalManager, collateralManager, vault;
+
+  beforeEach(async function () {
+    [owner, borrower, lender, feeCollector] = await ethers.getSigners();
+    deployment = await loadProtocol();
+
+    core = await ethers.getContractAt("YapLendCore", deployment.contracts.YapLendCore);
+    proposalManager = await ethers.getContractAt("ProposalManager", deployment.contracts.ProposalManager);
+    collateralManager = await ethers.getContractAt("CollateralManager", deployment.contracts.CollateralManager);
+    vault = await ethers.getContractAt("LoanVault", deployment.contracts.LoanVault);
+    await core.setFeeCollector(feeCollector.address);
+
+    nft = await ethers.deployContract("MockERC721", ["Mock", "MOCK"]);
+    await nft.mint(borrower.address, 1);
+  });
+
+  function findEvent(receipt, contract, name) {
+    return receipt.logs
+      .map(log => {
+        try {
+          return contract.interface.parseLog(log);
+        } catch (error) {
+          return null;
+        }
+      })
+      .find(parsed => parsed && parsed.name === name);
+  }
+
+  // Proposta do borrower aceita por `lenderAccount`, que pode ser um contrato via execute()
+  async function openLoan(lenderAccount = lender, duration = 30 * ONE_DAY) {
+    await nft.connect(borrower).approve(deployment.contracts.CollateralManager, 1);
+    const created = await (await proposalManager.connect(borrower).createProposal(
+      [await nft.getAddress()], [1], AMOUNT, duration, RATE
+    )).wait();
+    const proposalId = findEvent(created, proposalManager, "ProposalCreated").args.proposalId;
+
+    const tx = lenderAccount === lender
+      ? await proposalManager.connect(lender).acceptProposal(proposalId, { value: AMOUNT })
+      : await lenderAccount.execute(
+        deployment.contracts.ProposalManager,
+        proposalManager.interface.encodeFunctionData("acceptProposal", [proposalId]),
+        { value: AMOUNT }
+      );
+    const receipt = await tx.wait();
+    return findEvent(receipt, proposalManager, "ProposalAccepted").args.loanId;
+  }
+
+  it("should escrow the collateral and fund the vault when a proposal is accepted", async function () {
+    const loanId = await openLoan();
+
+    const loan = await core.loans(loanId);
+    expect(loan.borrower).to.equal(borrower.address);
+    expect(loan.lender).to.equal(lender.address);
+    expect(loan.amount).to.equal(AMOUNT);
+    expect(loan.interestRate).to.equal(RATE);
+    expect(loan.active).to.be.true;
+
+    const escrow = await core.getEscrowAddress(loanId, await nft.getAddress(), 1);
+    expect(await nft.ownerOf(1)).to.equal(escrow);
+    expect(await vault.loanDeposits(loanId)).to.equal(AMOUNT);
+    expect(await proposalManager.getLockedFunds(lender.address)).to.equal(0);
+
+    // O principal fica no vault até o borrower sacar
+    await expect(vault.connect(borrower).withdraw(loanId, AMOUNT))
+      .to.changeEtherBalance(borrower, AMOUNT);
+    await expect(vault.connect(lender).withdraw(loanId, 1))
+      .to.be.revertedWith("Insufficient funds in loan vault");
+  });
+
+  it("should return the collateral and split the interest between lender and fee collector", async function () {
+    const loanId = await openLoan();
+    await time.increase(ONE_DAY);
+    expect(await core.getRepaymentAmount(loanId)).to.equal(AMOUNT + INTEREST);
+
+    const repayment = AMOUNT + INTEREST + ethers.parseEther("0.5");
+    const tx = core.connect(borrower).repayLoan(loanId, { value: repayment });
+    await expect(tx).to.changeEtherBalances(
+      [borrower, lender, feeCollector],
+      [-(AMOUNT + INTEREST), AMOUNT + INTEREST - FEE, FEE]
+    );
+    await expect(tx).to.emit(core, "LoanRepaid").withArgs(loanId, borrower.address, AMOUNT + INTEREST);
+    await expect(tx).to.emit(core, "ProtocolFeeSent").withArgs(loanId, feeCollector.address, FEE);
+    await expect(tx).to.emit(core, "AutoWithdrawalTriggered");
+
+    expect(await nft.ownerOf(1)).to.equal(borrower.address);
+    const loan = await core.loans(loanId);
+    expect(loan.active).to.be.false;
+    expect(loan.partiallyRepaid).to.be.false;
+    expect(await core.getRepaymentAmount(loanId)).to.equal(0);
+  });
+
+  it("should reject repayments that are short, late or not from the borrower", async function () {
+    const loanId = await openLoan(lender, ONE_DAY);
+
+    await expect(core.connect(borrower).repayLoan(loanId, { value: AMOUNT }))
+      .to.be.revertedWith("Insufficient repayment amount");
+    await expect(core.connect(lender).repayLoan(loanId, { value: AMOUNT + INTEREST }))
+      .to.be.revertedWith("Not the borrower");
+
+    await time.increase(2 * ONE_DAY);
+    await expect(core.connect(borrower).repayLoan(loanId, { value: AMOUNT + INTEREST }))
+      .to.be.revertedWith("Loan expired, cannot be repaid");
+  });
+
+  it("should liquidate defaulted loans and hand the collateral to the lender when auctions are disabled", async function () {
+    const auction = await ethers.getContractAt("LiquidationAuction", deployment.contracts.LiquidationAuction);
+    await auction.setDefaultKind(0);
+    const loanId = await openLoan(lender, ONE_DAY);
+
+    await expect(core.liquidateLoan(loanId)).to.be.revertedWith("Loan not yet defaulted");
+
+    await time.increase(2 * ONE_DAY);
+    await expect(core.liquidateLoan(loanId))
+      .to.emit(core, "LoanLiquidated")
+      .withArgs(loanId, borrower.address, AMOUNT);
+
+    expect(await nft.ownerOf(1)).to.equal(lender.address);
+    const loan = await core.loans(loanId);
+    expect(loan.active).to.be.false;
+    expect(loan.liquidated).to.be.true;
+    await expect(core.liquidateLoan(loanId)).to.be.revertedWith("Loan not active");
+  });
+
+  describe("vault fallbacks", function () {
+    it("should deposit the repayment into the vault when the lender rejects payments", async function () {
+      const receiver = await ethers.deployContract("MockRevertingReceiver");
+      const loanId = await openLoan(receiver);
+      await receiver.setRejectPayments(true);
+      await time.increase(ONE_DAY);
+
+      const tx = core.connect(borrower).repayLoan(loanId, { value: AMOUNT + INTEREST });
+      await expect(tx).to.emit(core, "LoanRepaid");
+      await expect(tx).to.not.emit(core, "AutoWithdrawalTriggered");
+      await expect(tx).to.changeEtherBalance(receiver, 0);
+
+      // O principal original (não sacado) + o pagamento do lender ficam no vault
+      expect(await vault.loanDeposits(loanId)).to.equal(AMOUNT + AMOUNT + INTEREST - FEE);
+      expect(await nft.ownerOf(1)).to.equal(borrower.address);
+
+      // Só a parte do lender é dele; o owner não varre mais o saldo do loan
+      const lenderShare = AMOUNT + INTEREST - FEE;
+      expect(await vault.claimableBalance(loanId, await receiver.getAddress())).to.equal(lenderShare);
+      await expect(core.checkAutoWithdrawConditions(loanId))
+        .to.emit(core, "AutoWithdrawalTriggered")
+        .withArgs(loanId, await receiver.getAddress(), lenderShare, anyValue);
+      await expect(vault.connect(owner).withdraw(loanId, 1))
+        .to.be.revertedWith("Insufficient funds in loan vault");
+      await receiver.setRejectPayments(false);
+      await expect(vault.claimFor(loanId, await receiver.getAddress()))
+        .to.changeEtherBalance(receiver, lenderShare);
+      expect(await vault.loanDeposits(loanId)).to.equal(AMOUNT);
+    });
+
+    it("should deposit the protocol fee into the vault when the fee collector rejects it", async function () {
+      const collector = await ethers.deployContract("MockRevertingReceiver");
+      await collector.setRejectPayments(true);
+      await core.setFeeCollector(await collector.getAddress());
+
+      const loanId = await openLoan();
+      await vault.connect(borrower).withdraw(loanId, AMOUNT);
+      await time.increase(ONE_DAY);
+
+      const tx = core.connect(borrower).repayLoan(loanId, { value: AMOUNT + INTEREST });
+      await expect(tx).to.emit(core, "FailedToSendFee").withArgs(loanId, await collector.getAddress(), FEE);
+      await expect(tx).to.changeEtherBalance(lender, AMOUNT + INTEREST - FEE);
+      expect(await vault.loanDeposits(loanId)).to.equal(FEE);
+      expect(await vault.ledger(loanId, await collector.getAddress(), 2)).to.equal(FEE);
+    });
+
+    it("should deposit the excess into the vault when the borrower cannot take it back", async function () {
+      // Borrower é um contrato que recusa pagamentos
+      const receiver = await ethers.deployContract("MockRevertingReceiver");
+      const receiverAddress = await receiver.getAddress();
+      await nft.mint(receiverAddress, 2);
+      await receiver.execute(
+        await nft.getAddress(),
+        nft.interface.encodeFunctionData("approve", [deployment.contracts.CollateralManager, 2])
+      );
+      const created = await (await receiver.execute(
+        deployment.contracts.ProposalManager,
+        proposalManager.interface.encodeFunctionData("createProposal", [
+          [await nft.getAddress()], [2], AMOUNT, 30 * ONE_DAY, RATE
+        ])
+      )).wait();
+      const proposalId = findEvent(created, proposalManager, "ProposalCreated").args.proposalId;
+      const accepted = await (await proposalManager.connect(lender).acceptProposal(proposalId, { value: AMOUNT })).wait();
+      const loanId = findEvent(accepted, proposalManager, "ProposalAccepted").args.loanId;
+
+      await receiver.setRejectPayments(true);
+      await time.increase(ONE_DAY);
+      const excess = ethers.parseEther("0.25");
+      const tx = receiver.execute(
+        deployment.contracts.YapLendCore,
+        core.interface.encodeFunctionData("repayLoan", [loanId]),
+        { value: AMOUNT + INTEREST + excess }
+      );
+      await expect(tx).to.emit(core, "ExcessReturnFailure").withArgs(loanId, receiverAddress, excess);
+      await expect(tx).to.emit(core, "LoanRepaid");
+
+      expect(await nft.ownerOf(2)).to.equal(receiverAddress);
+      expect(await vault.loanDeposits(loanId)).to.equal(AMOUNT + excess);
+      expect(await vault.ledger(loanId, receiverAddress, 3)).to.equal(excess);
+    });
+  });
+
+  describe("collateral release failure", function () {
+    it("should keep the loan active when the collateral cannot be released", async function () {
+      const loanId = await openLoan();
+      const escrow = await core.getEscrowAddress(loanId, await nft.getAddress(), 1);
+      await collateralManager.pause();
+      await time.increase(ONE_DAY);
+
+      const tx = core.connect(borrower).repayLoan(loanId, { value: AMOUNT + INTEREST });
+      await expect(tx)
+        .to.emit(core, "CollateralReleaseFailure")
+        .withArgs(loanId, await nft.getAddress(), 1, borrower.address);
+      await expect(tx).to.emit(core, "PartialRepayment").withArgs(loanId, borrower.address, AMOUNT + INTEREST);
+      await expect(tx).to.not.emit(core, "LoanRepaid");
+      await expect(tx).to.not.emit(core, "AutoWithdrawalTriggered");
+      // O pagamento é processado mesmo assim
+      await expect(tx).to.changeEtherBalance(lender, AMOUNT + INTEREST - FEE);
+
+      const loan = await core.loans(loanId);
+      expect(loan.active).to.be.true;
+      expect(loan.partiallyRepaid).to.be.true;
+      expect(await nft.ownerOf(1)).to.equal(escrow);
+    });
+  });
+
+  describe("partial repayments", function () {
+    const HALF = AMOUNT / 2n;
+    const YEAR = 365n * BigInt(ONE_DAY);
+
+    it("should pay down principal and accrue interest on the outstanding balance only", async function () {
+      const loanId = await openLoan();
+      await time.increase(ONE_DAY);
+
+      // O primeiro pagamento cobre os juros mínimos sobre o principal original
+      const tx = core.connect(borrower).repayPartial(loanId, HALF, { value: HALF + INTEREST });
+      await expect(tx).to.emit(core, "PrincipalRepaid").withArgs(loanId, borrower.address, HALF, INTEREST, HALF);
+      await expect(tx).to.changeEtherBalances(
+        [borrower, lender, feeCollector],
+        [-(HALF + INTEREST), HALF + INTEREST - FEE, FEE]
+      );
+      await expect(tx).to.not.emit(core, "LoanRepaid");
+
+      const loan = await core.loans(loanId);
+      expect(loan.amount).to.equal(HALF);
+      expect(loan.principalRepaid).to.equal(HALF);
+      expect(loan.interestPaid).to.equal(INTEREST);
+      expect(loan.active).to.be.true;
+
+      // Dez dias depois: só juros proporcionais sobre a metade restante, o mínimo já foi pago
+      const { timestamp } = await ethers.provider.getBlock("latest");
+      await time.setNextBlockTimestamp(timestamp + 10 * ONE_DAY);
+      const interest = (HALF * BigInt(RATE) * 10n * BigInt(ONE_DAY)) / (10000n * YEAR);
+      await expect(core.connect(borrower).repayLoan(loanId, { value: HALF + interest }))
+        .to.emit(core, "LoanRepaid")
+        .withArgs(loanId, borrower.address, HALF + interest);
+      expect(await nft.ownerOf(1)).to.equal(borrower.address);
+    });
+
+    it("should only accept paydowns below the outstanding balance from the borrower", async function () {
+      const loanId = await openLoan();
+
+      await expect(core.connect(borrower).repayPartial(loanId, AMOUNT, { value: AMOUNT + INTEREST }))
+        .to.be.revertedWith("Use repayLoan to pay off the loan");
+      await expect(core.connect(borrower).repayPartial(loanId, 0, { value: INTEREST }))
+        .to.be.revertedWith("Amount must be greater than 0");
+      await expect(core.connect(lender).repayPartial(loanId, HALF, { value: HALF + INTEREST }))
+        .to.be.revertedWith("Not the borrower");
+      await expect(core.connect(borrower).repayPartial(loanId, HALF, { value: HALF }))
+        .to.be.revertedWith("Insufficient repayment amount");
+    });
+
+    it("should return an amortization schedule that pays off the outstanding balance by the due date", async function () {
+      const loanId = await openLoan();
+      const loan = await core.loans(loanId);
+
+      const schedule = await new YapLendClient(borrower, deployment).getAmortizationSchedule(loanId, 3);
+      expect(schedule).to.have.length(3);
+      expect(schedule.reduce((sum, item) => sum + item.principal, 0n)).to.equal(AMOUNT);
+      expect(schedule[2].dueDate).to.equal(loan.startTime + loan.duration);
+      expect(schedule[2].outstanding).to.equal(0);
+      // Dez dias de juros ficam abaixo do mínimo, que entra na primeira parcela
+      expect(schedule[0].interest).to.equal(INTEREST);
+      expect(schedule[1].interest).to.be.greaterThan(schedule[2].interest);
+
+      await expect(vault.getAmortizationSchedule(loanId, 0)).to.be.revertedWith("Invalid installment count");
+    });
+  });
+
+  describe("extensions", function () {
+    const EXTENSION_FEE = ethers.parseEther("0.01");
+
+    it("should extend the loan on the lender's terms once the borrower pays the fee", async function () {
+      const loanId = await openLoan(lender, 30 * ONE_DAY);
+      const lenderClient = new YapLendClient(lender, deployment);
+      const borrowerClient = new YapLendClient(borrower, deployment);
+
+      await expect(core.connect(borrower).offerExtension(loanId, 10 * ONE_DAY, 3000, EXTENSION_FEE, ONE_DAY))
+        .to.be.revertedWith("Not the lender");
+      await lenderClient.offerExtension({
+        loanId,
+        additionalDuration: 10 * ONE_DAY,
+        interestRate: 30,
+        fee: EXTENSION_FEE,
+        validity: ONE_DAY
+      });
+      expect((await borrowerClient.getExtensionOffer(loanId)).interestRate).to.equal(30);
+
+      await time.increase(ONE_DAY / 2);
+      const lenderBefore = await ethers.provider.getBalance(lender.address);
+      const extended = await borrowerClient.acceptExtension(loanId);
+
+      // Os juros até agora são liquidados na taxa antiga; a taxa do protocolo também incide sobre a fee
+      expect(extended.interest).to.equal(INTEREST);
+      expect(extended.duration).to.equal(40 * ONE_DAY);
+      const income = INTEREST + EXTENSION_FEE;
+      expect(await ethers.provider.getBalance(lender.address))
+        .to.equal(lenderBefore + income - (income * 500n) / 10000n);
+
+      const loan = await core.loans(loanId);
+      expect(loan.duration).to.equal(40 * ONE_DAY);
+      expect(loan.interestRate).to.equal(3000);
+      expect(await borrowerClient.getExtensionOffer(loanId)).to.be.null;
+      await expect(core.connect(borrower).acceptExtension(loanId)).to.be.revertedWith("No extension offer");
+
+      // Past the original due date the loan can still be repaid
+      await time.increase(35 * ONE_DAY);
+      await expect(borrowerClient.repay(loanId)).to.be.fulfilled;
+      expect(await nft.ownerOf(1)).to.equal(borrower.address);
+    });
+
+    it("should refuse expired and cancelled offers", async function () {
+      const loanId = await openLoan();
+      await core.connect(lender).offerExtension(loanId, ONE_DAY, RATE, 0, ONE_DAY);
+
+      await time.increase(ONE_DAY + 1);
+      await expect(core.connect(borrower).acceptExtension(loanId, { value: INTEREST }))
+        .to.be.revertedWith("Extension offer expired");
+
+      await core.connect(lender).offerExtension(loanId, ONE_DAY, RATE, 0, ONE_DAY);
+      await expect(core.connect(lender).cancelExtensionOffer(loanId))
+        .to.emit(core, "ExtensionOfferCancelled")
+        .withArgs(loanId);
+      await expect(core.connect(borrower).acceptExtension(loanId, { value: INTEREST }))
+        .to.be.revertedWith("No extension offer");
+    });
+  });
+
+  describe("refinancing", function () {
+    const NEW_AMOUNT = ethers.parseEther("2");
+
+    it("should pay off the old lender and move the loan and its escrows to the new lender", async function () {
+      const newLender = (await ethers.getSigners())[4];
+      const loanId = await openLoan(lender, 30 * ONE_DAY);
+      const [escrow] = await core.getLoanEscrowAddresses(loanId);
+      const { offerId } = await new YapLendClient(newLender, deployment).offerRefinance({
+        loanId,
+        amount: NEW_AMOUNT,
+        duration: 60 * ONE_DAY,
+        interestRate: 20,
+        validity: 2 * ONE_DAY
+      });
+      expect(await proposalManager.lockedFunds(newLender.address)).to.equal(NEW_AMOUNT);
+
+      await time.increase(ONE_DAY);
+      const lenderBefore = await ethers.provider.getBalance(lender.address);
+      const vaultBefore = await vault.loanDeposits(loanId);
+      const { payoff } = await new YapLendClient(borrower, deployment).acceptRefinance(offerId);
+
+      // O lender antigo recebe como num repagamento; o excedente fica no vault para o borrower
+      expect(payoff).to.equal(AMOUNT + INTEREST);
+      expect(await ethers.provider.getBalance(lender.address)).to.equal(lenderBefore + AMOUNT + INTEREST - FEE);
+      expect(await vault.loanDeposits(loanId)).to.equal(vaultBefore + NEW_AMOUNT - payoff);
+      expect(await proposalManager.lockedFunds(newLender.address)).to.equal(0);
+
+      const loan = await core.loans(loanId);
+      expect(loan.lender).to.equal(newLender.address);
+      expect(loan.amount).to.equal(NEW_AMOUNT);
+      expect(loan.duration).to.equal(60 * ONE_DAY);
+      expect(loan.interestRate).to.equal(2000);
+      expect(await nft.ownerOf(1)).to.equal(escrow);
+      const escrowContract = await ethers.getContractAt("NFTEscrow", escrow);
+      expect(await escrowContract.lender()).to.equal(newLender.address);
+    });
+
+    it("should refuse offers that do not cover the payoff or come from the wrong party", async function () {
+      const newLender = (await ethers.getSigners())[4];
+      const loanId = await openLoan(lender, 30 * ONE_DAY);
+
+      await expect(proposalManager.connect(lender).createRefinanceOffer(loanId, AMOUNT, ONE_DAY, RATE, ONE_DAY, { value: AMOUNT }))
+        .to.be.revertedWith("Unauthorized refinance offer");
+      const newLenderClient = new YapLendClient(newLender, deployment);
+      const { offerId } = await newLenderClient.offerRefinance({
+        loanId,
+        amount: AMOUNT,
+        duration: 30 * ONE_DAY,
+        interestRate: 20,
+        validity: ONE_DAY
+      });
+
+      await expect(proposalManager.connect(newLender).acceptRefinanceOffer(offerId))
+        .to.be.revertedWith("Unauthorized acceptance");
+      await expect(new YapLendClient(borrower, deployment).acceptRefinance(offerId))
+        .to.be.rejectedWith(InsufficientFundsError, "Offer does not cover the payoff");
+      await expect(proposalManager.connect(borrower).cancelRefinanceOffer(offerId))
+        .to.be.revertedWith("Only lender can cancel");
+
+      const before = await ethers.provider.getBalance(newLender.address);
+      const { txHash } = await newLenderClient.cancelRefinanceOffer(offerId);
+      const receipt = await ethers.provider.getTransactionReceipt(txHash);
+      expect(await ethers.provider.getBalance(newLender.address))
+        .to.equal(before + AMOUNT - receipt.gasUsed * receipt.gasPrice);
+      expect((await newLenderClient.getRefinanceOffer(offerId)).isActive).to.be.false;
+    });
+  });
+});
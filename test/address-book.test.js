@@ -0,0 +1,84 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const {
+  findLatestDeployment,
+  getDeploymentOverride,
+  loadDeployment,
+  getAddress
+} = require("../scripts/lib/address-book");
+
+describe("address-book", function () {
+  let dir;
+
+  function writeManifest(name, manifest) {
+    fs.writeFileSync(path.join(dir, name), JSON.stringify(manifest, null, 2));
+  }
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "yaplend-deployments-"));
+
+    writeManifest("monad-2025-03-05.json", {
+      network: "monad",
+      chainId: 10143,
+      timestamp: "2025-03-05T20:35:53.592Z",
+      contracts: { YapLendCore: "0x0000000000000000000000000000000000000001" }
+    });
+    writeManifest("monad-escrow-2025-03-14.json", {
+      network: "monad",
+      chainId: 10143,
+      timestamp: "2025-03-14T00:57:06.157Z",
+      contracts: { YapLendCore: "0x0000000000000000000000000000000000000002" }
+    });
+    writeManifest("monad-escrow-2025-03-20.json", {
+      network: "monad",
+      chainId: 1,
+      timestamp: "2025-03-20T00:00:00.000Z",
+      contracts: { YapLendCore: "0x0000000000000000000000000000000000000003" }
+    });
+    writeManifest("hardhat-2025-03-01.json", {
+      network: "hardhat",
+      chainId: 31337,
+      timestamp: "2025-03-01T00:00:00.000Z",
+      contracts: { YapLendCore: "0x0000000000000000000000000000000000000004" }
+    });
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("should pick the newest manifest for the network and chain", function () {
+    const deployment = findLatestDeployment("monad", 10143, dir);
+    expect(deployment.contracts.YapLendCore).to.equal("0x0000000000000000000000000000000000000002");
+  });
+
+  it("should return null when no manifest matches the chain", function () {
+    expect(findLatestDeployment("monad", 31337, dir)).to.be.null;
+    expect(findLatestDeployment("sepolia", 11155111, dir)).to.be.null;
+  });
+
+  it("should read the override from --deployment or the environment", function () {
+    expect(getDeploymentOverride(["node", "x.js", "--deployment", "a.json"], {})).to.equal("a.json");
+    expect(getDeploymentOverride(["node", "x.js", "--deployment=b.json"], {})).to.equal("b.json");
+    expect(getDeploymentOverride(["node", "x.js"], { YAPLEND_DEPLOYMENT: "c.json" })).to.equal("c.json");
+    expect(getDeploymentOverride(["node", "x.js"], {})).to.be.null;
+  });
+
+  it("should load the latest deployment for the connected network", async function () {
+    const deployment = await loadDeployment(hre, { dir });
+    expect(getAddress(deployment, "YapLendCore")).to.equal("0x0000000000000000000000000000000000000004");
+  });
+
+  it("should reject an override written for another chain", async function () {
+    await expect(loadDeployment(hre, { dir, file: "monad-escrow-2025-03-14.json" }))
+      .to.be.rejectedWith("is for chain 10143");
+  });
+
+  it("should fail loudly on a missing contract", async function () {
+    const deployment = await loadDeployment(hre, { dir });
+    expect(() => getAddress(deployment, "LoanVault")).to.throw("Contract LoanVault not found");
+  });
+});
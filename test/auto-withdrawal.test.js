@@ -0,0 +1,122 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { YapLendClient } = require("../sdk");
+const { Indexer, JsonStore } = require("../indexer");
+const { AuditLog, AutoWithdrawalService, EXECUTE, QUEUE } = require("../keeper");
+const { loadProtocol, ONE_DAY, quiet } = require("./helpers/protocol");
+
+describe("AutoWithdrawalService", function () {
+  const AMOUNT = ethers.parseEther("1");
+  let deployment, owner, borrower, other, lender, vault, core, loanId, lenderShare;
+
+  function createService(signer, options = {}) {
+    const indexer = new Indexer({ provider: ethers.provider, deployment, store: new JsonStore(), log: quiet });
+    return new AutoWithdrawalService({ indexer, signer, auditLog: new AuditLog(), log: quiet, ...options });
+  }
+
+  // Loan from a lender contract that refuses payments, so the repayment falls back into the vault
+  beforeEach(async function () {
+    [owner, borrower, other] = await ethers.getSigners();
+    deployment = await loadProtocol();
+    vault = await ethers.getContractAt("LoanVault", deployment.contracts.LoanVault);
+    core = await ethers.getContractAt("YapLendCore", deployment.contracts.YapLendCore);
+
+    const nft = await ethers.deployContract("MockERC721", ["Mock", "MOCK"]);
+    await nft.mint(borrower.address, 1);
+    lender = await ethers.deployContract("MockRevertingReceiver");
+
+    const borrowerClient = new YapLendClient(borrower, deployment);
+    const { proposalId } = await borrowerClient.createProposal({
+      collateral: [{ nftAddress: await nft.getAddress(), tokenId: 1 }],
+      amount: AMOUNT,
+      duration: 30 * ONE_DAY,
+      interestRate: 40
+    });
+
+    const proposalManager = await ethers.getContractAt("ProposalManager", deployment.contracts.ProposalManager);
+    const tx = await lender.execute(
+      deployment.contracts.ProposalManager,
+      proposalManager.interface.encodeFunctionData("acceptProposal", [proposalId]),
+      { value: AMOUNT }
+    );
+    const receipt = await tx.wait();
+    const accepted = receipt.logs
+      .map(log => proposalManager.interface.parseLog(log))
+      .find(parsed => parsed && parsed.name === "ProposalAccepted");
+    loanId = accepted.args.loanId;
+
+    await lender.setRejectPayments(true);
+    await time.increase(10 * ONE_DAY);
+    await borrowerClient.repay(loanId);
+
+    // The borrower never withdrew the principal deposited at loan creation; the rest belongs to the lender
+    lenderShare = await vault.claimableBalance(loanId, await lender.getAddress());
+  });
+
+  it("should claim the lender's share for them and retry until it goes through", async function () {
+    // Any account can claim on the lender's behalf, the vault pays the lender directly
+    const service = createService(other);
+    expect(service.mode).to.equal(EXECUTE);
+    expect(lenderShare).to.be.greaterThan(AMOUNT);
+
+    await service.sweep();
+    expect(service.auditLog.entries().map(entry => entry.type)).to.deep.equal(["claim-failed"]);
+    expect(await vault.claimableBalance(loanId, await lender.getAddress())).to.equal(lenderShare);
+
+    await lender.setRejectPayments(false);
+    await service.sweep();
+
+    const claimed = service.auditLog.entries({ type: "claimed" });
+    expect(claimed).to.have.length(1);
+    expect(claimed[0].amount).to.equal(lenderShare.toString());
+    expect(await ethers.provider.getBalance(await lender.getAddress())).to.equal(lenderShare);
+    expect(service.auditLog.owed()).to.deep.equal([]);
+
+    // Nothing left for the lender: the borrower's unwithdrawn principal stays in the vault
+    await service.sweep();
+    expect(service.auditLog.entries()).to.have.length(2);
+    expect(await vault.claimableBalance(loanId, borrower.address)).to.equal(AMOUNT);
+  });
+
+  it("should only queue the payout in queue mode", async function () {
+    const service = createService(owner, { mode: QUEUE });
+
+    await service.sweep();
+    await service.sweep();
+
+    const entries = service.auditLog.entries();
+    expect(entries.map(entry => entry.type)).to.deep.equal(["queued"]);
+    expect(service.mode).to.equal(QUEUE);
+    expect(entries[0].amount).to.equal(lenderShare.toString());
+    expect(entries[0].lender).to.equal(await lender.getAddress());
+    expect(await vault.loanDeposits(loanId)).to.equal(lenderShare + AMOUNT);
+  });
+
+  it("should react to AutoWithdrawalTriggered events", async function () {
+    const service = createService(other, { mode: QUEUE });
+    // Only exercise the subscription: the periodic sweep would otherwise handle the loan first
+    service.sweep = async () => [];
+
+    const handled = new Promise(resolve => {
+      const handleTrigger = service.handleTrigger.bind(service);
+      service.handleTrigger = (id, source) => {
+        const run = handleTrigger(id, source);
+        run.then(resolve);
+        return run;
+      };
+    });
+
+    await service.start();
+    try {
+      await core.checkAutoWithdrawConditions(loanId);
+      const entry = await handled;
+      expect(entry.type).to.equal("queued");
+      expect(entry.source).to.equal("event");
+      expect(entry.amount).to.equal(lenderShare.toString());
+    } finally {
+      await service.stop();
+    }
+  });
+});
@@ -0,0 +1,221 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { YapLendClient, orders } = require("../sdk");
+const { loadProtocol, clientsFor, ONE_DAY } = require("./helpers/protocol");
+
+// Colateral ERC1155 (com quantidade) e punks, pelos adapters do CollateralManager
+describe("Collateral adapters", function () {
+  const AMOUNT = ethers.parseEther("1");
+  const RATE = 4000;
+  const ERC1155 = 1;
+  const PUNK = 2;
+
+  let deployment, borrower, lender, outsider;
+  let core, proposalManager, collateralManager, verifier, borrowerClient, lenderClient;
+
+  beforeEach(async function () {
+    [, borrower, lender, outsider] = await ethers.getSigners();
+    deployment = await loadProtocol();
+    core = await ethers.getContractAt("YapLendCore", deployment.contracts.YapLendCore);
+    proposalManager = await ethers.getContractAt("ProposalManager", deployment.contracts.ProposalManager);
+    collateralManager = await ethers.getContractAt("CollateralManager", deployment.contracts.CollateralManager);
+    verifier = await ethers.getContractAt("NFTVerifier", deployment.contracts.NFTVerifier);
+    [borrowerClient, lenderClient] = clientsFor(deployment, borrower, lender);
+  });
+
+  async function escrowOf(loanId, nftAddress, tokenId) {
+    return ethers.getContractAt("NFTEscrow", await core.getEscrowAddress(loanId, nftAddress, tokenId));
+  }
+
+  it("should escrow and release the proposed quantity of an ERC1155 token", async function () {
+    const editions = await ethers.deployContract("MockERC1155");
+    const editionsAddress = await editions.getAddress();
+    await expect(collateralManager.connect(outsider).setCollectionAssetType(editionsAddress, ERC1155))
+      .to.be.revertedWithCustomError(collateralManager, "OwnableUnauthorizedAccount");
+    await expect(collateralManager.setCollectionAssetType(editionsAddress, ERC1155))
+      .to.emit(collateralManager, "CollectionAssetTypeUpdated")
+      .withArgs(editionsAddress, ERC1155);
+    await editions.mint(borrower.address, 5, 10);
+
+    const { proposalId } = await borrowerClient.createProposal({
+      collateral: [{ nftAddress: editionsAddress, tokenId: 5, quantity: 4 }],
+      amount: AMOUNT,
+      duration: 30 * ONE_DAY,
+      interestRate: 40
+    });
+    expect(await editions.isApprovedForAll(borrower.address, deployment.contracts.CollateralManager)).to.be.true;
+    expect((await borrowerClient.getProposal(proposalId)).collateral[0].quantity).to.equal(4n);
+
+    const { loanId } = await lenderClient.accept(proposalId);
+    const escrow = await escrowOf(loanId, editionsAddress, 5);
+    const escrowAddress = await escrow.getAddress();
+    expect(await editions.balanceOf(escrowAddress, 5)).to.equal(4);
+    expect(await editions.balanceOf(borrower.address, 5)).to.equal(6);
+    expect(await escrow.getEscrowedNFT()).to.deep.equal([editionsAddress, 5n, BigInt(ERC1155), 4n]);
+    expect(await escrow.isOwnerOf()).to.be.true;
+    expect((await borrowerClient.getLoan(loanId)).collateral[0]).to.include({ assetType: "erc1155", quantity: 4n });
+
+    // Unidades extras da mesma id são repassadas; o colateral fica
+    await editions.mint(escrowAddress, 5, 2);
+    expect(await editions.balanceOf(escrowAddress, 5)).to.equal(4);
+    expect(await editions.balanceOf(borrower.address, 5)).to.equal(8);
+    await expect(escrow.routeERC1155(editionsAddress, 5)).to.be.revertedWith("Nothing to route");
+
+    // A quantidade fica no colateral do empréstimo
+    expect((await core.getLoanCollaterals(loanId))[0].quantity).to.equal(4n);
+
+    await time.increase(ONE_DAY);
+    await borrowerClient.repay(loanId);
+    expect(await editions.balanceOf(borrower.address, 5)).to.equal(12);
+    expect(await editions.balanceOf(escrowAddress, 5)).to.equal(0);
+  });
+
+  it("should carry quantities through signed orders, collection offers and pool loans", async function () {
+    const [, , , , provider] = await ethers.getSigners();
+    const editions = await ethers.deployContract("MockERC1155");
+    const editionsAddress = await editions.getAddress();
+    await collateralManager.setCollectionAssetType(editionsAddress, ERC1155);
+    await collateralManager.setCollectionAllowance(editionsAddress, true);
+    await editions.mint(borrower.address, 5, 20);
+
+    // A mesma id duas vezes no mesmo empréstimo: cada entrada tem o seu escrow
+    const terms = {
+      collateral: [{ nftAddress: editionsAddress, tokenId: 5, quantity: 2 }, { nftAddress: editionsAddress, tokenId: 5, quantity: 3 }],
+      amount: AMOUNT,
+      duration: 7 * ONE_DAY,
+      interestRate: 40,
+      validity: ONE_DAY,
+      nonce: 1
+    };
+    const proposal = await borrowerClient.signProposal(terms);
+    const offer = await lenderClient.signOffer({ ...terms, collateral: [terms.collateral[0], { ...terms.collateral[1], quantity: 4 }] });
+    expect(() => orders.matchOrders(proposal, offer)).to.throw("Orders do not match");
+    const { loanId: orderLoanId } = await lenderClient.executeOrder(proposal, await lenderClient.signOffer(terms));
+    const escrows = await borrowerClient.listEscrows(orderLoanId);
+    expect(escrows).to.have.length(2);
+    expect(await editions.balanceOf(escrows[0].escrowAddress, 5)).to.equal(2);
+    expect(await editions.balanceOf(escrows[1].escrowAddress, 5)).to.equal(3);
+    expect((await borrowerClient.getLoan(orderLoanId)).collateral.map(item => item.quantity)).to.deep.equal([2n, 3n]);
+
+    const { offerId } = await lenderClient.createCollectionOffer({
+      nftAddress: editionsAddress,
+      amountPerLoan: AMOUNT,
+      maxLoans: 1,
+      duration: 7 * ONE_DAY,
+      interestRate: 30,
+      validity: ONE_DAY,
+      quantityPerLoan: 6
+    });
+    expect((await lenderClient.getCollectionOffer(offerId)).quantityPerLoan).to.equal(6n);
+    const { loanId: offerLoanId } = await borrowerClient.takeCollectionOffer(offerId, 5);
+    expect(await editions.balanceOf(await core.getEscrowAddress(offerLoanId, editionsAddress, 5), 5)).to.equal(6);
+
+    const pool = await ethers.getContractAt("LiquidityPool", deployment.contracts.LiquidityPool);
+    await new YapLendClient(provider, deployment).depositLiquidity(ethers.parseEther("10"));
+    await pool.setLoanLimits(AMOUNT, 30 * ONE_DAY);
+    await expect(pool.connect(borrower).borrowWithQuantities([editionsAddress], [5], [], AMOUNT, ONE_DAY))
+      .to.be.revertedWith("Arrays length mismatch");
+    const { loanId: poolLoanId } = await borrowerClient.borrowFromPool({
+      collateral: [{ nftAddress: editionsAddress, tokenId: 5, quantity: 7 }],
+      amount: AMOUNT,
+      duration: ONE_DAY
+    });
+    expect(await editions.balanceOf(await core.getEscrowAddress(poolLoanId, editionsAddress, 5), 5)).to.equal(7);
+    expect(await editions.balanceOf(borrower.address, 5)).to.equal(2);
+
+    // O reembolso devolve as duas entradas da mesma id
+    await borrowerClient.repay(orderLoanId);
+    expect(await editions.balanceOf(borrower.address, 5)).to.equal(7);
+    expect(await borrowerClient.listEscrows(orderLoanId)).to.have.length(0);
+  });
+
+  it("should take punk-style collateral through a private sale and hand it over on liquidation", async function () {
+    const auction = await ethers.getContractAt("LiquidationAuction", deployment.contracts.LiquidationAuction);
+    await auction.setDefaultKind(0);
+    const punks = await ethers.deployContract("MockPunks");
+    const punksAddress = await punks.getAddress();
+    await collateralManager.setCollectionAssetType(punksAddress, PUNK);
+    await punks.setInitialOwner(borrower.address, 7);
+
+    expect(await verifier.checkOwnership(borrower.address, punksAddress, 7)).to.be.true;
+    expect(await verifier.checkApproval(borrower.address, punksAddress, 7)).to.be.false;
+    expect(await collateralManager.validateCollateral(punksAddress, 8)).to.be.false;
+
+    const { proposalId } = await borrowerClient.createProposal({
+      collateral: [{ nftAddress: punksAddress, tokenId: 7 }],
+      amount: AMOUNT,
+      duration: ONE_DAY,
+      interestRate: 40
+    });
+    const offer = await punks.punksOfferedForSale(7);
+    expect(offer.onlySellTo).to.equal(deployment.contracts.CollateralManager);
+    expect(offer.minValue).to.equal(0);
+    expect(await verifier.checkApproval(borrower.address, punksAddress, 7)).to.be.true;
+
+    const { loanId } = await lenderClient.accept(proposalId);
+    const escrow = await escrowOf(loanId, punksAddress, 7);
+    expect(await punks.punkIndexToAddress(7)).to.equal(await escrow.getAddress());
+    expect(await escrow.isOwnerOf()).to.be.true;
+    expect((await punks.punksOfferedForSale(7)).isForSale).to.be.false;
+
+    // Dono pelo escrow
+    expect(await verifier.checkOwnership(borrower.address, punksAddress, 7)).to.be.true;
+    expect(await verifier.checkOwnership(outsider.address, punksAddress, 7)).to.be.false;
+
+    await time.increase(2 * ONE_DAY);
+    await core.liquidateLoan(loanId);
+    expect(await punks.punkIndexToAddress(7)).to.equal(lender.address);
+    expect(await escrow.isOwnerOf()).to.be.false;
+  });
+
+  it("should carry quantities into counter offers, delegate ERC1155 units and reject invalid quantities", async function () {
+    const registry = await ethers.getContractAt("MockDelegateRegistry", deployment.contracts.DelegateRegistry);
+    const editions = await ethers.deployContract("MockERC1155");
+    const editionsAddress = await editions.getAddress();
+    await collateralManager.setCollectionAssetType(editionsAddress, ERC1155);
+    await editions.mint(borrower.address, 1, 5);
+    await editions.connect(borrower).setApprovalForAll(deployment.contracts.CollateralManager, true);
+
+    await expect(proposalManager.connect(borrower).createProposalWithQuantities(
+      [editionsAddress], [1], [0], AMOUNT, 30 * ONE_DAY, RATE, ethers.ZeroAddress
+    )).to.be.revertedWith("Invalid collateral quantity");
+
+    const { proposalId } = await borrowerClient.createProposal({
+      collateral: [{ nftAddress: editionsAddress, tokenId: 1, quantity: 3 }],
+      amount: AMOUNT,
+      duration: 30 * ONE_DAY,
+      interestRate: 40
+    });
+    const { proposalId: counterId } = await lenderClient.counterOffer({
+      proposalId,
+      amount: AMOUNT / 2n,
+      duration: 30 * ONE_DAY,
+      interestRate: 30,
+      validity: ONE_DAY
+    });
+    expect(await proposalManager.getProposalQuantities(counterId)).to.deep.equal([3n]);
+
+    const { loanId } = await borrowerClient.accept(counterId);
+    const escrow = await escrowOf(loanId, editionsAddress, 1);
+    const escrowAddress = await escrow.getAddress();
+    expect(await editions.balanceOf(escrowAddress, 1)).to.equal(3);
+    expect(await registry.checkDelegateForERC1155(borrower.address, escrowAddress, editionsAddress, 1, ethers.ZeroHash)).to.equal(3);
+    expect(await escrow.isRegistryDelegated()).to.be.true;
+    expect(await verifier.verifyEscrowDelegation(escrowAddress, borrower.address)).to.be.true;
+
+    // ERC721 só aceita quantidade 1: a proposta é criada, mas o empréstimo não abre
+    const nft = await ethers.deployContract("MockERC721", ["Mock", "MOCK"]);
+    const nftAddress = await nft.getAddress();
+    await nft.mint(borrower.address, 1);
+    const { proposalId: invalidId } = await borrowerClient.createProposal({
+      collateral: [{ nftAddress, tokenId: 1, quantity: 2 }],
+      amount: AMOUNT,
+      duration: 30 * ONE_DAY,
+      interestRate: 40
+    });
+    await expect(proposalManager.connect(lender).acceptProposal(invalidId, { value: AMOUNT }))
+      .to.be.revertedWith("Invalid collateral quantity");
+  });
+});
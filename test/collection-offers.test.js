@@ -0,0 +1,109 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { YapLendClient, InvalidTermsError, ProposalNotActiveError } = require("../sdk");
+const { loadProtocol, ONE_DAY } = require("./helpers/protocol");
+
+// Ofertas permanentes de lenders para qualquer token de uma coleção
+describe("collection offers", function () {
+  const AMOUNT = ethers.parseEther("0.5");
+
+  let deployment, lender, borrowerA, borrowerB;
+  let nft, proposalManager, collateralManager, lenderClient;
+
+  beforeEach(async function () {
+    [, lender, borrowerA, borrowerB] = await ethers.getSigners();
+    deployment = await loadProtocol();
+
+    proposalManager = await ethers.getContractAt("ProposalManager", deployment.contracts.ProposalManager);
+    collateralManager = await ethers.getContractAt("CollateralManager", deployment.contracts.CollateralManager);
+
+    nft = await ethers.deployContract("MockERC721", ["Mock", "MOCK"]);
+    await nft.mint(borrowerA.address, 1);
+    await nft.mint(borrowerB.address, 2);
+    await nft.mint(borrowerB.address, 3);
+    await collateralManager.setCollectionAllowance(await nft.getAddress(), true);
+
+    lenderClient = new YapLendClient(lender, deployment);
+  });
+
+  async function postOffer(maxLoans = 2) {
+    const { offerId } = await lenderClient.createCollectionOffer({
+      nftAddress: await nft.getAddress(),
+      amountPerLoan: AMOUNT,
+      maxLoans,
+      duration: 14 * ONE_DAY,
+      interestRate: 30,
+      validity: 7 * ONE_DAY
+    });
+    return offerId;
+  }
+
+  it("should fund loans against any token of the collection until the offer is used up", async function () {
+    const offerId = await postOffer();
+    expect(await proposalManager.lockedFunds(lender.address)).to.equal(2n * AMOUNT);
+
+    const { loanId } = await new YapLendClient(borrowerA, deployment).takeCollectionOffer(offerId, 1);
+    const loan = await new YapLendClient(borrowerA, deployment).getLoan(loanId);
+    expect(loan.lender).to.equal(lender.address);
+    expect(loan.amount).to.equal(AMOUNT);
+    expect(loan.interestRate).to.equal(30);
+    expect(loan.duration).to.equal(14 * ONE_DAY);
+    expect(await nft.ownerOf(1)).to.not.equal(borrowerA.address);
+    expect(await proposalManager.lockedFunds(lender.address)).to.equal(AMOUNT);
+
+    const borrowerBClient = new YapLendClient(borrowerB, deployment);
+    await borrowerBClient.takeCollectionOffer(offerId, 2);
+    const offer = await lenderClient.getCollectionOffer(offerId);
+    expect(offer.loansTaken).to.equal(2);
+    expect(offer.isActive).to.be.false;
+    expect(await proposalManager.lockedFunds(lender.address)).to.equal(0);
+
+    await expect(borrowerBClient.takeCollectionOffer(offerId, 3))
+      .to.be.rejectedWith(ProposalNotActiveError, "Collection offer not active");
+  });
+
+  it("should check the collection and the borrower's token before funding", async function () {
+    const other = await ethers.deployContract("MockERC721", ["Other", "OTH"]);
+    await expect(lenderClient.createCollectionOffer({
+      nftAddress: await other.getAddress(),
+      amountPerLoan: AMOUNT,
+      maxLoans: 1,
+      duration: ONE_DAY,
+      interestRate: 30,
+      validity: ONE_DAY
+    })).to.be.rejectedWith(InvalidTermsError, "Collection not allowed");
+
+    const offerId = await postOffer();
+    // Token de outra pessoa (o NFTVerifier reverte sem motivo quando o dono é uma EOA)
+    await expect(proposalManager.connect(borrowerA).takeCollectionOffer(offerId, 2)).to.be.reverted;
+    await expect(proposalManager.connect(borrowerB).takeCollectionOffer(offerId, 2))
+      .to.be.revertedWith("NFT not approved for transfer");
+
+    // Coleção removida da allow-list depois da oferta
+    await collateralManager.setCollectionAllowance(await nft.getAddress(), false);
+    await nft.connect(borrowerA).approve(deployment.contracts.CollateralManager, 1);
+    await expect(proposalManager.connect(borrowerA).takeCollectionOffer(offerId, 1))
+      .to.be.revertedWith("Collection not allowed");
+    expect(await nft.ownerOf(1)).to.equal(borrowerA.address);
+  });
+
+  it("should refund the loans not taken on cancellation", async function () {
+    const offerId = await postOffer(3);
+    await new YapLendClient(borrowerA, deployment).takeCollectionOffer(offerId, 1);
+
+    await expect(proposalManager.connect(borrowerB).cancelCollectionOffer(offerId))
+      .to.be.revertedWith("Only lender can cancel");
+    const { refunded } = await lenderClient.cancelCollectionOffer(offerId);
+    expect(refunded).to.equal(2n * AMOUNT);
+    expect(await proposalManager.lockedFunds(lender.address)).to.equal(0);
+
+    // Expirada, qualquer um pode cancelar
+    const expiring = await postOffer(1);
+    await time.increase(7 * ONE_DAY + 1);
+    await expect(proposalManager.connect(borrowerB).cancelCollectionOffer(expiring))
+      .to.emit(proposalManager, "CollectionOfferCancelled")
+      .withArgs(expiring, AMOUNT);
+  });
+});
@@ -0,0 +1,140 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { InvalidTermsError } = require("../sdk");
+const { loadProtocol, clientsFor, ONE_DAY } = require("./helpers/protocol");
+
+// Loans denominated in an allow-listed ERC20 (stablecoin com 6 casas decimais)
+describe("ERC20 loan currencies", function () {
+  const AMOUNT = 1000n * 10n ** 6n;
+  const RATE = 4000;
+  const INTEREST = (AMOUNT * BigInt(RATE) * 5n) / 1000000n;
+  const FEE = (INTEREST * 500n) / 10000n;
+
+  let deployment, borrower, lender, feeCollector;
+  let nft, usdc, core, proposalManager, vault, borrowerClient, lenderClient;
+
+  beforeEach(async function () {
+    [, borrower, lender, feeCollector] = await ethers.getSigners();
+    deployment = await loadProtocol();
+
+    core = await ethers.getContractAt("YapLendCore", deployment.contracts.YapLendCore);
+    proposalManager = await ethers.getContractAt("ProposalManager", deployment.contracts.ProposalManager);
+    vault = await ethers.getContractAt("LoanVault", deployment.contracts.LoanVault);
+    await core.setFeeCollector(feeCollector.address);
+
+    usdc = await ethers.deployContract("MockERC20", ["USD Coin", "USDC", 6]);
+    await core.setCurrencyAllowed(await usdc.getAddress(), true);
+    await usdc.mint(lender.address, 10n * AMOUNT);
+    await usdc.mint(borrower.address, AMOUNT);
+
+    nft = await ethers.deployContract("MockERC721", ["Mock", "MOCK"]);
+    await nft.mint(borrower.address, 1);
+
+    [borrowerClient, lenderClient] = clientsFor(deployment, borrower, lender);
+  });
+
+  async function openLoan() {
+    const { proposalId } = await borrowerClient.createProposal({
+      collateral: [{ nftAddress: await nft.getAddress(), tokenId: 1 }],
+      amount: AMOUNT,
+      duration: 30 * ONE_DAY,
+      interestRate: 40,
+      currency: await usdc.getAddress()
+    });
+    const { loanId } = await lenderClient.accept(proposalId);
+    return loanId;
+  }
+
+  it("should fund, repay and split the fee in the loan currency", async function () {
+    const loanId = await openLoan();
+    expect((await borrowerClient.getLoan(loanId)).currency).to.equal(await usdc.getAddress());
+    expect(await usdc.balanceOf(deployment.contracts.LoanVault)).to.equal(AMOUNT);
+    expect(await ethers.provider.getBalance(deployment.contracts.LoanVault)).to.equal(0);
+
+    await vault.connect(borrower).withdraw(loanId, AMOUNT);
+    expect(await usdc.balanceOf(borrower.address)).to.equal(2n * AMOUNT);
+
+    await time.increase(ONE_DAY);
+    const lenderBefore = await usdc.balanceOf(lender.address);
+    const { amount } = await borrowerClient.repay(loanId);
+
+    expect(amount).to.equal(AMOUNT + INTEREST);
+    expect(await usdc.balanceOf(borrower.address)).to.equal(AMOUNT - INTEREST);
+    expect(await usdc.balanceOf(lender.address)).to.equal(lenderBefore + AMOUNT + INTEREST - FEE);
+    expect(await usdc.balanceOf(feeCollector.address)).to.equal(FEE);
+    expect(await nft.ownerOf(1)).to.equal(borrower.address);
+  });
+
+  it("should deposit the repayment into the vault when the lender is blocked", async function () {
+    const loanId = await openLoan();
+    await usdc.setBlocked(lender.address, true);
+    // O borrower paga com fundos próprios, sem sacar o principal
+    await usdc.mint(borrower.address, INTEREST);
+    await time.increase(ONE_DAY);
+
+    await expect(core.connect(borrower).repayLoan(loanId, { value: 1 }))
+      .to.be.revertedWith("Native funds sent for token loan");
+    await borrowerClient.repay(loanId);
+
+    // Principal não sacado + pagamento do lender
+    expect(await vault.loanDeposits(loanId)).to.equal(AMOUNT + AMOUNT + INTEREST - FEE);
+    expect(await usdc.balanceOf(deployment.contracts.LoanVault)).to.equal(AMOUNT + AMOUNT + INTEREST - FEE);
+    await expect(vault.connect(borrower).deposit(loanId, { value: 1 }))
+      .to.be.revertedWith("Loan is denominated in a token");
+  });
+
+  it("should lock counter offers in the proposal's currency and refund them on rejection", async function () {
+    const { proposalId } = await borrowerClient.createProposal({
+      collateral: [{ nftAddress: await nft.getAddress(), tokenId: 1 }],
+      amount: AMOUNT,
+      duration: 30 * ONE_DAY,
+      interestRate: 40,
+      currency: await usdc.getAddress()
+    });
+
+    const before = await usdc.balanceOf(lender.address);
+    const { proposalId: counterId } = await lenderClient.counterOffer({
+      proposalId,
+      amount: AMOUNT / 2n,
+      duration: 30 * ONE_DAY,
+      interestRate: 30,
+      validity: ONE_DAY
+    });
+    expect(await proposalManager.lockedTokens(lender.address, await usdc.getAddress())).to.equal(AMOUNT / 2n);
+    expect(await usdc.balanceOf(lender.address)).to.equal(before - AMOUNT / 2n);
+
+    await proposalManager.connect(borrower).rejectCounterOffer(counterId);
+    expect(await proposalManager.lockedTokens(lender.address, await usdc.getAddress())).to.equal(0);
+    expect(await usdc.balanceOf(lender.address)).to.equal(before);
+  });
+
+  it("should reject currencies that are not allow-listed", async function () {
+    const other = await ethers.deployContract("MockERC20", ["Other", "OTH", 18]);
+    await expect(borrowerClient.createProposal({
+      collateral: [{ nftAddress: await nft.getAddress(), tokenId: 1 }],
+      amount: AMOUNT,
+      duration: 30 * ONE_DAY,
+      interestRate: 40,
+      currency: await other.getAddress()
+    })).to.be.rejectedWith(InvalidTermsError, "Currency not allowed");
+
+    await expect(core.setCurrencyAllowed(ethers.ZeroAddress, true)).to.be.revertedWith("Invalid address");
+    await expect(core.connect(borrower).setCurrencyAllowed(await other.getAddress(), true)).to.be.reverted;
+  });
+
+  it("should convert NFT prices into the loan currency", async function () {
+    const oracle = await ethers.getContractAt("PriceOracle", deployment.contracts.PriceOracle);
+    const nativeFeed = await ethers.deployContract("MockV3Aggregator", [8, 2000n * 10n ** 8n]);
+    const usdcFeed = await ethers.deployContract("MockV3Aggregator", [8, 10n ** 8n]);
+    await oracle.updateTokenPriceFeed(ethers.ZeroAddress, await nativeFeed.getAddress());
+    await oracle.updateTokenPriceFeed(await usdc.getAddress(), await usdcFeed.getAddress());
+    await oracle.updateCollectionPrice(await nft.getAddress(), ethers.parseEther("1.5"));
+
+    expect(await oracle.getNFTPriceInCurrency(await nft.getAddress(), 1, ethers.ZeroAddress))
+      .to.equal(ethers.parseEther("1.5"));
+    expect(await oracle.getNFTPriceInCurrency(await nft.getAddress(), 1, await usdc.getAddress()))
+      .to.equal(3000n * 10n ** 6n);
+  });
+});
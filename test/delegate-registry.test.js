@@ -0,0 +1,140 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { DELEGATE_REGISTRY_V2 } = require("../scripts/lib/protocol-steps");
+const { checkWiring, hasProblems, ERROR } = require("../scripts/lib/wiring");
+const { deployProtocol, loadProtocol, ONE_DAY } = require("./helpers/protocol");
+
+// Escrows registram o borrower no delegate registry enquanto guardam o NFT
+describe("Delegate registry", function () {
+  const AMOUNT = ethers.parseEther("1");
+  const RATE = 4000;
+  const INTEREST = (AMOUNT * BigInt(RATE) * 5n) / 1000000n;
+
+  let deployment, borrower, lender, outsider;
+  let registry, nft, nftAddress, core, proposalManager, verifier;
+
+  beforeEach(async function () {
+    [, borrower, lender, outsider] = await ethers.getSigners();
+    deployment = await loadProtocol();
+    core = await ethers.getContractAt("YapLendCore", deployment.contracts.YapLendCore);
+    proposalManager = await ethers.getContractAt("ProposalManager", deployment.contracts.ProposalManager);
+    verifier = await ethers.getContractAt("NFTVerifier", deployment.contracts.NFTVerifier);
+    registry = await ethers.getContractAt("MockDelegateRegistry", deployment.contracts.DelegateRegistry);
+
+    nft = await ethers.deployContract("MockERC721", ["Mock", "MOCK"]);
+    nftAddress = await nft.getAddress();
+    await nft.mint(borrower.address, 1);
+  });
+
+  function findEvent(receipt, name) {
+    return receipt.logs
+      .map(log => {
+        try {
+          return proposalManager.interface.parseLog(log);
+        } catch (error) {
+          return null;
+        }
+      })
+      .find(parsed => parsed && parsed.name === name);
+  }
+
+  async function openLoan(duration = 30 * ONE_DAY) {
+    await nft.connect(borrower).approve(deployment.contracts.CollateralManager, 1);
+    const created = await (await proposalManager.connect(borrower).createProposal(
+      [nftAddress], [1], AMOUNT, duration, RATE
+    )).wait();
+    const proposalId = findEvent(created, "ProposalCreated").args.proposalId;
+    const accepted = await (await proposalManager.connect(lender).acceptProposal(proposalId, { value: AMOUNT })).wait();
+    const loanId = findEvent(accepted, "ProposalAccepted").args.loanId;
+    const escrow = await ethers.getContractAt("NFTEscrow", await core.getEscrowAddress(loanId, nftAddress, 1));
+    return { loanId, escrow };
+  }
+
+  it("should delegate the escrowed NFT to the borrower and revoke it on repayment", async function () {
+    const { loanId, escrow } = await openLoan();
+    const escrowAddress = await escrow.getAddress();
+
+    expect(await nft.ownerOf(1)).to.equal(escrowAddress);
+    expect(await registry.checkDelegateForERC721(borrower.address, escrowAddress, nftAddress, 1, ethers.ZeroHash)).to.be.true;
+    expect(await registry.checkDelegateForERC721(borrower.address, escrowAddress, nftAddress, 1, ethers.id("airdrop"))).to.be.true;
+    expect(await escrow.isRegistryDelegated()).to.be.true;
+
+    // Dapps parceiros resolvem a delegação pelo holder atual, sem conhecer o escrow
+    expect(await verifier.checkTokenDelegation(borrower.address, nftAddress, 1)).to.be.true;
+    expect(await verifier.checkTokenDelegation(lender.address, nftAddress, 1)).to.be.false;
+    expect(await verifier.verifyEscrowDelegation(escrowAddress, borrower.address)).to.be.true;
+    // O checkDelegation antigo fica só pelo seletor e nunca confirma nada
+    expect(await verifier.checkDelegation(nftAddress, borrower.address)).to.be.false;
+
+    await time.increase(ONE_DAY);
+    await expect(core.connect(borrower).repayLoan(loanId, { value: AMOUNT + INTEREST }))
+      .to.emit(escrow, "RegistryDelegationUpdated")
+      .withArgs(borrower.address, false);
+
+    expect(await nft.ownerOf(1)).to.equal(borrower.address);
+    expect(await registry.checkDelegateForERC721(borrower.address, escrowAddress, nftAddress, 1, ethers.ZeroHash)).to.be.false;
+    expect(await escrow.isRegistryDelegated()).to.be.false;
+    expect(await verifier.checkTokenDelegation(borrower.address, nftAddress, 1)).to.be.false;
+  });
+
+  it("should revoke on liquidation and never let a failing registry block the release", async function () {
+    const auction = await ethers.getContractAt("LiquidationAuction", deployment.contracts.LiquidationAuction);
+    await auction.setDefaultKind(0);
+    const { loanId, escrow } = await openLoan(ONE_DAY);
+    const escrowAddress = await escrow.getAddress();
+
+    await time.increase(2 * ONE_DAY);
+    await core.liquidateLoan(loanId);
+    expect(await nft.ownerOf(1)).to.equal(lender.address);
+    expect(await registry.checkDelegateForERC721(borrower.address, escrowAddress, nftAddress, 1, ethers.ZeroHash)).to.be.false;
+
+    // Registry quebrado: o depósito e a liberação seguem, só sem registro
+    await nft.connect(lender).transferFrom(lender.address, borrower.address, 1);
+    await registry.setRejectDelegations(true);
+    const second = await openLoan();
+    expect(await nft.ownerOf(1)).to.equal(await second.escrow.getAddress());
+    expect(await second.escrow.isRegistryDelegated()).to.be.false;
+
+    await time.increase(ONE_DAY);
+    await expect(core.connect(borrower).repayLoan(second.loanId, { value: AMOUNT + INTEREST }))
+      .to.not.emit(second.escrow, "RegistryDelegationUpdated");
+    expect(await nft.ownerOf(1)).to.equal(borrower.address);
+  });
+
+  it("should deploy the escrow implementation with the registry and keep it wired", async function () {
+    const collateralManager = await ethers.getContractAt("CollateralManager", deployment.contracts.CollateralManager);
+    const implementation = await ethers.getContractAt("NFTEscrow", deployment.contracts.NFTEscrowImpl);
+    expect(await collateralManager.escrowImplementation()).to.equal(deployment.contracts.NFTEscrowImpl);
+    expect(await implementation.delegateRegistry()).to.equal(deployment.contracts.DelegateRegistry);
+    expect(await verifier.delegateRegistry()).to.equal(deployment.contracts.DelegateRegistry);
+
+    await expect(verifier.connect(outsider).setDelegateRegistry(outsider.address))
+      .to.be.revertedWithCustomError(verifier, "OwnableUnauthorizedAccount");
+    await verifier.setDelegateRegistry(outsider.address);
+    let results = await checkWiring(hre, deployment);
+    expect(results.find(result => result.reference === "NFTVerifier.delegateRegistry").status).to.equal("mismatch");
+
+    // Sem código no endereço (delegate.xyz não existe na rede) o deploy para e o wiring:check acusa erro
+    await expect(deployProtocol({ delegateRegistry: DELEGATE_REGISTRY_V2 }))
+      .to.be.rejectedWith(`No delegate registry deployed at ${DELEGATE_REGISTRY_V2}`);
+    await verifier.setDelegateRegistry(DELEGATE_REGISTRY_V2);
+    results = await checkWiring(hre, {
+      ...deployment,
+      contracts: { ...deployment.contracts, DelegateRegistry: DELEGATE_REGISTRY_V2 }
+    });
+    const edge = results.find(result => result.reference === "NFTVerifier.delegateRegistry");
+    expect(edge.status).to.equal(ERROR);
+    expect(edge.error).to.equal("no contract at DelegateRegistry");
+    expect(hasProblems(results)).to.be.true;
+
+    // Um registry sem código também não trava os escrows: eles só não registram
+    const orphan = await ethers.deployContract("NFTEscrow", [DELEGATE_REGISTRY_V2]);
+    await collateralManager.setEscrowImplementation(await orphan.getAddress());
+    const { escrow } = await openLoan();
+    expect(await nft.ownerOf(1)).to.equal(await escrow.getAddress());
+    expect(await escrow.isRegistryDelegated()).to.be.false;
+    expect(await verifier.checkTokenDelegation(borrower.address, nftAddress, 1)).to.be.false;
+  });
+});
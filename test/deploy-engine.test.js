@@ -0,0 +1,91 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { runDeployment, recordStep } = require("../scripts/lib/deploy-engine");
+const { buildProtocolSteps } = require("../scripts/lib/protocol-steps");
+
+describe("deploy-engine", function () {
+  let dir, delegateRegistry;
+  const quiet = () => {};
+
+  function readManifest(file) {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  }
+
+  beforeEach(async function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "yaplend-deploy-"));
+    delegateRegistry = await (await ethers.deployContract("MockDelegateRegistry")).getAddress();
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("should resume a failed deployment without redeploying finished steps", async function () {
+    const steps = buildProtocolSteps({ delegateRegistry });
+    const failAt = steps.findIndex(step => step.id === "deploy:ProposalManager");
+    const failingSteps = [
+      ...steps.slice(0, failAt),
+      recordStep("Boom", async () => { throw new Error("simulated failure"); }),
+      ...steps.slice(failAt)
+    ];
+
+    await expect(runDeployment(hre, failingSteps, { dir, fresh: true, log: quiet }))
+      .to.be.rejectedWith("simulated failure");
+
+    const files = fs.readdirSync(dir);
+    expect(files).to.have.lengthOf(1);
+    const file = path.join(dir, files[0]);
+    const partial = readManifest(file);
+    expect(partial.status).to.equal("in-progress");
+    expect(partial.contracts.YapLendCore).to.be.a("string");
+    expect(partial.contracts.ProposalManager).to.be.undefined;
+    expect(partial.steps["record:Boom"].status).to.equal("failed");
+
+    const deployment = await runDeployment(hre, steps, { dir, log: quiet });
+
+    expect(deployment.file).to.equal(file);
+    expect(deployment.status).to.equal("complete");
+    expect(deployment.contracts.YapLendCore).to.equal(partial.contracts.YapLendCore);
+    expect(deployment.contracts.LoanVault).to.equal(partial.contracts.LoanVault);
+
+    const yapLendCore = await ethers.getContractAt("YapLendCore", deployment.contracts.YapLendCore);
+    expect(await yapLendCore.proposalManager()).to.equal(deployment.contracts.ProposalManager);
+    expect(await yapLendCore.loanVault()).to.equal(deployment.contracts.LoanVault);
+
+    const collateralManager = await ethers.getContractAt("CollateralManager", deployment.contracts.CollateralManager);
+    expect(await collateralManager.escrowImplementation()).to.equal(deployment.contracts.NFTEscrowImpl);
+  });
+
+  it("should only resend the wiring setters whose on-chain value is wrong", async function () {
+    const steps = buildProtocolSteps({ delegateRegistry });
+    const deployment = await runDeployment(hre, steps, { dir, fresh: true, log: quiet });
+    const [, other] = await ethers.getSigners();
+
+    const yapLendCore = await ethers.getContractAt("YapLendCore", deployment.contracts.YapLendCore);
+    await yapLendCore.setLoanVault(other.address);
+
+    const blockBefore = await ethers.provider.getBlockNumber();
+    const rechecked = await runDeployment(hre, steps, { dir, file: deployment.file, log: quiet });
+    const blockAfter = await ethers.provider.getBlockNumber();
+
+    expect(blockAfter - blockBefore).to.equal(1);
+    expect(await yapLendCore.loanVault()).to.equal(deployment.contracts.LoanVault);
+    expect(rechecked.steps["wire:YapLendCore.setLoanVault"].txHash)
+      .to.not.equal(deployment.steps["wire:YapLendCore.setLoanVault"].txHash);
+    expect(rechecked.steps["wire:YapLendCore.setProposalManager"].txHash)
+      .to.equal(deployment.steps["wire:YapLendCore.setProposalManager"].txHash);
+  });
+
+  it("should start a new deployment once the previous one is complete", async function () {
+    const steps = buildProtocolSteps({ delegateRegistry });
+    const first = await runDeployment(hre, steps, { dir, fresh: true, log: quiet });
+    const second = await runDeployment(hre, steps, { dir, log: quiet });
+
+    expect(second.file).to.not.equal(first.file);
+    expect(second.contracts.YapLendCore).to.not.equal(first.contracts.YapLendCore);
+  });
+});
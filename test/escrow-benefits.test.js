@@ -0,0 +1,131 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { YapLendClient } = require("../sdk");
+const { loadProtocol, ONE_DAY } = require("./helpers/protocol");
+
+// Benefícios do NFT em escrow: chamadas só para alvos allow-listed e airdrops repassados ao borrower
+describe("Escrow benefits and airdrops", function () {
+  const AMOUNT = ethers.parseEther("1");
+  const RATE = 4000;
+
+  let deployment, borrower, lender, outsider;
+  let nft, nftAddress, core, proposalManager, collateralManager;
+
+  beforeEach(async function () {
+    [, borrower, lender, outsider] = await ethers.getSigners();
+    deployment = await loadProtocol();
+    core = await ethers.getContractAt("YapLendCore", deployment.contracts.YapLendCore);
+    proposalManager = await ethers.getContractAt("ProposalManager", deployment.contracts.ProposalManager);
+    collateralManager = await ethers.getContractAt("CollateralManager", deployment.contracts.CollateralManager);
+
+    nft = await ethers.deployContract("MockERC721", ["Mock", "MOCK"]);
+    nftAddress = await nft.getAddress();
+    await nft.mint(borrower.address, 1);
+  });
+
+  // Proposta aceita pelo lender; `account` pode ser um contrato via execute()
+  async function openLoan(account = borrower) {
+    let proposalId;
+    if (account === borrower) {
+      ({ proposalId } = await new YapLendClient(borrower, deployment).createProposal({
+        collateral: [{ nftAddress, tokenId: 1 }],
+        amount: AMOUNT,
+        duration: 30 * ONE_DAY,
+        interestRate: 40
+      }));
+    } else {
+      await account.execute(nftAddress, nft.interface.encodeFunctionData("approve", [deployment.contracts.CollateralManager, 1]));
+      const createProposal = proposalManager.interface.encodeFunctionData("createProposal", [[nftAddress], [1], AMOUNT, 30 * ONE_DAY, RATE]);
+      const receipt = await (await account.execute(deployment.contracts.ProposalManager, createProposal)).wait();
+      proposalId = receipt.logs
+        .filter(log => log.address === deployment.contracts.ProposalManager)
+        .map(log => proposalManager.interface.parseLog(log))
+        .find(parsed => parsed && parsed.name === "ProposalCreated").args.proposalId;
+    }
+    const { loanId } = await new YapLendClient(lender, deployment).accept(proposalId);
+    return ethers.getContractAt("NFTEscrow", await core.getEscrowAddress(loanId, nftAddress, 1));
+  }
+
+  it("should only make allow-listed benefit calls and route claimed ERC20s to the borrower", async function () {
+    const escrow = await openLoan();
+    const escrowAddress = await escrow.getAddress();
+    const token = await ethers.deployContract("MockERC20", ["Reward", "RWD", 18]);
+    const tokenAddress = await token.getAddress();
+    const claim = token.interface.encodeFunctionData("mint", [escrowAddress, 100n]);
+
+    await expect(escrow.connect(borrower).claimBenefits(tokenAddress, claim)).to.be.revertedWith("Benefit call not allowed");
+    await expect(collateralManager.connect(outsider).setBenefitCallsAllowed(tokenAddress, [claim.slice(0, 10)], true))
+      .to.be.revertedWithCustomError(collateralManager, "OwnableUnauthorizedAccount");
+    await expect(collateralManager.setBenefitCallsAllowed(tokenAddress, [claim.slice(0, 10)], true))
+      .to.emit(collateralManager, "BenefitCallAllowed")
+      .withArgs(tokenAddress, claim.slice(0, 10), true);
+
+    await escrow.connect(borrower).claimBenefits(tokenAddress, claim);
+    expect(await token.balanceOf(escrowAddress)).to.equal(100n);
+
+    // approve não está na allow-list: o escrow não pode liberar o que guarda
+    const approve = token.interface.encodeFunctionData("approve", [borrower.address, 100n]);
+    await expect(escrow.connect(borrower).executeDelegatedCall(tokenAddress, approve)).to.be.revertedWith("Benefit call not allowed");
+    await expect(escrow.connect(borrower).executeDelegatedCall(tokenAddress, "0x")).to.be.revertedWith("Benefit call not allowed");
+
+    // Qualquer um (um keeper, por exemplo) pode repassar o saldo ao borrower
+    await expect(escrow.connect(outsider).sweepERC20(tokenAddress))
+      .to.emit(escrow, "AirdropRouted")
+      .withArgs(tokenAddress, 0, 100n, borrower.address);
+    expect(await token.balanceOf(borrower.address)).to.equal(100n);
+    await expect(escrow.sweepERC20(tokenAddress)).to.be.revertedWith("Nothing to route");
+    await expect(escrow.sweepERC20(nftAddress)).to.be.revertedWith("Cannot withdraw collateral NFT");
+
+    await collateralManager.setBenefitCallsAllowed(tokenAddress, [claim.slice(0, 10)], false);
+    await expect(escrow.connect(borrower).claimBenefits(tokenAddress, claim)).to.be.revertedWith("Benefit call not allowed");
+  });
+
+  it("should forward ERC721 and ERC1155 airdrops on arrival and keep the collateral locked", async function () {
+    const escrow = await openLoan();
+    const escrowAddress = await escrow.getAddress();
+
+    // Outro token da mesma coleção e de outra coleção
+    await nft.mint(outsider.address, 2);
+    await expect(nft.connect(outsider)["safeTransferFrom(address,address,uint256)"](outsider.address, escrowAddress, 2))
+      .to.emit(escrow, "AirdropRouted")
+      .withArgs(nftAddress, 2, 1, borrower.address);
+    expect(await nft.ownerOf(2)).to.equal(borrower.address);
+    expect(await nft.ownerOf(1)).to.equal(escrowAddress);
+
+    const editions = await ethers.deployContract("MockERC1155");
+    const editionsAddress = await editions.getAddress();
+    await editions.mint(escrowAddress, 7, 3);
+    await editions.mintBatch(escrowAddress, [8, 9], [1, 5]);
+    expect(await editions.balanceOf(borrower.address, 7)).to.equal(3);
+    expect(await editions.balanceOf(borrower.address, 9)).to.equal(5);
+    expect(await editions.balanceOf(escrowAddress, 8)).to.equal(0);
+
+    await expect(escrow.routeERC721(nftAddress, 1)).to.be.revertedWith("Cannot withdraw collateral NFT");
+    await expect(escrow.routeERC1155(editionsAddress, 7)).to.be.revertedWith("Nothing to route");
+    expect(await escrow.supportsInterface("0x150b7a02")).to.be.true;
+  });
+
+  it("should hold airdrops the borrower cannot receive until they are routed again", async function () {
+    const wallet = await ethers.deployContract("MockRevertingReceiver");
+    const walletAddress = await wallet.getAddress();
+    await nft.connect(borrower).transferFrom(borrower.address, walletAddress, 1);
+    const escrow = await openLoan(wallet);
+    const escrowAddress = await escrow.getAddress();
+
+    const editions = await ethers.deployContract("MockERC1155");
+    const editionsAddress = await editions.getAddress();
+    await wallet.setRejectPayments(true);
+    await expect(editions.mint(escrowAddress, 1, 10))
+      .to.emit(escrow, "AirdropHeld")
+      .withArgs(editionsAddress, 1, 10);
+    expect(await editions.balanceOf(escrowAddress, 1)).to.equal(10);
+    await expect(escrow.routeERC1155(editionsAddress, 1)).to.be.reverted;
+
+    await wallet.setRejectPayments(false);
+    await expect(escrow.connect(outsider).routeERC1155(editionsAddress, 1))
+      .to.emit(escrow, "AirdropRouted")
+      .withArgs(editionsAddress, 1, 10, walletAddress);
+    expect(await editions.balanceOf(walletAddress, 1)).to.equal(10);
+  });
+});
@@ -0,0 +1,64 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { runDeployment } = require("../../scripts/lib/deploy-engine");
+const { buildProtocolSteps } = require("../../scripts/lib/protocol-steps");
+const { YapLendClient } = require("../../sdk");
+
+const quiet = () => {};
+const ONE_DAY = 24 * 60 * 60;
+
+// Um diretório temporário (manifests e arquivos dos testes) para toda a execução, removido ao final
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "yaplend-test-"));
+
+after(function () {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Deploys the full protocol through the deploy engine into the shared test directory.
+ * The Hardhat network has no delegate.xyz registry, so a MockDelegateRegistry is deployed unless one is given
+ * @param {object} [options] buildProtocolSteps options
+ * @returns {Promise<object>} The deployment manifest
+ */
+async function deployProtocol(options = {}) {
+  const delegateRegistry = options.delegateRegistry
+    || await (await hre.ethers.deployContract("MockDelegateRegistry")).getAddress();
+  return runDeployment(hre, buildProtocolSteps({ ...options, delegateRegistry }), { dir, fresh: true, log: quiet });
+}
+
+async function protocolFixture() {
+  const deployment = await deployProtocol();
+  return { file: deployment.file, content: fs.readFileSync(deployment.file, "utf8") };
+}
+
+/**
+ * Reverts the chain to a single default protocol deployment, deploying it on the first call.
+ * The manifest file is restored too, since tests may record upgrades in it.
+ * @returns {Promise<object>} A fresh copy of the deployment manifest
+ */
+async function loadProtocol() {
+  const { file, content } = await loadFixture(protocolFixture);
+  fs.writeFileSync(file, content);
+  return { ...JSON.parse(content), file };
+}
+
+/**
+ * @param {object} deployment Deployment manifest
+ * @param {...object} signers Signers to wrap
+ * @returns {YapLendClient[]} One client per signer, in order
+ */
+function clientsFor(deployment, ...signers) {
+  return signers.map(signer => new YapLendClient(signer, deployment));
+}
+
+module.exports = {
+  ONE_DAY,
+  quiet,
+  dir,
+  deployProtocol,
+  loadProtocol,
+  clientsFor,
+};
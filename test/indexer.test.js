@@ -0,0 +1,127 @@
+const { expect } = require("chai");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { Indexer, JsonStore } = require("../indexer");
+const { loadProtocol, clientsFor, ONE_DAY, quiet, dir } = require("./helpers/protocol");
+
+describe("indexer", function () {
+  let deployment, apes, punks, borrower, lender, borrowerClient, lenderClient;
+  let apesAddress, punksAddress;
+  // IDs produced by the scripted scenario, as decimal strings like the store keeps them
+  const ids = {};
+
+  function createIndexer(file) {
+    return new Indexer({ provider: ethers.provider, deployment, store: new JsonStore(file), log: quiet });
+  }
+
+  // Scripted scenario: one repaid loan, one liquidated loan taken through a counter offer,
+  // one cancelled proposal and one proposal left open
+  before(async function () {
+    [, borrower, lender] = await ethers.getSigners();
+    deployment = await loadProtocol();
+
+    apes = await ethers.deployContract("MockERC721", ["Apes", "APE"]);
+    punks = await ethers.deployContract("MockERC721", ["Punks", "PUNK"]);
+    apesAddress = await apes.getAddress();
+    punksAddress = await punks.getAddress();
+    await apes.mint(borrower.address, 1);
+    await apes.mint(borrower.address, 3);
+    await punks.mint(borrower.address, 2);
+
+    [borrowerClient, lenderClient] = clientsFor(deployment, borrower, lender);
+    const terms = { amount: ethers.parseEther("1"), duration: 30 * ONE_DAY, interestRate: 40 };
+
+    // Proposal accepted by the lender, loan repaid
+    const repaid = await borrowerClient.createProposal({ ...terms, collateral: [{ nftAddress: apesAddress, tokenId: 1 }] });
+    const { loanId: repaidLoan } = await lenderClient.accept(repaid.proposalId);
+    await borrowerClient.repay(repaidLoan);
+    ids.repaidLoan = repaidLoan.toString();
+
+    // Proposal countered by the lender, counter offer accepted, loan liquidated
+    const countered = await borrowerClient.createProposal({ ...terms, collateral: [{ nftAddress: punksAddress, tokenId: 2 }] });
+    const counter = await lenderClient.counterOffer({
+      ...terms,
+      proposalId: countered.proposalId,
+      duration: ONE_DAY,
+      validity: ONE_DAY
+    });
+    const { loanId: defaultedLoan } = await borrowerClient.accept(counter.proposalId);
+    await time.increase(2 * ONE_DAY);
+    await lenderClient.liquidate(defaultedLoan);
+    ids.countered = countered.proposalId.toString();
+    ids.counter = counter.proposalId.toString();
+    ids.defaultedLoan = defaultedLoan.toString();
+
+    // One proposal cancelled, one left open
+    const cancelled = await borrowerClient.createProposal({ ...terms, collateral: [{ nftAddress: apesAddress, tokenId: 3 }] });
+    await borrowerClient.cancel(cancelled.proposalId);
+    const open = await borrowerClient.createProposal({ ...terms, collateral: [{ nftAddress: apesAddress, tokenId: 3 }] });
+    ids.cancelled = cancelled.proposalId.toString();
+    ids.open = open.proposalId.toString();
+  });
+
+  it("should rebuild proposals, loans and escrows from events", async function () {
+    const indexer = createIndexer(null);
+    await indexer.sync();
+    const store = indexer.store;
+
+    expect(store.getProposals({ status: "open" }).map(p => p.id)).to.deep.equal([ids.countered, ids.open]);
+    expect(store.getProposals({ status: "cancelled" }).map(p => p.id)).to.deep.equal([ids.cancelled]);
+
+    const counter = store.getProposals({ lender: lender.address, status: "accepted" }).find(p => p.isCounterOffer);
+    expect(counter.id).to.equal(ids.counter);
+    expect(counter.borrower).to.equal(borrower.address);
+    expect(counter.collateral).to.deep.equal([{ nftAddress: punksAddress, tokenId: "2" }]);
+
+    const loans = store.getLoans({ borrower: borrower.address });
+    expect(loans.map(loan => loan.status)).to.deep.equal(["repaid", "liquidated"]);
+    expect(loans[0].amount).to.equal(ethers.parseEther("1").toString());
+    expect(loans[0].interestRateBps).to.equal(4000);
+
+    expect(store.getLoans({ collection: punksAddress }).map(loan => loan.id)).to.deep.equal([ids.defaultedLoan]);
+    expect(store.getEscrows({ loanId: ids.repaidLoan })).to.have.length(1);
+    expect(store.getEscrows({ collection: punksAddress })[0].loanId).to.equal(ids.defaultedLoan);
+  });
+
+  it("should resume from the last processed block", async function () {
+    const file = path.join(dir, "resume.json");
+    const first = await createIndexer(file).sync();
+    expect(first.events).to.be.greaterThan(0);
+
+    await borrowerClient.cancel(ids.open);
+
+    const resumed = createIndexer(file);
+    const second = await resumed.sync();
+    expect(second.fromBlock).to.equal(first.toBlock + 1);
+    expect(second.events).to.equal(1);
+    expect(resumed.store.getProposals({ status: "open" }).map(p => p.id)).to.deep.equal([ids.countered]);
+  });
+
+  it("should roll back blocks replaced by a reorg", async function () {
+    const indexer = createIndexer(null);
+    const snapshot = await ethers.provider.send("evm_snapshot", []);
+
+    // Index a block that is about to be reorganised away
+    await apes.mint(borrower.address, 5);
+    await borrowerClient.createProposal({
+      amount: ethers.parseEther("1"),
+      duration: ONE_DAY,
+      interestRate: 10,
+      collateral: [{ nftAddress: apesAddress, tokenId: 5 }]
+    });
+    await indexer.sync();
+    const orphaned = indexer.store.getProposals({ collection: apesAddress, status: "open" }).map(p => p.id);
+
+    // Replace it with a different, longer chain
+    await ethers.provider.send("evm_revert", [snapshot]);
+    await ethers.provider.send("hardhat_mine", ["0x3"]);
+
+    const result = await indexer.sync();
+    expect(result.rolledBackTo).to.not.be.null;
+    expect(orphaned).to.have.length(1);
+    expect(indexer.store.getProposals({ collection: apesAddress, status: "open" })).to.have.length(0);
+    expect(indexer.store.lastBlock).to.equal(await ethers.provider.getBlockNumber());
+  });
+});
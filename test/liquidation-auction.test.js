@@ -0,0 +1,130 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { AuctionNotActiveError, LoanNotDefaultedError } = require("../sdk");
+const { loadProtocol, clientsFor, ONE_DAY } = require("./helpers/protocol");
+
+// Grace period com multa e leilão do colateral de loans inadimplentes
+describe("grace period and liquidation auctions", function () {
+  const ONE_YEAR = 365n * BigInt(ONE_DAY);
+  const AMOUNT = ethers.parseEther("1");
+  const INTEREST = (AMOUNT * 4000n * 5n) / 1000000n;
+  const DEBT = AMOUNT + INTEREST;
+
+  let deployment, borrower, lender, bidderA, bidderB;
+  let nft, core, auction, borrowerClient, lenderClient, bidderAClient, bidderBClient;
+
+  beforeEach(async function () {
+    [, borrower, lender, bidderA, bidderB] = await ethers.getSigners();
+    deployment = await loadProtocol();
+
+    core = await ethers.getContractAt("YapLendCore", deployment.contracts.YapLendCore);
+    auction = await ethers.getContractAt("LiquidationAuction", deployment.contracts.LiquidationAuction);
+
+    nft = await ethers.deployContract("MockERC721", ["Mock", "MOCK"]);
+    await nft.mint(borrower.address, 1);
+    await nft.mint(borrower.address, 2);
+
+    [borrowerClient, lenderClient, bidderAClient, bidderBClient] = clientsFor(deployment, borrower, lender, bidderA, bidderB);
+  });
+
+  async function openLoan(tokenIds = [1]) {
+    const nftAddress = await nft.getAddress();
+    const { proposalId } = await borrowerClient.createProposal({
+      collateral: tokenIds.map(tokenId => ({ nftAddress, tokenId })),
+      amount: AMOUNT,
+      duration: ONE_DAY,
+      interestRate: 40
+    });
+    const { loanId } = await lenderClient.accept(proposalId);
+    return loanId;
+  }
+
+  it("should let the borrower repay with a late penalty during the grace period", async function () {
+    await core.setGracePeriod(3 * ONE_DAY);
+    await core.setLatePenaltyRate(2000);
+    await expect(core.setGracePeriod(31 * ONE_DAY)).to.be.revertedWith("Grace period too long");
+
+    const loanId = await openLoan();
+    await time.increase(2 * ONE_DAY);
+    await expect(lenderClient.liquidate(loanId)).to.be.rejectedWith(LoanNotDefaultedError);
+
+    const { amount } = await borrowerClient.repay(loanId);
+    // Multa de 20% ao ano sobre ~1 dia de atraso
+    const penalty = (AMOUNT * 2000n * BigInt(ONE_DAY)) / (10000n * ONE_YEAR);
+    expect(amount).to.be.closeTo(DEBT + penalty, penalty / 1000n);
+    expect(await nft.ownerOf(1)).to.equal(borrower.address);
+  });
+
+  it("should sell lots in a Dutch auction, paying the lender first and returning the rest to the borrower", async function () {
+    const loanId = await openLoan([1, 2]);
+    await time.increase(2 * ONE_DAY);
+    await expect(core.liquidateLoan(loanId))
+      .to.emit(auction, "AuctionStarted")
+      .withArgs(loanId, 1, DEBT, 2);
+    expect(await nft.ownerOf(1)).to.equal(deployment.contracts.LiquidationAuction);
+
+    const state = await bidderAClient.getAuction(loanId);
+    expect(state.kind).to.equal("dutch");
+    expect(state.lot.floorPrice).to.equal(DEBT / 2n);
+
+    const lenderBefore = await ethers.provider.getBalance(lender.address);
+    const borrowerBefore = await ethers.provider.getBalance(borrower.address);
+    const { price } = await bidderAClient.buyLot(loanId);
+
+    // Preço inicial de 200% da dívida: cobre tudo na primeira venda
+    expect(price).to.be.greaterThan(DEBT);
+    expect(await ethers.provider.getBalance(lender.address)).to.equal(lenderBefore + DEBT);
+    expect(await ethers.provider.getBalance(borrower.address)).to.equal(borrowerBefore + price - DEBT);
+    expect(await nft.ownerOf(1)).to.equal(bidderA.address);
+    expect(await nft.ownerOf(2)).to.equal(borrower.address);
+
+    const settled = await bidderAClient.getAuction(loanId);
+    expect(settled.settled).to.be.true;
+    expect(settled.debt).to.equal(0);
+    expect(settled.lot).to.be.null;
+  });
+
+  it("should sell to the highest English bidder and refund the outbid one", async function () {
+    const loanId = await openLoan();
+    await lenderClient.setAuctionPreference(loanId, "english");
+    await time.increase(2 * ONE_DAY);
+    await core.liquidateLoan(loanId);
+
+    const { amount: firstBid } = await bidderAClient.bid(loanId);
+    expect(firstBid).to.equal(DEBT / 2n);
+    await expect(bidderBClient.bid(loanId, firstBid)).to.be.rejectedWith("Bid too low");
+
+    const bidderABefore = await ethers.provider.getBalance(bidderA.address);
+    const secondBid = ethers.parseEther("0.8");
+    await bidderBClient.bid(loanId, secondBid);
+    expect(await ethers.provider.getBalance(bidderA.address)).to.equal(bidderABefore + firstBid);
+
+    await expect(bidderAClient.settleLot(loanId)).to.be.rejectedWith(AuctionNotActiveError, "Lot sale not ended");
+    await time.increase(ONE_DAY + 1);
+    await expect(auction.settleLot(loanId))
+      .to.emit(auction, "AuctionSettled")
+      .withArgs(loanId, secondBid, DEBT - secondBid, 0);
+    expect(await nft.ownerOf(1)).to.equal(bidderB.address);
+  });
+
+  it("should give unsold lots to the lender at the floor price", async function () {
+    const loanId = await openLoan([1, 2]);
+    await time.increase(2 * ONE_DAY);
+    await core.liquidateLoan(loanId);
+    await time.increase(ONE_DAY + 1);
+
+    await expect(bidderAClient.buyLot(loanId)).to.be.rejectedWith(AuctionNotActiveError, "Lot sale ended");
+    await expect(auction.settleLot(loanId))
+      .to.emit(auction, "LotUnsold")
+      .withArgs(loanId, 0, lender.address, DEBT / 2n);
+    expect(await nft.ownerOf(1)).to.equal(lender.address);
+
+    // O próximo lote é precificado sobre o que ainda é devido
+    const state = await bidderAClient.getAuction(loanId);
+    expect(state.debt).to.equal(DEBT - DEBT / 2n);
+    expect(state.lot.index).to.equal(1);
+    expect(state.lot.floorPrice).to.equal((DEBT - DEBT / 2n) / 2n);
+  });
+});
@@ -0,0 +1,150 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { Indexer, JsonStore } = require("../indexer");
+const { LiquidationKeeper, LIQUIDATED, DRY_RUN, SKIPPED, readFlag } = require("../keeper");
+const { loadProtocol, clientsFor, ONE_DAY, quiet } = require("./helpers/protocol");
+
+describe("LiquidationKeeper", function () {
+  let deployment, nft, borrower, lender, keeperAccount, shortLoan, longLoan;
+
+  function createKeeper(options = {}) {
+    const indexer = new Indexer({ provider: ethers.provider, deployment, store: new JsonStore(), log: quiet });
+    return new LiquidationKeeper({ indexer, signer: keeperAccount, retryDelay: 0, log: quiet, ...options });
+  }
+
+  beforeEach(async function () {
+    [, borrower, lender, keeperAccount] = await ethers.getSigners();
+    deployment = await loadProtocol();
+
+    nft = await ethers.deployContract("MockERC721", ["Mock", "MOCK"]);
+    await nft.mint(borrower.address, 1);
+    await nft.mint(borrower.address, 2);
+
+    const [borrowerClient, lenderClient] = clientsFor(deployment, borrower, lender);
+    const openLoan = async (tokenId, duration) => {
+      const { proposalId } = await borrowerClient.createProposal({
+        collateral: [{ nftAddress: await nft.getAddress(), tokenId }],
+        amount: ethers.parseEther("1"),
+        duration,
+        interestRate: 20
+      });
+      return (await lenderClient.accept(proposalId)).loanId.toString();
+    };
+
+    shortLoan = await openLoan(1, ONE_DAY);
+    longLoan = await openLoan(2, 30 * ONE_DAY);
+  });
+
+  it("should leave loans alone until they default", async function () {
+    expect(await createKeeper().runOnce()).to.deep.equal([]);
+  });
+
+  it("should only simulate liquidations in dry-run mode", async function () {
+    await time.increase(2 * ONE_DAY);
+
+    const outcomes = await createKeeper({ dryRun: true }).runOnce();
+    expect(outcomes.map(outcome => [outcome.loanId, outcome.status])).to.deep.equal([[shortLoan, DRY_RUN]]);
+    expect(await nft.ownerOf(1)).to.not.equal(lender.address);
+  });
+
+  it("should liquidate defaulted loans after the grace period and send the collateral to auction", async function () {
+    const core = await ethers.getContractAt("YapLendCore", deployment.contracts.YapLendCore);
+    await core.setGracePeriod(ONE_DAY);
+    const keeper = createKeeper();
+
+    // Past the due date but still within the grace period
+    await time.increase(ONE_DAY + ONE_DAY / 2);
+    expect(await keeper.runOnce()).to.deep.equal([]);
+    expect((await keeper.liquidate({ id: shortLoan })).error).to.equal("in grace period");
+
+    await time.increase(ONE_DAY);
+    const [outcome] = await keeper.runOnce();
+    expect(outcome.status).to.equal(LIQUIDATED);
+    expect(outcome.issues).to.deep.equal([]);
+    expect(await nft.ownerOf(1)).to.equal(deployment.contracts.LiquidationAuction);
+
+    // The loan is now closed in the index; the long loan is still running
+    expect(await keeper.runOnce()).to.deep.equal([]);
+    expect(keeper.indexer.store.getLoans({ status: "active" }).map(loan => loan.id)).to.deep.equal([longLoan]);
+  });
+
+  it("should check ERC1155 and punk collateral by balance and punk owner after liquidating", async function () {
+    const collateralManager = await ethers.getContractAt("CollateralManager", deployment.contracts.CollateralManager);
+    const editions = await ethers.deployContract("MockERC1155");
+    const punks = await ethers.deployContract("MockPunks");
+    await collateralManager.setCollectionAssetType(await editions.getAddress(), 1);
+    await collateralManager.setCollectionAssetType(await punks.getAddress(), 2);
+    await editions.mint(borrower.address, 5, 10);
+    await punks.setInitialOwner(borrower.address, 7);
+
+    const [borrowerClient, lenderClient] = clientsFor(deployment, borrower, lender);
+    const { proposalId } = await borrowerClient.createProposal({
+      collateral: [
+        { nftAddress: await editions.getAddress(), tokenId: 5, quantity: 4 },
+        { nftAddress: await punks.getAddress(), tokenId: 7 }
+      ],
+      amount: ethers.parseEther("1"),
+      duration: ONE_DAY,
+      interestRate: 20
+    });
+    const loanId = (await lenderClient.accept(proposalId)).loanId.toString();
+
+    await time.increase(2 * ONE_DAY);
+    const outcomes = await createKeeper().runOnce();
+    const outcome = outcomes.find(item => item.loanId === loanId);
+    expect(outcome.status).to.equal(LIQUIDATED);
+    expect(outcome.issues).to.deep.equal([]);
+    expect(await editions.balanceOf(deployment.contracts.LiquidationAuction, 5)).to.equal(4n);
+    expect(await punks.punkIndexToAddress(7)).to.equal(deployment.contracts.LiquidationAuction);
+  });
+
+  it("should skip loans closed on chain but still active in the index", async function () {
+    await time.increase(2 * ONE_DAY);
+    const keeper = createKeeper();
+    await keeper.indexer.sync();
+
+    const yapLendCore = await ethers.getContractAt("YapLendCore", deployment.contracts.YapLendCore);
+    await yapLendCore.connect(lender).liquidateLoan(shortLoan);
+
+    const outcome = await keeper.liquidate(keeper.indexer.store.getLoans({ status: "active" })[0]);
+    expect(outcome.status).to.equal(SKIPPED);
+    expect(outcome.error).to.equal("already liquidated");
+  });
+
+  it("should retry transient failures with a fresh nonce", async function () {
+    await time.increase(2 * ONE_DAY);
+    const keeper = createKeeper();
+
+    // First submission fails as if the RPC dropped the request
+    const send = keeperAccount.sendTransaction.bind(keeperAccount);
+    let failures = 1;
+    keeperAccount.sendTransaction = async tx => {
+      if (failures-- > 0) {
+        throw Object.assign(new Error("connection reset"), { code: "NETWORK_ERROR" });
+      }
+      return send(tx);
+    };
+
+    try {
+      const [outcome] = await keeper.runOnce();
+      expect(outcome.status).to.equal(LIQUIDATED);
+      expect(outcome.attempts).to.equal(2);
+    } finally {
+      delete keeperAccount.sendTransaction;
+    }
+  });
+
+  it("should parse the script switches strictly", function () {
+    const read = (env, argv = []) => readFlag("--dry-run", "KEEPER_DRY_RUN", { argv, env });
+    expect(read({})).to.be.false;
+    expect(read({ KEEPER_DRY_RUN: "" })).to.be.false;
+    expect(read({ KEEPER_DRY_RUN: "0" })).to.be.false;
+    expect(read({ KEEPER_DRY_RUN: "false" })).to.be.false;
+    expect(read({ KEEPER_DRY_RUN: "1" })).to.be.true;
+    expect(read({ KEEPER_DRY_RUN: "TRUE" })).to.be.true;
+    expect(read({ KEEPER_DRY_RUN: "0" }, ["--dry-run"])).to.be.true;
+    expect(() => read({ KEEPER_DRY_RUN: "no" })).to.throw("KEEPER_DRY_RUN must be 1, true, 0 or false");
+  });
+});
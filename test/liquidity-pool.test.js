@@ -0,0 +1,191 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { YapLendClient, InvalidTermsError, InsufficientFundsError } = require("../sdk");
+const { loadProtocol, ONE_DAY } = require("./helpers/protocol");
+
+// Empréstimos financiados pelo pool, com utilização e curva de juros a partir dos dados reais
+describe("liquidity pool lending", function () {
+  const DEPOSIT = ethers.parseEther("10");
+
+  let deployment, owner, borrower, provider;
+  let nft, core, pool, borrowerClient, providerClient;
+
+  beforeEach(async function () {
+    [owner, borrower, provider] = await ethers.getSigners();
+    deployment = await loadProtocol();
+
+    core = await ethers.getContractAt("YapLendCore", deployment.contracts.YapLendCore);
+    pool = await ethers.getContractAt("LiquidityPool", deployment.contracts.LiquidityPool);
+    providerClient = new YapLendClient(provider, deployment);
+    await providerClient.depositLiquidity(DEPOSIT);
+    await pool.setLoanLimits(ethers.parseEther("5"), 30 * ONE_DAY);
+
+    nft = await ethers.deployContract("MockERC721", ["Mock", "MOCK"]);
+    await nft.mint(borrower.address, 1);
+
+    borrowerClient = new YapLendClient(borrower, deployment);
+  });
+
+  function borrow(amount, duration = 7 * ONE_DAY) {
+    return borrowerClient.borrowFromPool({
+      collateral: [{ nftAddress: nft.target, tokenId: 1 }],
+      amount,
+      duration
+    });
+  }
+
+  it("should lend from the pool and track utilization through paydowns and repayment", async function () {
+    const { loanId, interestRate } = await borrow(ethers.parseEther("4"));
+
+    // 40% de utilização: 2% + 40/80 de 10% = 7% ao ano
+    expect(interestRate).to.equal(7);
+    const loan = await borrowerClient.getLoan(loanId);
+    expect(loan.lender).to.equal(deployment.contracts.LiquidityPool);
+    expect(loan.interestRate).to.equal(7);
+
+    let stats = await borrowerClient.getPoolStats();
+    expect(stats.totalBorrowed).to.equal(ethers.parseEther("4"));
+    expect(stats.cash).to.equal(ethers.parseEther("6"));
+    expect(stats.utilization).to.equal(40);
+    // Os provedores recebem a taxa sobre a parte emprestada
+    expect(stats.liquidityAPY).to.equal(2.8);
+
+    await time.increase(ONE_DAY);
+    await borrowerClient.repayPartial(loanId, ethers.parseEther("1"));
+    expect(await pool.loanPrincipal(loanId)).to.equal(ethers.parseEther("3"));
+    expect(await pool.totalBorrowed()).to.equal(ethers.parseEther("3"));
+
+    await borrowerClient.repay(loanId);
+    expect(await pool.loanPrincipal(loanId)).to.equal(0);
+    stats = await borrowerClient.getPoolStats();
+    expect(stats.totalBorrowed).to.equal(0);
+    expect(stats.utilization).to.equal(0);
+    expect(stats.liquidityAPY).to.equal(2); // minAPY
+    // Os juros (menos a taxa do protocolo) ficam no pool
+    expect(stats.cash).to.be.greaterThan(DEPOSIT);
+    expect(await nft.ownerOf(1)).to.equal(borrower.address);
+  });
+
+  it("should price loans on the kinked curve and enforce the pool limits", async function () {
+    expect(await pool.borrowRateAt(0)).to.equal(200);
+    expect(await pool.borrowRateAt(8000)).to.equal(1200);
+    expect(await pool.borrowRateAt(9000)).to.equal(4200);
+    expect(await pool.borrowRateAt(10000)).to.equal(7200);
+
+    await expect(borrow(ethers.parseEther("6"))).to.be.rejectedWith(InvalidTermsError, "Amount above pool limit");
+    await expect(borrow(ethers.parseEther("1"), 31 * ONE_DAY)).to.be.rejectedWith(InvalidTermsError, "Duration above pool limit");
+
+    await pool.setLoanLimits(ethers.parseEther("20"), 30 * ONE_DAY);
+    await expect(borrow(ethers.parseEther("11"))).to.be.rejectedWith(InvalidTermsError, "Insufficient pool liquidity");
+
+    // Acima do kink a taxa sobe pela segunda inclinação
+    const { interestRate } = await borrow(ethers.parseEther("9"));
+    expect(interestRate).to.equal(42);
+
+    await expect(pool.setRateCurve(0, 50000, 50001)).to.be.revertedWith("Borrow rate too high");
+    await expect(pool.connect(borrower).repay(0, { value: 1 })).to.be.revertedWith("Only YapLendCore can call");
+  });
+
+  it("should write off defaulted loans and hold the seized collateral", async function () {
+    const auction = await ethers.getContractAt("LiquidationAuction", deployment.contracts.LiquidationAuction);
+    await auction.setDefaultKind(0);
+
+    const { loanId } = await borrow(ethers.parseEther("2"), ONE_DAY);
+    await time.increase(2 * ONE_DAY);
+    await expect(core.liquidateLoan(loanId))
+      .to.emit(pool, "PoolLoanWrittenOff")
+      .withArgs(loanId, ethers.parseEther("2"));
+
+    expect(await pool.totalBorrowed()).to.equal(0);
+    expect(await pool.utilizationRatio()).to.equal(0);
+    expect(await nft.ownerOf(1)).to.equal(deployment.contracts.LiquidityPool);
+
+    await pool.transferCollateral(nft.target, 1, owner.address);
+    expect(await nft.ownerOf(1)).to.equal(owner.address);
+  });
+
+  it("should grow the value of LP shares with interest repaid, net of the protocol fee", async function () {
+    // Primeiro depósito a 1:1
+    expect(await pool.balanceOf(provider.address)).to.equal(DEPOSIT);
+    expect(await pool.previewRedeem(DEPOSIT)).to.equal(DEPOSIT);
+
+    const { loanId } = await borrow(ethers.parseEther("4"), 30 * ONE_DAY);
+    await time.increase(20 * ONE_DAY);
+    const { amount } = await borrowerClient.repay(loanId);
+    const interest = amount - ethers.parseEther("4");
+    const fee = (interest * 500n) / 10000n;
+
+    const position = await providerClient.getPoolPosition();
+    expect(position.assets).to.be.closeTo(DEPOSIT + interest - fee, 1n);
+    expect((await providerClient.getPoolStats()).totalAssets).to.equal(DEPOSIT + interest - fee);
+
+    // Quem entra depois recebe menos shares pelo mesmo valor
+    const late = await pool.previewDeposit(DEPOSIT);
+    expect(late).to.be.lessThan(DEPOSIT);
+    const { shares } = await new YapLendClient(owner, deployment).depositLiquidity(DEPOSIT);
+    expect(shares).to.equal(late);
+    expect(await pool.previewWithdraw(await pool.previewRedeem(shares))).to.be.closeTo(shares, 1n);
+
+    const before = await ethers.provider.getBalance(provider.address);
+    const { queued, assets } = await providerClient.redeemLiquidity(DEPOSIT);
+    expect(queued).to.be.false;
+    expect(assets).to.be.closeTo(position.assets, 1n);
+    expect(await ethers.provider.getBalance(provider.address)).to.be.greaterThan(before + DEPOSIT);
+  });
+
+  it("should queue redemptions while the pool is lent out and pay them as loans are repaid", async function () {
+    const { loanId } = await borrow(ethers.parseEther("5"));
+    expect((await providerClient.getPoolPosition()).maxWithdraw).to.equal(ethers.parseEther("5"));
+    await expect(pool.connect(provider).redeem(DEPOSIT, provider.address, provider.address))
+      .to.be.revertedWith("Insufficient pool balance");
+
+    const { queued, requestId } = await providerClient.redeemLiquidity(DEPOSIT);
+    expect(queued).to.be.true;
+    expect(await pool.balanceOf(provider.address)).to.equal(0);
+    expect(await pool.queueHead()).to.equal(requestId);
+
+    // Com resgates na fila, o caixa não sai nem para empréstimos nem para saques imediatos
+    await nft.mint(borrower.address, 2);
+    await expect(borrowerClient.borrowFromPool({
+      collateral: [{ nftAddress: nft.target, tokenId: 2 }],
+      amount: ethers.parseEther("1"),
+      duration: ONE_DAY
+    })).to.be.rejectedWith(InvalidTermsError, "Withdrawals queued");
+    const lateClient = new YapLendClient(owner, deployment);
+    await lateClient.depositLiquidity(ethers.parseEther("1"));
+    await expect(pool.withdrawLiquidity(ethers.parseEther("1")))
+      .to.be.revertedWith("Withdrawals queued, use requestRedeem");
+    await expect(providerClient.claimWithdrawal()).to.be.rejectedWith(InvalidTermsError, "Nothing to claim");
+
+    await time.increase(ONE_DAY);
+    await borrowerClient.repay(loanId);
+    expect(await pool.queueHead()).to.equal(requestId + 1n);
+
+    const { claimable } = await providerClient.getPoolPosition();
+    expect(claimable).to.be.greaterThan(DEPOSIT);
+    // O valor reservado não conta mais como ativo dos demais
+    expect(await pool.reservedPayouts()).to.equal(claimable);
+    const { assets } = await providerClient.claimWithdrawal();
+    expect(assets).to.equal(claimable);
+    expect(await pool.reservedPayouts()).to.equal(0);
+  });
+
+  it("should let a provider cancel a queued redemption", async function () {
+    await borrow(ethers.parseEther("5"));
+    const { requestId } = await providerClient.redeemLiquidity(DEPOSIT);
+
+    await expect(pool.connect(borrower).cancelRedeem(requestId)).to.be.revertedWith("Not the request owner");
+    await expect(pool.connect(provider).cancelRedeem(requestId))
+      .to.emit(pool, "WithdrawalCancelled")
+      .withArgs(requestId, provider.address, DEPOSIT);
+    expect(await pool.balanceOf(provider.address)).to.equal(DEPOSIT);
+
+    // Entrada cancelada é pulada pela fila
+    await pool.processWithdrawalQueue();
+    expect(await pool.queueHead()).to.equal(requestId + 1n);
+    await expect(providerClient.redeemLiquidity(ethers.parseEther("20")))
+      .to.be.rejectedWith(InsufficientFundsError);
+  });
+});
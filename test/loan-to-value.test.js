@@ -0,0 +1,112 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { InvalidTermsError, StalePriceError } = require("../sdk");
+const { loadProtocol, clientsFor, ONE_DAY } = require("./helpers/protocol");
+
+// Limite de LTV por coleção, com o preço do oracle, na criação dos empréstimos
+describe("loan-to-value limits", function () {
+  const FLOOR = ethers.parseEther("2");
+
+  let deployment, borrower, lender;
+  let nft, collateralManager, oracle, borrowerClient, lenderClient;
+
+  beforeEach(async function () {
+    [, borrower, lender] = await ethers.getSigners();
+    deployment = await loadProtocol();
+
+    collateralManager = await ethers.getContractAt("CollateralManager", deployment.contracts.CollateralManager);
+    oracle = await ethers.getContractAt("PriceOracle", deployment.contracts.PriceOracle);
+
+    nft = await ethers.deployContract("MockERC721", ["Mock", "MOCK"]);
+    await nft.mint(borrower.address, 1);
+    await oracle.updateCollectionPrice(await nft.getAddress(), FLOOR);
+    await collateralManager.setMaxLoanToValue(await nft.getAddress(), 5000);
+
+    [borrowerClient, lenderClient] = clientsFor(deployment, borrower, lender);
+  });
+
+  async function propose(amount) {
+    const { proposalId } = await borrowerClient.createProposal({
+      collateral: [{ nftAddress: await nft.getAddress(), tokenId: 1 }],
+      amount,
+      duration: 7 * ONE_DAY,
+      interestRate: 40
+    });
+    return proposalId;
+  }
+
+  it("should reject loans above the collection's max LTV and record the LTV of the others", async function () {
+    const collateral = [{ nftAddress: await nft.getAddress(), tokenId: 1 }];
+    const quote = await borrowerClient.quoteLoanToValue({ collateral, amount: ethers.parseEther("1.2") });
+    expect(quote).to.deep.equal({ collateralValue: FLOOR, loanToValue: 60, maxAmount: ethers.parseEther("1"), withinLimit: false });
+
+    const tooMuch = await propose(ethers.parseEther("1.2"));
+    await expect(lenderClient.accept(tooMuch)).to.be.rejectedWith(InvalidTermsError, "Loan exceeds max LTV");
+    expect(await nft.ownerOf(1)).to.equal(borrower.address);
+    await borrowerClient.cancel(tooMuch);
+
+    const proposalId = await propose(ethers.parseEther("0.8"));
+    const { loanId } = await lenderClient.accept(proposalId);
+    expect(await borrowerClient.getLoanToValue(loanId)).to.equal(40);
+    expect(await collateralManager.loanToValue(loanId)).to.equal(4000);
+
+    // Coleções sem LTV configurado não são precificadas
+    const other = await ethers.deployContract("MockERC721", ["Other", "OTH"]);
+    const unpriced = await borrowerClient.quoteLoanToValue({ collateral: [{ nftAddress: await other.getAddress(), tokenId: 1 }], amount: FLOOR });
+    expect(unpriced.withinLimit).to.be.true;
+    expect(unpriced.loanToValue).to.be.null;
+  });
+
+  it("should refuse to price loans on a stale floor", async function () {
+    const proposalId = await propose(ethers.parseEther("0.5"));
+    await time.increase(ONE_DAY + 1);
+
+    await expect(lenderClient.accept(proposalId)).to.be.rejectedWith(StalePriceError, "Price data is stale");
+    await expect(borrowerClient.quoteLoanToValue({
+      collateral: [{ nftAddress: await nft.getAddress(), tokenId: 1 }],
+      amount: ethers.parseEther("0.5")
+    })).to.be.rejectedWith(StalePriceError, "Price data is stale");
+
+    // Com o preço atualizado o empréstimo sai
+    await oracle.updateCollectionPrice(await nft.getAddress(), FLOOR);
+    const { loanId } = await lenderClient.accept(proposalId);
+    expect(await borrowerClient.getLoanToValue(loanId)).to.equal(25);
+  });
+
+  it("should check counter-offers before locking funds and cap the LTV by the collateral ratio", async function () {
+    const proposalId = await propose(ethers.parseEther("0.5"));
+    await expect(lenderClient.counterOffer({
+      proposalId,
+      amount: ethers.parseEther("1.5"),
+      duration: 7 * ONE_DAY,
+      interestRate: 40,
+      validity: ONE_DAY
+    })).to.be.rejectedWith(InvalidTermsError, "Loan exceeds max LTV");
+
+    const { proposalId: counterId } = await lenderClient.counterOffer({
+      proposalId,
+      amount: ethers.parseEther("1"),
+      duration: 7 * ONE_DAY,
+      interestRate: 40,
+      validity: ONE_DAY
+    });
+    expect((await borrowerClient.getProposal(counterId)).amount).to.equal(ethers.parseEther("1"));
+
+    // A mesma regra fica exposta como view no CollateralManager
+    const nftAddress = await nft.getAddress();
+    expect(await collateralManager.checkLoanToValue([nftAddress], [1], [], ethers.parseEther("1"), ethers.ZeroAddress))
+      .to.deep.equal([FLOOR, 5000n]);
+    await expect(collateralManager.checkLoanToValue([nftAddress], [1], [], ethers.parseEther("1.5"), ethers.ZeroAddress))
+      .to.be.revertedWith("Loan exceeds max LTV");
+    await expect(collateralManager.checkLoanToValue([nftAddress], [1], [1, 1], 1, ethers.ZeroAddress))
+      .to.be.revertedWith("Arrays length mismatch");
+
+    // 150% de colateral mínimo: no máximo 66,66% de LTV
+    await expect(collateralManager.setMaxLoanToValue(await nft.getAddress(), 6700)).to.be.revertedWith("LTV above collateral ratio");
+    await expect(collateralManager.setMaxLoanToValue(await nft.getAddress(), 6666))
+      .to.emit(collateralManager, "MaxLoanToValueUpdated")
+      .withArgs(await nft.getAddress(), 6666);
+  });
+});
@@ -0,0 +1,153 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { YapLendClient, InvalidTermsError } = require("../sdk");
+const { loadProtocol, ONE_DAY } = require("./helpers/protocol");
+
+// Ledger do vault: cada valor retido fica registrado por loan, beneficiário e tipo
+describe("LoanVault ledger", function () {
+  const AMOUNT = ethers.parseEther("1");
+  const INTEREST = (AMOUNT * 4000n * 5n) / 1000000n;
+  const FEE = (INTEREST * 500n) / 10000n;
+  const [PRINCIPAL, INTEREST_ENTRY, PROTOCOL_FEE] = [0, 1, 2];
+
+  let deployment, owner, borrower, feeCollector;
+  let nft, core, vault, proposalManager, borrowerClient;
+
+  beforeEach(async function () {
+    [owner, borrower, , feeCollector] = await ethers.getSigners();
+    deployment = await loadProtocol();
+
+    core = await ethers.getContractAt("YapLendCore", deployment.contracts.YapLendCore);
+    vault = await ethers.getContractAt("LoanVault", deployment.contracts.LoanVault);
+    proposalManager = await ethers.getContractAt("ProposalManager", deployment.contracts.ProposalManager);
+    await core.setFeeCollector(feeCollector.address);
+
+    nft = await ethers.deployContract("MockERC721", ["Mock", "MOCK"]);
+    await nft.mint(borrower.address, 1);
+    borrowerClient = new YapLendClient(borrower, deployment);
+  });
+
+  // Loan aceito por um contrato lender que pode recusar pagamentos
+  async function openLoan(lender, currency) {
+    const { proposalId } = await borrowerClient.createProposal({
+      collateral: [{ nftAddress: await nft.getAddress(), tokenId: 1 }],
+      amount: AMOUNT,
+      duration: 30 * ONE_DAY,
+      interestRate: 40,
+      currency
+    });
+    const receipt = await (await lender.execute(
+      deployment.contracts.ProposalManager,
+      proposalManager.interface.encodeFunctionData("acceptProposal", [proposalId]),
+      { value: currency ? 0 : AMOUNT }
+    )).wait();
+    return receipt.logs
+      .map(log => {
+        try {
+          return proposalManager.interface.parseLog(log);
+        } catch (error) {
+          return null;
+        }
+      })
+      .find(parsed => parsed && parsed.name === "ProposalAccepted").args.loanId;
+  }
+
+  it("should split failed payouts by beneficiary and kind and pay each only their own", async function () {
+    const lender = await ethers.deployContract("MockRevertingReceiver");
+    const collector = await ethers.deployContract("MockRevertingReceiver");
+    const lenderAddress = await lender.getAddress();
+    const collectorAddress = await collector.getAddress();
+    await core.setFeeCollector(collectorAddress);
+
+    const loanId = await openLoan(lender);
+    await lender.setRejectPayments(true);
+    await collector.setRejectPayments(true);
+    await time.increase(ONE_DAY);
+    await borrowerClient.repay(loanId);
+
+    // O borrower nunca sacou o principal; lender e coletor recusaram os pagamentos
+    expect(await vault.ledger(loanId, borrower.address, PRINCIPAL)).to.equal(AMOUNT);
+    expect(await vault.ledger(loanId, lenderAddress, PRINCIPAL)).to.equal(AMOUNT);
+    expect(await vault.ledger(loanId, lenderAddress, INTEREST_ENTRY)).to.equal(INTEREST - FEE);
+    expect(await vault.ledger(loanId, collectorAddress, PROTOCOL_FEE)).to.equal(FEE);
+    expect(await vault.unclaimedBalance(lenderAddress, ethers.ZeroAddress)).to.equal(AMOUNT + INTEREST - FEE);
+    expect(await vault.loanDeposits(loanId)).to.equal(2n * AMOUNT + INTEREST);
+
+    expect(await borrowerClient.getVaultBalance(loanId, lenderAddress)).to.deep.equal({
+      principal: AMOUNT, interest: INTEREST - FEE, protocolFee: 0n, excessRefund: 0n, total: AMOUNT + INTEREST - FEE
+    });
+
+    await expect(vault.connect(borrower).claim(loanId))
+      .to.emit(vault, "Claimed")
+      .withArgs(loanId, borrower.address, borrower.address, AMOUNT);
+    await expect(vault.connect(borrower).claim(loanId)).to.be.revertedWith("Nothing to claim");
+    await expect(vault.claimFor(loanId, lenderAddress)).to.be.revertedWith("Transfer failed");
+
+    // Só a taxa vai para o novo coletor; o que é do lender continua no ledger
+    await expect(vault.connect(borrower).recoverFailedFees(loanId, collectorAddress))
+      .to.be.revertedWithCustomError(vault, "OwnableUnauthorizedAccount");
+    await core.setFeeCollector(feeCollector.address);
+    await expect(vault.recoverFailedFees(loanId, collectorAddress)).to.changeEtherBalance(feeCollector, FEE);
+    await expect(vault.recoverFailedFees(loanId, collectorAddress)).to.be.revertedWith("No fees to recover");
+    expect(await vault.claimableBalance(loanId, lenderAddress)).to.equal(AMOUNT + INTEREST - FEE);
+
+    await lender.setRejectPayments(false);
+    await expect(lender.execute(deployment.contracts.LoanVault, vault.interface.encodeFunctionData("claim", [loanId])))
+      .to.changeEtherBalance(lender, AMOUNT + INTEREST - FEE);
+    expect(await vault.loanDeposits(loanId)).to.equal(0);
+    expect(await vault.unclaimedBalance(lenderAddress, ethers.ZeroAddress)).to.equal(0);
+    expect(await ethers.provider.getBalance(deployment.contracts.LoanVault)).to.equal(0);
+  });
+
+  it("should hold token loan funds in the loan currency", async function () {
+    const usdc = await ethers.deployContract("MockERC20", ["USD Coin", "USDC", 6]);
+    const currency = await usdc.getAddress();
+    await core.setCurrencyAllowed(currency, true);
+    const lender = await ethers.deployContract("MockRevertingReceiver");
+    const lenderAddress = await lender.getAddress();
+    await usdc.mint(lenderAddress, AMOUNT);
+    await lender.execute(currency, usdc.interface.encodeFunctionData("approve", [deployment.contracts.ProposalManager, AMOUNT]));
+    // O borrower paga com fundos próprios e deixa o principal no vault
+    await usdc.mint(borrower.address, AMOUNT + INTEREST);
+
+    const loanId = await openLoan(lender, currency);
+    await usdc.setBlocked(lenderAddress, true);
+    await time.increase(ONE_DAY);
+    await borrowerClient.repay(loanId);
+
+    expect(await vault.unclaimedBalance(lenderAddress, currency)).to.equal(AMOUNT + INTEREST - FEE);
+    expect(await vault.unclaimedBalance(lenderAddress, ethers.ZeroAddress)).to.equal(0);
+    expect(await vault.unclaimedBalance(borrower.address, currency)).to.equal(AMOUNT);
+
+    await vault.connect(borrower).withdraw(loanId, AMOUNT / 2n);
+    await expect(vault.connect(borrower).withdraw(loanId, AMOUNT)).to.be.revertedWith("Insufficient funds in loan vault");
+    await vault.connect(borrower).claim(loanId);
+    expect(await usdc.balanceOf(borrower.address)).to.equal(AMOUNT);
+
+    await usdc.setBlocked(lenderAddress, false);
+    await vault.claimFor(loanId, lenderAddress);
+    expect(await usdc.balanceOf(lenderAddress)).to.equal(AMOUNT + INTEREST - FEE);
+    expect(await usdc.balanceOf(deployment.contracts.LoanVault)).to.equal(0);
+  });
+
+  it("should give lenderless loan funds to the owner and only take ledger credits from YapLendCore", async function () {
+    await nft.connect(borrower).approve(deployment.contracts.CollateralManager, 1);
+    const created = await (await core.connect(borrower)["createLoan(address[],uint256[],uint256,uint256,uint256)"]([await nft.getAddress()], [1], AMOUNT, 30 * ONE_DAY, 4000, { value: AMOUNT })).wait();
+    const loanId = created.logs.map(log => core.interface.parseLog(log)).find(parsed => parsed && parsed.name === "LoanCreated").args.loanId;
+    expect(await vault.ledger(loanId, borrower.address, PRINCIPAL)).to.equal(AMOUNT);
+
+    await time.increase(ONE_DAY);
+    await borrowerClient.repay(loanId);
+    expect(await vault.claimableBalance(loanId, ethers.ZeroAddress)).to.equal(AMOUNT + INTEREST - FEE);
+    await expect(vault.claimFor(loanId, ethers.ZeroAddress))
+      .to.emit(vault, "Claimed")
+      .withArgs(loanId, ethers.ZeroAddress, owner.address, AMOUNT + INTEREST - FEE);
+
+    await expect(vault.credit(loanId, borrower.address, PRINCIPAL, 1, { value: 1 })).to.be.revertedWith("Only YapLendCore can call");
+    await expect(vault.assignLegacyDeposit(loanId, borrower.address, PRINCIPAL, 1)).to.be.revertedWith("Exceeds unassigned deposits");
+    await expect(borrowerClient.claimVaultFunds(loanId)).to.be.fulfilled;
+    await expect(borrowerClient.claimVaultFunds(loanId)).to.be.rejectedWith(InvalidTermsError, "Nothing to claim");
+  });
+});
@@ -0,0 +1,121 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  InvalidTermsError,
+  ProposalNotActiveError,
+  orders
+} = require("../sdk");
+const { loadProtocol, clientsFor, ONE_DAY } = require("./helpers/protocol");
+
+// Propostas e ofertas assinadas off-chain (EIP-712) e executadas em uma única transação
+describe("signed order book", function () {
+  const AMOUNT = ethers.parseEther("1");
+
+  let deployment, borrower, lender, relayer;
+  let nft, core, orderBook, borrowerClient, lenderClient, relayerClient;
+
+  beforeEach(async function () {
+    [, borrower, lender, relayer] = await ethers.getSigners();
+    deployment = await loadProtocol();
+
+    core = await ethers.getContractAt("YapLendCore", deployment.contracts.YapLendCore);
+    orderBook = await ethers.getContractAt("OrderBook", deployment.contracts.OrderBook);
+
+    nft = await ethers.deployContract("MockERC721", ["Mock", "MOCK"]);
+    await nft.mint(borrower.address, 1);
+
+    [borrowerClient, lenderClient, relayerClient] = clientsFor(deployment, borrower, lender, relayer);
+  });
+
+  async function terms(overrides = {}) {
+    return {
+      collateral: [{ nftAddress: await nft.getAddress(), tokenId: 1 }],
+      amount: AMOUNT,
+      duration: 7 * ONE_DAY,
+      interestRate: 40,
+      validity: ONE_DAY,
+      ...overrides
+    };
+  }
+
+  it("should open a loan from a signed proposal and a matching signed offer", async function () {
+    const proposal = await borrowerClient.signProposal(await terms({ nonce: 1 }));
+    const offer = await lenderClient.signOffer(await terms({ nonce: 1 }));
+
+    // Os digests locais batem com os do contrato
+    const { chainId } = await ethers.provider.getNetwork();
+    const domain = orders.orderDomain(chainId, deployment.contracts.OrderBook);
+    expect(await orderBook.hashProposal(proposal.order)).to.equal(orders.hashOrder("proposal", domain, proposal.order));
+    expect(await orderBook.hashOffer(offer.order)).to.equal(orders.hashOrder("offer", domain, offer.order));
+    expect(orders.validateOrder(proposal, domain, { now: await time.latest() })).to.deep.equal({ valid: true, reason: null });
+
+    // Tokens nativos: só o lender pode executar, enviando o principal
+    await expect(orderBook.connect(relayer).executeOrder(proposal.order, proposal.signature, offer.order, offer.signature, { value: AMOUNT }))
+      .to.be.revertedWith("Lender must submit native orders");
+
+    const lenderBefore = await ethers.provider.getBalance(lender.address);
+    const { loanId } = await lenderClient.executeOrder(proposal, offer);
+    const loan = await borrowerClient.getLoan(loanId);
+    expect(loan.borrower).to.equal(borrower.address);
+    expect(loan.lender).to.equal(lender.address);
+    expect(loan.amount).to.equal(AMOUNT);
+    expect(loan.interestRate).to.equal(40);
+    expect(await nft.ownerOf(1)).to.not.equal(borrower.address);
+    expect(await ethers.provider.getBalance(lender.address)).to.be.lessThan(lenderBefore - AMOUNT);
+    expect(await orderBook.nonceUsed(borrower.address, 1)).to.be.true;
+
+    // Replay
+    await expect(orderBook.connect(lender).executeOrder(proposal.order, proposal.signature, offer.order, offer.signature, { value: AMOUNT }))
+      .to.be.revertedWith("Order expired or cancelled");
+  });
+
+  it("should let anyone relay token orders and reject mismatched or tampered orders", async function () {
+    const usdc = await ethers.deployContract("MockERC20", ["USD Coin", "USDC", 6]);
+    const currency = await usdc.getAddress();
+    await core.setCurrencyAllowed(currency, true);
+    await usdc.mint(lender.address, AMOUNT);
+
+    const proposal = await borrowerClient.signProposal(await terms({ currency }));
+    const cheaper = await lenderClient.signOffer(await terms({ currency, interestRate: 20 }));
+    await expect(relayerClient.executeOrder(proposal, cheaper)).to.be.rejectedWith(InvalidTermsError, "Orders do not match");
+    await expect(orderBook.executeOrder(proposal.order, proposal.signature, cheaper.order, cheaper.signature))
+      .to.be.revertedWith("Orders do not match");
+
+    const offer = await lenderClient.signOffer(await terms({ currency }));
+    const forged = { ...offer, order: { ...offer.order, maker: relayer.address } };
+    await expect(orderBook.executeOrder(proposal.order, proposal.signature, forged.order, forged.signature))
+      .to.be.revertedWith("Invalid signature");
+
+    const { loanId } = await relayerClient.executeOrder(proposal, offer);
+    expect((await core.loans(loanId)).currency).to.equal(currency);
+    expect(await usdc.balanceOf(deployment.contracts.LoanVault)).to.equal(AMOUNT);
+    expect(await usdc.balanceOf(lender.address)).to.equal(0);
+    expect(await usdc.balanceOf(deployment.contracts.OrderBook)).to.equal(0);
+  });
+
+  it("should cancel orders by nonce or in bulk", async function () {
+    const proposal = await borrowerClient.signProposal(await terms({ nonce: 5 }));
+    const offer = await lenderClient.signOffer(await terms({ nonce: 5 }));
+
+    await borrowerClient.cancelOrders([5]);
+    await expect(lenderClient.executeOrder(proposal, offer)).to.be.rejectedWith(ProposalNotActiveError, "Order expired or cancelled");
+
+    const fresh = await borrowerClient.signProposal(await terms({ nonce: 6 }));
+    await lenderClient.cancelAllOrders(10);
+    expect(await orderBook.minNonce(lender.address)).to.equal(10);
+    await expect(lenderClient.cancelAllOrders(10)).to.be.rejectedWith(InvalidTermsError, "Nonce too low");
+    await expect(orderBook.connect(lender).executeOrder(fresh.order, fresh.signature, offer.order, offer.signature, { value: AMOUNT }))
+      .to.be.revertedWith("Order expired or cancelled");
+
+    // Ordens expiradas são recusadas localmente antes de gastar gas
+    const renewed = await lenderClient.signOffer(await terms({ nonce: 10 }));
+    await time.increase(ONE_DAY + 1);
+    await expect(lenderClient.executeOrder(fresh, renewed)).to.be.rejectedWith(ProposalNotActiveError, "Order expired");
+
+    // Só contratos autorizados (e o owner) criam loans
+    await expect(core.connect(relayer).createLoan(borrower.address, lender.address, [await nft.getAddress()], [1], AMOUNT, ONE_DAY, 40))
+      .to.be.revertedWith("Unauthorized loan origination");
+  });
+});
@@ -0,0 +1,148 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { YapLendClient, attestations } = require("../sdk");
+const { loadProtocol, clientsFor } = require("./helpers/protocol");
+
+// Atestados EIP-712 de que o borrower (ou um delegate) controla o NFT em escrow
+describe("Ownership attestations", function () {
+  const ONE_HOUR = 60 * 60;
+  const ONE_DAY = 24 * ONE_HOUR;
+  const AMOUNT = ethers.parseEther("1");
+  const RATE = 4000;
+
+  let deployment, borrower, lender, outsider, delegate;
+  let nft, nftAddress, core, proposalManager, verifier, domain, borrowerClient, partnerClient;
+
+  beforeEach(async function () {
+    [, borrower, lender, outsider, delegate] = await ethers.getSigners();
+    deployment = await loadProtocol();
+    core = await ethers.getContractAt("YapLendCore", deployment.contracts.YapLendCore);
+    proposalManager = await ethers.getContractAt("ProposalManager", deployment.contracts.ProposalManager);
+    verifier = await ethers.getContractAt("NFTVerifier", deployment.contracts.NFTVerifier);
+
+    const { chainId } = await ethers.provider.getNetwork();
+    domain = attestations.attestationDomain(chainId, deployment.contracts.NFTVerifier);
+    [borrowerClient, partnerClient] = clientsFor(deployment, borrower, outsider);
+
+    nft = await ethers.deployContract("MockERC721", ["Mock", "MOCK"]);
+    nftAddress = await nft.getAddress();
+    await nft.mint(borrower.address, 1);
+  });
+
+  // Proposta aceita pelo lender; `account` pode ser um contrato via execute()
+  async function openLoan(account = borrower) {
+    const { proposalId } = account === borrower
+      ? await borrowerClient.createProposal({
+        collateral: [{ nftAddress, tokenId: 1 }],
+        amount: AMOUNT,
+        duration: 30 * ONE_DAY,
+        interestRate: 40
+      })
+      : await (async () => {
+        await account.execute(nftAddress, nft.interface.encodeFunctionData("approve", [deployment.contracts.CollateralManager, 1]));
+        const createProposal = proposalManager.interface.encodeFunctionData("createProposal", [[nftAddress], [1], AMOUNT, 30 * ONE_DAY, RATE]);
+        const receipt = await (await account.execute(deployment.contracts.ProposalManager, createProposal)).wait();
+        const created = receipt.logs
+          .filter(log => log.address === deployment.contracts.ProposalManager)
+          .map(log => proposalManager.interface.parseLog(log))
+          .find(parsed => parsed && parsed.name === "ProposalCreated");
+        return { proposalId: created.args.proposalId };
+      })();
+    const { loanId } = await new YapLendClient(lender, deployment).accept(proposalId);
+    const escrow = await ethers.getContractAt("NFTEscrow", await core.getEscrowAddress(loanId, nftAddress, 1));
+    return { loanId, escrow };
+  }
+
+  it("should verify a borrower's attestation on-chain and off-chain until signatureValidityPeriod runs out", async function () {
+    const { escrow } = await openLoan();
+    const signed = await borrowerClient.signOwnershipAttestation({ nftAddress, tokenId: 1 });
+    expect(signed.attestation).to.include({ signer: borrower.address, nftAddress, escrow: await escrow.getAddress() });
+
+    expect(await verifier.hashOwnershipAttestation(signed.attestation))
+      .to.equal(attestations.hashOwnershipAttestation(domain, signed.attestation));
+    expect(await verifier.verifyOwnershipAttestation(signed.attestation, signed.signature)).to.be.true;
+    expect(await partnerClient.verifyOwnershipAttestation(signed)).to.deep.equal({ valid: true, reason: null });
+
+    // Pelo escrow: verifyOwnership direto ou via NFTVerifier.verifyPartnerOwnership
+    const data = attestations.encodeVerificationData(signed);
+    expect(await escrow.connect(outsider).verifyOwnership(data)).to.be.true;
+    expect(await verifier.verifyPartnerOwnership(await escrow.getAddress(), data)).to.be.true;
+    expect(await escrow.connect(outsider).verifyOwnership("0x")).to.be.false;
+    expect(await escrow.connect(borrower).verifyOwnership("0x")).to.be.true;
+
+    await time.increase(ONE_HOUR + 1);
+    expect(await verifier.verifyOwnershipAttestation(signed.attestation, signed.signature)).to.be.false;
+    expect(await escrow.verifyOwnership(data)).to.be.false;
+    expect(await partnerClient.verifyOwnershipAttestation(signed)).to.deep.equal({ valid: false, reason: "Attestation expired" });
+    const now = await time.latest();
+    expect(attestations.validateOwnershipAttestation(signed, domain, { now, validityPeriod: 2 * ONE_HOUR }).valid).to.be.true;
+
+    await verifier.setSignatureValidityPeriod(2 * ONE_HOUR);
+    expect(await partnerClient.verifyOwnershipAttestation(signed)).to.deep.equal({ valid: true, reason: null });
+  });
+
+  it("should accept escrow delegates and reject outsiders, forgeries and released escrows", async function () {
+    const { loanId, escrow } = await openLoan();
+    const escrowAddress = await escrow.getAddress();
+    const issuedAt = await time.latest();
+    const params = { nftAddress, tokenId: 1, escrow: escrowAddress, issuedAt };
+
+    await escrow.connect(borrower).addDelegate(delegate.address);
+    const byDelegate = await attestations.signOwnershipAttestation(delegate, domain, params);
+    expect(await verifier.verifyOwnershipAttestation(byDelegate.attestation, byDelegate.signature)).to.be.true;
+
+    const byOutsider = await attestations.signOwnershipAttestation(outsider, domain, params);
+    expect(await partnerClient.verifyOwnershipAttestation(byOutsider))
+      .to.deep.equal({ valid: false, reason: "Signer does not control the NFT" });
+
+    // Assinado pelo outsider em nome do borrower
+    const forged = { attestation: { ...byOutsider.attestation, signer: borrower.address }, signature: byOutsider.signature };
+    expect(attestations.validateOwnershipAttestation(forged, domain, { now: issuedAt }).reason).to.equal("Invalid signature");
+    expect(await verifier.verifyOwnershipAttestation(forged.attestation, forged.signature)).to.be.false;
+
+    const future = await attestations.signOwnershipAttestation(borrower, domain, { ...params, issuedAt: issuedAt + 600 });
+    expect((await partnerClient.verifyOwnershipAttestation(future)).reason).to.equal("Attestation not yet valid");
+    expect(await verifier.verifyOwnershipAttestation(future.attestation, future.signature)).to.be.false;
+
+    // Um contrato qualquer não é escrow do protocolo
+    const fake = await attestations.signOwnershipAttestation(borrower, domain, { ...params, escrow: deployment.contracts.LoanVault });
+    expect(await verifier.verifyOwnershipAttestation(fake.attestation, fake.signature)).to.be.false;
+
+    const byBorrower = await attestations.signOwnershipAttestation(borrower, domain, params);
+    expect(await verifier.verifyOwnershipAttestation(byBorrower.attestation, byBorrower.signature)).to.be.true;
+    await time.increase(ONE_DAY / 48);
+    await borrowerClient.repay(loanId);
+    expect(await verifier.verifyOwnershipAttestation(byBorrower.attestation, byBorrower.signature)).to.be.false;
+    expect(await verifier.verifyOwnershipAttestation(byDelegate.attestation, byDelegate.signature)).to.be.false;
+  });
+
+  it("should verify EIP-1271 attestations from contract wallet borrowers", async function () {
+    const wallet = await ethers.deployContract("MockRevertingReceiver");
+    const walletAddress = await wallet.getAddress();
+    await wallet.setSigner(borrower.address);
+    await nft.connect(borrower).transferFrom(borrower.address, walletAddress, 1);
+    const { escrow } = await openLoan(wallet);
+    expect(await escrow.borrower()).to.equal(walletAddress);
+
+    const attestation = {
+      signer: walletAddress,
+      nftAddress,
+      tokenId: 1n,
+      escrow: await escrow.getAddress(),
+      issuedAt: BigInt(await time.latest())
+    };
+    const signed = { attestation, signature: await borrower.signTypedData(domain, attestations.ATTESTATION_TYPES, attestation) };
+
+    expect(await verifier.verifyOwnershipAttestation(attestation, signed.signature)).to.be.true;
+    expect(await partnerClient.verifyOwnershipAttestation(signed)).to.deep.equal({ valid: true, reason: null });
+
+    await wallet.setSigner(outsider.address);
+    expect(await verifier.verifyOwnershipAttestation(attestation, signed.signature)).to.be.false;
+
+    await expect(verifier.connect(outsider).initializeAttestations())
+      .to.be.revertedWithCustomError(verifier, "OwnableUnauthorizedAccount");
+    await expect(verifier.initializeAttestations()).to.be.revertedWith("Attestations already initialized");
+  });
+});
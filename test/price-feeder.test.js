@@ -0,0 +1,155 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  PriceFeeder,
+  loadFeederConfig,
+  SUBMITTED,
+  UNCHANGED,
+  HELD,
+  CIRCUIT_BROKEN,
+  MISSING,
+  DRY_RUN,
+  FAILED
+} = require("../keeper");
+const { loadProtocol, quiet, dir } = require("./helpers/protocol");
+
+describe("PriceFeeder", function () {
+  let deployment, oracle, feederAccount, outsider, pricesFile, collections;
+
+  function writePrices(prices) {
+    fs.writeFileSync(pricesFile, JSON.stringify({ prices }));
+  }
+
+  function createFeeder(options = {}) {
+    return new PriceFeeder({
+      deployment,
+      signer: feederAccount,
+      source: { type: "json-file", file: pricesFile },
+      collections,
+      log: quiet,
+      ...options
+    });
+  }
+
+  beforeEach(async function () {
+    [, , outsider, feederAccount] = await ethers.getSigners();
+    deployment = await loadProtocol();
+
+    oracle = await ethers.getContractAt("PriceOracle", deployment.contracts.PriceOracle);
+    await oracle.setUpdaterAuthorization(feederAccount.address, true);
+
+    collections = [];
+    for (const name of ["Alpha", "Beta", "Gamma"]) {
+      const nft = await ethers.deployContract("MockERC721", [name, name.toUpperCase()]);
+      collections.push({ name, address: await nft.getAddress() });
+    }
+    pricesFile = path.join(dir, "prices.json");
+    writePrices({ [collections[0].address]: "2", [collections[1].address]: "1.5", [collections[2].address]: "0.4" });
+  });
+
+  it("should report floors in batches and skip the ones that did not move", async function () {
+    const feeder = createFeeder({ batchSize: 2 });
+    let outcomes = await feeder.runOnce();
+    expect(outcomes.map(outcome => outcome.status)).to.deep.equal([SUBMITTED, SUBMITTED, SUBMITTED]);
+    // Dois lotes: 2 + 1
+    expect(outcomes[0].txHash).to.equal(outcomes[1].txHash);
+    expect(outcomes[2].txHash).to.not.equal(outcomes[0].txHash);
+    expect((await oracle.collectionPrices(collections[0].address)).floorPrice).to.equal(ethers.parseEther("2"));
+    expect((await oracle.priceReports(collections[2].address, feederAccount.address)).price).to.equal(ethers.parseEther("0.4"));
+
+    // 0,25% fica abaixo do limite de 50 bps, 10% não
+    writePrices({ [collections[0].address]: "2.005", [collections[1].address]: "1.65", [collections[2].address]: "0.4" });
+    outcomes = await feeder.runOnce();
+    expect(outcomes.map(outcome => outcome.status)).to.deep.equal([UNCHANGED, SUBMITTED, UNCHANGED]);
+    expect((await oracle.collectionPrices(collections[1].address)).floorPrice).to.equal(ethers.parseEther("1.65"));
+
+    // Passado o heartbeat (metade do reportValidity) tudo é reportado de novo
+    await time.increase(30 * 60);
+    outcomes = await feeder.runOnce();
+    expect(outcomes.map(outcome => outcome.status)).to.deep.equal([SUBMITTED, SUBMITTED, SUBMITTED]);
+
+    const health = feeder.health();
+    expect(health.status).to.equal("ok");
+    expect(health.consecutiveFailures).to.equal(0);
+    expect(health.collections[collections[0].address]).to.include({ name: "Alpha", status: SUBMITTED, price: ethers.parseEther("2.005").toString() });
+  });
+
+  it("should hold moves the circuit breaker would reject and report degraded health", async function () {
+    await oracle.setAggregationParameters(1, 60 * 60, 1000, 60 * 60);
+    const feeder = createFeeder();
+    await feeder.runOnce();
+
+    // +50% no Alpha, Gamma sem preço na fonte, e um reporte do owner que dispara o breaker do Beta
+    writePrices({ [collections[0].address]: "3", [collections[1].address]: "1.5" });
+    await oracle.updateCollectionPrice(collections[1].address, ethers.parseEther("3"));
+    expect(await oracle.circuitBroken(collections[1].address)).to.be.true;
+
+    const outcomes = await feeder.runOnce();
+    expect(outcomes.map(outcome => outcome.status)).to.deep.equal([HELD, CIRCUIT_BROKEN, MISSING]);
+    expect(outcomes[0].error).to.contain("5000 bps");
+    expect((await oracle.collectionPrices(collections[0].address)).floorPrice).to.equal(ethers.parseEther("2"));
+    expect(await oracle.circuitBroken(collections[0].address)).to.be.false;
+
+    const server = await feeder.serveHealth(0);
+    try {
+      const response = await fetch(`http://127.0.0.1:${server.address().port}/health`);
+      expect(response.status).to.equal(503);
+      const health = await response.json();
+      expect(health.status).to.equal("degraded");
+      expect(health.collections[collections[2].address].status).to.equal(MISSING);
+    } finally {
+      feeder.stop();
+    }
+
+    // O owner aceita o novo piso do Alpha; o Beta continua travado até o reset
+    await oracle.resetCircuitBreaker(collections[0].address, ethers.parseEther("3"));
+    writePrices({ [collections[0].address]: "3", [collections[1].address]: "1.5", [collections[2].address]: "0.4" });
+    expect((await feeder.runOnce()).map(outcome => outcome.status)).to.deep.equal([SUBMITTED, CIRCUIT_BROKEN, UNCHANGED]);
+    expect((await oracle.priceReports(collections[0].address, feederAccount.address)).price).to.equal(ethers.parseEther("3"));
+  });
+
+  it("should read prices over HTTP, simulate in dry runs and survive source failures", async function () {
+    let body = JSON.stringify({ [collections[0].address.toLowerCase()]: "2" });
+    let status = 200;
+    const server = http.createServer((request, response) => {
+      response.writeHead(status, { "Content-Type": "application/json" });
+      response.end(body);
+    });
+    await new Promise(resolve => server.listen(0, resolve));
+
+    try {
+      const config = path.join(dir, "feeder.json");
+      fs.writeFileSync(config, JSON.stringify({
+        source: { type: "http", url: `http://127.0.0.1:${server.address().port}/prices` },
+        collections: [collections[0].address]
+      }));
+      const feeder = createFeeder({ ...loadFeederConfig(config), dryRun: true });
+
+      let outcomes = await feeder.runOnce();
+      expect(outcomes[0].status).to.equal(DRY_RUN);
+      expect((await oracle.collectionPrices(collections[0].address)).floorPrice).to.equal(0);
+
+      status = 500;
+      await expect(feeder.runOnce()).to.be.rejectedWith("answered 500");
+      expect(feeder.health()).to.include({ status: "degraded", consecutiveFailures: 1 });
+
+      // Conta sem autorização: a revert é registrada por coleção e o round não quebra
+      status = 200;
+      body = JSON.stringify({ prices: { [collections[0].address]: 2 } });
+      const unauthorized = createFeeder({ ...loadFeederConfig(config), signer: outsider });
+      outcomes = await unauthorized.runOnce();
+      expect(outcomes[0]).to.include({ status: FAILED, error: "Not authorized" });
+      expect(unauthorized.health().consecutiveFailures).to.equal(1);
+
+      outcomes = await createFeeder(loadFeederConfig(config)).runOnce();
+      expect(outcomes[0].status).to.equal(SUBMITTED);
+    } finally {
+      server.close();
+    }
+  });
+});
@@ -0,0 +1,95 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  UnauthorizedError,
+  LoanNotDefaultedError,
+  ProposalNotActiveError
+} = require("../sdk");
+const { loadProtocol, clientsFor, ONE_DAY } = require("./helpers/protocol");
+
+describe("YapLendClient", function () {
+  let deployment, nft, borrower, lender, borrowerClient, lenderClient;
+
+  beforeEach(async function () {
+    [, borrower, lender] = await ethers.getSigners();
+    deployment = await loadProtocol();
+
+    nft = await ethers.deployContract("MockERC721", ["Mock", "MOCK"]);
+    await nft.mint(borrower.address, 1);
+
+    [borrowerClient, lenderClient] = clientsFor(deployment, borrower, lender);
+  });
+
+  async function openLoan() {
+    const { proposalId } = await borrowerClient.createProposal({
+      collateral: [{ nftAddress: await nft.getAddress(), tokenId: 1 }],
+      amount: ethers.parseEther("1"),
+      duration: 30 * ONE_DAY,
+      interestRate: 40
+    });
+    const { loanId } = await lenderClient.accept(proposalId);
+    return { proposalId, loanId };
+  }
+
+  it("should approve collateral automatically and decode the resulting loan", async function () {
+    const { proposalId, loanId } = await openLoan();
+
+    const proposal = await borrowerClient.getProposal(proposalId);
+    expect(proposal.isActive).to.be.false;
+    expect(proposal.lender).to.equal(lender.address);
+
+    const loan = await borrowerClient.getLoan(loanId);
+    expect(loan.borrower).to.equal(borrower.address);
+    expect(loan.amount).to.equal(ethers.parseEther("1"));
+    expect(loan.interestRate).to.equal(40);
+    expect(loan.dueAt).to.equal(loan.startTime + 30n * BigInt(ONE_DAY));
+
+    const escrows = await borrowerClient.listEscrows(loanId);
+    expect(escrows).to.have.length(1);
+    expect(await nft.ownerOf(1)).to.equal(escrows[0].escrowAddress);
+  });
+
+  it("should repay a loan and return the collateral", async function () {
+    const { loanId } = await openLoan();
+    await time.increase(ONE_DAY);
+
+    const quote = await borrowerClient.getRepaymentAmount(loanId);
+    expect(quote).to.be.greaterThan(ethers.parseEther("1"));
+
+    const { amount } = await borrowerClient.repay(loanId);
+    expect(amount).to.be.at.least(quote);
+    expect((await borrowerClient.getLoan(loanId)).active).to.be.false;
+    expect(await nft.ownerOf(1)).to.equal(borrower.address);
+  });
+
+  it("should settle a counter offer accepted by the borrower", async function () {
+    const { proposalId } = await borrowerClient.createProposal({
+      collateral: [{ nftAddress: await nft.getAddress(), tokenId: 1 }],
+      amount: ethers.parseEther("2"),
+      duration: 30 * ONE_DAY,
+      interestRate: 40
+    });
+    const counter = await lenderClient.counterOffer({
+      proposalId,
+      amount: ethers.parseEther("1.5"),
+      duration: 14 * ONE_DAY,
+      interestRate: 25.5,
+      validity: ONE_DAY
+    });
+
+    const { loanId } = await borrowerClient.accept(counter.proposalId);
+    const loan = await borrowerClient.getLoan(loanId);
+    expect(loan.amount).to.equal(ethers.parseEther("1.5"));
+    expect(loan.interestRate).to.equal(25.5);
+  });
+
+  it("should map revert reasons to typed errors", async function () {
+    const { proposalId, loanId } = await openLoan();
+
+    await expect(lenderClient.liquidate(loanId)).to.be.rejectedWith(LoanNotDefaultedError, "Loan not yet defaulted");
+    await expect(lenderClient.repay(loanId)).to.be.rejectedWith(UnauthorizedError, "Not the borrower");
+    await expect(borrowerClient.cancel(proposalId)).to.be.rejectedWith(ProposalNotActiveError);
+  });
+});
@@ -0,0 +1,93 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers, upgrades } = hre;
+const { readDeployment } = require("../scripts/lib/address-book");
+const {
+  ADDED,
+  FAILED,
+  UNCHANGED,
+  WARNING,
+  checkInvariants,
+  hasFailures,
+  readCurrentLayout,
+  snapshotInvariants,
+  upgradeContract
+} = require("../scripts/lib/upgrade");
+const { loadProtocol, quiet } = require("./helpers/protocol");
+
+describe("upgrade pipeline", function () {
+  let deployment, oracle;
+
+  beforeEach(async function () {
+    deployment = await loadProtocol();
+    oracle = await ethers.getContractAt("PriceOracleV2Mock", deployment.contracts.PriceOracle);
+  });
+
+  it("should diff the layout, upgrade and pass the post-upgrade checks", async function () {
+    const result = await upgradeContract(hre, deployment, "PriceOracle", {
+      implementation: "PriceOracleV2Mock",
+      log: quiet
+    });
+
+    const added = result.layoutDiff.filter(row => row.status === ADDED);
+    expect(added.map(row => row.label)).to.deep.equal(["maxPriceDeviation"]);
+    expect(result.layoutDiff.find(row => row.label === "priceStaleThreshold").status).to.equal(UNCHANGED);
+
+    expect(hasFailures(result.checks)).to.be.false;
+    expect(result.checks.map(check => check.check)).to.include.members([
+      "owner unchanged",
+      "priceStaleThreshold preserved",
+      "CollateralManager.priceOracle intact"
+    ]);
+    expect(await upgrades.erc1967.getImplementationAddress(deployment.contracts.PriceOracle))
+      .to.equal(result.implementation);
+    expect(await oracle.version()).to.equal("2");
+
+    const [recorded] = readDeployment(deployment.file).upgrades;
+    expect(recorded.contract).to.equal("PriceOracle");
+    expect(recorded.to).to.equal(result.implementation);
+  });
+
+  it("should revert everything in a dry run", async function () {
+    const implementation = await upgrades.erc1967.getImplementationAddress(deployment.contracts.PriceOracle);
+
+    const result = await upgradeContract(hre, deployment, "PriceOracle", {
+      implementation: "PriceOracleV2Mock",
+      dryRun: true,
+      log: quiet
+    });
+
+    expect(result.implementation).to.not.equal(implementation);
+    expect(hasFailures(result.checks)).to.be.false;
+    expect(await upgrades.erc1967.getImplementationAddress(deployment.contracts.PriceOracle)).to.equal(implementation);
+    await expect(oracle.version()).to.be.reverted;
+    expect(readDeployment(deployment.file).upgrades).to.be.undefined;
+  });
+
+  it("should refuse an incompatible layout before deploying anything", async function () {
+    const implementation = await upgrades.erc1967.getImplementationAddress(deployment.contracts.PriceOracle);
+
+    await expect(upgradeContract(hre, deployment, "PriceOracle", {
+      implementation: "PriceOracleBrokenLayoutMock",
+      log: quiet
+    })).to.be.rejectedWith(/New storage layout is incompatible/);
+
+    expect(await upgrades.erc1967.getImplementationAddress(deployment.contracts.PriceOracle)).to.equal(implementation);
+  });
+
+  it("should report state and references that changed across the upgrade", async function () {
+    const { layout } = await readCurrentLayout(hre, deployment.contracts.YapLendCore);
+    const before = await snapshotInvariants(hre, deployment, "YapLendCore", layout);
+
+    const [, other] = await ethers.getSigners();
+    const yapLendCore = await ethers.getContractAt("YapLendCore", deployment.contracts.YapLendCore);
+    await yapLendCore.setProtocolFeePercentage(100);
+    await yapLendCore.setLoanVault(other.address);
+
+    const checks = await checkInvariants(hre, deployment, "YapLendCore", before, layout);
+    const failed = checks.filter(check => check.status === FAILED).map(check => check.check);
+    expect(failed).to.deep.equal(["protocolFeePercentage preserved", "YapLendCore.loanVault intact"]);
+    // Same implementation: only a warning
+    expect(checks.find(check => check.check === "implementation changed").status).to.equal(WARNING);
+  });
+});
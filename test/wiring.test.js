@@ -0,0 +1,72 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { checkWiring, fixWiring, hasProblems, MISMATCH, SKIPPED } = require("../scripts/lib/wiring");
+const { loadProtocol, quiet } = require("./helpers/protocol");
+
+describe("wiring doctor", function () {
+  let deployment, other;
+
+  beforeEach(async function () {
+    [, other] = await ethers.getSigners();
+    deployment = await loadProtocol();
+  });
+
+  afterEach(function () {
+    process.exitCode = undefined;
+  });
+
+  it("should report a freshly deployed protocol as correctly wired", async function () {
+    const results = await checkWiring(hre, deployment);
+    expect(hasProblems(results)).to.be.false;
+    expect(results.map(result => result.reference)).to.include("ProposalManager.nftVerifier");
+  });
+
+  it("should report mismatches and repair them with only the needed transactions", async function () {
+    const yapLendCore = await ethers.getContractAt("YapLendCore", deployment.contracts.YapLendCore);
+    const loanVault = await ethers.getContractAt("LoanVault", deployment.contracts.LoanVault);
+    await yapLendCore.setNFTVerifier(other.address);
+    await loanVault.setYapLendCore(other.address);
+
+    const proposalManager = await ethers.getContractAt("ProposalManager", deployment.contracts.ProposalManager);
+    await proposalManager.updateNFTVerifier();
+
+    const broken = await checkWiring(hre, deployment);
+    const mismatched = broken.filter(result => result.status === MISMATCH).map(result => result.reference);
+    expect(mismatched).to.have.members([
+      "YapLendCore.nftVerifier",
+      "LoanVault.yapLendCore",
+      "ProposalManager.nftVerifier"
+    ]);
+
+    const blockBefore = await ethers.provider.getBlockNumber();
+    const repaired = await fixWiring(hre, deployment, { log: quiet });
+    const blockAfter = await ethers.provider.getBlockNumber();
+
+    expect(hasProblems(repaired)).to.be.false;
+    expect(blockAfter - blockBefore).to.equal(3);
+    expect(await proposalManager.nftVerifier()).to.equal(deployment.contracts.NFTVerifier);
+  });
+
+  it("should skip references whose target is not in the manifest", async function () {
+    const { NFTEscrowImpl, ...contracts } = deployment.contracts;
+    const results = await checkWiring(hre, { ...deployment, contracts });
+    const escrow = results.find(result => result.reference === "CollateralManager.escrowImplementation");
+    expect(escrow.status).to.equal(SKIPPED);
+    expect(hasProblems(results)).to.be.false;
+  });
+
+  it("should set a non-zero exit code from wiring:check when references are wrong", async function () {
+    const collateralManager = await ethers.getContractAt("CollateralManager", deployment.contracts.CollateralManager);
+    await collateralManager.setPriceOracle(other.address);
+
+    const log = console.log;
+    console.log = quiet;
+    try {
+      await hre.run("wiring:check", { deployment: deployment.file });
+    } finally {
+      console.log = log;
+    }
+    expect(process.exitCode).to.equal(1);
+  });
+});